@@ -0,0 +1,166 @@
+/**
+ * Attribution
+ * Remembers where a visitor came from so every lead carries its source.
+ * Each arrival with UTM parameters or from another site is a touch: the
+ * first is kept (for 90 days), the latest replaces the last touch. Direct
+ * visits and moves between pages don't overwrite a known source. Clicks on
+ * calls to action (buttons, data-cta links, links to the quote, contact and
+ * audit pages) record the last CTA. Lead forms (data-lead-form) get it all
+ * as hidden first_*, last_* and cta_* fields, which lead-server.js stores
+ * with the lead. Published to every site at assets/js/attribution.js; in Node
+ * it exports the pure functions for the unit tests.
+ */
+
+(function (root) {
+  const STORAGE_KEY = 'leadAttribution';
+  const MAX_AGE_DAYS = 90;
+  const MAX_CTA_TEXT = 120;
+  const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+  const LEAD_PAGE_REGEX = /(?:^|\/)(?:quote|contact|free-audit)\.html(?:[?#]|$)/;
+
+  // Stored group → hidden field prefix
+  const FIELD_PREFIXES = { firstTouch: 'first_', lastTouch: 'last_', cta: 'cta_' };
+
+  /**
+   * The touch a page view represents: UTM parameters, the referrer when it
+   * is another site, and the landing page. Null for a direct visit or a
+   * click from another page of this site.
+   */
+  function currentTouch(location, referrer, now = new Date()) {
+    const params = new URLSearchParams(location.search);
+    const touch = {};
+    UTM_PARAMS.forEach(param => {
+      const value = (params.get(param) || '').trim();
+      if (value) touch[param] = value;
+    });
+
+    let external = '';
+    try {
+      external = referrer && new URL(referrer).host !== location.host ? referrer : '';
+    } catch (error) {
+      // An unparseable referrer counts as none
+    }
+    if (Object.keys(touch).length === 0 && !external) return null;
+
+    if (external) touch.referrer = external;
+    touch.landing_page = location.pathname + location.search;
+    touch.at = now.toISOString();
+    return touch;
+  }
+
+  /**
+   * Stored attribution after a page view: { firstTouch, lastTouch, cta }.
+   * A first visit with no source is recorded as direct so the landing page
+   * is still known.
+   */
+  function recordVisit(stored, location, referrer, now = new Date()) {
+    const firstAt = stored.firstTouch && Date.parse(stored.firstTouch.at);
+    const expired = !firstAt || now - firstAt > MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    const data = expired ? {} : { ...stored };
+
+    const touch = currentTouch(location, referrer, now);
+    if (touch) data.lastTouch = touch;
+    if (!data.firstTouch) {
+      data.firstTouch = touch || { landing_page: location.pathname + location.search, at: now.toISOString() };
+      data.lastTouch = data.lastTouch || data.firstTouch;
+    }
+    return data;
+  }
+
+  /**
+   * The CTA record for a clicked link, or null when the link isn't a CTA
+   */
+  function ctaFor(link, location, now = new Date()) {
+    const href = link.getAttribute('href') || '';
+    const isCta = link.hasAttribute('data-cta') ||
+      (link.classList && link.classList.contains('btn')) ||
+      LEAD_PAGE_REGEX.test(href);
+    if (!isCta) return null;
+
+    const text = (link.getAttribute('data-cta') || link.textContent || '').replace(/\s+/g, ' ').trim();
+    return { text: text.slice(0, MAX_CTA_TEXT), href, page: location.pathname, at: now.toISOString() };
+  }
+
+  /**
+   * Stored attribution as hidden field names and values
+   */
+  function hiddenFields(data) {
+    const fields = {};
+    Object.keys(FIELD_PREFIXES).forEach(group => {
+      const values = data[group] || {};
+      Object.keys(values).forEach(key => {
+        fields[FIELD_PREFIXES[group] + key] = values[key];
+      });
+    });
+    return fields;
+  }
+
+  const api = { currentTouch, recordVisit, ctaFor, hiddenFields };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+    return;
+  }
+  root.LeadAttribution = api;
+
+  /* Browser wiring */
+
+  function read(storage) {
+    try {
+      return JSON.parse(storage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  function write(storage, data) {
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(data));
+    } catch (error) {
+      // Storage blocked or full: the lead just arrives without its source
+    }
+  }
+
+  /**
+   * Add or refresh the hidden attribution fields on every lead form
+   */
+  function fillForms(document, data) {
+    const fields = hiddenFields(data);
+    document.querySelectorAll('form[data-lead-form]').forEach(form => {
+      form.querySelectorAll('input[data-attribution]').forEach(input => input.remove());
+      Object.keys(fields).forEach(name => {
+        const input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = name;
+        input.value = fields[name];
+        input.setAttribute('data-attribution', '');
+        form.append(input);
+      });
+    });
+  }
+
+  function init(document) {
+    let storage;
+    try {
+      storage = root.localStorage;
+    } catch (error) {
+      return;
+    }
+
+    const data = recordVisit(read(storage), root.location, document.referrer);
+    write(storage, data);
+    fillForms(document, data);
+
+    document.addEventListener('click', event => {
+      const link = event.target.closest && event.target.closest('a[href]');
+      const cta = link && ctaFor(link, root.location);
+      if (cta) write(storage, { ...read(storage), cta });
+    }, true);
+  }
+
+  if (root.document.readyState === 'loading') {
+    root.document.addEventListener('DOMContentLoaded', () => init(root.document));
+  } else {
+    init(root.document);
+  }
+})(typeof window !== 'undefined' ? window : this);
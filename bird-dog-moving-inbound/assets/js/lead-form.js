@@ -0,0 +1,123 @@
+/**
+ * Lead Form
+ * Progressive enhancement for forms marked data-lead-form: submits them to
+ * the lead server (scripts/lead-server.js) with fetch and shows the
+ * result inline — a success message, or the server's message for each
+ * invalid field. Without JavaScript the same forms post normally and the
+ * server answers with a page. Published to every site at assets/js/lead-form.js.
+ */
+
+(function (root) {
+  const FAILED = 'We couldn’t send your request. Check your connection and try again, or give us a call.';
+
+  /**
+   * The form's status line, created after its last child on first use
+   */
+  function statusFor(form) {
+    let status = form.querySelector('[data-lead-status]');
+    if (!status) {
+      status = form.ownerDocument.createElement('p');
+      status.className = 'form-status';
+      status.setAttribute('data-lead-status', '');
+      status.setAttribute('role', 'status');
+      form.append(status);
+    }
+    return status;
+  }
+
+  function setStatus(form, state, message) {
+    const status = statusFor(form);
+    status.className = `form-status form-status--${state}`;
+    status.textContent = message;
+  }
+
+  /**
+   * The inputs for a field name: one element, or every checkbox in a group
+   */
+  function inputsFor(form, name) {
+    const field = form.elements.namedItem(name);
+    if (!field) return [];
+    return typeof field.length === 'number' && !field.tagName ? Array.from(field) : [field];
+  }
+
+  function clearErrors(form) {
+    form.querySelectorAll('.field-error').forEach(error => error.remove());
+    form.querySelectorAll('[aria-invalid]').forEach(input => {
+      input.removeAttribute('aria-invalid');
+      input.removeAttribute('aria-describedby');
+    });
+  }
+
+  /**
+   * Mark each invalid field and put its message after the field's label
+   * (or after a checkbox group's container). Focuses the first one.
+   */
+  function showErrors(form, errors) {
+    let first = null;
+
+    Object.keys(errors).forEach(name => {
+      const inputs = inputsFor(form, name);
+      if (inputs.length === 0) return;
+
+      const id = `${form.id || 'lead-form'}-${name}-error`;
+      const message = form.ownerDocument.createElement('span');
+      message.className = 'field-error';
+      message.id = id;
+      message.textContent = errors[name];
+
+      const anchor = inputs.length > 1
+        ? inputs[0].parentElement.parentElement
+        : inputs[0].closest('label') || inputs[0];
+      anchor.after(message);
+
+      inputs.forEach(input => {
+        input.setAttribute('aria-invalid', 'true');
+        input.setAttribute('aria-describedby', id);
+      });
+      first = first || inputs[0];
+    });
+
+    if (first) first.focus();
+  }
+
+  function submit(form, event) {
+    event.preventDefault();
+    const button = form.querySelector('[type="submit"]');
+
+    clearErrors(form);
+    setStatus(form, 'pending', 'Sending…');
+    if (button) button.disabled = true;
+
+    fetch(form.action, {
+      method: 'POST',
+      headers: { Accept: 'application/json' },
+      body: new URLSearchParams(new FormData(form))
+    })
+      .then(response => response.json().catch(() => ({})).then(result => ({ response, result })))
+      .then(({ response, result }) => {
+        if (response.ok && result.ok) {
+          form.reset();
+          setStatus(form, 'success', result.message);
+          return;
+        }
+        if (result.errors) showErrors(form, result.errors);
+        setStatus(form, 'error', result.error || FAILED);
+      })
+      .catch(() => setStatus(form, 'error', FAILED))
+      .then(() => {
+        if (button) button.disabled = false;
+      });
+  }
+
+  function init(document) {
+    document.querySelectorAll('form[data-lead-form]').forEach(form => {
+      form.addEventListener('submit', event => submit(form, event));
+    });
+  }
+
+  if (root.document.readyState === 'loading') {
+    root.document.addEventListener('DOMContentLoaded', () => init(root.document));
+  } else {
+    init(root.document);
+  }
+})(window);
@@ -0,0 +1,244 @@
+/**
+ * Quote Estimator
+ * Instant moving estimate for quote.html: price range, crew size and hours
+ * from the ZIPs, move date, home size and add-ons, priced from the rate
+ * table in quote-rates.json. ZIPs are located through the service-area
+ * registry (service-areas.json). In the browser it wires up #quote-form;
+ * in Node it exports the pricing functions for the unit tests.
+ */
+
+(function (root) {
+  const EARTH_RADIUS_MILES = 3958.8;
+
+  // Input the estimate can't price; the message is shown to the visitor
+  class EstimateError extends Error {}
+
+  function toRadians(degrees) {
+    return (degrees * Math.PI) / 180;
+  }
+
+  /**
+   * Straight-line miles between two { lat, lng } points
+   */
+  function haversineMiles(from, to) {
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+  }
+
+  /**
+   * The registry area that covers a ZIP, or null
+   */
+  function locateZip(zip, areas) {
+    return areas.find(area => (area.zips || []).includes(zip) && typeof area.lat === 'number') || null;
+  }
+
+  /**
+   * Road miles between two ZIPs: { miles, approximate }. A metro ZIP the
+   * registry doesn't cover counts as the table's default distance. Throws
+   * for malformed ZIPs and moves outside the local area.
+   */
+  function moveDistance(fromZip, toZip, areas, rates) {
+    const distance = rates.distance;
+    [['From', fromZip], ['To', toZip]].forEach(([label, zip]) => {
+      if (!/^\d{5}$/.test(zip || '')) {
+        throw new EstimateError(`Enter a 5-digit ${label} ZIP.`);
+      }
+      if (!distance.metroZipPrefixes.some(prefix => zip.startsWith(prefix))) {
+        throw new EstimateError(`${zip} is outside our local area. We price long-distance moves with you directly.`);
+      }
+    });
+
+    const from = locateZip(fromZip, areas);
+    const to = locateZip(toZip, areas);
+    if (fromZip !== toZip && (!from || !to)) {
+      return { miles: distance.defaultMiles, approximate: true };
+    }
+
+    const miles = fromZip === toZip ? 0 : haversineMiles(from, to) * distance.roadFactor;
+    if (miles > distance.maxMiles) {
+      throw new EstimateError('That move is beyond our local area. We price long-distance moves with you directly.');
+    }
+    return { miles, approximate: false };
+  }
+
+  /**
+   * A "YYYY-MM-DD" date as a local Date (not UTC midnight)
+   */
+  function parseMoveDate(value) {
+    const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+    if (!date || date.getDate() !== Number(match[3])) {
+      throw new EstimateError('Choose a move date.');
+    }
+    return date;
+  }
+
+  /**
+   * Surcharges that apply on a date: rules with "days" (0 = Sunday) match
+   * those weekdays, rules with "lastDays" the last days of the month
+   */
+  function surchargesFor(date, rates) {
+    const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    const surcharges = rates.surcharges || {};
+
+    return Object.keys(surcharges)
+      .filter(id => {
+        const rule = surcharges[id];
+        return (rule.days && rule.days.includes(date.getDay())) ||
+          (rule.lastDays && date.getDate() > daysInMonth - rule.lastDays);
+      })
+      .map(id => ({ id, label: surcharges[id].label, percent: surcharges[id].percent }));
+  }
+
+  function roundUp(value, step) {
+    return Math.ceil(value / step - 1e-9) * step;
+  }
+
+  /**
+   * Estimate a move:
+   *   input: { fromZip, toZip, moveDate, homeSize, addOns: ['packing', …] }
+   * Returns { price: { low, high }, crew, hours: { low, high }, miles,
+   * approximate, surcharges, addOns }. Throws with a message fit to show
+   * the visitor when an input can't be priced.
+   */
+  function estimateMove(input, rates, areas = []) {
+    const size = rates.homeSizes[input.homeSize];
+    if (!size) {
+      throw new EstimateError('Choose a home size.');
+    }
+
+    const addOns = (input.addOns || []).map(id => {
+      if (!rates.addOns[id]) throw new EstimateError(`Unknown service "${id}".`);
+      return { id, ...rates.addOns[id] };
+    });
+    const distance = moveDistance(input.fromZip, input.toZip, areas, rates);
+    const surcharges = surchargesFor(parseMoveDate(input.moveDate), rates);
+
+    const sum = key => addOns.reduce((total, addOn) => total + (addOn[key] || 0), 0);
+    const crew = size.crew + sum('extraCrew');
+    const driveHours = distance.miles / rates.distance.averageMph;
+    const hours = size.hours.map(base => roundUp(
+      Math.max(rates.minimumHours, base * (1 + sum('hoursFactor')) + sum('extraHours') + driveHours),
+      rates.hourIncrement
+    ));
+
+    const multiplier = 1 + surcharges.reduce((total, surcharge) => total + surcharge.percent, 0) / 100;
+    const price = hours.map(total => crew * rates.hourlyRatePerMover * total * multiplier + rates.truckFee + sum('fee'));
+
+    return {
+      price: {
+        low: Math.floor(price[0] / rates.roundTo) * rates.roundTo,
+        high: roundUp(price[1], rates.roundTo)
+      },
+      crew,
+      hours: { low: hours[0], high: hours[1] },
+      miles: Math.round(distance.miles * 10) / 10,
+      approximate: distance.approximate,
+      surcharges,
+      addOns: addOns.map(addOn => addOn.label)
+    };
+  }
+
+  const api = { EstimateError, haversineMiles, locateZip, moveDistance, parseMoveDate, surchargesFor, estimateMove };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+    return;
+  }
+  root.QuoteEstimator = api;
+
+  /* Browser wiring */
+
+  const currency = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+  const UNAVAILABLE = 'The instant estimate is unavailable right now. Submit your details and we’ll follow up with pricing.';
+
+  function element(document, tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function readInput(form) {
+    const fields = form.elements;
+    return {
+      fromZip: fields.from_zip.value.trim(),
+      toZip: fields.to_zip.value.trim(),
+      moveDate: fields.move_date.value,
+      homeSize: fields.home_size.value,
+      addOns: Array.from(form.querySelectorAll('input[name="services"]:checked'), input => input.value)
+    };
+  }
+
+  function renderEstimate(document, output, estimate) {
+    const hours = estimate.hours.low === estimate.hours.high
+      ? `${estimate.hours.low}`
+      : `${estimate.hours.low}–${estimate.hours.high}`;
+    const details = element(document, 'ul', 'estimate__details');
+    details.append(
+      element(document, 'li', null, `Crew: ${estimate.crew} movers`),
+      element(document, 'li', null, `Time: ${hours} hours`),
+      element(document, 'li', null, `Distance: ${estimate.approximate ? 'about ' : ''}${Math.round(estimate.miles)} miles`)
+    );
+    if (estimate.surcharges.length > 0) {
+      const labels = estimate.surcharges.map(surcharge => `${surcharge.label} (+${surcharge.percent}%)`).join(' and ');
+      details.append(element(document, 'li', null, `Includes ${labels} pricing`));
+    }
+
+    output.replaceChildren(
+      element(document, 'h3', 'estimate__title', 'Your instant estimate'),
+      element(document, 'p', 'estimate__price', `${currency.format(estimate.price.low)} – ${currency.format(estimate.price.high)}`),
+      details,
+      element(document, 'p', 'muted', 'A ballpark from your answers. Your coordinator confirms the exact price.')
+    );
+  }
+
+  function init(document) {
+    const form = document.getElementById('quote-form');
+    const output = document.getElementById('quote-estimate');
+    if (!form || !output) return;
+
+    const today = new Date();
+    form.elements.move_date.min = [today.getFullYear(), today.getMonth() + 1, today.getDate()]
+      .map(part => String(part).padStart(2, '0'))
+      .join('-');
+
+    const load = url => fetch(url).then(response => {
+      if (!response.ok) throw new Error(`${url}: ${response.status}`);
+      return response.json();
+    });
+    const tables = Promise.all([load(form.dataset.rates), load(form.dataset.areas)]);
+    // A failed load is reported when an estimate is asked for
+    tables.catch(() => {});
+
+    const update = showErrors => tables
+      .then(([rates, registry]) => {
+        const input = readInput(form);
+        if (!showErrors && (!input.fromZip || !input.toZip || !input.moveDate)) {
+          output.hidden = true;
+          return;
+        }
+        renderEstimate(document, output, estimateMove(input, rates, registry.areas));
+        output.hidden = false;
+      })
+      .catch(error => {
+        output.replaceChildren(element(document, 'p', 'estimate__error', error instanceof EstimateError ? error.message : UNAVAILABLE));
+        output.hidden = false;
+      });
+
+    form.addEventListener('change', () => update(false));
+    form.addEventListener('submit', event => {
+      event.preventDefault();
+      update(true).then(() => output.scrollIntoView({ behavior: 'smooth', block: 'nearest' }));
+    });
+  }
+
+  if (root.document.readyState === 'loading') {
+    root.document.addEventListener('DOMContentLoaded', () => init(root.document));
+  } else {
+    init(root.document);
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,113 @@
+/**
+ * Anchor Text Analysis
+ * Compares link text with the anchors in interlinking-map.json, collects
+ * the anchor texts each page is linked with, and flags generic anchors
+ * ("click here") and exact-match anchors repeated across too many pages
+ */
+
+// Anchors that say nothing about the target page
+const GENERIC_ANCHORS = new Set([
+  'click here', 'here', 'click', 'learn more', 'read more', 'more', 'see more',
+  'view more', 'find out more', 'more info', 'more information', 'details',
+  'this', 'this page', 'link', 'go', 'continue', 'start here'
+]);
+
+// Content pages an anchor may repeat on before it reads as over-optimised.
+// A map can override it with "anchorText": { "maxRepeats": N }.
+const DEFAULT_MAX_REPEATS = 5;
+
+/**
+ * Canonical form of an anchor for comparison: case, whitespace, arrows
+ * and surrounding punctuation are ignored
+ */
+function normalizeAnchor(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[→←»«›‹↗]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+function isGenericAnchor(text) {
+  return GENERIC_ANCHORS.has(normalizeAnchor(text));
+}
+
+/**
+ * Anchor texts per target page:
+ * Map target → { target, total, anchors: Map key → { text, links, sources } }
+ * Only content links count; header, nav and footer links repeat by design.
+ * `resolve(href, source)` maps a link to its target page (or null).
+ */
+function buildAnchorDistribution(results, resolve) {
+  const distribution = new Map();
+
+  results.forEach(result => {
+    result.links.filter(link => !link.navigation && link.text).forEach(link => {
+      const target = resolve(link.href, result.file);
+      if (!target || target === result.file) return;
+
+      if (!distribution.has(target)) {
+        distribution.set(target, { target, total: 0, anchors: new Map() });
+      }
+      const entry = distribution.get(target);
+      const key = normalizeAnchor(link.text);
+      if (!entry.anchors.has(key)) {
+        entry.anchors.set(key, { text: link.text, links: 0, sources: new Set() });
+      }
+      const anchor = entry.anchors.get(key);
+      anchor.links++;
+      anchor.sources.add(result.file);
+      entry.total++;
+    });
+  });
+
+  return distribution;
+}
+
+/**
+ * Anchors used for the same target on more than `maxRepeats` pages
+ */
+function findRepeatedAnchors(distribution, maxRepeats = DEFAULT_MAX_REPEATS) {
+  const repeated = [];
+  distribution.forEach(entry => {
+    entry.anchors.forEach(anchor => {
+      if (anchor.sources.size > maxRepeats) {
+        repeated.push({
+          target: entry.target,
+          text: anchor.text,
+          pages: anchor.sources.size,
+          share: anchor.links / entry.total
+        });
+      }
+    });
+  });
+  return repeated.sort((a, b) => b.pages - a.pages);
+}
+
+/**
+ * Map anchors a page's links don't use: for each expected { path, anchor }
+ * that is linked, but never with that text
+ */
+function findAnchorMismatches(links, expected) {
+  return expected
+    .filter(link => link.anchor && !/\{\w+\}/.test(link.anchor))
+    .map(link => {
+      const actual = links.filter(candidate => candidate.href === link.path);
+      const matches = actual.some(candidate => normalizeAnchor(candidate.text) === normalizeAnchor(link.anchor));
+      return actual.length > 0 && !matches
+        ? { path: link.path, expected: link.anchor, actual: [...new Set(actual.map(candidate => candidate.text))] }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  GENERIC_ANCHORS,
+  DEFAULT_MAX_REPEATS,
+  normalizeAnchor,
+  isGenericAnchor,
+  buildAnchorDistribution,
+  findRepeatedAnchors,
+  findAnchorMismatches
+};
@@ -2,30 +2,247 @@
 
 /**
  * Apply Interlinking Map Script
- * Updates internal links across all HTML files based on interlinking-map.json
+ * Updates internal links across all HTML files based on interlinking-map.json.
+ * The blocks it injects are styled by classes in the site's components.css.
+ * Prints a diff by default; --write applies, --undo restores the last run.
  */
 
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
 
+const {
+  loadServiceAreas,
+  findAreaByPage,
+  getNearestAreas
+} = require('./service-areas.js');
+const { runMigration } = require('./migration-run.js');
+const { loadHierarchy, applyBreadcrumbs } = require('./build-breadcrumbs.js');
+
 // Load interlinking map
 const interlinkingMap = JSON.parse(
   fs.readFileSync('interlinking-map.json', 'utf8')
 );
 
+// Load the service-area registry (optional for sites without one)
+const serviceAreas = fs.existsSync('service-areas.json') ? loadServiceAreas() : [];
+
+// Load the page hierarchy that drives breadcrumbs (optional)
+const siteHierarchy = fs.existsSync('site-hierarchy.json') ? loadHierarchy() : null;
+
+// Ids of the blocks this script injects, each wrapped in marker comments
+const GENERATED_BLOCKS = ['related-services', 'area-service-links', 'related-links'];
+const GENERATED_REGEX = /<!-- generated:interlinking:([\w-]+) -->[\s\S]*?<!-- \/generated:interlinking:\1 -->/g;
+
+/**
+ * Wrap an injected block in marker comments so a rerun can find and replace it
+ */
+function markGenerated(id, html) {
+  return `<!-- generated:interlinking:${id} -->${html}<!-- /generated:interlinking:${id} -->`;
+}
+
+/**
+ * Remove every block injected by an earlier run
+ */
+function stripGenerated(content) {
+  return content.replace(GENERATED_REGEX, '');
+}
+
+/**
+ * The injected blocks with a given id, for comparing two versions of a page
+ */
+function generatedBlocks(content, id) {
+  return [...content.matchAll(GENERATED_REGEX)]
+    .filter(match => match[1] === id)
+    .map(match => match[0])
+    .join('\n');
+}
+
+/**
+ * Fill {placeholders} in an anchor, leaving unknown ones for later
+ */
+function fillAnchor(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] !== undefined ? values[key] : match
+  );
+}
+
+/**
+ * Explicit patterns plus the ones generated from the registry.
+ * An explicit pattern always wins over a generated one for the same page.
+ */
+function buildPatterns() {
+  const patterns = [...interlinkingMap.patterns];
+  const explicit = new Set(patterns.map(p => p.from));
+  const { areaHub, areaPattern } = interlinkingMap;
+
+  if (areaHub && !explicit.has(areaHub.from)) {
+    patterns.push({
+      from: areaHub.from,
+      to: serviceAreas.map(area => ({
+        path: area.page,
+        anchor: fillAnchor(areaHub.anchor, { area: area.name })
+      }))
+    });
+  }
+
+  if (areaPattern) {
+    serviceAreas.filter(area => !explicit.has(area.page)).forEach(area => {
+      patterns.push({
+        from: area.page,
+        to: areaPattern.to.map(link => ({
+          ...link,
+          anchor: fillAnchor(link.anchor, { area: area.name })
+        }))
+      });
+    });
+  }
+
+  return patterns;
+}
+
+const patterns = buildPatterns();
+
 /**
  * Get links for a specific source file
  */
 function getLinksForFile(sourceFile) {
-  const pattern = interlinkingMap.patterns.find(p => p.from === sourceFile);
+  const pattern = patterns.find(p => p.from === sourceFile);
   return pattern ? pattern.to : [];
 }
 
+// Words ignored when matching anchor text against resource hub sections
+const TOPIC_STOPWORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'in', 'for', 'to', 'your', 'my', 'guide', 'guides', 'moving'
+]);
+
+/**
+ * Find the group a page belongs to; service areas form their own group
+ */
+function getGroupForFile(file) {
+  const groups = {
+    ...(interlinkingMap.groups || {}),
+    areas: serviceAreas.map(area => area.page)
+  };
+  const name = Object.keys(groups).find(key => groups[key].includes(file));
+  return name ? groups[name] : null;
+}
+
+/**
+ * Split a relate value like "nearest:3" into its kind and count
+ */
+function parseRelate(relate) {
+  const [kind, count] = relate.split(':');
+  return { kind, count: count ? parseInt(count, 10) : 1 };
+}
+
+/**
+ * Name the resolved area in an anchor: either through a {nearby}
+ * placeholder or by swapping the area the anchor was written for
+ * ("Nearby: Norman" → "Nearby: Moore")
+ */
+function retargetAnchor(anchor, fromFile, toArea) {
+  if (anchor.includes('{nearby}')) {
+    return fillAnchor(anchor, { nearby: toArea.name });
+  }
+  const fromArea = fromFile && findAreaByPage(serviceAreas, fromFile);
+  if (!fromArea || fromArea.name === toArea.name || !anchor.includes(fromArea.name)) {
+    return anchor;
+  }
+  return anchor.split(fromArea.name).join(toArea.name);
+}
+
+/**
+ * Pick the resource hub section whose text best matches the anchor
+ */
+function resolveTopic(hubPath, anchor) {
+  if (!fs.existsSync(hubPath)) {
+    return hubPath;
+  }
+
+  const words = anchor.toLowerCase().split(/[^a-z0-9]+/)
+    .filter(word => word && !TOPIC_STOPWORDS.has(word));
+  const hub = fs.readFileSync(hubPath, 'utf8');
+  const sectionRegex = /<section[^>]*\sid=["']([^"']+)["'][^>]*>([\s\S]*?)<\/section>/gi;
+
+  let best = null;
+  let match;
+  while ((match = sectionRegex.exec(hub)) !== null) {
+    const text = match[2].replace(/<[^>]+>/g, ' ').toLowerCase();
+    const score = words.filter(word => text.includes(word)).length;
+    if (score > 0 && (!best || score > best.score)) {
+      best = { id: match[1], score };
+    }
+  }
+
+  return best ? `${hubPath}#${best.id}` : hubPath;
+}
+
+/**
+ * Resolve the `relate` entries for a source file into concrete links.
+ *
+ * - sibling:   kept only when the target shares a group with the source
+ * - topic:     points at the best-matching section of the resource hub
+ * - nearest:N  the N areas closest to the map origin
+ * - nearby:N   the N areas closest to the source area itself
+ *
+ * Entries are resolved in order and never repeat a target.
+ */
+function resolveRelatedLinks(sourceFile) {
+  const links = getLinksForFile(sourceFile);
+  const resolved = [];
+  const taken = new Set(links.filter(link => !link.relate).map(link => link.path));
+  taken.add(sourceFile);
+
+  links.filter(link => link.relate).forEach(link => {
+    const { kind, count } = parseRelate(link.relate);
+
+    if (kind === 'sibling') {
+      const group = getGroupForFile(sourceFile);
+      if (!group || !group.includes(link.path) || taken.has(link.path)) {
+        console.warn(`⚠️  ${sourceFile}: ${link.path} is not a sibling, skipping`);
+        return;
+      }
+      taken.add(link.path);
+      resolved.push({ path: link.path, anchor: link.anchor, relate: link.relate });
+      return;
+    }
+
+    if (kind === 'topic') {
+      const target = resolveTopic(link.path, link.anchor);
+      resolved.push({ path: target, anchor: link.anchor, relate: link.relate });
+      return;
+    }
+
+    if (kind === 'nearest' || kind === 'nearby') {
+      const point = kind === 'nearby'
+        ? findAreaByPage(serviceAreas, sourceFile)
+        : interlinkingMap.origin;
+      if (!point) {
+        console.warn(`⚠️  ${sourceFile}: no location for "${link.relate}", skipping`);
+        return;
+      }
+      getNearestAreas(point, serviceAreas, count, [...taken]).forEach(area => {
+        taken.add(area.page);
+        resolved.push({
+          path: area.page,
+          anchor: retargetAnchor(link.anchor, link.path, area),
+          relate: link.relate
+        });
+      });
+      return;
+    }
+
+    console.warn(`⚠️  ${sourceFile}: unknown relate "${link.relate}", skipping`);
+  });
+
+  return resolved;
+}
+
 /**
  * Update links in HTML content
  */
-function updateLinksInContent(content, sourceFile) {
+function updateLinksInContent(content, sourceFile, changes = []) {
   const links = getLinksForFile(sourceFile);
   
   if (links.length === 0) {
@@ -38,7 +255,7 @@ function updateLinksInContent(content, sourceFile) {
   links.forEach(link => {
     const { path: targetPath, anchor, relate } = link;
     
-    // Skip relationship-based links for now (they need more complex logic)
+    // Relationship-based links are resolved and placed by addRelatedLinks
     if (relate) {
       return;
     }
@@ -57,7 +274,11 @@ function updateLinksInContent(content, sourceFile) {
       updatedContent = updatedContent.replace(pattern, (match) => {
         // Preserve the existing link structure but update the href
         if (match.includes('href=')) {
-          return match.replace(/href=["'][^"']*["']/, `href="${targetPath}"`);
+          const updated = match.replace(/href=["'][^"']*["']/, `href="${targetPath}"`);
+          if (updated !== match) {
+            changes.push({ href: match.match(/href=["']([^"']*)["']/)[1], to: targetPath, anchor });
+          }
+          return updated;
         }
         return match;
       });
@@ -83,16 +304,17 @@ function addStrategicLinks(content, sourceFile) {
   // Add links to service area pages in relevant sections
   if (sourceFile.includes('service-area-') && !sourceFile.includes('service-areas.html')) {
     // This is a specific service area page
+    const area = findAreaByPage(serviceAreas, sourceFile);
     const areaName = sourceFile.replace('service-area-', '').replace('.html', '');
-    const capitalizedArea = areaName.split('-').map(word => 
+    const capitalizedArea = area ? area.name : areaName.split('-').map(word => 
       word.charAt(0).toUpperCase() + word.slice(1)
     ).join(' ');
     
     // Add links to related services
     const serviceLinks = `
-      <div style="margin-top: var(--space-4); padding: var(--space-3); background: var(--color-surface-secondary); border-radius: var(--radius-base);">
-        <h3 style="margin-top: 0;">Related Services in ${capitalizedArea}</h3>
-        <div style="display: flex; gap: var(--space-2); flex-wrap: wrap;">
+      <div class="related-services">
+        <h3 class="related-services__title">Related Services in ${capitalizedArea}</h3>
+        <div class="related-services__links">
           <a href="service-residential.html" class="btn btn--ghost">Residential Moving</a>
           <a href="service-office.html" class="btn btn--ghost">Office Moving</a>
           <a href="service-delivery.html" class="btn btn--ghost">Local Delivery</a>
@@ -101,27 +323,28 @@ function addStrategicLinks(content, sourceFile) {
       </div>
     `;
     
-    // Insert before footer
-    updatedContent = updatedContent.replace(
-      /<footer[^>]*>/i,
-      serviceLinks + '\n  <footer role="contentinfo">'
-    );
+    // Insert before footer; layout pages get theirs from partials/, so
+    // the block follows </main> there
+    const relatedServices = markGenerated('related-services', `${serviceLinks}\n  `);
+    updatedContent = /<footer[^>]*>/i.test(updatedContent)
+      ? updatedContent.replace(/<footer[^>]*>/i, footer => relatedServices + footer)
+      : updatedContent.replace(/<\/main>/i, main => main + relatedServices);
   }
   
   // Add links to service pages from service area hub
   if (sourceFile === 'service-areas.html') {
     // Add service links to each area card
     const serviceLinksHtml = `
-      <div style="margin-top: var(--space-2); display: flex; gap: var(--space-1); flex-wrap: wrap;">
-        <a href="service-residential.html" style="font-size: 0.85rem; padding: 0.25rem 0.5rem; background: var(--color-surface-secondary); border-radius: var(--radius-full); text-decoration: none; color: var(--color-text-secondary);">Residential</a>
-        <a href="service-office.html" style="font-size: 0.85rem; padding: 0.25rem 0.5rem; background: var(--color-surface-secondary); border-radius: var(--radius-full); text-decoration: none; color: var(--color-text-secondary);">Office</a>
+      <div class="area-service-links">
+        <a href="service-residential.html" class="area-service-links__link">Residential</a>
+        <a href="service-office.html" class="area-service-links__link">Office</a>
       </div>
     `;
     
     // Add to each area card
     updatedContent = updatedContent.replace(
-      /(<div class="pill-list">[^<]*<\/div>)/g,
-      `$1${serviceLinksHtml}`
+      /<div class="pill-list">(?:(?!<\/div>)[\s\S])*<\/div>/g,
+      pillList => pillList + markGenerated('area-service-links', serviceLinksHtml)
     );
   }
   
@@ -129,90 +352,65 @@ function addStrategicLinks(content, sourceFile) {
 }
 
 /**
- * Update breadcrumbs for better navigation
+ * Insert the resolved `relate` links as a "related" block before </main>
  */
-function updateBreadcrumbs(content, sourceFile) {
-  let updatedContent = content;
-  
-  // Define breadcrumb mappings
-  const breadcrumbMappings = {
-    'service-residential.html': [
-      { name: 'Home', href: 'moving-inbound-marketing-home.html' },
-      { name: 'Services', href: 'service-residential.html' },
-      { name: 'Residential Moving', href: null }
-    ],
-    'service-office.html': [
-      { name: 'Home', href: 'moving-inbound-marketing-home.html' },
-      { name: 'Services', href: 'service-office.html' },
-      { name: 'Office Moving', href: null }
-    ],
-    'service-delivery.html': [
-      { name: 'Home', href: 'moving-inbound-marketing-home.html' },
-      { name: 'Services', href: 'service-delivery.html' },
-      { name: 'Delivery Services', href: null }
-    ],
-    'resource-hub.html': [
-      { name: 'Home', href: 'moving-inbound-marketing-home.html' },
-      { name: 'Resources', href: 'resource-hub.html' },
-      { name: 'Resource Hub', href: null }
-    ],
-    'service-areas.html': [
-      { name: 'Home', href: 'moving-inbound-marketing-home.html' },
-      { name: 'Service Areas', href: 'service-areas.html' },
-      { name: 'All Areas', href: null }
-    ]
-  };
-  
-  const breadcrumbs = breadcrumbMappings[sourceFile];
-  if (!breadcrumbs) return updatedContent;
-  
-  const breadcrumbHtml = `
-    <nav aria-label="Breadcrumb" style="margin-bottom: var(--space-3);">
-      <ol style="display: flex; list-style: none; padding: 0; margin: 0; gap: var(--space-1); font-size: var(--font-size-sm); color: var(--color-text-muted);">
-        ${breadcrumbs.map((crumb, index) => {
-          if (index === breadcrumbs.length - 1) {
-            return `<li style="color: var(--color-text-primary); font-weight: var(--font-weight-medium);">${crumb.name}</li>`;
-          }
-          return `<li><a href="${crumb.href}" style="color: var(--color-text-muted); text-decoration: none;">${crumb.name}</a> <span style="margin: 0 var(--space-1);">/</span></li>`;
-        }).join('')}
-      </ol>
-    </nav>
-  `;
-  
-  // Insert breadcrumbs after hero section or main content start
-  const heroEndRegex = /<\/section>\s*(?=<section|<main)/i;
-  const mainStartRegex = /<main[^>]*>/i;
-  
-  if (heroEndRegex.test(updatedContent)) {
-    updatedContent = updatedContent.replace(heroEndRegex, `</section>\n  ${breadcrumbHtml}`);
-  } else if (mainStartRegex.test(updatedContent)) {
-    updatedContent = updatedContent.replace(mainStartRegex, `$& ${breadcrumbHtml}`);
+function addRelatedLinks(content, sourceFile) {
+  const related = resolveRelatedLinks(sourceFile);
+
+  if (related.length === 0) {
+    return content;
   }
-  
-  return updatedContent;
+
+  const relatedHtml = `
+    <section class="section related-links" aria-labelledby="related-links-title">
+      <div class="wrap">
+        <h2 id="related-links-title" class="related-links__title">Related</h2>
+        <ul class="related-links__list">
+          ${related.map(link => `<li><a href="${link.path}" class="btn btn--ghost" data-relate="${link.relate}">${link.anchor}</a></li>`).join('\n          ')}
+        </ul>
+      </div>
+    </section>
+  `;
+
+  return content.replace(/<\/main>/i, main => markGenerated('related-links', relatedHtml) + main);
 }
 
 /**
- * Process a single HTML file
+ * Update breadcrumbs from the site hierarchy, if the site declares one
  */
-function processFile(filePath) {
-  console.log(`Processing interlinking for: ${filePath}`);
-  
-  const content = fs.readFileSync(filePath, 'utf8');
-  
+function updateBreadcrumbs(content, sourceFile) {
+  return siteHierarchy ? applyBreadcrumbs(content, sourceFile, siteHierarchy) : content;
+}
+
+/**
+ * Process a single HTML file: returns the updated content and the changes made.
+ * Blocks injected by an earlier run are removed first and rebuilt, so running
+ * the script again gives the same output as running it once.
+ */
+function processFile(filePath, content) {
+  const changes = [];
+
   // Apply link updates
-  let updatedContent = updateLinksInContent(content, filePath);
-  
-  // Add strategic links
+  let updatedContent = updateLinksInContent(stripGenerated(content), filePath, changes);
+
+  // Add strategic links and resolved relationship links
   updatedContent = addStrategicLinks(updatedContent, filePath);
-  
-  // Update breadcrumbs
-  updatedContent = updateBreadcrumbs(updatedContent, filePath);
-  
-  // Write back to file
-  fs.writeFileSync(filePath, updatedContent, 'utf8');
-  
-  console.log(`✅ Updated interlinking for: ${filePath}`);
+  updatedContent = addRelatedLinks(updatedContent, filePath);
+
+  GENERATED_BLOCKS.forEach(id => {
+    if (generatedBlocks(content, id) !== generatedBlocks(updatedContent, id)) {
+      changes.push({ generated: id });
+    }
+  });
+
+  // Breadcrumbs replace their own marked block, so any difference is a change
+  const withBreadcrumbs = updateBreadcrumbs(updatedContent, filePath);
+  if (withBreadcrumbs !== updatedContent) {
+    changes.push({ generated: 'breadcrumbs' });
+    updatedContent = withBreadcrumbs;
+  }
+
+  return { content: updatedContent, changes };
 }
 
 /**
@@ -221,12 +419,15 @@ function processFile(filePath) {
 function validateTargets() {
   const allTargets = new Set();
   
-  interlinkingMap.patterns.forEach(pattern => {
+  patterns.forEach(pattern => {
     pattern.to.forEach(link => {
       if (link.path && !link.relate) {
         allTargets.add(link.path);
       }
     });
+    resolveRelatedLinks(pattern.from).forEach(link => {
+      allTargets.add(link.path.split('#')[0]);
+    });
   });
   
   const missingFiles = [];
@@ -248,6 +449,13 @@ function validateTargets() {
  * Main execution
  */
 function main() {
+  const argv = process.argv.slice(2);
+
+  if (argv.includes('--undo')) {
+    runMigration({ name: 'apply-interlinking-map', files: [], transform: null, argv });
+    return;
+  }
+
   console.log('🔗 Applying interlinking map...');
   
   // Validate targets first
@@ -264,18 +472,16 @@ function main() {
   }
   
   console.log(`Found ${htmlFiles.length} HTML files to process`);
-  
-  let processedCount = 0;
-  htmlFiles.forEach(file => {
-    try {
-      processFile(file);
-      processedCount++;
-    } catch (error) {
-      console.error(`❌ Error processing ${file}:`, error.message);
-    }
+
+  const summary = runMigration({
+    name: 'apply-interlinking-map',
+    files: htmlFiles,
+    transform: processFile,
+    argv
   });
-  
-  console.log(`\n🎉 Interlinking applied to ${processedCount} files!`);
+
+  if (summary.mode !== 'write' || summary.failures.length > 0) return;
+
   console.log('\nNext steps:');
   console.log('1. Review the link changes');
   console.log('2. Test navigation between pages');
@@ -286,4 +492,10 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { updateLinksInContent, processFile, validateTargets };
+module.exports = {
+  getLinksForFile,
+  updateLinksInContent,
+  resolveRelatedLinks,
+  processFile,
+  validateTargets
+};
@@ -2,157 +2,115 @@
 
 /**
  * Apply Design Tokens Migration Script
- * Replaces hardcoded values with centralized token references
+ * Replaces hardcoded values with centralized token references.
+ * Prints a diff by default; --write applies, --undo restores the last run.
  */
 
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
 
-// Color mapping from old values to new token references
-const COLOR_MAPPINGS = {
-  '#16324F': 'var(--color-brand-primary)',
-  '#FF7A00': 'var(--color-brand-secondary)', 
-  '#32C671': 'var(--color-brand-accent)',
-  '#005F5F': 'var(--color-brand-teal-primary)',
-  '#008080': 'var(--color-brand-teal-secondary)',
-  '#4A9B9B': 'var(--color-brand-teal-light)',
-  '#FFFFFF': 'var(--color-surface-primary)',
-  '#F6F8FB': 'var(--color-surface-secondary)',
-  '#FAFAFA': 'var(--color-surface-secondary)',
-  '#0F172A': 'var(--color-text-primary)',
-  '#475569': 'var(--color-text-muted)',
-  '#E2E8F0': 'var(--color-border-primary)',
-  '#E5E5E5': 'var(--color-border-primary)',
-  '#cbd5e1': 'var(--color-text-muted)',
-  '#F59E0B': 'var(--color-state-warning)',
-  '#dbeafe': 'var(--color-surface-tertiary)',
-  '#F8FAFF': 'var(--color-surface-tertiary)'
-};
-
-// Spacing mappings
-const SPACING_MAPPINGS = {
-  '0.375rem': 'var(--space-sm)',
-  '0.75rem': 'var(--space-lg)', 
-  '1rem': 'var(--space-xl)',
-  '1.5rem': 'var(--space-2xl)',
-  '2rem': 'var(--space-3xl)',
-  '3rem': 'var(--space-4xl)',
-  '4rem': 'var(--space-5xl)'
-};
-
-// Font size mappings
-const FONT_SIZE_MAPPINGS = {
-  'clamp(2rem, 2.5vw + 1.2rem, 3rem)': 'var(--font-size-hero)',
-  'clamp(1.375rem, 1.5vw + 1rem, 2rem)': 'var(--font-size-h2)',
-  '1rem': 'var(--font-size-base)',
-  '0.9rem': 'var(--font-size-sm)',
-  '1.1rem': 'var(--font-size-lg)',
-  '1.2rem': 'var(--font-size-xl)'
-};
-
-// Shadow mappings
-const SHADOW_MAPPINGS = {
-  '0 1px 2px rgba(0,0,0,.06)': 'var(--shadow-sm)',
-  '0 6px 16px rgba(0,0,0,.10)': 'var(--shadow-base)',
-  '0 4px 8px rgba(0,0,0,.08)': 'var(--shadow-base)',
-  '0 8px 16px rgba(0,0,0,.12)': 'var(--shadow-md)',
-  '0 16px 32px rgba(0,0,0,.16)': 'var(--shadow-lg)'
-};
-
-// Border radius mappings
-const RADIUS_MAPPINGS = {
-  '0.5rem': 'var(--radius-base)',
-  '0.75rem': 'var(--radius-md)',
-  '1rem': 'var(--radius-lg)',
-  '0.4rem': 'var(--radius-base)',
-  '0.6rem': 'var(--radius-base)',
-  '999px': 'var(--radius-full)',
-  '9999px': 'var(--radius-full)'
-};
-
-// Line height mappings
-const LINE_HEIGHT_MAPPINGS = {
-  '1.15': 'var(--line-height-tight)',
-  '1.6': 'var(--line-height-relaxed)',
-  '1.5': 'var(--line-height-normal)'
-};
-
-// Font weight mappings
-const FONT_WEIGHT_MAPPINGS = {
-  '400': 'var(--font-weight-normal)',
-  '500': 'var(--font-weight-medium)',
-  '600': 'var(--font-weight-semibold)',
-  '700': 'var(--font-weight-bold)'
-};
-
-// Letter spacing mappings
-const LETTER_SPACING_MAPPINGS = {
-  '0.06em': 'var(--letter-spacing-widest)'
-};
-
-// Max width mappings
-const MAX_WIDTH_MAPPINGS = {
-  '1200px': 'var(--max-width-wrap)'
-};
-
-// Z-index mappings
-const Z_INDEX_MAPPINGS = {
-  '50': 'var(--z-sticky)',
-  '1000': 'var(--z-skipLink)'
-};
-
-// Transition mappings
-const TRANSITION_MAPPINGS = {
-  '0.15s': 'var(--transition-duration-fast)',
-  '0.25s': 'var(--transition-duration-base)',
-  '0.4s': 'var(--transition-duration-slow)',
-  '0.3s': 'var(--transition-duration-base)'
-};
-
-// Font family mappings
-const FONT_FAMILY_MAPPINGS = {
-  'ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Inter, "Helvetica Neue", Arial, "Noto Sans", "Liberation Sans", sans-serif': 'var(--font-family-sans)'
-};
+const { loadTokenIndex, resolveToken } = require('./token-index.js');
+const { findDeclarations } = require('./css-declarations.js');
+const { runMigration } = require('./migration-run.js');
 
 /**
- * Apply token replacements to CSS content
+ * Split a value into parts and the whitespace/comma separators between them,
+ * keeping anything inside parentheses or quotes together
  */
-function applyTokenReplacements(content) {
-  let updatedContent = content;
-  
-  // Apply all mappings
-  const allMappings = [
-    COLOR_MAPPINGS,
-    SPACING_MAPPINGS, 
-    FONT_SIZE_MAPPINGS,
-    SHADOW_MAPPINGS,
-    RADIUS_MAPPINGS,
-    LINE_HEIGHT_MAPPINGS,
-    FONT_WEIGHT_MAPPINGS,
-    LETTER_SPACING_MAPPINGS,
-    MAX_WIDTH_MAPPINGS,
-    Z_INDEX_MAPPINGS,
-    TRANSITION_MAPPINGS,
-    FONT_FAMILY_MAPPINGS
-  ];
-  
-  allMappings.forEach(mapping => {
-    Object.entries(mapping).forEach(([oldValue, newValue]) => {
-      // Escape special regex characters
-      const escapedOldValue = oldValue.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      const regex = new RegExp(escapedOldValue, 'g');
-      updatedContent = updatedContent.replace(regex, newValue);
-    });
-  });
-  
-  return updatedContent;
+function splitValue(value) {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+  let quote = null;
+
+  for (const char of value) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    }
+    if (!quote && depth === 0 && /[\s,]/.test(char)) {
+      if (current) parts.push(current);
+      current = '';
+      if (parts.length > 0 && /^[\s,]+$/.test(parts[parts.length - 1])) {
+        parts[parts.length - 1] += char;
+      } else {
+        parts.push(char);
+      }
+    } else {
+      current += char;
+    }
+  }
+  if (current) parts.push(current);
+
+  return parts;
+}
+
+/**
+ * Token reference for a value, or null. A custom property is never
+ * rewritten to reference itself.
+ */
+function tokenReference(property, value, index) {
+  const token = resolveToken(property, value, index);
+  if (!token || `--${token.name}` === property.toLowerCase()) {
+    return null;
+  }
+  return `var(--${token.name})`;
+}
+
+/**
+ * Replace the hardcoded parts of one declaration value. The whole value is
+ * tried first (shadows, clamp(), font stacks), then each part of a shorthand,
+ * and then the arguments of a function such as color-mix() or a gradient.
+ * var() references, url()s and strings are never touched.
+ */
+function replaceValue(property, value, index) {
+  const whole = tokenReference(property, value, index);
+  if (whole) return whole;
+
+  return splitValue(value)
+    .map(part => {
+      if (/^[\s,]+$/.test(part) || /^(var|url)\(|^["']/i.test(part)) return part;
+      const call = part.match(/^([\w-]+\()([\s\S]*)\)$/);
+      if (call && !tokenReference(property, part, index)) return `${call[1]}${replaceValue(property, call[2], index)})`;
+      return tokenReference(property, part, index) || part;
+    })
+    .join('');
+}
+
+/**
+ * Apply token replacements to the CSS of an HTML document. Only declaration
+ * values in <style> blocks and style="" attributes are rewritten, each
+ * matched against the token index for the property it is declared on, so
+ * an ambiguous value (1rem is both a space and a font size) picks the right
+ * token and text content, URLs and other attributes are left alone.
+ */
+function applyTokenReplacements(content, index = loadTokenIndex(), replacements = []) {
+  // Replace from the end so earlier offsets stay valid
+  return findDeclarations(content)
+    .reverse()
+    .reduce((result, declaration) => {
+      const replaced = replaceValue(declaration.property, declaration.value, index);
+      if (replaced === declaration.value) return result;
+      replacements.unshift({
+        line: content.slice(0, declaration.valueStart).split('\n').length,
+        property: declaration.property,
+        from: declaration.value,
+        to: replaced
+      });
+      return result.slice(0, declaration.valueStart) + replaced + result.slice(declaration.valueEnd);
+    }, content);
 }
 
 /**
  * Add token import to HTML file if not present
  */
-function addTokenImport(content) {
+function addTokenImport(content, stylesheet) {
   // Check if tokens.css is already imported
   if (content.includes('tokens.css')) {
     return content;
@@ -163,7 +121,7 @@ function addTokenImport(content) {
   const match = content.match(styleTagRegex);
   
   if (match) {
-    const tokenImport = '  <link rel="stylesheet" href="src/design-system/tokens/tokens.css">\n';
+    const tokenImport = `  <link rel="stylesheet" href="${stylesheet}">\n`;
     return content.replace(styleTagRegex, tokenImport + '  <style>');
   }
   
@@ -171,29 +129,35 @@ function addTokenImport(content) {
 }
 
 /**
- * Process a single HTML file
+ * Process a single HTML file: returns the updated content and the changes made
  */
-function processFile(filePath) {
-  console.log(`Processing: ${filePath}`);
-  
-  const content = fs.readFileSync(filePath, 'utf8');
-  
+function processFile(filePath, content, index = loadTokenIndex()) {
+  const changes = [];
+
   // Apply token replacements
-  let updatedContent = applyTokenReplacements(content);
-  
+  let updatedContent = applyTokenReplacements(content, index, changes);
+
   // Add token import if needed
-  updatedContent = addTokenImport(updatedContent);
-  
-  // Write back to file
-  fs.writeFileSync(filePath, updatedContent, 'utf8');
-  
-  console.log(`✅ Updated: ${filePath}`);
+  const withImport = addTokenImport(updatedContent, index.stylesheet);
+  if (withImport !== updatedContent) {
+    changes.push({ import: index.stylesheet });
+    updatedContent = withImport;
+  }
+
+  return { content: updatedContent, changes };
 }
 
 /**
  * Main execution
  */
 function main() {
+  const argv = process.argv.slice(2);
+
+  if (argv.includes('--undo')) {
+    runMigration({ name: 'apply-tokens', files: [], transform: null, argv });
+    return;
+  }
+
   const htmlFiles = glob.sync('*.html', { cwd: process.cwd() });
   
   if (htmlFiles.length === 0) {
@@ -202,15 +166,19 @@ function main() {
   }
   
   console.log(`Found ${htmlFiles.length} HTML files to process`);
-  
-  htmlFiles.forEach(file => {
-    try {
-      processFile(file);
-    } catch (error) {
-      console.error(`❌ Error processing ${file}:`, error.message);
-    }
+
+  const index = loadTokenIndex();
+  console.log(`Loaded ${index.byName.size} tokens from ${index.source}`);
+
+  const summary = runMigration({
+    name: 'apply-tokens',
+    files: htmlFiles,
+    transform: (file, content) => processFile(file, content, index),
+    argv
   });
-  
+
+  if (summary.mode !== 'write' || summary.failures.length > 0) return;
+
   console.log('\n🎉 Token migration completed!');
   console.log('\nNext steps:');
   console.log('1. Review the changes');
@@ -222,4 +190,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { applyTokenReplacements, processFile };
+module.exports = { replaceValue, applyTokenReplacements, processFile };
@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+
+/**
+ * On-Page SEO Audit
+ * Checks every page's metadata and outline: title and meta description
+ * length and uniqueness, exactly one <h1>, heading order, Open Graph and
+ * Twitter tags and <html lang>. Area pages are also compared with each other
+ * to catch near-duplicate content and legacy copies of registry pages. Prints a report, writes JSON with
+ * --json <file> and exits non-zero on errors (on warnings too with --strict).
+ */
+
+const fs = require('fs');
+const glob = require('glob');
+const { parseHtml, findElements, textContent } = require('./html-parse.js');
+const { loadServiceAreas } = require('./service-areas.js');
+const { findDuplicateOf } = require('./build-sitemap.js');
+
+const REGISTRY_FILE = 'service-areas.json';
+
+// Lengths search results show without truncating
+const TITLE_LENGTH = { min: 30, max: 60 };
+const DESCRIPTION_LENGTH = { min: 70, max: 160 };
+
+const OPEN_GRAPH_TAGS = ['og:title', 'og:description', 'og:type', 'og:url', 'og:image'];
+const TWITTER_TAGS = ['twitter:card'];
+
+// Word shingles compared between area pages, and the share of shared
+// shingles (Jaccard similarity) from which two pages count as duplicates
+const SHINGLE_SIZE = 5;
+const DUPLICATE_SIMILARITY = 0.8;
+
+function issue(level, file, check, message, line = null) {
+  return { level, file, check, message, line };
+}
+
+function length(text) {
+  return [...text].length;
+}
+
+/**
+ * Metadata and outline of one page
+ */
+function extractPageMeta(html) {
+  const document = parseHtml(html);
+  const root = findElements(document, element => element.name === 'html')[0];
+  const title = findElements(document, element => element.name === 'title')[0];
+  const metas = findElements(document, element => element.name === 'meta');
+  const meta = key => {
+    const tag = metas.find(element => (element.attrs.name || element.attrs.property || '').toLowerCase() === key);
+    return tag ? (tag.attrs.content || '').trim() : null;
+  };
+
+  // Compare the page's own content, not the header and footer every page shares
+  const content = findElements(document, element => element.name === 'main')[0] ||
+    findElements(document, element => element.name === 'body')[0] ||
+    document;
+
+  return {
+    lang: root ? (root.attrs.lang || '').trim() : '',
+    title: title ? textContent(title) : null,
+    titleLine: title ? title.line : null,
+    description: meta('description'),
+    social: Object.fromEntries([...OPEN_GRAPH_TAGS, ...TWITTER_TAGS].map(key => [key, meta(key)])),
+    headings: findElements(document, element => /^h[1-6]$/.test(element.name))
+      .map(element => ({ level: Number(element.name[1]), text: textContent(element), line: element.line })),
+    text: contentText(content)
+  };
+}
+
+/**
+ * Text of a content element without the site chrome inside it
+ */
+function contentText(node) {
+  const collect = child => {
+    if (child.type === 'text') return child.text;
+    if (['script', 'style', 'header', 'nav', 'footer'].includes(child.name)) return ' ';
+    return ` ${child.children.map(collect).join('')} `;
+  };
+  return collect(node).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Problems found on a single page
+ */
+function auditPage(file, page) {
+  const issues = [];
+
+  if (!page.lang) {
+    issues.push(issue('error', file, 'lang', '<html> has no lang attribute'));
+  }
+
+  if (!page.title) {
+    issues.push(issue('error', file, 'title', 'Missing <title>'));
+  } else if (length(page.title) < TITLE_LENGTH.min || length(page.title) > TITLE_LENGTH.max) {
+    issues.push(issue('warning', file, 'title-length',
+      `Title is ${length(page.title)} characters (aim for ${TITLE_LENGTH.min}–${TITLE_LENGTH.max}): "${page.title}"`, page.titleLine));
+  }
+
+  if (!page.description) {
+    issues.push(issue('error', file, 'description', 'Missing meta description'));
+  } else if (length(page.description) < DESCRIPTION_LENGTH.min || length(page.description) > DESCRIPTION_LENGTH.max) {
+    issues.push(issue('warning', file, 'description-length',
+      `Meta description is ${length(page.description)} characters (aim for ${DESCRIPTION_LENGTH.min}–${DESCRIPTION_LENGTH.max})`));
+  }
+
+  const h1s = page.headings.filter(heading => heading.level === 1);
+  if (h1s.length !== 1) {
+    issues.push(issue('error', file, 'h1',
+      h1s.length === 0 ? 'No <h1>' : `${h1s.length} <h1> elements (${h1s.map(heading => `line ${heading.line}`).join(', ')})`));
+  }
+
+  page.headings.forEach((heading, index) => {
+    const previous = index > 0 ? page.headings[index - 1].level : 0;
+    if (heading.level > previous + 1) {
+      issues.push(issue('warning', file, 'heading-order',
+        `<h${heading.level}> "${heading.text}" follows ${previous ? `<h${previous}>` : 'no heading'}; skips h${previous + 1}`, heading.line));
+    }
+  });
+
+  const missingOpenGraph = OPEN_GRAPH_TAGS.filter(key => !page.social[key]);
+  if (missingOpenGraph.length > 0) {
+    issues.push(issue('warning', file, 'open-graph', `Missing Open Graph tags: ${missingOpenGraph.join(', ')}`));
+  }
+  const missingTwitter = TWITTER_TAGS.filter(key => !page.social[key]);
+  if (missingTwitter.length > 0) {
+    issues.push(issue('warning', file, 'twitter', `Missing Twitter tags: ${missingTwitter.join(', ')}`));
+  }
+
+  return issues;
+}
+
+/**
+ * Titles and descriptions shared by more than one page
+ */
+function findDuplicateMeta(pages) {
+  const issues = [];
+  [['title', 'duplicate-title', 'Title'], ['description', 'duplicate-description', 'Meta description']].forEach(([field, check, label]) => {
+    const byValue = new Map();
+    pages.forEach(({ file, meta }) => {
+      if (!meta[field]) return;
+      const key = meta[field].toLowerCase();
+      if (!byValue.has(key)) byValue.set(key, []);
+      byValue.get(key).push(file);
+    });
+    byValue.forEach((files, value) => {
+      if (files.length < 2) return;
+      files.forEach(file => {
+        const others = files.filter(other => other !== file);
+        issues.push(issue('error', file, check, `${label} "${value}" is also used by ${others.join(', ')}`));
+      });
+    });
+  });
+  return issues;
+}
+
+function shingles(text, size = SHINGLE_SIZE) {
+  const words = text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const set = new Set();
+  for (let i = 0; i + size <= words.length; i++) {
+    set.add(words.slice(i, i + size).join(' '));
+  }
+  return set;
+}
+
+/**
+ * Share of shingles two sets have in common (0–1)
+ */
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let shared = 0;
+  small.forEach(shingle => {
+    if (large.has(shingle)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Area pages: the registry's pages plus legacy copies of them
+ */
+function findAreaPages(files, areas) {
+  const pages = new Set(areas.map(area => area.page));
+  return files.filter(file => pages.has(file) || findDuplicateOf(file, areas));
+}
+
+/**
+ * Page text with every area name and ZIP code replaced by a placeholder, so
+ * pages that only swap the place name compare as equal
+ */
+function maskAreaNames(text, areas) {
+  const names = areas.map(area => area.name).sort((a, b) => b.length - a.length);
+  let masked = text;
+  names.forEach(name => {
+    masked = masked.split(name).join(' area ');
+  });
+  return masked.replace(/\b\d{5}\b/g, ' zip ');
+}
+
+/**
+ * Pairs of area pages whose content is at least `threshold` similar
+ */
+function findNearDuplicates(pages, areas = [], threshold = DUPLICATE_SIMILARITY) {
+  const sets = pages.map(({ file, meta }) => ({ file, shingles: shingles(maskAreaNames(meta.text, areas)) }));
+  const pairs = [];
+  for (let i = 0; i < sets.length; i++) {
+    for (let j = i + 1; j < sets.length; j++) {
+      const score = similarity(sets[i].shingles, sets[j].shingles);
+      if (score >= threshold) {
+        pairs.push({ a: sets[i].file, b: sets[j].file, similarity: score });
+      }
+    }
+  }
+  return pairs.sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * Group near-duplicate pairs into clusters of pages connected by them:
+ * [{ pages, min, max }] with the range of similarities of those pairs
+ */
+function clusterDuplicates(pairs) {
+  const clusterOf = new Map();
+  pairs.forEach(pair => {
+    const a = clusterOf.get(pair.a);
+    const b = clusterOf.get(pair.b);
+    if (a && b && a !== b) {
+      b.pages.forEach(page => {
+        a.pages.add(page);
+        clusterOf.set(page, a);
+      });
+      a.min = Math.min(a.min, b.min, pair.similarity);
+      a.max = Math.max(a.max, b.max, pair.similarity);
+    } else {
+      const cluster = a || b || { pages: new Set(), min: pair.similarity, max: pair.similarity };
+      cluster.pages.add(pair.a);
+      cluster.pages.add(pair.b);
+      cluster.min = Math.min(cluster.min, pair.similarity);
+      cluster.max = Math.max(cluster.max, pair.similarity);
+      clusterOf.set(pair.a, cluster);
+      clusterOf.set(pair.b, cluster);
+    }
+  });
+  return [...new Set(clusterOf.values())]
+    .map(cluster => ({ pages: [...cluster.pages].sort(), min: cluster.min, max: cluster.max }));
+}
+
+/**
+ * Legacy pages that cover the same area as a registry page
+ */
+function findSameAreaPages(files, areas) {
+  return files
+    .map(file => ({ page: file, duplicateOf: findDuplicateOf(file, areas) }))
+    .filter(entry => entry.duplicateOf && files.includes(entry.duplicateOf));
+}
+
+/**
+ * Audit every page; returns { pages, issues, nearDuplicates }
+ */
+function auditSite(files, areas = []) {
+  const pages = files.map(file => ({ file, meta: extractPageMeta(fs.readFileSync(file, 'utf8')) }));
+  const issues = [
+    ...pages.flatMap(page => auditPage(page.file, page.meta)),
+    ...findDuplicateMeta(pages)
+  ];
+
+  const areaPages = new Set(findAreaPages(files, areas));
+  const nearDuplicates = clusterDuplicates(findNearDuplicates(pages.filter(page => areaPages.has(page.file)), areas));
+  nearDuplicates.forEach(cluster => {
+    const range = [cluster.min, cluster.max].map(value => Math.floor(value * 100));
+    issues.push(issue('error', cluster.pages[0], 'near-duplicate',
+      `${cluster.pages.length} area pages are near-duplicates once place names are ignored (${range[0] === range[1] ? range[0] : range.join('–')}% shared): ${cluster.pages.join(', ')}`));
+  });
+
+  findSameAreaPages(files, areas).forEach(entry => {
+    issues.push(issue('error', entry.page, 'duplicate-area',
+      `Covers the same area as ${entry.duplicateOf}; redirect it there or remove it`));
+  });
+
+  return { pages: pages.map(page => page.file), issues, nearDuplicates };
+}
+
+/**
+ * Console report grouped by check
+ */
+function generateReport({ pages, issues }) {
+  const errors = issues.filter(entry => entry.level === 'error');
+  const warnings = issues.filter(entry => entry.level === 'warning');
+
+  console.log('\n🔎 On-Page SEO Report');
+  console.log('=====================\n');
+  console.log('📊 Overview:');
+  console.log(`  Pages audited: ${pages.length}`);
+  console.log(`  Pages with issues: ${new Set(issues.map(entry => entry.file)).size}`);
+  console.log(`  Errors: ${errors.length}`);
+  console.log(`  Warnings: ${warnings.length}\n`);
+
+  if (issues.length === 0) {
+    console.log('✅ Every page passes the on-page checks!');
+    return;
+  }
+
+  const byCheck = new Map();
+  issues.forEach(entry => {
+    if (!byCheck.has(entry.check)) byCheck.set(entry.check, []);
+    byCheck.get(entry.check).push(entry);
+  });
+
+  byCheck.forEach((entries, check) => {
+    console.log(`${entries[0].level === 'error' ? '🔴' : '🟡'} ${check} (${entries.length}):`);
+    entries.forEach(entry => {
+      console.log(`  ${entry.file}${entry.line ? `:${entry.line}` : ''} — ${entry.message}`);
+    });
+    console.log('');
+  });
+
+  console.log('💡 Recommendations:');
+  if (byCheck.has('duplicate-title') || byCheck.has('duplicate-description')) {
+    console.log('  • Give every page its own title and description, naming the service and area it covers');
+  }
+  if (byCheck.has('duplicate-area')) {
+    console.log('  • Redirect legacy area pages to their registry page, or remove them');
+  }
+  if (byCheck.has('near-duplicate')) {
+    console.log('  • Give each area page local content of its own: neighborhood details, jobs done there, local pests and grasses');
+  }
+  if (byCheck.has('h1') || byCheck.has('heading-order')) {
+    console.log('  • Use one <h1> per page and step down the heading levels without skipping');
+  }
+  if (byCheck.has('open-graph') || byCheck.has('twitter')) {
+    console.log('  • Add og:* and twitter:card tags so shared links show a title, description and image');
+  }
+}
+
+/**
+ * Value following a flag, e.g. --json report.json
+ */
+function flagValue(argv, flag) {
+  const index = argv.indexOf(flag);
+  return index !== -1 ? argv[index + 1] : null;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const argv = process.argv.slice(2);
+  const htmlFiles = glob.sync('*.html', { cwd: process.cwd() });
+
+  if (htmlFiles.length === 0) {
+    console.log('No HTML files found in current directory');
+    return;
+  }
+
+  console.log(`🔍 Auditing ${htmlFiles.length} pages...`);
+  const areas = fs.existsSync(REGISTRY_FILE) ? loadServiceAreas(REGISTRY_FILE) : [];
+  const audit = auditSite(htmlFiles, areas);
+  generateReport(audit);
+
+  const jsonFile = flagValue(argv, '--json');
+  if (jsonFile) {
+    fs.writeFileSync(jsonFile, JSON.stringify({ date: new Date().toISOString(), ...audit }, null, 2));
+    console.log(`\n📄 JSON report written to ${jsonFile}`);
+  }
+
+  const failing = audit.issues.filter(entry => entry.level === 'error' || argv.includes('--strict'));
+  if (failing.length > 0) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  extractPageMeta,
+  auditPage,
+  findDuplicateMeta,
+  shingles,
+  similarity,
+  findAreaPages,
+  maskAreaNames,
+  findNearDuplicates,
+  clusterDuplicates,
+  findSameAreaPages,
+  auditSite
+};
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+
+/**
+ * Service Area Page Generator
+ * Renders every area page from templates/service-area.html and the
+ * service-areas.json registry of the site in the current directory, with
+ * the breadcrumbs, structured data and canonical link the site's other
+ * builders would add. Hand-made copies of registry pages
+ * (service-edmond.html beside service-area-edmond.html) are removed, with
+ * links to them pointed at the registry page and their URLs 301'd there in
+ * the redirect maps normalize-slugs.js keeps.
+ * Prints a diff by default; --write applies, --undo restores the last run
+ * and --check fails when a page or redirect map is out of date.
+ */
+
+const fs = require('fs');
+const glob = require('glob');
+const { loadServiceAreas, renderNearbyAreas } = require('./service-areas.js');
+const { loadHierarchy, applyBreadcrumbs } = require('./build-breadcrumbs.js');
+const { loadProfile, applyStructuredData } = require('./build-structured-data.js');
+const { pageUrl, findDuplicateOf, applyCanonical } = require('./build-sitemap.js');
+const { REDIRECT_FILES, pagePath, rewriteLinks, readRedirects, mergeRedirects, applyRedirects } = require('./normalize-slugs.js');
+const { runMigration } = require('./migration-run.js');
+
+const TEMPLATE_FILE = 'templates/service-area.html';
+const REGISTRY_FILE = 'service-areas.json';
+const HIERARCHY_FILE = 'site-hierarchy.json';
+const PROFILE_FILE = 'business-profile.json';
+const NEARBY_COUNT = 3;
+
+// Matches any {{placeholder}} left in a template or rendered page
+const PLACEHOLDER_REGEX = /\{\{\s*([\w.-]*)\s*\}\}/g;
+
+// Page fields that may be set per area or inherited from pageDefaults
+const PAGE_FIELDS = ['title', 'description', 'heroTitle', 'heroLede', 'heroImage', 'ctaLabel'];
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Replace {{key}} with values[key]; unknown keys are left in place
+ */
+function fillPlaceholders(template, values) {
+  return template.replace(PLACEHOLDER_REGEX, (match, key) =>
+    values[key] !== undefined && values[key] !== null && values[key] !== '' ? values[key] : match
+  );
+}
+
+/**
+ * Build the placeholder values for one area
+ */
+function buildPageValues(area, areas, defaults) {
+  const base = {
+    name: area.name,
+    slug: area.slug,
+    type: area.type,
+    parent: area.parent || ''
+  };
+
+  const text = { ...base };
+  PAGE_FIELDS.forEach(field => {
+    const template = area[field] !== undefined ? area[field] : defaults[field];
+    text[field] = template ? fillPlaceholders(template, base) : '';
+  });
+  text.eyebrow = `Service Area — ${area.type === 'city' ? 'City' : 'Neighborhood'}`;
+
+  // Text values are escaped; the generated fragments below are already markup
+  const values = {};
+  Object.keys(text).forEach(key => {
+    values[key] = text[key] ? escapeHtml(text[key]) : '';
+  });
+
+  values.zipPills = area.zips.map(zip => `<span class='pill'>${escapeHtml(zip)}</span>`).join('');
+  values.nearbyAreas = renderNearbyAreas(area, areas, NEARBY_COUNT);
+
+  return values;
+}
+
+/**
+ * Render one page and collect the problems that should stop it being written.
+ * With a site hierarchy the page also gets its breadcrumbs (and, when the
+ * hierarchy has a baseUrl, its canonical link), and with a business profile
+ * its structured data.
+ */
+function renderAreaPage(template, area, areas, defaults, hierarchy = null, profile = null) {
+  const values = buildPageValues(area, areas, defaults);
+  const filled = fillPlaceholders(template, values);
+  const withBreadcrumbs = hierarchy ? applyBreadcrumbs(filled, area.page, hierarchy) : filled;
+  const withCanonical = hierarchy && hierarchy.baseUrl ? applyCanonical(withBreadcrumbs, pageUrl(area.page, hierarchy.baseUrl)) : withBreadcrumbs;
+  const html = profile ? applyStructuredData(withCanonical, area.page, profile) : withCanonical;
+  const problems = [];
+
+  const unfilled = [...new Set([...html.matchAll(PLACEHOLDER_REGEX)].map(match => match[0]))];
+  if (unfilled.length > 0) {
+    problems.push(`unfilled placeholder(s): ${unfilled.join(', ')}`);
+  }
+
+  if (values.heroImage && !fs.existsSync(values.heroImage)) {
+    problems.push(`hero image not found: ${values.heroImage}`);
+  }
+
+  return { file: area.page, html, problems };
+}
+
+/**
+ * Legacy copies of registry pages among `files`, as a map of legacy page →
+ * registry page
+ */
+function findLegacyPages(files, areas) {
+  const legacy = new Map();
+  files.forEach(file => {
+    const page = findDuplicateOf(file, areas);
+    if (page) legacy.set(file, page);
+  });
+  return legacy;
+}
+
+/**
+ * The changes a build makes, as a migration transform: each area page is
+ * rendered, and the legacy pages are removed, links in pages, partials and
+ * templates go to the registry page instead, and every redirect map 301s
+ * the legacy URLs there, earlier redirects to them included, so each old
+ * URL takes one hop
+ */
+function areaPagesTransform(pages, legacy, baseUrl = null) {
+  const rendered = new Map(pages.map(page => [page.file, page.html]));
+  const redirects = legacy.size > 0 ? mergeRedirects(readRedirects(), legacy, page => pagePath(page, baseUrl)) : null;
+  const formatOf = file => Object.keys(REDIRECT_FILES).find(format => REDIRECT_FILES[format] === file);
+
+  return (file, content) => {
+    if (legacy.has(file)) {
+      return { content, remove: true, changes: [{ removed: file, redirect: legacy.get(file) }] };
+    }
+    if (formatOf(file)) {
+      const updated = applyRedirects(content, formatOf(file), redirects);
+      return { content: updated, changes: updated !== content ? [{ redirects: redirects.size }] : [] };
+    }
+    const relinked = rewriteLinks(rendered.has(file) ? rendered.get(file) : content, legacy, baseUrl);
+    if (rendered.has(file) && relinked.content !== content) {
+      relinked.changes.unshift({ rendered: file });
+    }
+    return relinked;
+  };
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const argv = process.argv.slice(2);
+
+  if (argv.includes('--undo')) {
+    runMigration({ name: 'build-area-pages', files: [], transform: null, argv });
+    return;
+  }
+
+  console.log('🏗️  Building service area pages...');
+
+  if (!fs.existsSync(TEMPLATE_FILE) || !fs.existsSync(REGISTRY_FILE)) {
+    console.log(`Need ${TEMPLATE_FILE} and ${REGISTRY_FILE} in the current directory`);
+    process.exit(1);
+  }
+
+  const template = fs.readFileSync(TEMPLATE_FILE, 'utf8');
+  const registry = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf8'));
+  const areas = loadServiceAreas(REGISTRY_FILE);
+  const defaults = registry.pageDefaults || {};
+  const hierarchy = fs.existsSync(HIERARCHY_FILE) ? loadHierarchy(HIERARCHY_FILE) : null;
+  const profile = fs.existsSync(PROFILE_FILE) ? loadProfile(PROFILE_FILE) : null;
+
+  const pages = areas.map(area => renderAreaPage(template, area, areas, defaults, hierarchy, profile));
+  const failed = pages.filter(page => page.problems.length > 0);
+
+  if (failed.length > 0) {
+    console.log('\n❌ Refusing to write pages with problems:');
+    failed.forEach(page => {
+      page.problems.forEach(problem => console.log(`  ${page.file}: ${problem}`));
+    });
+    process.exit(1);
+  }
+
+  const legacy = findLegacyPages(glob.sync('*.html', { cwd: process.cwd() }), areas);
+  console.log(`${pages.length} service area pages, ${legacy.size} legacy copies to retire`);
+
+  // Links are rewritten everywhere only when there are copies to retire
+  const linkFiles = legacy.size > 0 ? glob.sync('{*.html,partials/*.html,templates/*.html}', { cwd: process.cwd() }) : [];
+  const files = [...new Set([
+    ...pages.map(page => page.file),
+    ...linkFiles,
+    ...(legacy.size > 0 ? Object.values(REDIRECT_FILES) : [])
+  ])];
+
+  runMigration({
+    name: 'build-area-pages',
+    files,
+    transform: areaPagesTransform(pages, legacy, hierarchy ? hierarchy.baseUrl : null),
+    argv
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { renderAreaPage, buildPageValues, fillPlaceholders, findLegacyPages, areaPagesTransform };
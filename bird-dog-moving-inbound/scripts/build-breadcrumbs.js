@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+/**
+ * Breadcrumb Builder
+ * Computes each page's trail from site-hierarchy.json (plus the service-area
+ * registry, when the site has one) and renders it as a .breadcrumb nav with a
+ * matching BreadcrumbList JSON-LD script at the top of <main>.
+ * Prints a diff by default; --write applies, --undo restores the last run.
+ */
+
+const fs = require('fs');
+const glob = require('glob');
+const { loadServiceAreas } = require('./service-areas.js');
+const { runMigration } = require('./migration-run.js');
+
+const HIERARCHY_FILE = 'site-hierarchy.json';
+const REGISTRY_FILE = 'service-areas.json';
+
+const BREADCRUMB_REGEX = /<!-- generated:breadcrumbs -->[\s\S]*?<!-- \/generated:breadcrumbs -->/g;
+const STYLESHEET_REGEX = /<!-- generated:breadcrumbs-css -->[\s\S]*?<!-- \/generated:breadcrumbs-css -->/g;
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Load the page hierarchy for the site in the current directory.
+ * With an "areas" entry, every registry area becomes a page under
+ * areas.parent, or under its parent city's page when that city is an area too.
+ * Explicit entries in "pages" always win.
+ */
+function loadHierarchy(file = HIERARCHY_FILE) {
+  const hierarchy = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const pages = {};
+
+  if (hierarchy.areas && fs.existsSync(REGISTRY_FILE)) {
+    const areas = loadServiceAreas(REGISTRY_FILE);
+    areas.forEach(area => {
+      const city = area.parent ? areas.find(other => other.name === area.parent) : null;
+      pages[area.page] = { name: area.name, parent: city ? city.page : hierarchy.areas.parent };
+    });
+  }
+  Object.assign(pages, hierarchy.pages);
+
+  if (!pages[hierarchy.home]) {
+    throw new Error(`${file}: home page ${hierarchy.home} is not in "pages"`);
+  }
+  Object.keys(pages).forEach(page => {
+    const { parent } = pages[page];
+    if (page !== hierarchy.home && !pages[parent]) {
+      throw new Error(`${file}: ${page} has unknown parent "${parent}"`);
+    }
+  });
+
+  return { ...hierarchy, pages };
+}
+
+/**
+ * Trail from the home page down to `page`, or null for pages outside the hierarchy
+ */
+function getTrail(hierarchy, page) {
+  if (!hierarchy.pages[page]) return null;
+
+  const trail = [];
+  let current = page;
+  while (current) {
+    if (trail.some(crumb => crumb.page === current)) {
+      throw new Error(`${HIERARCHY_FILE}: parent cycle at ${current}`);
+    }
+    trail.unshift({ page: current, name: hierarchy.pages[current].name });
+    current = current === hierarchy.home ? null : hierarchy.pages[current].parent;
+  }
+
+  return trail;
+}
+
+/**
+ * Breadcrumb nav plus its BreadcrumbList JSON-LD
+ */
+function renderBreadcrumbs(trail, hierarchy) {
+  const items = trail.map((crumb, index) => {
+    const isCurrent = index === trail.length - 1;
+    const label = escapeHtml(crumb.name);
+    return isCurrent
+      ? `<li class="breadcrumb__item" aria-current="page">${label}</li>`
+      : `<li class="breadcrumb__item"><a href="${crumb.page}">${label}</a></li>`;
+  });
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: trail.map((crumb, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      name: crumb.name,
+      item: new URL(crumb.page, hierarchy.baseUrl).href
+    }))
+  };
+
+  return `
+    <nav class="breadcrumb" aria-label="Breadcrumb">
+      <ol class="wrap breadcrumb__list">
+        ${items.join('\n        ')}
+      </ol>
+    </nav>
+    <script type="application/ld+json">
+${JSON.stringify(jsonLd, null, 2).replace(/<\//g, '<\\/')}
+    </script>
+  `;
+}
+
+/**
+ * Replace the page's generated breadcrumbs (and stylesheet link) with fresh
+ * ones. Pages outside the hierarchy and the home page get none.
+ */
+function applyBreadcrumbs(content, page, hierarchy) {
+  let updated = content.replace(BREADCRUMB_REGEX, '').replace(STYLESHEET_REGEX, '');
+
+  const trail = getTrail(hierarchy, page);
+  if (!trail || trail.length < 2 || !/<main[^>]*>/i.test(updated)) {
+    return updated;
+  }
+
+  const breadcrumbs = `<!-- generated:breadcrumbs -->${renderBreadcrumbs(trail, hierarchy)}<!-- /generated:breadcrumbs -->`;
+  updated = updated.replace(/<main[^>]*>/i, main => main + breadcrumbs);
+
+  if (hierarchy.stylesheet) {
+    const link = `<!-- generated:breadcrumbs-css --><link rel="stylesheet" href="${hierarchy.stylesheet}" /><!-- /generated:breadcrumbs-css -->`;
+    updated = updated.replace(/<\/head>/i, head => link + head);
+  }
+
+  return updated;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const argv = process.argv.slice(2);
+
+  if (argv.includes('--undo')) {
+    runMigration({ name: 'build-breadcrumbs', files: [], transform: null, argv });
+    return;
+  }
+
+  if (!fs.existsSync(HIERARCHY_FILE)) {
+    console.log(`No ${HIERARCHY_FILE} in the current directory`);
+    process.exit(1);
+  }
+
+  const hierarchy = loadHierarchy();
+  const htmlFiles = glob.sync('*.html', { cwd: process.cwd() });
+  console.log(`🍞 Building breadcrumbs for ${Object.keys(hierarchy.pages).length} pages...`);
+
+  runMigration({
+    name: 'build-breadcrumbs',
+    files: htmlFiles,
+    transform: (file, content) => {
+      const updated = applyBreadcrumbs(content, file, hierarchy);
+      const trail = getTrail(hierarchy, file);
+      const changes = updated !== content && trail ? [{ trail: trail.map(crumb => crumb.name) }] : [];
+      return { content: updated, changes };
+    },
+    argv
+  });
+
+  const missing = Object.keys(hierarchy.pages).filter(page => !fs.existsSync(page));
+  if (missing.length > 0) {
+    console.log(`\n⚠️  ${HIERARCHY_FILE} lists pages that do not exist: ${missing.join(', ')}`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { loadHierarchy, getTrail, renderBreadcrumbs, applyBreadcrumbs };
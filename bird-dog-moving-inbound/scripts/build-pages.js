@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Page Builder
+ * Builds the site in the current directory into dist/: every page
+ * assembled from its layout and partials (see page-layout.js), plus the
+ * stylesheets, scripts, images and data files the pages load, copied as
+ * they are, and the shared client scripts (lead-form.js, attribution.js)
+ * at assets/js/ in every site. JSON files are build inputs unless a page fetches one through
+ * a data-* attribute (data-rates="quote-rates.json"). Source pages and
+ * partials are left untouched; dist/ is replaced on every build. --check
+ * assembles every page without writing anything and fails on a missing
+ * partial, placeholder, layout or data file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const glob = require('glob');
+const { LayoutError, usesPartials, renderPage, loadSite } = require('./page-layout.js');
+
+const DIST_DIR = 'dist';
+// Browser scripts every site loads, kept with these scripts and published
+// into each site at the same path (lead-server.js serves them there too)
+const CLIENT_SCRIPTS = {
+  'assets/js/lead-form.js': path.join(__dirname, '..', 'assets', 'js', 'lead-form.js'),
+  'assets/js/attribution.js': path.join(__dirname, '..', 'assets', 'js', 'attribution.js')
+};
+const DATA_ATTRIBUTE_REGEX = /\sdata-[\w-]+="([^"]+\.json)"/gi;
+
+// Build inputs and tooling that don't belong in the published site
+const COPY_IGNORE = [
+  '*.html',
+  `${DIST_DIR}/**`,
+  'node_modules/**',
+  'partials/**',
+  'templates/**',
+  'scripts/**',
+  'test/**',
+  '**/*.md',
+  // Server configs other than the ones the host reads from the site root
+  '**/*.conf',
+  // Token sources and dev tools; the pages load the CSS built from them
+  '**/*.ts',
+  '**/*.tsx',
+  'src/**/*.json',
+  // Configs; data files the pages fetch are added back by assetFiles()
+  '*.json'
+];
+// Host files the glob skips as dotfiles (Apache reads .htaccess from the site root)
+const HOST_DOTFILES = ['.htaccess'];
+
+/**
+ * Site files a page fetches through data-*="file.json" attributes
+ */
+function dataFiles(html) {
+  const files = [];
+  let match;
+  DATA_ATTRIBUTE_REGEX.lastIndex = 0;
+  while ((match = DATA_ATTRIBUTE_REGEX.exec(html))) {
+    if (!/^(?:[a-z]+:|\/\/)/i.test(match[1])) files.push(match[1].replace(/^\.?\//, ''));
+  }
+  return files;
+}
+
+/**
+ * Assemble every page: { pages: [{ file, html, layout }], errors }
+ */
+function buildPages(files, site = loadSite()) {
+  const pages = [];
+  const errors = [];
+
+  files.forEach(file => {
+    const source = fs.readFileSync(file, 'utf8');
+    try {
+      const html = renderPage(source, file, site);
+      const missing = dataFiles(html).filter(data => !fs.existsSync(data));
+      if (missing.length > 0) throw new LayoutError(`${file}: fetches ${missing.join(', ')}, which the site doesn't have`);
+      pages.push({ file, html, layout: usesPartials(source) });
+    } catch (error) {
+      if (!(error instanceof LayoutError)) throw error;
+      errors.push(error.message);
+    }
+  });
+
+  return { pages, errors };
+}
+
+/**
+ * Files to publish alongside the pages: the site's assets, its host
+ * dotfiles and the data files the pages fetch
+ */
+function assetFiles(pages = []) {
+  const assets = glob.sync('**/*', { cwd: process.cwd(), ignore: COPY_IGNORE, nodir: true });
+  const dotfiles = HOST_DOTFILES.filter(file => fs.existsSync(file));
+  const data = pages.flatMap(page => dataFiles(page.html));
+  return [...new Set([...assets, ...dotfiles, ...data])].sort();
+}
+
+/**
+ * Write the pages to `outDir`, cleared first, and copy the files they need
+ * beside them, the client scripts included. Returns the files copied.
+ */
+function writeSite(pages, outDir = DIST_DIR) {
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+  pages.forEach(page => fs.writeFileSync(path.join(outDir, page.file), page.html, 'utf8'));
+
+  const assets = assetFiles(pages);
+  const scripts = Object.keys(CLIENT_SCRIPTS).filter(file => !assets.includes(file));
+  const copy = (source, file) => {
+    const target = path.join(outDir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(source, target);
+  };
+  assets.forEach(file => copy(file, file));
+  scripts.forEach(file => copy(CLIENT_SCRIPTS[file], file));
+  return [...assets, ...scripts];
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const check = process.argv.includes('--check');
+  const files = glob.sync('*.html', { cwd: process.cwd() });
+
+  if (files.length === 0) {
+    console.log('No HTML files found in current directory');
+    return;
+  }
+
+  console.log(`🏗️  ${check ? 'Checking' : 'Building'} ${files.length} pages...`);
+  const { pages, errors } = buildPages(files);
+
+  if (errors.length > 0) {
+    console.log('\n❌ Pages that could not be assembled:');
+    errors.forEach(error => console.log(`  - ${error}`));
+    process.exit(1);
+  }
+
+  const assembled = pages.filter(page => page.layout).length;
+  if (check) {
+    console.log(`✅ All ${pages.length} pages assemble (${assembled} from partials)`);
+    return;
+  }
+
+  const assets = writeSite(pages);
+  console.log(`\n🎉 Built ${pages.length} pages (${assembled} from partials) and copied ${assets.length} files into ${DIST_DIR}/`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { DIST_DIR, CLIENT_SCRIPTS, dataFiles, buildPages, assetFiles, writeSite };
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+/**
+ * Sitemap Builder
+ * Crawls the site's pages and writes sitemap.xml (lastmod from git, or the
+ * file's mtime when it has uncommitted changes; priority from its depth in
+ * site-hierarchy.json), robots.txt, and a <link rel="canonical"> on every
+ * page. Noindex pages are left out of both; legacy duplicates of a registry
+ * area page are left out of the sitemap and canonicalise to the registry page.
+ * Prints a diff by default; --write applies, --undo restores the last run.
+ */
+
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+const glob = require('glob');
+const { loadHierarchy, getTrail } = require('./build-breadcrumbs.js');
+const { loadServiceAreas } = require('./service-areas.js');
+const { runMigration } = require('./migration-run.js');
+
+const HIERARCHY_FILE = 'site-hierarchy.json';
+const REGISTRY_FILE = 'service-areas.json';
+const SITEMAP_FILE = 'sitemap.xml';
+const ROBOTS_FILE = 'robots.txt';
+
+const CANONICAL_REGEX = /<!-- generated:canonical -->[\s\S]*?<!-- \/generated:canonical -->/;
+const NOINDEX_REGEX = /<meta\s+name=["']robots["']\s+content=["'][^"']*noindex/i;
+
+// Priority by trail length (home, its children, grandchildren, ...)
+const PRIORITIES = [1.0, 0.8, 0.6, 0.4];
+const UNLISTED_PRIORITY = 0.5;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function slugify(value) {
+  return value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Public URL of a page; index.html is served as its directory
+ */
+function pageUrl(page, baseUrl) {
+  return new URL(page.replace(/(^|\/)index\.html$/, '$1'), baseUrl).href;
+}
+
+function isNoindex(html) {
+  return NOINDEX_REGEX.test(html);
+}
+
+/**
+ * Registry page a legacy area page duplicates (service-capitol-hill.html
+ * → service-area-capitol-hill.html), or null
+ */
+function findDuplicateOf(page, areas) {
+  const match = page.match(/^service-(?:area-)?(.+)\.html$/i);
+  if (!match) return null;
+
+  const slug = slugify(match[1]);
+  const area = areas.find(candidate => candidate.slug === slug || slugify(candidate.name) === slug);
+  return area && area.page !== page ? area.page : null;
+}
+
+/**
+ * Last modification date (YYYY-MM-DD): the last commit touching the file,
+ * or its mtime when it is untracked or has uncommitted changes
+ */
+function lastModified(file) {
+  try {
+    const dirty = execFileSync('git', ['status', '--porcelain', '--', file], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+    const committed = execFileSync('git', ['log', '-1', '--format=%cI', '--', file], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    if (!dirty.trim() && committed) return committed.slice(0, 10);
+  } catch (error) {
+    // Not a git checkout; fall back to the file system
+  }
+  return fs.statSync(file).mtime.toISOString().slice(0, 10);
+}
+
+function priorityFor(hierarchy, page) {
+  const trail = getTrail(hierarchy, page);
+  if (!trail) return UNLISTED_PRIORITY;
+  return PRIORITIES[Math.min(trail.length, PRIORITIES.length) - 1];
+}
+
+/**
+ * Decide what happens to each page: { page, url, canonical, lastmod, priority }
+ * for sitemap entries, { page, excluded: reason, canonical } for the rest
+ */
+function planPages(files, hierarchy, areas) {
+  const config = hierarchy.sitemap || {};
+  const excluded = new Set(config.exclude || []);
+
+  return files.map(page => {
+    const html = fs.readFileSync(page, 'utf8');
+    if (isNoindex(html)) {
+      return { page, excluded: 'noindex', canonical: null };
+    }
+
+    const duplicateOf = findDuplicateOf(page, areas);
+    if (duplicateOf) {
+      return { page, excluded: `duplicate of ${duplicateOf}`, canonical: pageUrl(duplicateOf, hierarchy.baseUrl) };
+    }
+
+    const canonical = pageUrl(page, hierarchy.baseUrl);
+    if (excluded.has(page)) {
+      return { page, excluded: `excluded in ${HIERARCHY_FILE}`, canonical };
+    }
+    return { page, url: canonical, canonical, lastmod: lastModified(page), priority: priorityFor(hierarchy, page) };
+  });
+}
+
+function renderSitemap(entries) {
+  const urls = entries
+    .slice()
+    .sort((a, b) => b.priority - a.priority || a.url.localeCompare(b.url))
+    .map(entry => `  <url>
+    <loc>${escapeXml(entry.url)}</loc>
+    <lastmod>${entry.lastmod}</lastmod>
+    <priority>${entry.priority.toFixed(1)}</priority>
+  </url>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+function renderRobots(hierarchy) {
+  const disallow = (hierarchy.sitemap || {}).disallow || [];
+  return [
+    'User-agent: *',
+    'Allow: /',
+    ...disallow.map(path => `Disallow: ${path}`),
+    '',
+    `Sitemap: ${new URL(SITEMAP_FILE, hierarchy.baseUrl).href}`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Replace the page's generated canonical link (or remove it, for a null
+ * canonical). A new link goes on the line after <title>.
+ */
+function applyCanonical(content, canonical) {
+  if (!canonical) {
+    return content.replace(new RegExp(`\\s*${CANONICAL_REGEX.source}`), '');
+  }
+
+  const link = `<!-- generated:canonical --><link rel="canonical" href="${escapeXml(canonical)}" /><!-- /generated:canonical -->`;
+  if (CANONICAL_REGEX.test(content)) {
+    return content.replace(CANONICAL_REGEX, () => link);
+  }
+  if (/<\/title>/i.test(content)) {
+    return content.replace(/^([ \t]*).*?<\/title>/im, (line, indent) => `${line}\n${indent}${link}`);
+  }
+  return content.replace(/<\/head>/i, head => `${link}\n${head}`);
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const argv = process.argv.slice(2);
+
+  if (argv.includes('--undo')) {
+    runMigration({ name: 'build-sitemap', files: [], transform: null, argv });
+    return;
+  }
+
+  if (!fs.existsSync(HIERARCHY_FILE)) {
+    console.log(`No ${HIERARCHY_FILE} in the current directory`);
+    process.exit(1);
+  }
+
+  const hierarchy = loadHierarchy();
+  const areas = fs.existsSync(REGISTRY_FILE) ? loadServiceAreas(REGISTRY_FILE) : [];
+  const htmlFiles = glob.sync('*.html', { cwd: process.cwd() });
+  const plan = planPages(htmlFiles, hierarchy, areas);
+  const entries = plan.filter(entry => !entry.excluded);
+  const canonicals = new Map(plan.map(entry => [entry.page, entry.canonical]));
+
+  console.log(`🗺️  Building sitemap for ${hierarchy.baseUrl} (${entries.length} of ${htmlFiles.length} pages)...`);
+  plan.filter(entry => entry.excluded).forEach(entry => console.log(`  - ${entry.page}: ${entry.excluded}`));
+
+  runMigration({
+    name: 'build-sitemap',
+    files: [...htmlFiles, SITEMAP_FILE, ROBOTS_FILE],
+    transform: (file, content) => {
+      if (file === SITEMAP_FILE) {
+        const updated = renderSitemap(entries);
+        return { content: updated, changes: updated !== content ? [{ urls: entries.length }] : [] };
+      }
+      if (file === ROBOTS_FILE) {
+        const updated = renderRobots(hierarchy);
+        return { content: updated, changes: updated !== content ? [{ sitemap: SITEMAP_FILE }] : [] };
+      }
+      const updated = applyCanonical(content, canonicals.get(file));
+      return { content: updated, changes: updated !== content ? [{ canonical: canonicals.get(file) }] : [] };
+    },
+    argv
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  pageUrl,
+  isNoindex,
+  findDuplicateOf,
+  lastModified,
+  planPages,
+  renderSitemap,
+  renderRobots,
+  applyCanonical
+};
@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+
+/**
+ * Structured Data Builder
+ * Injects schema.org JSON-LD into every page from the site's
+ * business-profile.json: the business itself (NAP, hours, areaServed) on
+ * every page, a Service on service pages, an FAQPage wherever the page shows
+ * <details> questions, and areaServed scoped to the area on area pages.
+ * Prints a diff by default; --write applies, --undo restores the last run,
+ * --validate checks the JSON-LD already on the pages.
+ */
+
+const fs = require('fs');
+const glob = require('glob');
+const { loadServiceAreas, findAreaByPage } = require('./service-areas.js');
+const { runMigration } = require('./migration-run.js');
+
+const PROFILE_FILE = 'business-profile.json';
+const REGISTRY_FILE = 'service-areas.json';
+
+const STRUCTURED_DATA_REGEX = /<!-- generated:structured-data -->[\s\S]*?<!-- \/generated:structured-data -->/;
+const HEAD_END_REGEX = /(?:<!-- generated:breadcrumbs-css -->[\s\S]*?<!-- \/generated:breadcrumbs-css -->)?<\/head>/i;
+const JSON_LD_REGEX = /<script type="application\/ld\+json">([\s\S]*?)<\/script>/gi;
+const FAQ_REGEX = /<details[^>]*>\s*<summary[^>]*>([\s\S]*?)<\/summary>([\s\S]*?)<\/details>/gi;
+
+// schema.org LocalBusiness types a profile may use. There is no pest
+// control type, so those sites stay on LocalBusiness.
+const BUSINESS_TYPES = [
+  'LocalBusiness',
+  'MovingCompany',
+  'HomeAndConstructionBusiness',
+  'ProfessionalService',
+  'GeneralContractor',
+  'HVACBusiness',
+  'Plumber',
+  'Electrician',
+  'RoofingContractor'
+];
+
+// Fields each node type needs before search engines will use it
+const REQUIRED_FIELDS = {
+  business: ['name', 'url', 'telephone', 'address', 'openingHoursSpecification', 'areaServed'],
+  PostalAddress: ['addressLocality', 'addressRegion', 'postalCode', 'addressCountry'],
+  OpeningHoursSpecification: ['dayOfWeek', 'opens', 'closes'],
+  Service: ['name', 'serviceType', 'provider', 'areaServed'],
+  FAQPage: ['mainEntity'],
+  Question: ['name', 'acceptedAnswer'],
+  Answer: ['text'],
+  BreadcrumbList: ['itemListElement'],
+  ListItem: ['position', 'name', 'item']
+};
+
+/**
+ * Plain text of an HTML fragment
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Load the business profile (and the service-area registry, if the site
+ * has one) for the site in the current directory
+ */
+function loadProfile(file = PROFILE_FILE) {
+  const profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const areas = fs.existsSync(REGISTRY_FILE) ? loadServiceAreas(REGISTRY_FILE) : [];
+  return { ...profile, services: profile.services || {}, areas };
+}
+
+/**
+ * Place markup for a registry area; neighborhoods sit inside their city
+ */
+function areaPlace(area, profile) {
+  if (area.type === 'city') {
+    return { '@type': 'City', name: area.name, containedInPlace: { '@type': 'State', name: (profile.address || {}).addressRegion } };
+  }
+  return { '@type': 'Place', name: area.name, containedInPlace: { '@type': 'City', name: area.parent } };
+}
+
+/**
+ * areaServed for a page: just the area on area pages, otherwise the
+ * profile's list, falling back to every city in the registry
+ */
+function areaServedFor(page, profile) {
+  const area = findAreaByPage(profile.areas, page);
+  if (area) return [areaPlace(area, profile)];
+
+  if (profile.areaServed) {
+    return profile.areaServed.map(name => ({ '@type': 'City', name }));
+  }
+  return profile.areas.filter(city => city.type === 'city').map(city => areaPlace(city, profile));
+}
+
+/**
+ * Questions and answers shown on the page as <details><summary>
+ */
+function extractFaqs(html) {
+  return [...html.matchAll(FAQ_REGEX)]
+    .map(match => ({ question: htmlToText(match[1]), answer: htmlToText(match[2]) }))
+    .filter(faq => faq.question && faq.answer);
+}
+
+/**
+ * JSON-LD nodes for one page
+ */
+function buildGraph(page, html, profile) {
+  const businessId = new URL('#business', profile.url).href;
+  const areaServed = areaServedFor(page, profile);
+
+  const business = {
+    '@type': profile.type,
+    '@id': businessId,
+    name: profile.name,
+    url: profile.url,
+    telephone: profile.telephone,
+    email: profile.email,
+    priceRange: profile.priceRange,
+    image: profile.image ? new URL(profile.image, profile.url).href : undefined,
+    address: { '@type': 'PostalAddress', ...profile.address },
+    openingHoursSpecification: (profile.hours || []).map(hours => ({
+      '@type': 'OpeningHoursSpecification',
+      dayOfWeek: hours.days,
+      opens: hours.opens,
+      closes: hours.closes
+    })),
+    areaServed,
+    sameAs: profile.sameAs
+  };
+  const graph = [business];
+
+  const service = profile.services[page];
+  if (service) {
+    graph.push({
+      '@type': 'Service',
+      name: service.name,
+      serviceType: service.serviceType,
+      description: service.description,
+      url: new URL(page, profile.url).href,
+      provider: { '@id': businessId },
+      areaServed
+    });
+  }
+
+  const faqs = extractFaqs(html);
+  if (faqs.length > 0) {
+    graph.push({
+      '@type': 'FAQPage',
+      mainEntity: faqs.map(faq => ({
+        '@type': 'Question',
+        name: faq.question,
+        acceptedAnswer: { '@type': 'Answer', text: faq.answer }
+      }))
+    });
+  }
+
+  return graph;
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Problems with JSON-LD: required fields missing from any node (nested
+ * nodes included) and businesses with a type schema.org does not define
+ */
+function validateStructuredData(data) {
+  const errors = [];
+
+  const visit = node => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (node === null || typeof node !== 'object') return;
+
+    const type = node['@type'];
+    // Bare { "@id" } references point at a node validated elsewhere
+    const isReference = node['@id'] && Object.keys(node).length === 1;
+    const isBusiness = !isReference && (BUSINESS_TYPES.includes(type) || /#business$/.test(node['@id'] || ''));
+
+    if (isBusiness && !BUSINESS_TYPES.includes(type)) {
+      errors.push(`"${type}" is not a supported LocalBusiness type (use one of ${BUSINESS_TYPES.join(', ')})`);
+    }
+
+    const required = isBusiness ? REQUIRED_FIELDS.business : REQUIRED_FIELDS[type];
+    if (required && !isReference) {
+      const missing = required.filter(field => isMissing(node[field]));
+      if (missing.length > 0) {
+        errors.push(`${type}${node.name ? ` "${node.name}"` : ''} is missing ${missing.join(', ')}`);
+      }
+    }
+
+    Object.keys(node).forEach(key => visit(node[key]));
+  };
+
+  visit(data['@graph'] || data);
+  return errors;
+}
+
+/**
+ * The marked JSON-LD block for a graph
+ */
+function renderStructuredData(graph) {
+  const jsonLd = { '@context': 'https://schema.org', '@graph': graph };
+  return `<!-- generated:structured-data -->
+    <script type="application/ld+json">
+${JSON.stringify(jsonLd, null, 2).replace(/<\//g, '<\\/')}
+    </script>
+    <!-- /generated:structured-data -->`;
+}
+
+/**
+ * Replace the page's generated JSON-LD with a fresh block. An existing
+ * block is replaced where it stands; a new one goes at the end of <head>,
+ * ahead of the breadcrumb stylesheet that build-breadcrumbs.js keeps last.
+ */
+function applyStructuredData(content, page, profile) {
+  const block = renderStructuredData(buildGraph(page, content, profile));
+
+  if (STRUCTURED_DATA_REGEX.test(content)) {
+    return content.replace(STRUCTURED_DATA_REGEX, () => block);
+  }
+  return content.replace(HEAD_END_REGEX, end => `${block}\n${end}`);
+}
+
+/**
+ * Check the JSON-LD on every page; pages with no business markup fail too
+ */
+function validatePages(files) {
+  const problems = [];
+
+  files.forEach(file => {
+    const scripts = [...fs.readFileSync(file, 'utf8').matchAll(JSON_LD_REGEX)];
+    let hasBusiness = false;
+
+    scripts.forEach((script, index) => {
+      let data;
+      try {
+        data = JSON.parse(script[1]);
+      } catch (error) {
+        problems.push(`${file}: JSON-LD script #${index + 1} is not valid JSON (${error.message})`);
+        return;
+      }
+      const nodes = [].concat(data['@graph'] || data);
+      hasBusiness = hasBusiness || nodes.some(node => BUSINESS_TYPES.includes(node['@type']));
+      validateStructuredData(data).forEach(error => problems.push(`${file}: ${error}`));
+    });
+
+    if (!hasBusiness) {
+      problems.push(`${file}: no LocalBusiness markup`);
+    }
+  });
+
+  return problems;
+}
+
+function reportProblems(problems) {
+  problems.forEach(problem => console.log(`  ${problem}`));
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const argv = process.argv.slice(2);
+  const htmlFiles = glob.sync('*.html', { cwd: process.cwd() });
+
+  if (argv.includes('--undo')) {
+    runMigration({ name: 'build-structured-data', files: [], transform: null, argv });
+    return;
+  }
+
+  if (argv.includes('--validate')) {
+    console.log(`🔎 Validating structured data on ${htmlFiles.length} pages...`);
+    const problems = validatePages(htmlFiles);
+    if (problems.length > 0) {
+      console.log(`\n❌ ${problems.length} structured data problems:`);
+      reportProblems(problems);
+      process.exit(1);
+    }
+    console.log('✅ Structured data is complete on every page');
+    return;
+  }
+
+  if (!fs.existsSync(PROFILE_FILE)) {
+    console.log(`No ${PROFILE_FILE} in the current directory`);
+    process.exit(1);
+  }
+
+  const profile = loadProfile();
+  console.log(`🏷️  Building structured data for ${profile.name} (${profile.type})...`);
+
+  // Refuse to write markup that is already known to be incomplete
+  const problems = htmlFiles.flatMap(file => {
+    const graph = buildGraph(file, fs.readFileSync(file, 'utf8'), profile);
+    return validateStructuredData(graph).map(error => `${file}: ${error}`);
+  });
+  if (problems.length > 0) {
+    console.log(`\n❌ Fix ${PROFILE_FILE} first:`);
+    reportProblems([...new Set(problems.map(problem => problem.replace(/^[^:]+: /, '')))]);
+    process.exit(1);
+  }
+
+  runMigration({
+    name: 'build-structured-data',
+    files: htmlFiles,
+    transform: (file, content) => {
+      const updated = applyStructuredData(content, file, profile);
+      const types = buildGraph(file, content, profile).map(node => node['@type']);
+      return { content: updated, changes: updated !== content ? [{ types }] : [] };
+    },
+    argv
+  });
+
+  const missing = Object.keys(profile.services).filter(page => !fs.existsSync(page));
+  if (missing.length > 0) {
+    console.log(`\n⚠️  ${PROFILE_FILE} lists service pages that do not exist: ${missing.join(', ')}`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  loadProfile,
+  extractFaqs,
+  buildGraph,
+  validateStructuredData,
+  renderStructuredData,
+  applyStructuredData
+};
@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+
+/**
+ * Design Token Build Script
+ * Compiles the site's token JSON (plus any theme overrides) into tokens.css
+ * and a typed TypeScript module, driven by tokens.config.json in the
+ * current directory. Use --check to fail when the outputs are out of date.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = 'tokens.config.json';
+
+/**
+ * camelCase / PascalCase → kebab-case ("bgAlt" → "bg-alt", "fsH2" → "fs-h2")
+ */
+function toKebab(value) {
+  return String(value)
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase();
+}
+
+/**
+ * Flatten a nested token object into [{ path, value }] leaves.
+ * Keys starting with "$" are metadata and skipped.
+ */
+function flattenTokens(object, prefix = []) {
+  return Object.keys(object)
+    .filter(key => !key.startsWith('$'))
+    .flatMap(key => {
+      const value = object[key];
+      const tokenPath = [...prefix, key];
+      if (value !== null && typeof value === 'object') {
+        return flattenTokens(value, tokenPath);
+      }
+      return [{ path: tokenPath, value }];
+    });
+}
+
+/**
+ * CSS custom property name (without "--") for a token path
+ */
+function tokenName(tokenPath, config) {
+  const key = tokenPath.join('.');
+  if (config.names && config.names[key]) {
+    return config.names[key];
+  }
+
+  const [group, ...rest] = tokenPath;
+  const prefixes = config.prefixes || {};
+  const head = prefixes[group] !== undefined ? prefixes[group] : toKebab(group);
+  const middle = rest.slice(0, -1).map(toKebab);
+  const leaf = rest.length > 0 ? rest[rest.length - 1] : null;
+  const leafName = leaf === null ? null : (config.leafCase === 'kebab' ? toKebab(leaf) : leaf);
+
+  return [head, ...middle, leafName].filter(part => part !== null && part !== '').join('-');
+}
+
+/**
+ * CSS value for a token; bare numbers get the group's unit, if any
+ */
+function tokenValue(tokenPath, value, config) {
+  const units = config.units || {};
+  const unit = units[tokenPath[0]];
+  if (typeof value === 'number' && unit && value !== 0) {
+    return `${value}${unit}`;
+  }
+  return String(value);
+}
+
+/**
+ * Resolve the flattened token list for a source object
+ */
+function compileTokens(source, config) {
+  return flattenTokens(source).map(token => ({
+    ...token,
+    name: tokenName(token.path, config),
+    css: tokenValue(token.path, token.value, config)
+  }));
+}
+
+/**
+ * Load theme override files (sorted by name), if the site has a themes dir
+ */
+function loadThemes(config) {
+  if (!config.themes || !fs.existsSync(config.themes)) {
+    return [];
+  }
+
+  return fs.readdirSync(config.themes)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const theme = JSON.parse(fs.readFileSync(path.join(config.themes, file), 'utf8'));
+      return { ...theme, file: path.join(config.themes, file) };
+    });
+}
+
+/**
+ * Check aliases and theme overrides against the base tokens
+ */
+function validate(tokens, themes, config) {
+  const errors = [];
+  const names = new Set(tokens.map(token => token.name));
+  const aliases = config.aliases || {};
+
+  const seen = new Set();
+  tokens.forEach(token => {
+    if (seen.has(token.name)) {
+      errors.push(`Two tokens compile to --${token.name} (${token.path.join('.')})`);
+    }
+    seen.add(token.name);
+  });
+
+  Object.keys(aliases).forEach(alias => {
+    const target = aliases[alias];
+    if (alias === target) {
+      errors.push(`Alias --${alias} points at itself`);
+    } else if (names.has(alias)) {
+      errors.push(`Alias --${alias} would overwrite the token of the same name`);
+    } else if (!names.has(target) && !aliases[target]) {
+      errors.push(`Alias --${alias} points at unknown token --${target}`);
+    }
+  });
+
+  themes.forEach(theme => {
+    compileTokens(theme.overrides || {}, config).forEach(token => {
+      if (!names.has(token.name)) {
+        errors.push(`${theme.file}: override ${token.path.join('.')} has no base token`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Render tokens.css: base tokens, legacy aliases, then one block per theme
+ */
+function renderCss(tokens, themes, config) {
+  const lines = [
+    `/* ${config.banner || 'Design Tokens'} - CSS Variables */`,
+    `/* Generated by scripts/build-tokens.js from ${config.source} — do not edit by hand */`,
+    ':root {'
+  ];
+
+  let group = null;
+  tokens.forEach(token => {
+    if (token.path[0] !== group) {
+      if (group !== null) lines.push('');
+      group = token.path[0];
+      lines.push(`  /* ${group} */`);
+    }
+    lines.push(`  --${token.name}: ${token.css};`);
+  });
+
+  const aliases = config.aliases || {};
+  if (Object.keys(aliases).length > 0) {
+    lines.push('', '  /* Legacy Compatibility (for existing code) */');
+    Object.keys(aliases).forEach(alias => {
+      lines.push(`  --${alias}: var(--${aliases[alias]});`);
+    });
+  }
+  lines.push('}');
+
+  themes.filter(theme => theme.name !== 'current').forEach(theme => {
+    lines.push('', `/* ${theme.label ? `${theme.name}: ${theme.label}` : theme.name} */`);
+    lines.push(`[data-theme="${theme.name}"] {`);
+    compileTokens(theme.overrides || {}, config).forEach(token => {
+      lines.push(`  --${token.name}: ${token.css};`);
+    });
+    lines.push('}');
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Quote an object key for TypeScript only when it is not an identifier
+ */
+function tsKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Render a nested object as TypeScript, mapping each leaf through `leaf`.
+ * Interfaces end every member with ";", object literals separate with ",".
+ */
+function renderTsObject(object, leaf, isInterface = false, tokenPath = [], indent = '  ') {
+  const keys = Object.keys(object).filter(key => !key.startsWith('$'));
+  const members = keys.map(key => {
+    const value = object[key];
+    const childPath = [...tokenPath, key];
+    const rendered = value !== null && typeof value === 'object'
+      ? renderTsObject(value, leaf, isInterface, childPath, indent + '  ')
+      : leaf(childPath, value);
+    return `${indent}${tsKey(key)}: ${rendered}`;
+  });
+  const body = isInterface ? members.map(member => `${member};`).join('\n') : members.join(',\n');
+  return `{\n${body}\n${indent.slice(2)}}`;
+}
+
+/**
+ * Render the TypeScript module: interface, values, var() references and themes
+ */
+function renderTs(source, themes, config) {
+  const tsKeys = config.tsKeys || {};
+  const renamed = {};
+  Object.keys(source).filter(key => !key.startsWith('$')).forEach(key => {
+    renamed[tsKeys[key] || key] = source[key];
+  });
+  const originalPath = tokenPath => {
+    const [group, ...rest] = tokenPath;
+    const original = Object.keys(tsKeys).find(key => tsKeys[key] === group) || group;
+    return [original, ...rest];
+  };
+
+  const typeLeaf = (tokenPath, value) => (typeof value === 'number' ? 'number' : 'string');
+  const valueLeaf = (tokenPath, value) => JSON.stringify(value);
+  const varLeaf = tokenPath => JSON.stringify(`var(--${tokenName(originalPath(tokenPath), config)})`);
+
+  const themeNames = ['current', ...themes.map(theme => theme.name).filter(name => name !== 'current')];
+
+  return [
+    '/**',
+    ` * ${config.banner || 'Design Tokens'} - TypeScript`,
+    ` * Generated by scripts/build-tokens.js from ${config.source} — do not edit by hand`,
+    ' */',
+    '',
+    `export interface DesignTokens ${renderTsObject(renamed, typeLeaf, true)}`,
+    '',
+    `export const tokens: DesignTokens = ${renderTsObject(renamed, valueLeaf)};`,
+    '',
+    '// CSS custom property references, e.g. TOKENS.color.primary → "var(--color-primary)"',
+    `export const TOKENS = ${renderTsObject(renamed, varLeaf)} as const;`,
+    '',
+    `export type ThemeName = ${themeNames.map(name => JSON.stringify(name)).join(' | ')};`,
+    '',
+    `export const THEMES: readonly ThemeName[] = [${themeNames.map(name => JSON.stringify(name)).join(', ')}];`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Build all outputs for the site in the current directory
+ */
+function buildTokens(config) {
+  const source = JSON.parse(fs.readFileSync(config.source, 'utf8'));
+  const tokens = compileTokens(source, config);
+  const themes = loadThemes(config);
+
+  const errors = validate(tokens, themes, config);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid tokens:\n  - ${errors.join('\n  - ')}`);
+    error.details = errors;
+    throw error;
+  }
+
+  const outputs = {};
+  if (config.css) outputs[config.css] = renderCss(tokens, themes, config);
+  if (config.ts) outputs[config.ts] = renderTs(source, themes, config);
+  return outputs;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const check = process.argv.includes('--check');
+
+  if (!fs.existsSync(CONFIG_FILE)) {
+    console.log(`No ${CONFIG_FILE} in the current directory`);
+    process.exit(1);
+  }
+
+  const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  console.log(`🎨 ${check ? 'Checking' : 'Building'} design tokens from ${config.source}...`);
+
+  let outputs;
+  try {
+    outputs = buildTokens(config);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  if (check) {
+    const stale = Object.keys(outputs).filter(file =>
+      !fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== outputs[file]
+    );
+    if (stale.length > 0) {
+      console.log('\n❌ Generated token files are out of date:');
+      stale.forEach(file => console.log(`  - ${file}`));
+      console.log('\nRun scripts/build-tokens.js to regenerate them.');
+      process.exit(1);
+    }
+    console.log('✅ Generated token files are up to date');
+    return;
+  }
+
+  Object.keys(outputs).forEach(file => {
+    fs.writeFileSync(file, outputs[file], 'utf8');
+    console.log(`✅ Wrote: ${file}`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildTokens, compileTokens, loadThemes, tokenName, flattenTokens };
@@ -0,0 +1,470 @@
+#!/usr/bin/env node
+
+/**
+ * Accessibility Linter
+ * Offline checks for the static pages: text alternatives, form labels and
+ * names, landmarks and skip links, duplicate ids, visible focus styles, and
+ * the contrast of every selector's text/background pair once the page's CSS
+ * variables (from <style> blocks and local stylesheets) are resolved.
+ * Prints a report, writes JSON with --json <file> and exits non-zero on
+ * errors (on warnings too with --strict).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const glob = require('glob');
+const { parseHtml, findElements, textContent } = require('./html-parse.js');
+const { readPageSource, locateLines } = require('./page-layout.js');
+const { parseDeclarations, parseRules } = require('./css-declarations.js');
+const { WCAG_LEVELS, parseColor, contrastRatio, toHex } = require('./color-contrast.js');
+
+// Inputs that are buttons or invisible, and need no label
+const UNLABELLED_INPUT_TYPES = ['hidden', 'submit', 'button', 'reset', 'image'];
+
+// Selectors whose custom properties apply to the whole page
+const ROOT_SELECTOR_REGEX = /^(?::root|html)(?:\s*,\s*(?::root|html))*$/;
+const VAR_REGEX = /var\(\s*(--[\w-]+)\s*(?:,\s*((?:[^()]|\([^()]*\))*))?\)/;
+
+// An issue on `file`, at `element` when it has one (in a partial when the
+// element came from one)
+function issue(level, file, check, message, element = null) {
+  const entry = { level, file, check, message, line: element ? element.line : null };
+  return element && element.partial ? { ...entry, partial: element.partial } : entry;
+}
+
+// Where an element is, for messages about another element
+function locationOf(element) {
+  return element.partial ? `${element.partial}:${element.line}` : `line ${element.line}`;
+}
+
+function describe(element) {
+  const id = element.attrs.id ? `#${element.attrs.id}` : '';
+  const name = element.attrs.name ? `[name="${element.attrs.name}"]` : '';
+  return `<${element.name}${element.attrs.type ? ` type="${element.attrs.type}"` : ''}>${id}${name}`;
+}
+
+function closest(element, name) {
+  for (let node = element.parent; node; node = node.parent) {
+    if (node.name === name) return node;
+  }
+  return null;
+}
+
+/**
+ * Stylesheets a page uses, in cascade order: { source, css } for each
+ * <style> block and each local <link rel="stylesheet">
+ */
+function loadStylesheets(document, file) {
+  return findElements(document, element =>
+    element.name === 'style' ||
+    (element.name === 'link' && /\bstylesheet\b/i.test(element.attrs.rel || '') && element.attrs.href)
+  ).map(element => {
+    if (element.name === 'style') {
+      return { source: `${element.partial || file}:${element.line}`, css: element.children.map(child => child.text).join('') };
+    }
+    const href = element.attrs.href.split(/[?#]/)[0];
+    const target = path.join(path.dirname(file), href.replace(/^\//, ''));
+    if (/^(?:[a-z]+:)?\/\//i.test(href) || !fs.existsSync(target)) return null;
+    return { source: target, css: fs.readFileSync(target, 'utf8') };
+  }).filter(Boolean);
+}
+
+/**
+ * Custom properties declared on :root/html across the stylesheets; later
+ * declarations win, as in the cascade
+ */
+function collectCustomProperties(sheets) {
+  const properties = new Map();
+  sheets.forEach(sheet => {
+    parseDeclarations(sheet.css)
+      .filter(declaration => declaration.property.startsWith('--') && ROOT_SELECTOR_REGEX.test(declaration.selector))
+      .forEach(declaration => properties.set(declaration.property, declaration.value.trim()));
+  });
+  return properties;
+}
+
+/**
+ * A value with every var() replaced by its resolved value (or fallback);
+ * null when a variable is undefined or circular
+ */
+function resolveVariables(value, properties, seen = new Set()) {
+  let resolved = value;
+  let match;
+  while ((match = resolved.match(VAR_REGEX))) {
+    const [reference, name, fallback] = match;
+    let replacement = null;
+    if (properties.has(name) && !seen.has(name)) {
+      replacement = resolveVariables(properties.get(name), properties, new Set([...seen, name]));
+    }
+    if (replacement === null && fallback !== undefined) {
+      replacement = resolveVariables(fallback.trim(), properties, seen);
+    }
+    if (replacement === null) return null;
+    resolved = resolved.replace(reference, replacement);
+  }
+  return resolved;
+}
+
+/**
+ * The solid color a background or background-color value paints, or null
+ * for images, gradients and colors this tool can't compute
+ */
+function backgroundColor(value) {
+  if (/gradient\(|url\(/i.test(value)) return null;
+  const direct = parseColor(value);
+  if (direct) return direct;
+  const tokens = value.match(/(?:[a-z-]+\([^)]*\)|#[0-9a-f]+|[a-z]+)/gi) || [];
+  return tokens.map(parseColor).find(Boolean) || null;
+}
+
+/**
+ * Text/background pairs set for the same selector, with their contrast:
+ * { selector, source, foreground, background, ratio }. A selector's rules
+ * are merged across the sheets in cascade order, so a page's <style> that
+ * overrides the color of a shared components.css rule is checked as
+ * overridden; `source` is the last sheet to set either value.
+ */
+function findContrastPairs(sheets, properties) {
+  const rules = new Map();
+  sheets.forEach(sheet => {
+    parseRules(sheet.css).filter(rule => !rule.atRule).forEach(rule => {
+      const key = `${rule.context.replace(/\s+/g, ' ')}|${rule.selector.replace(/\s+/g, ' ')}`;
+      if (!rules.has(key)) rules.set(key, { selector: rule.selector, values: {}, sources: {} });
+      const entry = rules.get(key);
+      parseDeclarations(sheet.css.slice(rule.bodyStart, rule.bodyEnd), true).forEach(declaration => {
+        const property = declaration.property.toLowerCase();
+        entry.values[property] = declaration.value.trim();
+        entry.sources[property] = sheet.source;
+      });
+    });
+  });
+
+  const pairs = [];
+  rules.forEach(({ selector, values, sources }) => {
+    const backgroundProperty = values['background-color'] ? 'background-color' : 'background';
+    const background = values[backgroundProperty];
+    if (!values.color || !background || /:(?:hover|active|visited)/.test(selector)) return;
+
+    const foregroundValue = resolveVariables(values.color, properties);
+    const backgroundValue = resolveVariables(background, properties);
+    const foreground = foregroundValue && parseColor(foregroundValue);
+    const backdrop = backgroundValue && backgroundColor(backgroundValue);
+    if (!foreground || !backdrop || backdrop.a === 0) return;
+
+    pairs.push({
+      selector,
+      source: sheets.map(sheet => sheet.source).filter(source => source === sources.color || source === sources[backgroundProperty]).pop(),
+      foreground: { value: values.color, color: toHex(foreground) },
+      background: { value: background, color: toHex(backdrop) },
+      ratio: contrastRatio(foreground, backdrop)
+    });
+  });
+  return pairs;
+}
+
+/**
+ * Focus problems: no :focus/:focus-visible rules at all, or rules that
+ * remove the outline without drawing anything in its place
+ */
+function checkFocusStyles(file, sheets) {
+  const issues = [];
+  const blocks = new Map();
+  sheets.forEach(sheet => {
+    parseDeclarations(sheet.css).forEach(declaration => {
+      const key = `${sheet.source}#${declaration.block}`;
+      if (!blocks.has(key)) blocks.set(key, { selector: declaration.selector, source: sheet.source, values: {} });
+      blocks.get(key).values[declaration.property.toLowerCase()] = declaration.value.trim();
+    });
+  });
+
+  const focusBlocks = [...blocks.values()].filter(block => /:focus/.test(block.selector));
+  if (focusBlocks.length === 0) {
+    issues.push(issue('warning', file, 'focus-visible', 'No :focus or :focus-visible styles; keyboard users rely on the browser default'));
+  }
+
+  blocks.forEach(block => {
+    const removesOutline = /^(?:none|0)(?:\s|$)/i.test(block.values.outline || '') || block.values['outline-style'] === 'none';
+    if (!removesOutline) return;
+    const replaced = ['box-shadow', 'border', 'border-color', 'background', 'background-color', 'text-decoration']
+      .some(property => block.values[property] && !/^none$/i.test(block.values[property]));
+    if (/:focus/.test(block.selector) && !replaced) {
+      issues.push(issue('error', file, 'focus-outline', `${block.selector} removes the focus outline without another indicator (${block.source})`));
+    } else if (!/:focus/.test(block.selector)) {
+      issues.push(issue('warning', file, 'focus-outline', `${block.selector} sets outline: none outside a :focus rule (${block.source})`));
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Accessible name from aria-label, aria-labelledby or title
+ */
+function ariaName(element, document) {
+  if ((element.attrs['aria-label'] || '').trim()) return element.attrs['aria-label'].trim();
+  if (element.attrs['aria-labelledby']) {
+    const ids = element.attrs['aria-labelledby'].split(/\s+/);
+    const text = findElements(document, node => ids.includes(node.attrs.id)).map(textContent).join(' ').trim();
+    if (text) return text;
+  }
+  return (element.attrs.title || '').trim();
+}
+
+function checkTextAlternatives(file, document) {
+  const issues = [];
+  findElements(document, element => element.name === 'img' && !('alt' in element.attrs)).forEach(element => {
+    issues.push(issue('error', file, 'alt', `<img src="${element.attrs.src || ''}"> has no alt attribute (use alt="" if it is decorative)`, element));
+  });
+  findElements(document, element => element.name === 'area' && 'href' in element.attrs && !(element.attrs.alt || '').trim()).forEach(element => {
+    issues.push(issue('error', file, 'alt', `<area href="${element.attrs.href}"> has no alt text`, element));
+  });
+  findElements(document, element => element.name === 'input' && (element.attrs.type || '').toLowerCase() === 'image' && !(element.attrs.alt || '').trim()).forEach(element => {
+    issues.push(issue('error', file, 'alt', `${describe(element)} has no alt text`, element));
+  });
+  findElements(document, element => element.attrs.role === 'img' && element.name !== 'img' && !ariaName(element, document)).forEach(element => {
+    issues.push(issue('error', file, 'alt', `<${element.name} role="img"> has no aria-label or aria-labelledby`, element));
+  });
+  return issues;
+}
+
+function checkForms(file, document) {
+  const issues = [];
+  const ids = new Set(findElements(document, element => element.attrs.id).map(element => element.attrs.id));
+  const labels = findElements(document, element => element.name === 'label');
+  const labelledIds = new Set(labels.map(label => label.attrs.for).filter(Boolean));
+
+  const controls = findElements(document, element =>
+    (element.name === 'input' && !UNLABELLED_INPUT_TYPES.includes((element.attrs.type || 'text').toLowerCase())) ||
+    element.name === 'select' ||
+    element.name === 'textarea'
+  );
+
+  controls.forEach(control => {
+    const wrapped = closest(control, 'label');
+    const labelled = wrapped || (control.attrs.id && labelledIds.has(control.attrs.id)) || ariaName(control, document);
+    if (!labelled) {
+      const hint = control.attrs.placeholder ? ' (a placeholder is not a label)' : '';
+      issues.push(issue('error', file, 'label', `${describe(control)} has no label${hint}`, control));
+    }
+    if (closest(control, 'form') && !control.attrs.name) {
+      issues.push(issue('warning', file, 'name', `${describe(control)} has no name, so its value is not submitted`, control));
+    }
+  });
+
+  labels.forEach(label => {
+    if (label.attrs.for && !ids.has(label.attrs.for)) {
+      issues.push(issue('error', file, 'label', `<label for="${label.attrs.for}"> points at an id that does not exist`, label));
+    } else if (!label.attrs.for && findElements(label, element => ['input', 'select', 'textarea'].includes(element.name)).length === 0) {
+      issues.push(issue('warning', file, 'label', `<label> "${textContent(label)}" is not associated with a control (group controls with <fieldset> and <legend>)`, label));
+    }
+  });
+
+  findElements(document, element => element.name === 'button' || (element.name === 'a' && 'href' in element.attrs)).forEach(element => {
+    if (!textContent(element) && !ariaName(element, document)) {
+      issues.push(issue('error', file, element.name === 'a' ? 'link-name' : 'button-name', `<${element.name}> has no text or aria-label`, element));
+    }
+  });
+
+  return issues;
+}
+
+function checkLandmarks(file, document) {
+  const issues = [];
+  const byRole = (name, role) => findElements(document, element => element.name === name || element.attrs.role === role);
+
+  const mains = byRole('main', 'main');
+  if (mains.length !== 1) {
+    issues.push(issue('error', file, 'landmarks', mains.length === 0 ? 'No <main> landmark' : `${mains.length} <main> landmarks`));
+  }
+  const banners = byRole('header', 'banner').filter(element => !closest(element, 'main') && !closest(element, 'article') && !closest(element, 'section'));
+  if (banners.length === 0) {
+    issues.push(issue('warning', file, 'landmarks', 'No page <header> (banner) landmark'));
+  }
+  const footers = byRole('footer', 'contentinfo').filter(element => !closest(element, 'main') && !closest(element, 'article') && !closest(element, 'section'));
+  if (footers.length === 0) {
+    issues.push(issue('warning', file, 'landmarks', 'No page <footer> (contentinfo) landmark'));
+  }
+  const navs = byRole('nav', 'navigation');
+  if (navs.length > 1) {
+    navs.filter(nav => !ariaName(nav, document)).forEach(nav => {
+      issues.push(issue('warning', file, 'landmarks', `One of ${navs.length} <nav> landmarks has no aria-label to tell them apart`, nav));
+    });
+  }
+
+  const body = findElements(document, element => element.name === 'body')[0] || document;
+  const firstLink = findElements(body, element => element.name === 'a' && 'href' in element.attrs)[0];
+  const skipLink = firstLink && /^#./.test(firstLink.attrs.href) ? firstLink : null;
+  if (!skipLink) {
+    issues.push(issue('warning', file, 'skip-link', 'The first link on the page is not a skip link to the main content'));
+  } else if (findElements(document, element => element.attrs.id === skipLink.attrs.href.slice(1)).length === 0) {
+    issues.push(issue('error', file, 'skip-link', `Skip link points at ${skipLink.attrs.href}, which does not exist`, skipLink));
+  }
+
+  return issues;
+}
+
+function checkIds(file, document) {
+  const issues = [];
+  const seen = new Map();
+  findElements(document, element => element.attrs.id).forEach(element => {
+    const id = element.attrs.id;
+    if (seen.has(id)) {
+      issues.push(issue('error', file, 'duplicate-id', `id="${id}" is already used at ${locationOf(seen.get(id))}`, element));
+    } else {
+      seen.set(id, element);
+    }
+  });
+
+  findElements(document, element => element.attrs['aria-labelledby'] || element.attrs['aria-describedby']).forEach(element => {
+    ['aria-labelledby', 'aria-describedby'].forEach(attribute => {
+      (element.attrs[attribute] || '').split(/\s+/).filter(Boolean).forEach(id => {
+        if (!seen.has(id)) {
+          issues.push(issue('error', file, 'aria-reference', `${attribute}="${id}" on <${element.name}> points at an id that does not exist`, element));
+        }
+      });
+    });
+  });
+  return issues;
+}
+
+function checkContrast(file, sheets) {
+  const properties = collectCustomProperties(sheets);
+  const reported = new Set();
+  return findContrastPairs(sheets, properties)
+    .filter(pair => pair.ratio < WCAG_LEVELS.AA.normal)
+    .filter(pair => {
+      const key = `${pair.selector}|${pair.foreground.color}|${pair.background.color}`;
+      if (reported.has(key)) return false;
+      reported.add(key);
+      return true;
+    })
+    .map(pair => issue(
+      pair.ratio < WCAG_LEVELS.AA.large ? 'error' : 'warning',
+      file,
+      'contrast',
+      `${pair.selector}: ${pair.foreground.value} (${pair.foreground.color}) on ${pair.background.value} (${pair.background.color}) is ${pair.ratio.toFixed(2)}:1; AA needs ${WCAG_LEVELS.AA.normal}:1 (${WCAG_LEVELS.AA.large}:1 for large text) — ${pair.source}`
+    ));
+}
+
+/**
+ * Every check for one page, as built from its layout and partials; issues
+ * point at the line in the page, or in the partial the element came from
+ */
+function analyzeFile(file) {
+  const { html, origins } = readPageSource(file);
+  const document = parseHtml(html);
+  locateLines(findElements(document), origins);
+  const sheets = loadStylesheets(document, file);
+  return [
+    ...checkTextAlternatives(file, document),
+    ...checkForms(file, document),
+    ...checkLandmarks(file, document),
+    ...checkIds(file, document),
+    ...checkFocusStyles(file, sheets),
+    ...checkContrast(file, sheets)
+  ];
+}
+
+/**
+ * Console report grouped by check
+ */
+function generateReport(files, issues) {
+  const errors = issues.filter(entry => entry.level === 'error');
+  const warnings = issues.filter(entry => entry.level === 'warning');
+
+  console.log('\n♿ Accessibility Report');
+  console.log('======================\n');
+  console.log('📊 Overview:');
+  console.log(`  Pages checked: ${files.length}`);
+  console.log(`  Pages with issues: ${new Set(issues.map(entry => entry.file)).size}`);
+  console.log(`  Errors: ${errors.length}`);
+  console.log(`  Warnings: ${warnings.length}\n`);
+
+  if (issues.length === 0) {
+    console.log('✅ No accessibility issues found!');
+    return;
+  }
+
+  const byCheck = new Map();
+  issues.forEach(entry => {
+    if (!byCheck.has(entry.check)) byCheck.set(entry.check, []);
+    byCheck.get(entry.check).push(entry);
+  });
+
+  byCheck.forEach((entries, check) => {
+    const hasErrors = entries.some(entry => entry.level === 'error');
+    console.log(`${hasErrors ? '🔴' : '🟡'} ${check} (${entries.length}):`);
+    entries.forEach(entry => {
+      const location = entry.partial ? `${entry.partial}:${entry.line} (${entry.file})` : `${entry.file}${entry.line ? `:${entry.line}` : ''}`;
+      console.log(`  ${location} — ${entry.message}`);
+    });
+    console.log('');
+  });
+
+  console.log('💡 Recommendations:');
+  if (byCheck.has('label') || byCheck.has('name')) {
+    console.log('  • Give every control an id, a name and a <label for> (or wrap it in its <label>)');
+  }
+  if (byCheck.has('contrast')) {
+    console.log('  • Darken the text or background token until the pair reaches 4.5:1');
+  }
+  if (byCheck.has('focus-visible') || byCheck.has('focus-outline')) {
+    console.log('  • Add :focus-visible styles, and replace any removed outline with a visible ring');
+  }
+}
+
+function flagValue(argv, flag) {
+  const index = argv.indexOf(flag);
+  return index !== -1 ? argv[index + 1] : null;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const argv = process.argv.slice(2);
+  const htmlFiles = glob.sync('*.html', { cwd: process.cwd() });
+
+  if (htmlFiles.length === 0) {
+    console.log('No HTML files found in current directory');
+    return;
+  }
+
+  console.log(`🔍 Checking accessibility of ${htmlFiles.length} pages...`);
+  const issues = htmlFiles.flatMap(file => {
+    try {
+      return analyzeFile(file);
+    } catch (error) {
+      console.error(`❌ Error analyzing ${file}:`, error.message);
+      return [];
+    }
+  });
+  generateReport(htmlFiles, issues);
+
+  const jsonFile = flagValue(argv, '--json');
+  if (jsonFile) {
+    fs.writeFileSync(jsonFile, JSON.stringify({ date: new Date().toISOString(), pages: htmlFiles, issues }, null, 2));
+    console.log(`\n📄 JSON report written to ${jsonFile}`);
+  }
+
+  if (issues.some(entry => entry.level === 'error' || argv.includes('--strict'))) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  loadStylesheets,
+  collectCustomProperties,
+  resolveVariables,
+  findContrastPairs,
+  checkFocusStyles,
+  checkTextAlternatives,
+  checkForms,
+  checkLandmarks,
+  checkIds,
+  analyzeFile
+};
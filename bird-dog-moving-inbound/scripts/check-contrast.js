@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * Theme Contrast Matrix
+ * Resolves every theme in the site's tokens over the base tokens and checks
+ * the foreground/background pairs listed under "contrastPairs" in
+ * tokens.config.json against WCAG AA (or AAA with --level AAA). Prints the
+ * matrix and the failing pairs; --suggest adds the nearest passing shade.
+ */
+
+const fs = require('fs');
+const { loadThemes } = require('./build-tokens.js');
+const { WCAG_LEVELS, parseColor, contrastRatio, nearestPassingColor } = require('./color-contrast.js');
+
+const CONFIG_FILE = 'tokens.config.json';
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * `base` with `overrides` merged in, recursively
+ */
+function mergeTokens(base, overrides) {
+  const merged = { ...base };
+  Object.keys(overrides || {}).forEach(key => {
+    merged[key] = isObject(base[key]) && isObject(overrides[key])
+      ? mergeTokens(base[key], overrides[key])
+      : overrides[key];
+  });
+  return merged;
+}
+
+/**
+ * The token sets to check: the base tokens, then each theme over them.
+ * A "current" theme restates the base and is skipped, as in tokens.css.
+ */
+function resolveThemes(source, themes) {
+  return [
+    { name: 'base', tokens: source },
+    ...themes
+      .filter(theme => theme.name !== 'current')
+      .map(theme => ({ name: theme.name, label: theme.label, tokens: mergeTokens(source, theme.overrides) }))
+  ];
+}
+
+/**
+ * A pair side is a token path ("color.fg") or a literal color ("#FFFFFF")
+ */
+function resolveColor(reference, tokens) {
+  const literal = parseColor(reference);
+  if (literal) return { value: reference, color: literal, token: null };
+
+  const value = reference.split('.').reduce((node, key) => (isObject(node) ? node[key] : undefined), tokens);
+  const color = typeof value === 'string' ? parseColor(value) : null;
+  if (!color) {
+    throw new Error(`"${reference}" is not a color token or a color`);
+  }
+  return { value, color, token: reference };
+}
+
+/**
+ * One row per theme and pair:
+ * { theme, pair, foreground, background, ratio, required, passes }
+ */
+function checkPairs(themes, pairs, level = 'AA') {
+  return themes.flatMap(theme => pairs.map(pair => {
+    const foreground = resolveColor(pair.fg, theme.tokens);
+    const background = resolveColor(pair.bg, theme.tokens);
+    const required = WCAG_LEVELS[pair.level || level][pair.size === 'large' ? 'large' : 'normal'];
+    const ratio = contrastRatio(foreground.color, background.color);
+    return { theme: theme.name, pair, foreground, background, ratio, required, passes: ratio >= required };
+  }));
+}
+
+/**
+ * Nearest passing shade for a failing row: the foreground token's by
+ * default, the background's when the foreground is a literal or the pair
+ * says "adjust": "bg"
+ */
+function suggestFix(row) {
+  const adjustBackground = row.pair.adjust === 'bg' || !row.foreground.token;
+  const side = adjustBackground ? row.background : row.foreground;
+  if (!side.token) return null;
+
+  const against = adjustBackground ? row.foreground.color : row.background.color;
+  const suggestion = nearestPassingColor(side.color, against, row.required, adjustBackground ? 'background' : 'foreground');
+  return suggestion ? { token: side.token, from: side.value, ...suggestion } : null;
+}
+
+function pad(value, width) {
+  return String(value).padEnd(width);
+}
+
+/**
+ * Print the theme × pair matrix
+ */
+function printMatrix(themes, pairs, rows) {
+  const labels = pairs.map(pair => pair.label || `${pair.fg} on ${pair.bg}`);
+  const labelWidth = Math.max(4, ...labels.map(label => label.length)) + 2;
+  const columnWidth = Math.max(9, ...themes.map(theme => theme.name.length + 2));
+
+  console.log(pad('Pair', labelWidth) + themes.map(theme => pad(theme.name, columnWidth)).join(''));
+  pairs.forEach((pair, index) => {
+    const cells = themes.map(theme => {
+      const row = rows.find(candidate => candidate.theme === theme.name && candidate.pair === pair);
+      return pad(`${row.ratio.toFixed(2)} ${row.passes ? '✓' : '✗'}`, columnWidth);
+    });
+    console.log(pad(labels[index], labelWidth) + cells.join(''));
+  });
+}
+
+function flagValue(argv, flag) {
+  const index = argv.indexOf(flag);
+  return index !== -1 ? argv[index + 1] : null;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const argv = process.argv.slice(2);
+
+  if (!fs.existsSync(CONFIG_FILE)) {
+    console.log(`No ${CONFIG_FILE} in the current directory`);
+    process.exit(1);
+  }
+
+  const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  const pairs = config.contrastPairs || [];
+  if (pairs.length === 0) {
+    console.log(`No "contrastPairs" in ${CONFIG_FILE}`);
+    process.exit(1);
+  }
+
+  const level = (flagValue(argv, '--level') || 'AA').toUpperCase();
+  if (!WCAG_LEVELS[level]) {
+    console.log(`Unknown level "${level}" (use ${Object.keys(WCAG_LEVELS).join(' or ')})`);
+    process.exit(1);
+  }
+
+  const source = JSON.parse(fs.readFileSync(config.source, 'utf8'));
+  const themes = resolveThemes(source, loadThemes(config));
+
+  let rows;
+  try {
+    rows = checkPairs(themes, pairs, level);
+  } catch (error) {
+    console.error(`❌ ${CONFIG_FILE}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+  console.log(`🌗 Contrast matrix: ${plural(themes.length, 'theme')} × ${plural(pairs.length, 'pair')} (WCAG ${level})\n`);
+  printMatrix(themes, pairs, rows);
+
+  const failing = rows.filter(row => !row.passes);
+  if (failing.length === 0) {
+    console.log(`\n✅ Every pair passes WCAG ${level} in every theme`);
+    return;
+  }
+
+  console.log(`\n❌ ${plural(failing.length, 'failing pair')}:`);
+  const describe = side => (side.token ? `${side.token} (${side.value})` : side.value);
+  failing.forEach(row => {
+    const label = row.pair.label ? `${row.pair.label}: ` : '';
+    console.log(`  ${row.theme} — ${label}${describe(row.foreground)} on ${describe(row.background)} is ${row.ratio.toFixed(2)}:1, needs ${row.required}:1`);
+    if (argv.includes('--suggest')) {
+      const fix = suggestFix(row);
+      console.log(fix
+        ? `    → ${fix.token}: ${fix.from} → ${fix.color} (${fix.ratio.toFixed(2)}:1)`
+        : '    → no shade of this hue passes; pick another color');
+    }
+  });
+  process.exit(1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { mergeTokens, resolveThemes, resolveColor, checkPairs, suggestFix };
@@ -2,61 +2,183 @@
 
 /**
  * Link Verification Script
- * Checks internal links for broken references and validates interlinking
+ * Parses every page and checks internal links (including #fragments and
+ * href="#" placeholders) and the files pages load (src, <link> and CSS
+ * url()) for broken references, then validates interlinking
  */
 
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
+const { parseHtml, findElements, textContent } = require('./html-parse.js');
+const { readPage, readPageSource, locateLines } = require('./page-layout.js');
+const { CLIENT_SCRIPTS } = require('./build-pages.js');
+const { findDeclarations } = require('./css-declarations.js');
+const { loadServiceAreas } = require('./service-areas.js');
+const { buildLinkGraph, analyzeLinkGraph, pageGroups, writeLinkGraph } = require('./link-graph.js');
+const {
+  DEFAULT_MAX_REPEATS,
+  normalizeAnchor,
+  isGenericAnchor,
+  buildAnchorDistribution,
+  findRepeatedAnchors,
+  findAnchorMismatches
+} = require('./anchor-text.js');
 
 // Load interlinking map
 let interlinkingMap = null;
+let getLinksForFile = () => [];
+let resolveRelatedLinks = () => [];
 try {
   interlinkingMap = JSON.parse(fs.readFileSync('interlinking-map.json', 'utf8'));
+  ({ getLinksForFile, resolveRelatedLinks } = require('./apply-interlinking-map.js'));
 } catch (error) {
   console.warn('Could not load interlinking-map.json');
 }
 
+// Schemes and protocol-relative URLs point off-site and are not checked
+const EXTERNAL_REGEX = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+const PLACEHOLDER_REGEX = /^(?:#|javascript:.*)$/i;
+
+// Attributes on non-anchor elements that load another file
+const RESOURCE_ATTRIBUTES = {
+  img: ['src', 'srcset'],
+  source: ['src', 'srcset'],
+  script: ['src'],
+  link: ['href'],
+  video: ['src', 'poster'],
+  audio: ['src'],
+  iframe: ['src']
+};
+
+const CSS_URL_REGEX = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)'"\s]*))\s*\)/gi;
+
 /**
- * Extract all links from HTML content
+ * Whether an element sits in site chrome (header, nav or footer) rather
+ * than page content
  */
-function extractLinks(content, sourceFile) {
-  const links = [];
-  
-  // Find all anchor tags with href attributes
-  const linkRegex = /<a[^>]+href=["']([^"']+)["'][^>]*>([^<]*)<\/a>/gi;
-  let match;
-  
-  while ((match = linkRegex.exec(content)) !== null) {
-    const href = match[1];
-    const text = match[2].trim();
-    
-    // Skip external links
-    if (href.startsWith('http') || href.startsWith('mailto:') || href.startsWith('tel:')) {
-      continue;
+function inNavigation(element) {
+  for (let node = element.parent; node; node = node.parent) {
+    if (['header', 'nav', 'footer'].includes(node.name) || node.attrs.role === 'navigation') {
+      return true;
     }
-    
-    // Skip anchor links
-    if (href.startsWith('#')) {
-      continue;
-    }
-    
-    links.push({
+  }
+  return false;
+}
+
+/**
+ * Extract all internal links (<a href> and <area href>) from HTML content,
+ * including links that wrap other markup, fragments and "#" placeholders
+ */
+function extractLinks(content, sourceFile, document = parseHtml(content)) {
+  return findElements(document, element => (element.name === 'a' || element.name === 'area') && 'href' in element.attrs)
+    .map(element => ({
       source: sourceFile,
-      href: href,
-      text: text,
-      line: content.substring(0, match.index).split('\n').length
+      href: element.attrs.href.trim(),
+      text: element.name === 'area' ? element.attrs.alt || '' : textContent(element),
+      line: element.line,
+      navigation: inNavigation(element)
+    }))
+    .filter(link => PLACEHOLDER_REGEX.test(link.href) || !EXTERNAL_REGEX.test(link.href));
+}
+
+/**
+ * Extract the files a page loads: src/srcset/href on images, scripts,
+ * stylesheets and media, plus url() in <style> blocks and style attributes
+ */
+function extractResources(content, sourceFile, document = parseHtml(content)) {
+  const resources = [];
+  const add = (href, tag, line) => {
+    if (href && !EXTERNAL_REGEX.test(href) && !href.startsWith('#')) {
+      resources.push({ source: sourceFile, href, tag, line });
+    }
+  };
+
+  findElements(document, element => RESOURCE_ATTRIBUTES[element.name]).forEach(element => {
+    // Only stylesheet-like <link>s load a file (not canonical, alternate, ...)
+    if (element.name === 'link' && !/\b(?:stylesheet|icon|preload|manifest)\b/i.test(element.attrs.rel || '')) {
+      return;
+    }
+    RESOURCE_ATTRIBUTES[element.name].forEach(attribute => {
+      const value = element.attrs[attribute];
+      if (value === undefined) return;
+      const urls = attribute === 'srcset'
+        ? value.split(',').map(candidate => candidate.trim().split(/\s+/)[0])
+        : [value.trim()];
+      urls.forEach(url => add(url, `<${element.name} ${attribute}>`, element.line));
     });
+  });
+
+  findDeclarations(content).forEach(declaration => {
+    for (const match of declaration.value.matchAll(CSS_URL_REGEX)) {
+      const url = [match[1], match[2], match[3]].find(value => value !== undefined).trim();
+      const line = content.substring(0, declaration.valueStart).split('\n').length;
+      add(url, `${declaration.property}: url()`, line);
+    }
+  });
+
+  return resources;
+}
+
+/**
+ * Split an internal reference into the file it points at (relative to the
+ * site root, for "/..." paths, or to the source page) and its fragment
+ */
+function resolveTarget(href, sourceFile = '') {
+  const [withoutFragment, ...fragment] = href.split('#');
+  const pathPart = withoutFragment.split('?')[0];
+  let decoded = pathPart;
+  try {
+    decoded = decodeURI(pathPart);
+  } catch (error) {
+    // Keep the raw path; it will simply not be found
   }
-  
-  return links;
+
+  let file = null;
+  if (decoded !== '') {
+    file = decoded.startsWith('/')
+      ? path.normalize(decoded.slice(1))
+      : path.join(path.dirname(sourceFile), decoded);
+  }
+  let fragmentText = fragment.length > 0 ? fragment.join('#') : null;
+  if (fragmentText !== null) {
+    try {
+      fragmentText = decodeURIComponent(fragmentText);
+    } catch (error) {
+      // Keep the raw fragment; it will simply not be found
+    }
+  }
+  return { file, fragment: fragmentText };
+}
+
+/**
+ * Check if a file exists (ignoring any #fragment or ?query). The shared
+ * client scripts count as present: build-pages.js publishes them into
+ * every site.
+ */
+function fileExists(filePath, sourceFile = '') {
+  const { file } = resolveTarget(filePath, sourceFile);
+  if (file !== null && file.split(path.sep).join('/') in CLIENT_SCRIPTS) return true;
+  return file === null || fs.existsSync(file);
 }
 
+// ids (and <a name>s) per page, parsed once
+const anchorCache = new Map();
+
 /**
- * Check if a file exists
+ * Fragment targets of a page
  */
-function fileExists(filePath) {
-  return fs.existsSync(filePath);
+function getAnchors(file, document = null) {
+  if (!anchorCache.has(file)) {
+    const parsed = document || parseHtml(readPage(file));
+    const anchors = new Set();
+    findElements(parsed).forEach(element => {
+      if (element.attrs.id) anchors.add(element.attrs.id);
+      if (element.name === 'a' && element.attrs.name) anchors.add(element.attrs.name);
+    });
+    anchorCache.set(file, anchors);
+  }
+  return anchorCache.get(file);
 }
 
 /**
@@ -66,13 +188,18 @@ function validateAgainstMap(links, sourceFile) {
   if (!interlinkingMap) return [];
   
   const issues = [];
-  const expectedLinks = interlinkingMap.patterns.find(p => p.from === sourceFile);
+  const expectedLinks = getLinksForFile(sourceFile);
   
-  if (!expectedLinks) {
+  if (expectedLinks.length === 0) {
     return issues;
   }
   
-  const expectedPaths = expectedLinks.to.map(link => link.path).filter(Boolean);
+  // Relationship links are checked against what the resolver picked
+  const expected = [
+    ...expectedLinks.filter(link => !link.relate),
+    ...resolveRelatedLinks(sourceFile)
+  ].filter(link => link.path);
+  const expectedPaths = expected.map(link => link.path);
   const actualPaths = links.map(link => link.href);
   
   // Check for missing expected links
@@ -87,6 +214,16 @@ function validateAgainstMap(links, sourceFile) {
     }
   });
   
+  // Check the anchor text of expected links that are present
+  findAnchorMismatches(links, expected).forEach(mismatch => {
+    issues.push({
+      type: 'anchor_mismatch',
+      source: sourceFile,
+      expected: mismatch.path,
+      message: `Link to ${mismatch.path} reads "${mismatch.actual.join('", "')}", map anchor is "${mismatch.expected}"`
+    });
+  });
+  
   // Check for unexpected links (optional - can be commented out for flexibility)
   // actualPaths.forEach(actualPath => {
   //   if (!expectedPaths.includes(actualPath)) {
@@ -103,41 +240,84 @@ function validateAgainstMap(links, sourceFile) {
 }
 
 /**
- * Analyze a single file
+ * Analyze a single file, as built from its layout and partials (links and
+ * resources point at their line in the page, or in the partial they came
+ * from)
  */
 function analyzeFile(filePath) {
-  const content = fs.readFileSync(filePath, 'utf8');
-  const links = extractLinks(content, filePath);
-  
+  const { html: content, origins } = readPageSource(filePath);
+  const document = parseHtml(content);
+  const links = extractLinks(content, filePath, document);
+  const resources = extractResources(content, filePath, document);
+  locateLines([...links, ...resources], origins);
+
   const brokenLinks = [];
+  const missingFragments = [];
+  const placeholders = [];
+  const genericAnchors = [];
+  const missingResources = [];
   const validationIssues = [];
-  
-  // Check for broken links
+
   links.forEach(link => {
-    if (!fileExists(link.href)) {
-      brokenLinks.push({
-        source: filePath,
-        href: link.href,
-        text: link.text,
-        line: link.line,
-        message: `Broken link to ${link.href}`
+    const issue = { source: filePath, href: link.href, text: link.text, line: link.line, ...(link.partial && { partial: link.partial }) };
+
+    if (link.text && isGenericAnchor(link.text)) {
+      genericAnchors.push({ ...issue, message: `Generic anchor text "${link.text}"` });
+    }
+
+    if (PLACEHOLDER_REGEX.test(link.href)) {
+      placeholders.push({ ...issue, message: `Placeholder link (href="${link.href}")` });
+      return;
+    }
+
+    const target = resolveTarget(link.href, filePath);
+    if (target.file !== null && !fs.existsSync(target.file)) {
+      brokenLinks.push({ ...issue, message: `Broken link to ${link.href}` });
+      return;
+    }
+
+    // "#top" scrolls to the top of any page, with or without an element
+    const targetFile = target.file === null ? filePath : target.file;
+    const checkFragment = target.fragment && target.fragment.toLowerCase() !== 'top' && /\.html?$/i.test(targetFile);
+    if (checkFragment && !getAnchors(targetFile, targetFile === filePath ? document : null).has(target.fragment)) {
+      missingFragments.push({ ...issue, message: `No element with id="${target.fragment}" in ${targetFile}` });
+    }
+  });
+
+  resources.forEach(resource => {
+    if (!fileExists(resource.href, filePath)) {
+      missingResources.push({
+        ...resource,
+        text: resource.tag,
+        message: `Missing file ${resource.href}`
       });
     }
   });
-  
+
   // Validate against interlinking map
   const mapIssues = validateAgainstMap(links, filePath);
   validationIssues.push(...mapIssues);
-  
+
   return {
     file: filePath,
     links: links,
+    resources: resources,
     broken: brokenLinks,
+    fragments: missingFragments,
+    placeholders: placeholders,
+    genericAnchors: genericAnchors,
+    missingResources: missingResources,
     validation: validationIssues,
-    total: brokenLinks.length + validationIssues.length
+    total: brokenLinks.length + missingFragments.length + placeholders.length +
+      genericAnchors.length + missingResources.length + validationIssues.length
   };
 }
 
+// file:line of an issue, naming the partial it sits in
+function locationOf(issue) {
+  return issue.partial ? `${issue.partial}:${issue.line} (${issue.source})` : `${issue.source}:${issue.line}`;
+}
+
 /**
  * Generate a detailed report
  */
@@ -145,6 +325,7 @@ function generateReport(results) {
   const totalIssues = results.reduce((sum, result) => sum + result.total, 0);
   const filesWithIssues = results.filter(result => result.total > 0);
   const totalLinks = results.reduce((sum, result) => sum + result.links.length, 0);
+  const totalResources = results.reduce((sum, result) => sum + result.resources.length, 0);
   
   console.log('\n🔗 Link Verification Report');
   console.log('===========================\n');
@@ -152,6 +333,7 @@ function generateReport(results) {
   console.log(`📊 Overview:`);
   console.log(`  Total files analyzed: ${results.length}`);
   console.log(`  Total links found: ${totalLinks}`);
+  console.log(`  Total resources found: ${totalResources}`);
   console.log(`  Files with issues: ${filesWithIssues.length}`);
   console.log(`  Total issues: ${totalIssues}\n`);
   
@@ -162,18 +344,55 @@ function generateReport(results) {
   
   // Group issues by type
   const brokenLinks = results.flatMap(result => result.broken);
+  const missingFragments = results.flatMap(result => result.fragments);
+  const placeholders = results.flatMap(result => result.placeholders);
+  const genericAnchors = results.flatMap(result => result.genericAnchors);
+  const missingResources = results.flatMap(result => result.missingResources);
   const validationIssues = results.flatMap(result => result.validation);
   
   if (brokenLinks.length > 0) {
     console.log('🔴 Broken Links:');
     brokenLinks.forEach(issue => {
-      console.log(`  ${issue.source}:${issue.line}`);
+      console.log(`  ${locationOf(issue)}`);
       console.log(`    ${issue.message}`);
       console.log(`    Link text: "${issue.text}"`);
       console.log(`    Target: ${issue.href}\n`);
     });
   }
   
+  if (missingFragments.length > 0) {
+    console.log('🟠 Missing Fragment Targets:');
+    missingFragments.forEach(issue => {
+      console.log(`  ${locationOf(issue)}`);
+      console.log(`    ${issue.message}`);
+      console.log(`    Link text: "${issue.text}"\n`);
+    });
+  }
+  
+  if (placeholders.length > 0) {
+    console.log('⚪ Placeholder Links:');
+    placeholders.forEach(issue => {
+      console.log(`  ${locationOf(issue)} — "${issue.text}"`);
+    });
+    console.log('');
+  }
+  
+  if (genericAnchors.length > 0) {
+    console.log('🟣 Generic Anchor Text:');
+    genericAnchors.forEach(issue => {
+      console.log(`  ${locationOf(issue)} — "${issue.text}" → ${issue.href}`);
+    });
+    console.log('');
+  }
+  
+  if (missingResources.length > 0) {
+    console.log('🖼️  Missing Resources:');
+    missingResources.forEach(issue => {
+      console.log(`  ${locationOf(issue)}`);
+      console.log(`    ${issue.message} (${issue.tag})\n`);
+    });
+  }
+  
   if (validationIssues.length > 0) {
     console.log('🟡 Interlinking Validation Issues:');
     validationIssues.forEach(issue => {
@@ -182,13 +401,34 @@ function generateReport(results) {
     });
   }
   
+  const failedFiles = results.filter(result => result.error);
+  if (failedFiles.length > 0) {
+    console.log(`❌ Files that could not be analysed (${failedFiles.length}):`);
+    failedFiles.forEach(result => {
+      console.log(`  ${result.file}`);
+      console.log(`    ${result.error}\n`);
+    });
+  }
+  
   // Summary by file
   console.log('📄 Issues by File:');
   filesWithIssues.forEach(result => {
-    console.log(`  ${result.file}: ${result.total} issues`);
+    console.log(`  ${result.file}: ${result.error ? 'could not be analysed' : `${result.total} issues`}`);
     if (result.broken.length > 0) {
       console.log(`    - ${result.broken.length} broken links`);
     }
+    if (result.fragments.length > 0) {
+      console.log(`    - ${result.fragments.length} missing fragment targets`);
+    }
+    if (result.placeholders.length > 0) {
+      console.log(`    - ${result.placeholders.length} placeholder links`);
+    }
+    if (result.genericAnchors.length > 0) {
+      console.log(`    - ${result.genericAnchors.length} generic anchors`);
+    }
+    if (result.missingResources.length > 0) {
+      console.log(`    - ${result.missingResources.length} missing resources`);
+    }
     if (result.validation.length > 0) {
       console.log(`    - ${result.validation.length} validation issues`);
     }
@@ -200,9 +440,22 @@ function generateReport(results) {
     console.log('  • Fix broken links by creating missing files or updating paths');
     console.log('  • Check file naming conventions and case sensitivity');
   }
+  if (missingFragments.length > 0) {
+    console.log('  • Add the missing id to the target element or point the link at an existing one');
+  }
+  if (placeholders.length > 0) {
+    console.log('  • Replace href="#" placeholders with real destinations or remove the links');
+  }
+  if (genericAnchors.length > 0) {
+    console.log('  • Describe the target in the link text instead of "click here" or "Learn more"');
+  }
+  if (missingResources.length > 0) {
+    console.log('  • Add the missing images, stylesheets and scripts or fix their paths');
+  }
   if (validationIssues.length > 0) {
     console.log('  • Review interlinking-map.json for expected link patterns');
     console.log('  • Add missing expected links or update the interlinking map');
+    console.log('  • Align link text with the map anchors, or update the map');
   }
   
   console.log('\n🔧 Next Steps:');
@@ -211,6 +464,155 @@ function generateReport(results) {
   console.log('  3. Re-run this script to verify fixes');
 }
 
+/**
+ * Print anchor texts per target page (content links only) and warn about
+ * exact-match anchors repeated on too many pages
+ */
+function generateAnchorReport(results) {
+  const resolvePage = (href, source) => {
+    if (PLACEHOLDER_REGEX.test(href)) return null;
+    const { file } = resolveTarget(href, source);
+    return file && /\.html?$/i.test(file) ? file : null;
+  };
+  const distribution = buildAnchorDistribution(results, resolvePage);
+  const settings = (interlinkingMap && interlinkingMap.anchorText) || {};
+  const maxRepeats = settings.maxRepeats || DEFAULT_MAX_REPEATS;
+
+  // The map's anchor for each target, to mark planned anchors in the table
+  const mapAnchors = new Map();
+  if (interlinkingMap) {
+    results.forEach(result => {
+      [...getLinksForFile(result.file).filter(link => !link.relate), ...resolveRelatedLinks(result.file)]
+        .filter(link => link.path && link.anchor)
+        .forEach(link => {
+          const target = link.path.split('#')[0];
+          if (!mapAnchors.has(target)) mapAnchors.set(target, new Set());
+          mapAnchors.get(target).add(normalizeAnchor(link.anchor));
+        });
+    });
+  }
+
+  console.log('\n🔤 Anchor Text by Target');
+  console.log('======================');
+  console.log('(content links only; ✓ = map anchor, ⚠️ = generic or repeated on more than ' + maxRepeats + ' pages)');
+
+  [...distribution.values()]
+    .sort((a, b) => b.total - a.total || a.target.localeCompare(b.target))
+    .forEach(entry => {
+      console.log(`\n  ${entry.target} — ${entry.total} links, ${entry.anchors.size} distinct anchors`);
+      [...entry.anchors.entries()]
+        .sort((a, b) => b[1].links - a[1].links)
+        .forEach(([key, anchor]) => {
+          const share = `${Math.round((anchor.links / entry.total) * 100)}%`;
+          const planned = mapAnchors.has(entry.target) && mapAnchors.get(entry.target).has(key) ? '✓' : ' ';
+          const warn = isGenericAnchor(anchor.text) || anchor.sources.size > maxRepeats ? '⚠️' : '  ';
+          console.log(`    ${warn} ${planned} ${String(anchor.links).padStart(4)} ${share.padStart(5)} ${String(anchor.sources.size).padStart(4)} pages  "${anchor.text}"`);
+        });
+    });
+
+  const repeated = findRepeatedAnchors(distribution, maxRepeats);
+  if (repeated.length > 0) {
+    console.log('\n⚠️  Exact-match anchors repeated across many pages:');
+    repeated.forEach(anchor => {
+      console.log(`  "${anchor.text}" → ${anchor.target} on ${anchor.pages} pages (${Math.round(anchor.share * 100)}% of its content links)`);
+    });
+    console.log('  Vary the wording on some pages so the target is not linked with one keyword everywhere.');
+  }
+}
+
+/**
+ * Home page of the site in the current directory: the hierarchy's home,
+ * then index.html, then the first global link of the interlinking map
+ */
+function findHomePage(pages) {
+  if (fs.existsSync('site-hierarchy.json')) {
+    const { home } = JSON.parse(fs.readFileSync('site-hierarchy.json', 'utf8'));
+    if (pages.includes(home)) return home;
+  }
+  if (pages.includes('index.html')) return 'index.html';
+  return interlinkingMap && interlinkingMap.globals ? interlinkingMap.globals[0] : pages[0];
+}
+
+/**
+ * Build and analyse the page → page link graph
+ */
+function buildSiteGraph(results) {
+  const pages = results.map(result => result.file);
+  const home = findHomePage(pages);
+  const resolvePage = (href, source) => {
+    if (PLACEHOLDER_REGEX.test(href)) return null;
+    return resolveTarget(href, source).file;
+  };
+
+  const graph = buildLinkGraph(results, pages, resolvePage);
+  const analysis = analyzeLinkGraph(graph, {
+    home,
+    globals: interlinkingMap ? interlinkingMap.globals || [] : []
+  });
+  const groups = pageGroups(pages, {
+    home,
+    areas: fs.existsSync('service-areas.json') ? loadServiceAreas() : [],
+    groups: interlinkingMap ? interlinkingMap.groups || {} : {}
+  });
+
+  return { graph, analysis, groups };
+}
+
+/**
+ * Print the link graph report: orphans, dead ends, click depth,
+ * inbound links and global links missing from pages
+ */
+function generateGraphReport({ analysis }) {
+  console.log('\n🕸️  Link Graph');
+  console.log('=============\n');
+  console.log(`  Home page: ${analysis.home}`);
+
+  const listPages = (label, pages) => {
+    console.log(`\n${label} (${pages.length}):`);
+    if (pages.length === 0) {
+      console.log('  none');
+    }
+    pages.forEach(page => console.log(`  - ${page}`));
+  };
+  listPages('🏝️  Orphan pages — no inbound links', analysis.orphans);
+  listPages('🧱 Dead ends — no outbound internal links', analysis.deadEnds);
+  listPages('🚫 Unreachable from the home page', analysis.unreachable);
+
+  const byDepth = {};
+  analysis.depths.forEach(depth => {
+    byDepth[depth] = (byDepth[depth] || 0) + 1;
+  });
+  console.log('\n📏 Click depth from the home page:');
+  Object.keys(byDepth).forEach(depth => {
+    console.log(`  ${depth} click${depth === '1' ? '' : 's'}: ${byDepth[depth]} pages`);
+  });
+
+  console.log('\n📥 Inbound links per page (linking pages / links / depth):');
+  analysis.inbound.forEach(entry => {
+    const depth = entry.depth === null ? '—' : entry.depth;
+    console.log(`  ${String(entry.pages).padStart(4)} ${String(entry.links).padStart(5)} ${String(depth).padStart(5)}  ${entry.page}`);
+  });
+
+  if (interlinkingMap) {
+    console.log('\n🌐 Globals not linked from every page:');
+    if (analysis.missingGlobals.length === 0) {
+      console.log('  none — every global is linked from every page');
+    }
+    analysis.missingGlobals.forEach(global => {
+      console.log(`  ${global.page} — missing from ${global.missingFrom.length} pages: ${global.missingFrom.join(', ')}`);
+    });
+  }
+}
+
+/**
+ * Output files given with --graph <file> (repeatable)
+ */
+function graphOutputs(argv) {
+  return argv
+    .map((arg, index) => (arg === '--graph' ? argv[index + 1] : null))
+    .filter(Boolean);
+}
+
 /**
  * Generate a link map for documentation
  */
@@ -221,7 +623,7 @@ function generateLinkMap(results) {
     linkMap[result.file] = result.links.map(link => ({
       href: link.href,
       text: link.text,
-      exists: fileExists(link.href)
+      exists: fileExists(link.href, result.file)
     }));
   });
   
@@ -249,12 +651,27 @@ function main() {
       return analyzeFile(file);
     } catch (error) {
       console.error(`❌ Error analyzing ${file}:`, error.message);
-      return { file, links: [], broken: [], validation: [], total: 0 };
+      // A page that cannot be read still fails the run
+      return { file, links: [], resources: [], broken: [], fragments: [], placeholders: [], genericAnchors: [], missingResources: [], validation: [], error: error.message, total: 1 };
     }
   });
   
   generateReport(results);
   
+  generateAnchorReport(results);
+  
+  const siteGraph = buildSiteGraph(results);
+  generateGraphReport(siteGraph);
+  
+  graphOutputs(process.argv).forEach(file => {
+    try {
+      writeLinkGraph(file, siteGraph.graph, siteGraph.analysis, siteGraph.groups, `Link graph — ${path.basename(process.cwd())}`);
+      console.log(`\n📄 Link graph written to ${file}`);
+    } catch (error) {
+      console.error(`\n❌ Could not write ${file}:`, error.message);
+    }
+  });
+  
   // Generate link map if requested
   if (process.argv.includes('--map')) {
     generateLinkMap(results);
@@ -271,4 +688,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { extractLinks, analyzeFile, validateAgainstMap };
+module.exports = { extractLinks, extractResources, resolveTarget, analyzeFile, validateAgainstMap, buildSiteGraph };
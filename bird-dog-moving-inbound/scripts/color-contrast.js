@@ -0,0 +1,166 @@
+/**
+ * Color Contrast
+ * Parses CSS colors, computes WCAG 2 contrast ratios between them and finds
+ * the nearest shade of a color that passes
+ */
+
+// Minimum contrast ratios from WCAG 2.1 (1.4.3 and 1.4.6)
+const WCAG_LEVELS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
+
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  red: '#ff0000',
+  green: '#008000',
+  blue: '#0000ff',
+  yellow: '#ffff00',
+  gray: '#808080',
+  grey: '#808080',
+  silver: '#c0c0c0',
+  navy: '#000080',
+  teal: '#008080',
+  orange: '#ffa500',
+  transparent: 'rgba(0, 0, 0, 0)'
+};
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Number from a CSS channel: plain, percentage (of `scale`) or, for alpha,
+ * a fraction
+ */
+function parseChannel(value, scale) {
+  const number = parseFloat(value);
+  if (Number.isNaN(number)) return null;
+  return value.trim().endsWith('%') ? (number / 100) * scale : number;
+}
+
+function hslToRgb(h, s, l) {
+  const hue = ((h % 360) + 360) % 360 / 360;
+  if (s === 0) return [l, l, l].map(value => value * 255);
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  return [hue + 1 / 3, hue, hue - 1 / 3].map(t => {
+    const x = t < 0 ? t + 1 : t > 1 ? t - 1 : t;
+    if (x < 1 / 6) return (p + (q - p) * 6 * x) * 255;
+    if (x < 1 / 2) return q * 255;
+    if (x < 2 / 3) return (p + (q - p) * (2 / 3 - x) * 6) * 255;
+    return p * 255;
+  });
+}
+
+/**
+ * { r, g, b, a } (0–255, alpha 0–1) for hex, rgb(), hsl() and basic named
+ * colors, or null for anything else (gradients, color-mix(), var())
+ */
+function parseColor(value) {
+  const color = String(value).trim().toLowerCase();
+  if (NAMED_COLORS[color]) return parseColor(NAMED_COLORS[color]);
+
+  const hex = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    const digits = hex[1].length <= 4 ? hex[1].split('').map(digit => digit + digit).join('') : hex[1];
+    const channels = digits.match(/../g).map(pair => parseInt(pair, 16));
+    return { r: channels[0], g: channels[1], b: channels[2], a: channels.length === 4 ? channels[3] / 255 : 1 };
+  }
+
+  const functional = color.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+  if (!functional) return null;
+
+  const parts = functional[2].split(/\s*[,/]\s*|\s+/).filter(Boolean);
+  if (parts.length < 3) return null;
+  const alpha = parts[3] !== undefined ? parseChannel(parts[3], 1) : 1;
+
+  let rgb;
+  if (functional[1].startsWith('rgb')) {
+    rgb = parts.slice(0, 3).map(part => parseChannel(part, 255));
+  } else {
+    const [h, s, l] = [parseFloat(parts[0]), parseChannel(parts[1], 1), parseChannel(parts[2], 1)];
+    rgb = [h, s, l].some(channel => channel === null || Number.isNaN(channel)) ? [null] : hslToRgb(h, s, l);
+  }
+  if (rgb.some(channel => channel === null) || alpha === null) return null;
+
+  const [r, g, b] = rgb.map(channel => clamp(channel, 0, 255));
+  return { r, g, b, a: clamp(alpha, 0, 1) };
+}
+
+/**
+ * `color` painted over an opaque `backdrop`
+ */
+function composite(color, backdrop) {
+  if (color.a >= 1) return color;
+  const mix = channel => color[channel] * color.a + backdrop[channel] * (1 - color.a);
+  return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+}
+
+function relativeLuminance({ r, g, b }) {
+  const linear = channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * WCAG contrast ratio (1–21) of text over a background. Translucent
+ * backgrounds are laid over white, translucent text over the background.
+ */
+function contrastRatio(foreground, background) {
+  const white = { r: 255, g: 255, b: 255, a: 1 };
+  const bg = composite(typeof background === 'string' ? parseColor(background) : background, white);
+  const fg = composite(typeof foreground === 'string' ? parseColor(foreground) : foreground, bg);
+  const [light, dark] = [relativeLuminance(fg), relativeLuminance(bg)].sort((a, b) => b - a);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+function rgbToHsl({ r, g, b }) {
+  const [red, green, blue] = [r, g, b].map(channel => channel / 255);
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const l = (max + min) / 2;
+  if (max === min) return { h: 0, s: 0, l };
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === red) h = (green - blue) / d + (green < blue ? 6 : 0);
+  else if (max === green) h = (blue - red) / d + 2;
+  else h = (red - green) / d + 4;
+  return { h: h * 60, s, l };
+}
+
+/**
+ * The shade of `color` (same hue and saturation) closest in lightness that
+ * reaches `minRatio` against `against`, or null if none does. With
+ * `role: 'background'` the shade is the background under `against` text.
+ */
+function nearestPassingColor(color, against, minRatio, role = 'foreground') {
+  const { h, s, l } = rgbToHsl(color);
+  const ratioFor = candidate => (role === 'foreground' ? contrastRatio(candidate, against) : contrastRatio(against, candidate));
+
+  for (let step = 0; step <= 1000; step++) {
+    const candidates = [l - step / 1000, l + step / 1000]
+      .filter(lightness => lightness >= 0 && lightness <= 1)
+      .map(lightness => {
+        const [r, g, b] = hslToRgb(h, s, lightness);
+        return parseColor(toHex({ r, g, b }));
+      })
+      .filter(candidate => ratioFor(candidate) >= minRatio);
+    if (candidates.length > 0) {
+      const best = candidates[0];
+      return { color: toHex(best), ratio: ratioFor(best) };
+    }
+  }
+  return null;
+}
+
+function toHex({ r, g, b }) {
+  return '#' + [r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+module.exports = { WCAG_LEVELS, parseColor, composite, relativeLuminance, contrastRatio, nearestPassingColor, toHex };
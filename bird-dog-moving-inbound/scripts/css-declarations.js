@@ -0,0 +1,239 @@
+/**
+ * CSS Declaration Parser
+ * Finds the CSS in an HTML document (<style> blocks and style="" attributes)
+ * and splits it into declarations, or a stylesheet into rules, with their
+ * source offsets. Comments, strings, selectors and at-rule preludes are
+ * never reported as values.
+ */
+
+// Comments and scripts are matched only so they can be skipped
+const HTML_SOURCE_REGEX = /<!--[\s\S]*?-->|<script\b[^>]*>[\s\S]*?<\/script\s*>|(<style\b[^>]*>)([\s\S]*?)<\/style\s*>|<[a-zA-Z][\w-]*(?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*\s*\/?>/gi;
+
+const STYLE_ATTRIBUTE_REGEX = /(\sstyle\s*=\s*)(?:"([^"]*)"|'([^']*)')/i;
+
+// A declaration segment: optional leading comments, property, colon, value
+const DECLARATION_REGEX = /^((?:\s|\/\*[\s\S]*?\*\/)*)(--[\w-]+|-?[a-zA-Z][\w-]*)(\s*:\s*)([\s\S]*?)(\s*!\s*important)?\s*$/i;
+
+// At-rules whose block holds ordinary rules, listed one by one by parseRules
+const GROUPING_AT_RULE_REGEX = /^@(?:media|supports|container)\b/i;
+
+/**
+ * CSS sources in an HTML document: { type: 'style' | 'attribute', css, offset }
+ * where offset is the index of the CSS text within the document
+ */
+function findStyleSources(html) {
+  const sources = [];
+
+  for (const match of html.matchAll(HTML_SOURCE_REGEX)) {
+    if (match[1] !== undefined) {
+      sources.push({ type: 'style', css: match[2], offset: match.index + match[1].length });
+      continue;
+    }
+
+    const tag = match[0];
+    if (tag.startsWith('<!--') || /^<script\b/i.test(tag)) continue;
+
+    const attribute = tag.match(STYLE_ATTRIBUTE_REGEX);
+    if (attribute) {
+      const css = attribute[2] !== undefined ? attribute[2] : attribute[3];
+      // +1 skips the opening quote
+      sources.push({ type: 'attribute', css, offset: match.index + attribute.index + attribute[1].length + 1 });
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Split CSS into declarations:
+ * { property, value, important, start, valueStart, valueEnd, end, selector, block }
+ * Offsets are relative to the CSS text (`end` is where the ; or } closing
+ * the declaration sits); `selector` is the prelude of the
+ * enclosing block ('' inline) and `block` numbers the blocks in order, so
+ * declarations of the same rule share it. Inline CSS (a style attribute) is
+ * a bare declaration list; a stylesheet only has declarations inside blocks.
+ */
+function parseDeclarations(css, inline = false) {
+  const declarations = [];
+  const blocks = inline ? [{ selector: '', block: 0 }] : [];
+  let blockCount = blocks.length;
+  let depth = inline ? 1 : 0;
+  let parens = 0;
+  let segmentStart = 0;
+
+  const endSegment = end => {
+    if (depth === 0) return;
+    const text = css.slice(segmentStart, end);
+    const match = text.match(DECLARATION_REGEX);
+    if (!match || match[4] === '') return;
+
+    const [, leading, property, separator, value] = match;
+    const start = segmentStart + leading.length;
+    const valueStart = start + property.length + separator.length;
+    const { selector, block } = blocks[blocks.length - 1];
+    declarations.push({
+      property,
+      value,
+      important: Boolean(match[5]),
+      start,
+      valueStart,
+      valueEnd: valueStart + value.length,
+      end,
+      selector,
+      block
+    });
+  };
+
+  for (let i = 0; i < css.length; i++) {
+    const char = css[i];
+
+    if (char === '/' && css[i + 1] === '*') {
+      const close = css.indexOf('*/', i + 2);
+      i = close === -1 ? css.length : close + 1;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let j = i + 1;
+      while (j < css.length && css[j] !== char) {
+        j += css[j] === '\\' ? 2 : 1;
+      }
+      i = j;
+      continue;
+    }
+
+    if (char === '(') parens++;
+    if (char === ')') parens = Math.max(0, parens - 1);
+    if (parens > 0) continue;
+
+    if (char === '{') {
+      const selector = css.slice(segmentStart, i).replace(/\/\*[\s\S]*?\*\//g, '').replace(/\s+/g, ' ').trim();
+      blocks.push({ selector, block: blockCount++ });
+      depth++;
+      segmentStart = i + 1;
+    } else if (char === '}') {
+      endSegment(i);
+      blocks.pop();
+      depth = Math.max(0, depth - 1);
+      segmentStart = i + 1;
+    } else if (char === ';') {
+      endSegment(i);
+      segmentStart = i + 1;
+    }
+  }
+  endSegment(css.length);
+
+  return declarations;
+}
+
+/**
+ * Index of the first of `stops` at or after `index` that is outside
+ * comments, strings and parentheses; `end` when there is none
+ */
+function scanTo(css, index, stops, end = css.length) {
+  let parens = 0;
+  for (let i = index; i < end; i++) {
+    const char = css[i];
+
+    if (char === '/' && css[i + 1] === '*') {
+      const close = css.indexOf('*/', i + 2);
+      i = close === -1 ? end : close + 1;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let j = i + 1;
+      while (j < end && css[j] !== char) {
+        j += css[j] === '\\' ? 2 : 1;
+      }
+      i = j;
+      continue;
+    }
+
+    if (char === '(') parens++;
+    else if (char === ')') parens = Math.max(0, parens - 1);
+    else if (parens === 0 && stops.includes(char)) return i;
+  }
+  return end;
+}
+
+/**
+ * Index of the } closing the block opened at `open`
+ */
+function closingBrace(css, open, end = css.length) {
+  let depth = 1;
+  let i = open;
+  while (depth > 0) {
+    i = scanTo(css, i + 1, '{}', end);
+    if (i >= end) return end;
+    depth += css[i] === '{' ? 1 : -1;
+  }
+  return i;
+}
+
+/**
+ * Split a stylesheet into its rules:
+ * { selector, context, start, end, bodyStart, bodyEnd, group, atRule }
+ * `start` takes in the comments just before the rule, `end` follows its
+ * closing brace, and the declarations are css.slice(bodyStart, bodyEnd).
+ * Rules inside @media, @supports and @container are listed one by one with
+ * the at-rule's prelude as `context` and its span ({ start, end }) as
+ * `group`. Any other at-rule with a block (@font-face, @keyframes...) is a
+ * single rule with its prelude as the selector and `atRule` set; statements
+ * such as @import are skipped.
+ */
+function parseRules(css, from = 0, to = css.length, group = null) {
+  const rules = [];
+  let index = from;
+
+  while (index < to) {
+    const offset = css.slice(index, to).search(/\S/);
+    if (offset === -1) break;
+    const start = index + offset;
+    const open = scanTo(css, start, '{};', to);
+    if (open >= to) break;
+    if (css[open] !== '{') {
+      index = open + 1;
+      continue;
+    }
+
+    const close = closingBrace(css, open, to);
+    const end = Math.min(close + 1, to);
+    const prelude = css.slice(start, open).replace(/\/\*[\s\S]*?\*\//g, '').replace(/\s+/g, ' ').trim();
+
+    if (!group && GROUPING_AT_RULE_REGEX.test(prelude)) {
+      rules.push(...parseRules(css, open + 1, close, { context: prelude, start, end }));
+    } else {
+      rules.push({
+        selector: prelude,
+        context: group ? group.context : '',
+        start,
+        end,
+        bodyStart: open + 1,
+        bodyEnd: close,
+        group: group ? { start: group.start, end: group.end } : null,
+        atRule: prelude.startsWith('@')
+      });
+    }
+    index = end;
+  }
+
+  return rules;
+}
+
+/**
+ * Every declaration in an HTML document, with offsets into the document
+ */
+function findDeclarations(html) {
+  return findStyleSources(html).flatMap(source =>
+    parseDeclarations(source.css, source.type === 'attribute').map(declaration => ({
+      ...declaration,
+      source: source.type,
+      start: source.offset + declaration.start,
+      valueStart: source.offset + declaration.valueStart,
+      valueEnd: source.offset + declaration.valueEnd
+    }))
+  );
+}
+
+module.exports = { findStyleSources, parseDeclarations, parseRules, findDeclarations };
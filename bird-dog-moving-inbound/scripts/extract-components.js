@@ -0,0 +1,635 @@
+#!/usr/bin/env node
+
+/**
+ * Component Extractor
+ * Moves the CSS rules that pages repeat in their <style> block into one
+ * components.css, next to the site's other component stylesheets (the folder
+ * of the breadcrumb stylesheet in site-hierarchy.json, else css/), and links
+ * it after the site's tokens.css in their place. A rule is shared when at
+ * least two pages (--min-pages) have the same selector with the same
+ * declarations; a page whose version adds or changes declarations keeps only
+ * those, as an override. Custom properties on :root that tokens.css defines
+ * with the same value are dropped too; any other value stays on the page and
+ * is reported. Pages whose version of a shared rule leaves out one of its
+ * properties, or whose markup a shared rule would style for the first time,
+ * are reported and left alone, unless named with --adopt (comma-separated,
+ * or "all") to take components.css anyway; pages already on it are linked
+ * to tokens.css once the site has one. When components.css exists, its
+ * rules are the shared ones and new shared rules are appended. Repeated
+ * style="" attributes are listed, not moved: no class outranks them.
+ * components.css is written in the site's tokens: values the token index
+ * has a token for become var() references and legacy alias names their
+ * semantic token, and rules are compared between pages the same way.
+ * Prints a diff by default; --write applies, --undo restores the last run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const glob = require('glob');
+const { runMigration } = require('./migration-run.js');
+const { readPage } = require('./page-layout.js');
+const { findStyleSources, parseDeclarations, parseRules } = require('./css-declarations.js');
+const { collectCustomProperties, resolveVariables } = require('./check-a11y.js');
+const { loadTokenIndex, sameValue } = require('./token-index.js');
+const { replaceValue } = require('./apply-tokens.js');
+
+const COMPONENTS_FILE = 'components.css';
+const DEFAULT_DIR = 'css';
+const HIERARCHY_FILE = 'site-hierarchy.json';
+const TOKENS_CONFIG = 'tokens.config.json';
+const MIN_PAGES = 2;
+
+const STYLE_REGEX = /<style\b[^>]*>([\s\S]*?)<\/style\s*>/i;
+const STYLESHEET_REGEX = /<!-- generated:components-css -->[\s\S]*?<!-- \/generated:components-css -->/;
+const STYLESHEET_LINE_REGEX = new RegExp(`\\n[ \\t]*${STYLESHEET_REGEX.source}(?=[ \\t]*\\n)`);
+const ROOT_SELECTOR_REGEX = /^(?::root|html)(?:\s*,\s*(?::root|html))*$/;
+const URL_REGEX = /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi;
+const CLASS_ATTRIBUTE_REGEX = /\sclass\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+const TOKEN_REFERENCE_REGEX = /var\(\s*--([\w-]+)/g;
+
+// Replaces removed CSS until the lines it leaves empty are dropped
+const REMOVED = '\u0000';
+
+/**
+ * A value as compared between pages: whitespace collapsed, no spaces around
+ * commas and parentheses, leading zeros added and hex colors lowercased
+ */
+function normalizeValue(value) {
+  return value
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([,()])\s*/g, '$1')
+    .replace(/(^|[^\w.-])\.(\d)/g, (match, before, digit) => `${before}0.${digit}`)
+    .replace(/#[0-9a-f]{3,8}\b/gi, hex => hex.toLowerCase());
+}
+
+/**
+ * The semantic token a legacy alias name stands for (names without --),
+ * following aliases of aliases; other names are returned as they are
+ */
+function semanticName(name, aliases) {
+  const seen = new Set([name]);
+  let target = name;
+  while (aliases[target] && !seen.has(aliases[target])) {
+    target = aliases[target];
+    seen.add(target);
+  }
+  return target;
+}
+
+/**
+ * The token index without the tokens in `names`, for rewriting literals:
+ * a page that sets one of them would restyle a literal rewritten to it
+ */
+function withoutTokens(index, names) {
+  const byValue = new Map([...index.byValue].map(([value, tokens]) => [value, tokens.filter(token => !names.has(token.name))]));
+  return { ...index, byValue };
+}
+
+/**
+ * A declaration value in the site's tokens: literals the token index has a
+ * token for become var() references, legacy alias names their semantic token
+ */
+function tokenValue(property, value, index) {
+  const semantic = value.replace(TOKEN_REFERENCE_REGEX, (match, name) => {
+    const target = semanticName(name, index.aliases);
+    return target === name ? match : `var(--${target}`;
+  });
+  const trimmed = semantic.trim();
+  return trimmed ? semantic.replace(trimmed, replaceValue(property, trimmed, index)) : semantic;
+}
+
+/**
+ * A stylesheet with every declaration value in the site's tokens; each
+ * value changed is added to `replacements` as { property, from, to }
+ */
+function tokenizeStylesheet(css, index, replacements = []) {
+  // Replace from the end so earlier offsets stay valid
+  return parseDeclarations(css).reverse().reduce((result, declaration) => {
+    const value = tokenValue(declaration.property, declaration.value, index);
+    if (value === declaration.value) return result;
+    replacements.unshift({ property: declaration.property, from: declaration.value.trim(), to: value.trim() });
+    return result.slice(0, declaration.valueStart) + value + result.slice(declaration.valueEnd);
+  }, css);
+}
+
+/**
+ * What identifies a rule across pages: its @media context and selector,
+ * with whitespace normalised
+ */
+function ruleKey(rule) {
+  const selector = rule.selector.replace(/\s*([>+~,])\s*/g, '$1');
+  return rule.context ? `${rule.context.replace(/\s*([():,])\s*/g, '$1')} ${selector}` : selector;
+}
+
+/**
+ * The rules of a stylesheet with their declarations, key and signature (the
+ * normalised declarations, equal for rules that do the same thing). With
+ * the site's token `index`, signatures compare values in its tokens, so
+ * `#fff` on a page matches `var(--color-text-inverse)` in components.css.
+ */
+function readRules(css, index = null) {
+  return parseRules(css).map(rule => {
+    const body = css.slice(rule.bodyStart, rule.bodyEnd);
+    const declarations = rule.atRule ? [] : parseDeclarations(body, true).map((declaration, position, list) => {
+      const property = declaration.property.startsWith('--') ? declaration.property : declaration.property.toLowerCase();
+      // Comment lines just above a declaration go with it
+      const segmentStart = position === 0 ? 0 : list[position - 1].end + 1;
+      const lineBreak = body.slice(segmentStart, declaration.start).indexOf('\n');
+      return {
+        property,
+        value: declaration.value.replace(/\s+/g, ' ').trim(),
+        important: declaration.important,
+        start: rule.bodyStart + (lineBreak === -1 ? declaration.start : segmentStart + lineBreak + 1),
+        end: rule.bodyStart + declaration.end,
+        signature: `${property}:${normalizeValue(index ? tokenValue(property, declaration.value, index) : declaration.value)}${declaration.important ? '!important' : ''}`
+      };
+    });
+
+    return {
+      ...rule,
+      key: ruleKey(rule),
+      declarations,
+      body: body.trim(),
+      signature: rule.atRule ? normalizeValue(body) : declarations.map(declaration => declaration.signature).join(';')
+    };
+  });
+}
+
+/**
+ * :root/html rules outside @media, whose custom properties are tokens
+ */
+function isTokenRule(rule) {
+  return !rule.context && ROOT_SELECTOR_REGEX.test(rule.selector);
+}
+
+/**
+ * Rewrite relative url()s for CSS moved from folder `from` to folder `to`
+ */
+function rebaseUrls(css, from, to) {
+  return css.replace(URL_REGEX, (match, quote, url) => {
+    if (/^(?:[a-z][\w+.-]*:|\/|#)/i.test(url)) return match;
+    return `url(${quote}${path.posix.relative(to || '.', path.posix.join(from || '.', url))}${quote})`;
+  });
+}
+
+/**
+ * The rules to share, by key: those already in components.css (`reference`),
+ * then for every other selector its most common version, when at least
+ * `minPages` pages have it. With `tokens`, :root custom properties are left
+ * to tokens.css rather than shared.
+ */
+function findSharedRules(pages, { minPages = MIN_PAGES, reference = [], tokens = null } = {}) {
+  const shared = new Map(reference.map(rule => [rule.key, rule]));
+  const versions = new Map();
+
+  pages.forEach(page => {
+    const seen = new Set();
+    page.rules.forEach(rule => {
+      if (seen.has(rule.key) || shared.has(rule.key) || (tokens && isTokenRule(rule))) return;
+      seen.add(rule.key);
+      if (!versions.has(rule.key)) versions.set(rule.key, new Map());
+      const bySignature = versions.get(rule.key);
+      const entry = bySignature.get(rule.signature) || { rule, count: 0 };
+      entry.count++;
+      bySignature.set(rule.signature, entry);
+    });
+  });
+
+  versions.forEach((bySignature, key) => {
+    const best = [...bySignature.values()].sort((a, b) => b.count - a.count)[0];
+    if (best.count >= minPages) shared.set(key, best.rule);
+  });
+  return shared;
+}
+
+/**
+ * How a page's version of a shared rule differs from it: `same` are the
+ * declarations components.css already makes, `missing` the properties the
+ * shared rule sets that the page's version doesn't (or sets !important over
+ * the page's value). With nothing missing, the rest is a clean override.
+ */
+function compareRule(rule, shared) {
+  if (rule.atRule || shared.atRule) return { same: [], missing: [shared.selector] };
+
+  const sharedSignatures = new Set(shared.declarations.map(declaration => declaration.signature));
+  const pageSignatures = new Set(rule.declarations.map(declaration => declaration.signature));
+  const properties = new Set(rule.declarations.map(declaration => declaration.property));
+  const same = [];
+  const kept = [];
+  rule.declarations.forEach(declaration => {
+    // A shorthand kept above it would reset it if it were dropped
+    const shadowed = kept.some(other => declaration.property.startsWith(`${other.property}-`));
+    (sharedSignatures.has(declaration.signature) && !shadowed ? same : kept).push(declaration);
+  });
+
+  const missing = shared.declarations
+    .filter(declaration => !properties.has(declaration.property) || (declaration.important && !pageSignatures.has(declaration.signature)))
+    .map(declaration => declaration.property);
+  return { same, missing: [...new Set(missing)] };
+}
+
+/**
+ * Class names on the page, from its class attributes
+ */
+function pageClasses(html) {
+  const classes = new Set();
+  for (const match of html.matchAll(CLASS_ATTRIBUTE_REGEX)) {
+    (match[1] !== undefined ? match[1] : match[2]).split(/\s+/).filter(Boolean).forEach(name => classes.add(name));
+  }
+  return classes;
+}
+
+/**
+ * Whether a selector could match something on the page: some part of the
+ * list names only classes and attributes the page uses
+ */
+function selectorApplies(selector, html, classes) {
+  return selector.split(',').some(part => {
+    const names = [...part.matchAll(/\.((?:\\.|[\w-])+)/g)].map(match => match[1].replace(/\\(.)/g, '$1'));
+    const attributes = [...part.matchAll(/\[\s*([\w-]+)/g)].map(match => match[1]);
+    return names.every(name => classes.has(name)) &&
+      attributes.every(name => new RegExp(`\\s${name}(?:\\s*=|[\\s>/])`, 'i').test(html));
+  });
+}
+
+/**
+ * What moving to components.css does to a page's <style>:
+ * { drop, trim, conflicts, tokenOverrides, renames }
+ * `drop` are rules that go, `trim` the declarations that go from rules that
+ * stay ({ rule, declarations }), `conflicts` what the page would lose or
+ * gain ({ key, missing } for its own version, { key, added: true } for a
+ * rule it doesn't have) and `tokenOverrides` the custom properties it sets
+ * differently from tokens.css. Of those, the legacy `aliases` it sets are
+ * set under their semantic name instead (`renames`, { property, to }), as
+ * components.css refers to that. `html` (the page as built) is needed to
+ * find the shared rules that would start to style the page.
+ */
+function planPage(page, shared, { tokens = null, html = null, aliases = {} } = {}) {
+  const plan = { drop: [], trim: [], conflicts: [], tokenOverrides: [], renames: [] };
+  const seen = new Set();
+
+  page.rules.forEach(rule => {
+    if (tokens && isTokenRule(rule)) {
+      const custom = rule.declarations.filter(declaration => declaration.property.startsWith('--'));
+      const same = custom.filter(declaration => {
+        if (!tokens.has(declaration.property)) return false;
+        const defined = tokens.get(declaration.property);
+        const resolved = resolveVariables(defined, tokens);
+        return [defined, resolved].some(value => value !== null && sameValue(value, declaration.value));
+      });
+      custom.filter(declaration => !same.includes(declaration)).forEach(declaration => {
+        plan.tokenOverrides.push({
+          property: declaration.property,
+          value: declaration.value,
+          tokens: tokens.has(declaration.property) ? resolveVariables(tokens.get(declaration.property), tokens) : null
+        });
+        const to = `--${semanticName(declaration.property.slice(2), aliases)}`;
+        if (to !== declaration.property) plan.renames.push({ property: declaration.property, to });
+      });
+      if (same.length === rule.declarations.length) plan.drop.push(rule);
+      else if (same.length > 0) plan.trim.push({ rule, declarations: same });
+      return;
+    }
+
+    if (seen.has(rule.key)) return;
+    seen.add(rule.key);
+    if (!shared.has(rule.key)) return;
+
+    const sharedRule = shared.get(rule.key);
+    if (rule.signature === sharedRule.signature) {
+      plan.drop.push(rule);
+      return;
+    }
+    const { same, missing } = compareRule(rule, sharedRule);
+    if (missing.length > 0) plan.conflicts.push({ key: rule.key, missing });
+    if (same.length > 0) plan.trim.push({ rule, declarations: same });
+  });
+
+  if (html !== null) {
+    const classes = pageClasses(html);
+    shared.forEach((rule, key) => {
+      if (!seen.has(key) && !(tokens && isTokenRule(rule)) && selectorApplies(rule.selector, html, classes)) {
+        plan.conflicts.push({ key, added: true });
+      }
+    });
+  }
+  return plan;
+}
+
+/**
+ * The <style> CSS without the dropped rules and declarations. Lines left
+ * empty go, and so does an @media block left without rules.
+ */
+function stripStyle(css, plan, rules) {
+  const spans = [];
+  const dropped = new Set(plan.drop);
+  const groups = new Map();
+  rules.filter(rule => rule.group).forEach(rule => {
+    const key = rule.group.start;
+    if (!groups.has(key)) groups.set(key, { ...rule.group, rules: [] });
+    groups.get(key).rules.push(rule);
+  });
+
+  groups.forEach(group => {
+    if (group.rules.every(rule => dropped.has(rule))) {
+      spans.push(group);
+      group.rules.forEach(rule => dropped.delete(rule));
+    }
+  });
+  dropped.forEach(rule => spans.push(rule));
+  plan.trim.forEach(({ declarations }) => declarations.forEach(declaration => {
+    const end = css[declaration.end] === ';' ? declaration.end + 1 : declaration.end;
+    spans.push({ start: declaration.start, end: end + css.slice(end).match(/^[ \t]*/)[0].length });
+  }));
+
+  let stripped = css;
+  spans.sort((a, b) => b.start - a.start).forEach(span => {
+    stripped = stripped.slice(0, span.start) + REMOVED + stripped.slice(span.end);
+  });
+
+  // A blank line left on both sides of what was removed is kept once
+  const lines = [];
+  let removedAbove = false;
+  stripped.split('\n').forEach(line => {
+    const text = line.split(REMOVED).join('');
+    if (text.trim() === '' && (line.includes(REMOVED) || (removedAbove && lines.length > 0 && lines[lines.length - 1].trim() === ''))) {
+      removedAbove = removedAbove || line.includes(REMOVED);
+      return;
+    }
+    removedAbove = false;
+    lines.push(text);
+  });
+  return lines.join('\n');
+}
+
+/**
+ * The generated <link>s to `hrefs`, in order
+ */
+function stylesheetMarker(hrefs) {
+  const links = hrefs.map(href => `<link rel="stylesheet" href="${href}" />`).join('');
+  return `<!-- generated:components-css -->${links}<!-- /generated:components-css -->`;
+}
+
+/**
+ * The page linking `hrefs` (tokens.css, then components.css) just before its
+ * <style>, which keeps only what the page doesn't share. The <style> goes
+ * when nothing is left in it.
+ */
+function toComponentPage(html, plan, rules, hrefs) {
+  const source = html.replace(STYLESHEET_LINE_REGEX, '').replace(STYLESHEET_REGEX, '');
+  const style = source.match(STYLE_REGEX);
+  const cssStart = style.index + style[0].indexOf('>') + 1;
+  const css = (plan.renames || []).reduce((result, { property, to }) =>
+    result.replace(new RegExp(`(^|[^\\w-])${property}(?=\\s*:)`, 'g'), `$1${to}`), stripStyle(style[1], plan, rules));
+
+  const marker = stylesheetMarker(hrefs);
+  const lineStart = source.lastIndexOf('\n', style.index - 1) + 1;
+  const indent = source.slice(lineStart, style.index);
+
+  if (css.trim() === '') {
+    return source.slice(0, style.index) + marker + source.slice(style.index + style[0].length);
+  }
+  const placed = /^[ \t]*$/.test(indent) ? `${marker}\n${indent}` : marker;
+  return source.slice(0, style.index) + placed + source.slice(style.index, cssStart) + css + source.slice(cssStart + style[1].length);
+}
+
+/**
+ * A rule as written to components.css, with url()s made relative to it
+ */
+function formatRule(rule, indent, dir) {
+  if (rule.atRule) return `${indent}${rule.selector} {\n${indent}  ${rebaseUrls(rule.body, '', dir)}\n${indent}}`;
+  const selector = rule.selector.replace(/\s*,\s*(?![^([]*[)\]])/g, ', ');
+  const declarations = rule.declarations.map(declaration =>
+    `${indent}  ${declaration.property}: ${rebaseUrls(declaration.value, '', dir)}${declaration.important ? ' !important' : ''};`
+  );
+  return `${indent}${selector} {\n${declarations.join('\n')}\n${indent}}`;
+}
+
+/**
+ * Rules as components.css text, those sharing an @media block grouped in it
+ */
+function formatRules(rules, dir) {
+  const blocks = [];
+  rules.forEach(rule => {
+    const last = blocks[blocks.length - 1];
+    if (rule.context && last && last.key === ruleKey({ ...rule, selector: '' })) last.rules.push(rule);
+    else blocks.push({ context: rule.context, key: ruleKey({ ...rule, selector: '' }), rules: [rule] });
+  });
+
+  return blocks.map(block => (block.context
+    ? `${block.context.replace(/^(@[\w-]+)\s*\(/, '$1 (')} {\n${block.rules.map(rule => formatRule(rule, '  ', dir)).join('\n\n')}\n}`
+    : formatRule(block.rules[0], '', dir))).join('\n\n');
+}
+
+/**
+ * Where components.css goes: beside the breadcrumb stylesheet, else css/
+ */
+function componentsPath() {
+  const hierarchy = fs.existsSync(HIERARCHY_FILE) ? JSON.parse(fs.readFileSync(HIERARCHY_FILE, 'utf8')) : {};
+  return path.posix.join(hierarchy.stylesheet ? path.posix.dirname(hierarchy.stylesheet) : DEFAULT_DIR, COMPONENTS_FILE);
+}
+
+/**
+ * The tokens.css named by tokens.config.json, or null when the site has none
+ */
+function tokensPath() {
+  if (!fs.existsSync(TOKENS_CONFIG)) return null;
+  const { css } = JSON.parse(fs.readFileSync(TOKENS_CONFIG, 'utf8'));
+  return css && fs.existsSync(css) ? css : null;
+}
+
+function linksTo(html, href) {
+  return new RegExp(`<link\\b[^>]*\\shref\\s*=\\s*["']${href.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}["']`, 'i').test(html.replace(STYLESHEET_REGEX, ''));
+}
+
+/**
+ * style="" declarations that recur across files: [{ css, count, files }]
+ */
+function repeatedInlineStyles(files, minPages = MIN_PAGES) {
+  const styles = new Map();
+  files.forEach(file => {
+    findStyleSources(fs.readFileSync(file, 'utf8')).filter(source => source.type === 'attribute').forEach(source => {
+      const css = parseDeclarations(source.css, true)
+        .map(declaration => `${declaration.property.toLowerCase()}:${declaration.value.replace(/\s+/g, ' ').trim()}`)
+        .join(';');
+      if (!css) return;
+      const entry = styles.get(css) || { css, count: 0, files: new Set() };
+      entry.count++;
+      entry.files.add(file);
+      styles.set(css, entry);
+    });
+  });
+  return [...styles.values()]
+    .filter(entry => entry.files.size >= minPages)
+    .sort((a, b) => b.count - a.count)
+    .map(entry => ({ ...entry, files: entry.files.size }));
+}
+
+/**
+ * Value following a flag, e.g. --adopt quote.html,about.html
+ */
+function flagValue(argv, flag) {
+  const index = argv.indexOf(flag);
+  return index !== -1 ? argv[index + 1] : null;
+}
+
+function printConflicts(conflicts, target) {
+  const files = [...new Set(conflicts.map(conflict => conflict.file))];
+  console.log(`\n⚠️  ${files.length} pages keep their own styles (linking ${target} would change them):`);
+  conflicts.forEach(conflict => {
+    const detail = conflict.added
+      ? `not in the page's <style>; ${target} would style its markup`
+      : `${target} also sets ${conflict.missing.join(', ')}`;
+    console.log(`  - ${conflict.file}: ${conflict.key} — ${detail}`);
+  });
+  console.log('Bring them in line by hand, or re-run with --adopt <pages> to link them anyway.');
+}
+
+function printTokenOverrides(overrides, tokens) {
+  const byValue = new Map();
+  overrides.forEach(({ property, value, tokens: expected }) => {
+    const key = `${property}: ${value}`;
+    const entry = byValue.get(key) || { key, expected, pages: 0 };
+    entry.pages++;
+    byValue.set(key, entry);
+  });
+  console.log(`\n🎨 ${byValue.size} custom properties set differently from ${tokens} (kept in the pages' <style>):`);
+  [...byValue.values()].forEach(entry => {
+    console.log(`  - ${entry.key} on ${entry.pages} page${entry.pages === 1 ? '' : 's'} (${entry.expected === null ? 'not a token' : `${tokens}: ${entry.expected}`})`);
+  });
+  console.log(`Move the values into the token source and rebuild ${tokens} to drop them from the pages.`);
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const argv = process.argv.slice(2);
+
+  if (argv.includes('--undo')) {
+    runMigration({ name: 'extract-components', files: [], transform: null, argv });
+    return;
+  }
+
+  const minPages = Number(flagValue(argv, '--min-pages')) || MIN_PAGES;
+  const target = componentsPath();
+  const targetDir = path.posix.dirname(target);
+  const tokensFile = tokensPath();
+  const tokens = tokensFile ? collectCustomProperties([{ css: fs.readFileSync(tokensFile, 'utf8') }]) : null;
+  const index = tokensFile && JSON.parse(fs.readFileSync(TOKENS_CONFIG, 'utf8')).source ? loadTokenIndex() : null;
+
+  const aliases = index ? index.aliases : {};
+
+  const files = [...glob.sync('*.html', { cwd: process.cwd() }), ...glob.sync('templates/*.html', { cwd: process.cwd() })];
+  const styles = files.map(file => {
+    const html = fs.readFileSync(file, 'utf8');
+    const style = html.match(STYLE_REGEX);
+    return style ? { file, html, rules: readRules(style[1]) } : null;
+  }).filter(Boolean);
+
+  // Literals are never rewritten to a token some page sets a value of its own for
+  const themed = new Set(styles.flatMap(page => planPage(page, new Map(), { tokens, aliases }).tokenOverrides
+    .map(({ property }) => semanticName(property.slice(2), aliases))));
+  const tokenIndex = index && withoutTokens(index, themed);
+  const pages = styles.map(page => ({ ...page, rules: readRules(page.html.match(STYLE_REGEX)[1], tokenIndex) }));
+
+  const existing = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+  const reference = existing === null ? [] : readRules(rebaseUrls(existing, targetDir, ''), tokenIndex);
+  console.log(`🧱 Extracting components: ${pages.length} pages with a <style> block, ${reference.length} rules already in ${target}...`);
+  if (pages.length === 0 && existing === null) return;
+
+  const shared = findSharedRules(pages, { minPages, reference, tokens });
+  const adopt = (flagValue(argv, '--adopt') || '').split(',').map(page => page.trim()).filter(Boolean);
+  const conflicts = [];
+  const tokenOverrides = [];
+  const targets = new Map();
+  const used = new Set(reference.map(rule => rule.key));
+
+  pages.forEach(page => {
+    const linked = STYLESHEET_REGEX.test(page.html);
+    let plan = planPage(page, shared, { tokens, aliases, html: linked ? null : readPage(page.file) });
+    if (plan.drop.length === 0 && plan.trim.length === 0 && plan.renames.length === 0) return;
+    if (plan.conflicts.length > 0 && !adopt.includes(page.file) && !adopt.includes('all')) {
+      conflicts.push(...plan.conflicts.map(conflict => ({ file: page.file, ...conflict })));
+      // A page already on components.css still needs the names it refers to
+      if (!linked || plan.renames.length === 0) return;
+      plan = { ...plan, drop: [], trim: [], conflicts: [] };
+    }
+    tokenOverrides.push(...plan.tokenOverrides);
+    [...plan.drop, ...plan.trim.map(({ rule }) => rule)].forEach(rule => used.add(rule.key));
+    targets.set(page.file, { page, plan });
+  });
+
+  const added = [...shared.values()].filter(rule => !reference.includes(rule) && used.has(rule.key));
+  const hrefs = [...(tokensFile ? [tokensFile] : []), target];
+  // Pages already on components.css link tokens.css too, once the site has one
+  const relinks = tokensFile ? files.filter(file => {
+    if (targets.has(file)) return false;
+    const html = fs.readFileSync(file, 'utf8');
+    const marker = html.match(STYLESHEET_REGEX);
+    return marker !== null && !marker[0].includes(`href="${tokensFile}"`) && !linksTo(html, tokensFile);
+  }) : [];
+  const untokenized = tokenIndex !== null && existing !== null && tokenizeStylesheet(existing, tokenIndex) !== existing;
+
+  runMigration({
+    name: 'extract-components',
+    files: [...(added.length > 0 || untokenized ? [target] : []), ...targets.keys(), ...relinks],
+    transform: (file, content) => {
+      if (file === target) {
+        const header = existing !== null
+          ? existing.replace(/\s*$/, added.length > 0 ? '\n\n' : '')
+          : `/* Shared components — rules the pages had in common, moved here by scripts/extract-components.js.\n   ${tokensFile ? `Built on ${tokensFile}; link that first.` : 'The site has no tokens.css, so its custom properties are shared here too.'} */\n\n`;
+        const css = `${header}${formatRules(added, targetDir)}\n`;
+        const replacements = [];
+        return {
+          content: tokenIndex ? tokenizeStylesheet(css, tokenIndex, replacements) : css,
+          changes: [...added.map(rule => ({ rule: rule.key })), ...replacements]
+        };
+      }
+      const links = hrefs.filter(href => href === target || !linksTo(content, href));
+      if (!targets.has(file)) {
+        return { content: content.replace(STYLESHEET_REGEX, stylesheetMarker(links)), changes: [{ linked: tokensFile }] };
+      }
+      const { page, plan } = targets.get(file);
+      const changes = [
+        ...plan.drop.map(rule => ({ shared: rule.key })),
+        ...plan.trim.map(({ rule, declarations }) => ({ override: rule.key, dropped: declarations.map(declaration => declaration.property) })),
+        ...plan.renames.map(({ property, to }) => ({ renamed: property, to }))
+      ];
+      if (plan.conflicts.length > 0) changes.push({ adopted: plan.conflicts.map(conflict => conflict.key) });
+      return { content: toComponentPage(content, plan, page.rules, links), changes };
+    },
+    argv
+  });
+
+  if (conflicts.length > 0) printConflicts(conflicts, target);
+  if (tokenOverrides.length > 0) printTokenOverrides(tokenOverrides, tokensFile);
+
+  const inline = repeatedInlineStyles([...files, ...glob.sync('partials/*.html', { cwd: process.cwd() })], minPages);
+  if (inline.length > 0) {
+    console.log(`\n💡 ${inline.length} style="" attributes repeat across pages (left inline; a class would need to win over other rules first):`);
+    inline.slice(0, 10).forEach(entry => console.log(`  - style="${entry.css}" × ${entry.count} on ${entry.files} page${entry.files === 1 ? '' : 's'}`));
+    if (inline.length > 10) console.log(`  ... and ${inline.length - 10} more`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  normalizeValue,
+  tokenValue,
+  tokenizeStylesheet,
+  readRules,
+  rebaseUrls,
+  findSharedRules,
+  compareRule,
+  planPage,
+  stripStyle,
+  toComponentPage,
+  formatRules,
+  repeatedInlineStyles
+};
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+
+/**
+ * Partial Extractor
+ * Moves the header, primary nav and footer that pages copy inline into
+ * partials/ and turns each page into a <!-- layout --> page that keeps only
+ * its own content (see page-layout.js). The shared chrome is the one most
+ * pages have, ignoring whitespace and the © year script; when the site
+ * already has partials/layout.html, pages are matched against that instead.
+ * Pages whose header or footer differs are reported and left alone, unless
+ * named with --adopt (comma-separated, or "all") to take the shared chrome.
+ * Prints a diff by default; --write applies, --undo restores the last run.
+ */
+
+const fs = require('fs');
+const glob = require('glob');
+const { runMigration } = require('./migration-run.js');
+const { PARTIALS_DIR, LayoutError, loadPartials, renderPage } = require('./page-layout.js');
+
+const BODY_OPEN_REGEX = /<body\b[^>]*>/i;
+const BODY_CLOSE_REGEX = /<\/body\s*>/i;
+const LAYOUT_REGEX = /<!--\s*layout\b/;
+const NAV_REGEX = /<nav\b[^>]*\baria-label="Primary"[^>]*>[\s\S]*?<\/nav>/i;
+const YEAR_SCRIPT_REGEX = /[ \t]*<script>\s*document\.getElementById\(['"]y['"]\)\.textContent\s*=\s*new Date\(\)\.getFullYear\(\);?\s*<\/script>[ \t]*(?:\r?\n)?/g;
+const YEAR_SPAN_REGEX = /<span id="y"><\/span>/g;
+const ATTRIBUTION_SCRIPT = 'assets/js/attribution.js';
+const ATTRIBUTION_SCRIPT_REGEX = /[ \t]*<script src="assets\/js\/attribution\.js" defer><\/script>[ \t]*(?:\r?\n)?/g;
+
+// Built with the year left as a placeholder, to compare against page sources
+const YEAR_PLACEHOLDER = '{{year}}';
+
+/**
+ * Where a page's chrome sits: the body before <main>, the footer, and what
+ * follows the footer. Null for pages without <body>, <main> and a footer.
+ */
+function splitPage(html) {
+  const bodyOpen = html.match(BODY_OPEN_REGEX);
+  const bodyClose = html.search(BODY_CLOSE_REGEX);
+  if (!bodyOpen || bodyClose === -1) return null;
+
+  const bodyStart = bodyOpen.index + bodyOpen[0].length;
+  const mainStart = html.indexOf('<main', bodyStart);
+  const footerStart = html.lastIndexOf('<footer', bodyClose);
+  const footerEnd = html.indexOf('</footer>', footerStart);
+  if (mainStart === -1 || footerStart < mainStart || footerEnd === -1 || footerEnd > bodyClose) return null;
+
+  const lineStart = index => html.lastIndexOf('\n', index - 1) + 1;
+  return {
+    bodyStart,
+    bodyClose,
+    header: html.slice(bodyStart, lineStart(mainStart)),
+    content: html.slice(lineStart(mainStart), lineStart(footerStart)),
+    footer: html.slice(footerStart, footerEnd + '</footer>'.length),
+    trailing: html.slice(footerEnd + '</footer>'.length, bodyClose)
+  };
+}
+
+/**
+ * Chrome as compared between pages: the year as {{year}}, no year or
+ * attribution script, no aria-current, lines trimmed and blank lines dropped
+ */
+function normalizeChrome(html) {
+  return html
+    .replace(YEAR_SCRIPT_REGEX, '')
+    .replace(ATTRIBUTION_SCRIPT_REGEX, '')
+    .replace(YEAR_SPAN_REGEX, YEAR_PLACEHOLDER)
+    .replace(/\saria-current="[^"]*"/g, '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Strip the indentation the first line had in the page from the lines after it
+ */
+function dedent(text, indent) {
+  return text.split('\n').map(line => (line.startsWith(indent) ? line.slice(indent.length) : line.trimStart())).join('\n');
+}
+
+function indentOf(html, index) {
+  const lineStart = html.lastIndexOf('\n', index - 1) + 1;
+  return html.slice(lineStart, index).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Partials taken from a page: header (with the primary nav as an include),
+ * nav, footer (year as {{year}}) and a layout assembling them around
+ * {{content}}, followed by the attribution script when the page loads it
+ */
+function derivePartials(html) {
+  const parts = splitPage(html);
+  const headerStart = parts.bodyStart + parts.header.search(/\S/);
+  const indent = indentOf(html, headerStart);
+  let header = dedent(parts.header.trim(), indent);
+  const partials = new Map();
+
+  const nav = header.match(NAV_REGEX);
+  if (nav) {
+    const navIndent = indentOf(header, nav.index);
+    partials.set('nav', dedent(nav[0], navIndent));
+    header = header.replace(NAV_REGEX, '<!-- include:nav -->');
+  }
+  partials.set('header', header);
+
+  const footerStart = html.lastIndexOf('<footer', parts.bodyClose);
+  const footer = parts.footer.replace(YEAR_SCRIPT_REGEX, '').replace(YEAR_SPAN_REGEX, YEAR_PLACEHOLDER);
+  partials.set('footer', dedent(footer, indentOf(html, footerStart)));
+
+  const layoutIndent = indentOf(html, footerStart);
+  const attribution = parts.trailing.includes(ATTRIBUTION_SCRIPT);
+  partials.set('layout', [
+    `${indent}<!-- include:header -->`,
+    '',
+    '{{content}}',
+    '',
+    `${layoutIndent}<!-- include:footer -->`,
+    ...(attribution ? [`${layoutIndent}<script src="${ATTRIBUTION_SCRIPT}" defer></script>`] : [])
+  ].join('\n'));
+
+  return partials;
+}
+
+/**
+ * The chrome the partials produce, normalised: { header, footer } lines
+ */
+function sharedChrome(partials) {
+  const slot = 'PAGE CONTENT';
+  const built = renderPage(`<body>\n<!-- layout active="" -->\n${slot}\n</body>`, 'page.html', { partials, year: YEAR_PLACEHOLDER });
+  const [header, footer] = built.slice('<body>'.length, built.indexOf('</body>')).split(slot);
+  return { header: normalizeChrome(header), footer: normalizeChrome(footer) };
+}
+
+/**
+ * The most common chrome among pages, as the page it was first seen on
+ */
+function mostCommonChrome(pages) {
+  const counts = new Map();
+  pages.forEach(page => {
+    const key = [...normalizeChrome(page.parts.header), '', ...normalizeChrome(page.parts.footer)].join('\n');
+    const entry = counts.get(key) || { page, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  });
+  return [...counts.values()].sort((a, b) => b.count - a.count)[0].page;
+}
+
+/**
+ * First line where a page's chrome departs from the shared chrome, or null
+ * when they match
+ */
+function chromeDifference(parts, shared) {
+  const pairs = [
+    ['header', normalizeChrome(parts.header), shared.header],
+    ['footer', normalizeChrome(parts.footer), shared.footer]
+  ];
+  for (const [region, page, expected] of pairs) {
+    const index = page.findIndex((line, i) => line !== expected[i]);
+    const at = index === -1 && page.length !== expected.length ? Math.min(page.length, expected.length) : index;
+    if (at !== -1) {
+      return { region, page: page[at] || '(nothing)', shared: expected[at] || '(nothing)' };
+    }
+  }
+  return null;
+}
+
+/**
+ * The page as a layout page: its content and any page scripts after the
+ * footer, with the header, footer, year script and attribution script left
+ * to the layout
+ */
+function toLayoutPage(html, parts) {
+  const content = parts.content.replace(/\s+$/, '');
+  const trailing = parts.trailing
+    .replace(YEAR_SCRIPT_REGEX, '')
+    .replace(ATTRIBUTION_SCRIPT_REGEX, '')
+    .replace(/^\s*\n/, '')
+    .replace(/\s+$/, '');
+
+  return [
+    html.slice(0, parts.bodyStart),
+    '\n<!-- layout -->\n',
+    [content, trailing].filter(Boolean).join('\n'),
+    '\n',
+    html.slice(parts.bodyClose)
+  ].join('');
+}
+
+/**
+ * Value following a flag, e.g. --adopt quote.html,about.html
+ */
+function flagValue(argv, flag) {
+  const index = argv.indexOf(flag);
+  return index !== -1 ? argv[index + 1] : null;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const argv = process.argv.slice(2);
+
+  if (argv.includes('--undo')) {
+    runMigration({ name: 'extract-partials', files: [], transform: null, argv });
+    return;
+  }
+
+  const htmlFiles = glob.sync('*.html', { cwd: process.cwd() });
+  const pages = [];
+  let converted = 0;
+  htmlFiles.forEach(file => {
+    const html = fs.readFileSync(file, 'utf8');
+    const parts = splitPage(html);
+    if (LAYOUT_REGEX.test(html)) converted++;
+    else if (parts) pages.push({ file, html, parts });
+    else console.log(`⚠️  ${file}: no <main> and footer to separate, skipped`);
+  });
+
+  console.log(`🧩 Extracting partials: ${pages.length} inline pages, ${converted} already on the layout...`);
+  if (pages.length === 0) return;
+
+  const existing = loadPartials();
+  const created = existing.has('layout') ? new Map() : derivePartials(mostCommonChrome(pages).html);
+  const partials = new Map([...existing, ...created]);
+
+  let shared;
+  try {
+    shared = sharedChrome(partials);
+  } catch (error) {
+    if (!(error instanceof LayoutError)) throw error;
+    console.log(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const adopt = (flagValue(argv, '--adopt') || '').split(',').map(page => page.trim()).filter(Boolean);
+  const conflicts = [];
+  const targets = new Map();
+  pages.forEach(page => {
+    const difference = chromeDifference(page.parts, shared);
+    if (difference && !adopt.includes(page.file) && !adopt.includes('all')) {
+      conflicts.push({ file: page.file, ...difference });
+      return;
+    }
+    targets.set(page.file, { page, difference });
+  });
+
+  const partialFiles = [...created.keys()].map(name => `${PARTIALS_DIR}/${name}.html`);
+  runMigration({
+    name: 'extract-partials',
+    files: [...partialFiles, ...targets.keys()],
+    transform: (file, content) => {
+      if (partialFiles.includes(file)) {
+        return { content: `${created.get(file.slice(PARTIALS_DIR.length + 1, -'.html'.length))}\n`, changes: [{ partial: file }] };
+      }
+      const { page, difference } = targets.get(file);
+      const changes = [{ layout: 'layout' }];
+      if (difference) changes.push({ adopted: difference });
+      return { content: toLayoutPage(content, page.parts), changes };
+    },
+    argv
+  });
+
+  if (conflicts.length > 0) {
+    console.log(`\n⚠️  ${conflicts.length} pages keep their own header or footer (it differs from ${PARTIALS_DIR}/):`);
+    conflicts.forEach(conflict => {
+      console.log(`  - ${conflict.file} (${conflict.region}): ${conflict.page}`);
+      console.log(`      shared: ${conflict.shared}`);
+    });
+    console.log('Bring them in line by hand, or re-run with --adopt <pages> to give them the shared chrome.');
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  splitPage,
+  normalizeChrome,
+  derivePartials,
+  sharedChrome,
+  chromeDifference,
+  toLayoutPage
+};
@@ -0,0 +1,183 @@
+/**
+ * HTML Parser
+ * A small, forgiving HTML tokenizer that builds an element tree with
+ * attributes and source positions. Comments and doctypes are dropped,
+ * <script>/<style> bodies are kept as raw text, void elements never take
+ * children and stray or unclosed tags are tolerated the way browsers do.
+ */
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Elements a new start tag of the same kind closes implicitly
+const SELF_CLOSING_SIBLINGS = new Set(['p', 'li', 'option', 'dt', 'dd', 'tr', 'td', 'th']);
+
+const TAG_REGEX = /<\/?([a-zA-Z][\w:-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/y;
+const ATTRIBUTE_REGEX = /([^\s=>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode character references in text or an attribute value
+ */
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    const decoded = ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+/**
+ * Attribute map of a start tag; names are lowercased, the first of a
+ * repeated attribute wins
+ */
+function parseAttributes(source) {
+  const attrs = {};
+  for (const match of source.matchAll(ATTRIBUTE_REGEX)) {
+    const name = match[1].toLowerCase();
+    if (name in attrs) continue;
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attrs[name] = value !== undefined ? decodeEntities(value) : '';
+  }
+  return attrs;
+}
+
+/**
+ * 1-based line of an offset
+ */
+function lineAt(html, offset, cache) {
+  while (cache.offset < offset) {
+    if (html[cache.offset] === '\n') cache.line++;
+    cache.offset++;
+  }
+  return cache.line;
+}
+
+/**
+ * Parse a document into { type: 'root', children }. Elements are
+ * { type: 'element', name, attrs, children, parent, start, line } and text
+ * nodes { type: 'text', text, start }; start is an offset into the source.
+ */
+function parseHtml(html) {
+  const root = { type: 'root', name: '#root', attrs: {}, children: [], parent: null };
+  const stack = [root];
+  const lines = { offset: 0, line: 1 };
+  const current = () => stack[stack.length - 1];
+
+  const addText = (text, start) => {
+    if (text) current().children.push({ type: 'text', text: decodeEntities(text), start, parent: current() });
+  };
+
+  let i = 0;
+  while (i < html.length) {
+    const next = html.indexOf('<', i);
+    if (next === -1) {
+      addText(html.slice(i), i);
+      break;
+    }
+    addText(html.slice(i, next), i);
+    i = next;
+
+    if (html.startsWith('<!--', i)) {
+      const close = html.indexOf('-->', i + 4);
+      i = close === -1 ? html.length : close + 3;
+      continue;
+    }
+    if (html[i + 1] === '!' || html[i + 1] === '?') {
+      const close = html.indexOf('>', i);
+      i = close === -1 ? html.length : close + 1;
+      continue;
+    }
+
+    TAG_REGEX.lastIndex = i;
+    const match = TAG_REGEX.exec(html);
+    if (!match) {
+      // A lone "<" is text
+      addText('<', i);
+      i++;
+      continue;
+    }
+
+    const name = match[1].toLowerCase();
+    const isEnd = match[0][1] === '/';
+    i = TAG_REGEX.lastIndex;
+
+    if (isEnd) {
+      const index = stack.map(node => node.name).lastIndexOf(name);
+      if (index > 0) stack.length = index;
+      continue;
+    }
+
+    if (SELF_CLOSING_SIBLINGS.has(name) && current().name === name) {
+      stack.pop();
+    }
+
+    const element = {
+      type: 'element',
+      name,
+      attrs: parseAttributes(match[2]),
+      children: [],
+      parent: current(),
+      start: match.index,
+      line: lineAt(html, match.index, lines)
+    };
+    current().children.push(element);
+
+    if (RAW_TEXT_ELEMENTS.has(name)) {
+      const closeRegex = new RegExp(`</${name}\\s*>`, 'ig');
+      closeRegex.lastIndex = i;
+      const close = closeRegex.exec(html);
+      const end = close ? close.index : html.length;
+      if (end > i) {
+        const text = name === 'script' || name === 'style' ? html.slice(i, end) : decodeEntities(html.slice(i, end));
+        element.children.push({ type: 'text', text, start: i, parent: element });
+      }
+      i = close ? closeRegex.lastIndex : html.length;
+    } else if (!VOID_ELEMENTS.has(name) && !match[3]) {
+      stack.push(element);
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Every element under `node`, in document order
+ */
+function findElements(node, predicate = () => true) {
+  const found = [];
+  const visit = parent => {
+    parent.children.forEach(child => {
+      if (child.type !== 'element') return;
+      if (predicate(child)) found.push(child);
+      visit(child);
+    });
+  };
+  visit(node);
+  return found;
+}
+
+/**
+ * Visible text of a node with whitespace collapsed; images count by alt text
+ */
+function textContent(node) {
+  const collect = child => {
+    if (child.type === 'text') return child.text;
+    if (child.name === 'img') return ` ${child.attrs.alt || ''} `;
+    if (child.name === 'script' || child.name === 'style') return '';
+    return child.children.map(collect).join('');
+  };
+  return collect(node).replace(/\s+/g, ' ').trim();
+}
+
+module.exports = { parseHtml, findElements, textContent, decodeEntities };
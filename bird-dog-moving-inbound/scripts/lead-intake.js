@@ -0,0 +1,284 @@
+/**
+ * Lead Intake
+ * The pieces of lead-server.js that don't touch HTTP: the per-site form
+ * schemas in lead-forms.json, server-side validation, the attribution
+ * fields assets/js/attribution.js adds to every lead form, the honeypot and
+ * rate-limit spam checks, the JSON Lines lead store and the notification
+ * email for a new lead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CONFIG_FILE = 'lead-forms.json';
+
+const DEFAULTS = {
+  storage: '.leads/leads.jsonl',
+  transport: { type: 'file', dir: '.leads/outbox' },
+  honeypot: 'fax_number',
+  rateLimit: { max: 5, windowMinutes: 15 }
+};
+
+const MAX_LENGTH = { text: 200, textarea: 5000, attribution: 500 };
+
+// Hidden fields attribution.js injects: first_* and last_* for each touch,
+// cta_* for the last call-to-action clicked
+const TOUCH_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'referrer', 'landing_page', 'at'];
+const CTA_FIELDS = ['text', 'href', 'page', 'at'];
+const ATTRIBUTION_GROUPS = {
+  firstTouch: { prefix: 'first_', fields: TOUCH_FIELDS },
+  lastTouch: { prefix: 'last_', fields: TOUCH_FIELDS },
+  cta: { prefix: 'cta_', fields: CTA_FIELDS }
+};
+
+// Format checks by field type; each returns true for a valid value
+const FORMATS = {
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  tel: value => /^[\d\s().+-]+$/.test(value) && value.replace(/\D/g, '').length >= 10 && value.replace(/\D/g, '').length <= 15,
+  zip: value => /^\d{5}(?:-\d{4})?$/.test(value),
+  url: value => {
+    try {
+      const url = new URL(/^[a-z][a-z\d+.-]*:/i.test(value) ? value : `https://${value}`);
+      return (url.protocol === 'http:' || url.protocol === 'https:') && url.hostname.includes('.');
+    } catch (error) {
+      return false;
+    }
+  },
+  date: value => {
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return Boolean(date) && date.getUTCDate() === Number(match[3]);
+  }
+};
+
+const FORMAT_MESSAGES = {
+  email: 'Enter a valid email address.',
+  tel: 'Enter a valid phone number.',
+  zip: 'Enter a 5-digit ZIP.',
+  url: 'Enter a valid website address.',
+  date: 'Choose a valid date.'
+};
+
+/**
+ * The site's lead-forms.json with the server defaults filled in, or null
+ * when the site has none
+ */
+function loadLeadForms(cwd = process.cwd()) {
+  const file = path.join(cwd, CONFIG_FILE);
+  if (!fs.existsSync(file)) return null;
+
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    ...DEFAULTS,
+    ...config,
+    rateLimit: { ...DEFAULTS.rateLimit, ...config.rateLimit },
+    forms: config.forms || {}
+  };
+}
+
+/**
+ * Validate a submission against a form schema. `body` maps field names to
+ * a string or, for repeated fields, an array of strings. Fields the schema
+ * doesn't list are dropped. Returns { fields, errors }: the cleaned values
+ * and a message per invalid field (empty when the lead is valid).
+ */
+function validateLead(schema, body) {
+  const fields = {};
+  const errors = {};
+
+  Object.keys(schema.fields).forEach(name => {
+    const field = schema.fields[name];
+    const label = field.label || name;
+    const raw = body[name] === undefined ? [] : [].concat(body[name]);
+    const values = raw.map(value => String(value).trim()).filter(Boolean);
+
+    if (values.length === 0) {
+      if (field.required) errors[name] = `${label} is required.`;
+      if (field.multiple) fields[name] = [];
+      return;
+    }
+    if (values.length > 1 && !field.multiple) {
+      errors[name] = `${label} takes a single value.`;
+      return;
+    }
+
+    const maxLength = field.maxLength || MAX_LENGTH[field.type] || MAX_LENGTH.text;
+    const problem = values.map(value => {
+      if (value.length > maxLength) return `${label} must be ${maxLength} characters or fewer.`;
+      if (field.options && !field.options.includes(value)) return `Choose a listed option for ${label}.`;
+      if (FORMATS[field.type] && !FORMATS[field.type](value)) return FORMAT_MESSAGES[field.type];
+      return null;
+    }).find(Boolean);
+
+    if (problem) {
+      errors[name] = problem;
+    } else {
+      fields[name] = field.multiple ? values : values[0];
+    }
+  });
+
+  return { fields, errors };
+}
+
+/**
+ * Where a lead came from, read from the attribution hidden fields:
+ * { firstTouch, lastTouch, cta }, each with the fields that were sent, or
+ * null when the form carried none (no JavaScript, or storage blocked).
+ * Values are trimmed and cut to a safe length rather than rejected, so a
+ * long referrer never costs a lead.
+ */
+function readAttribution(body) {
+  const attribution = {};
+
+  Object.keys(ATTRIBUTION_GROUPS).forEach(group => {
+    const { prefix, fields } = ATTRIBUTION_GROUPS[group];
+    fields.forEach(field => {
+      const value = [].concat(body[prefix + field] || [])[0];
+      const text = value === undefined ? '' : String(value).trim().slice(0, MAX_LENGTH.attribution);
+      if (text === '') return;
+      attribution[group] = { ...attribution[group], [field]: text };
+    });
+  });
+
+  return Object.keys(attribution).length > 0 ? attribution : null;
+}
+
+/**
+ * True when the hidden honeypot field came back filled in: people never
+ * see it, form-filling bots do
+ */
+function isHoneypotFilled(body, honeypot = DEFAULTS.honeypot) {
+  return [].concat(body[honeypot] || []).some(value => String(value).trim() !== '');
+}
+
+/**
+ * Fixed-window limit on submissions per key (the client address):
+ * limiter.hit(key) counts one and returns { allowed, retryAfter }, with
+ * retryAfter in seconds when the key is over the limit
+ */
+function createRateLimiter({ max, windowMinutes }) {
+  const windowMs = windowMinutes * 60 * 1000;
+  const windows = new Map();
+
+  return {
+    hit(key, now = Date.now()) {
+      let entry = windows.get(key);
+      if (!entry || now - entry.start >= windowMs) {
+        entry = { start: now, count: 0 };
+        windows.set(key, entry);
+      }
+      entry.count++;
+
+      // Drop expired windows now and then so the map doesn't grow unbounded
+      if (windows.size > 1000) {
+        windows.forEach((value, candidate) => {
+          if (now - value.start >= windowMs) windows.delete(candidate);
+        });
+      }
+
+      return entry.count <= max
+        ? { allowed: true, retryAfter: 0 }
+        : { allowed: false, retryAfter: Math.ceil((entry.start + windowMs - now) / 1000) };
+    }
+  };
+}
+
+/**
+ * A lead record ready to store
+ */
+function createLead(formId, fields, meta = {}) {
+  return {
+    id: crypto.randomUUID(),
+    form: formId,
+    receivedAt: new Date().toISOString(),
+    page: meta.page || null,
+    fields,
+    attribution: meta.attribution || null
+  };
+}
+
+/**
+ * Append-only lead store: one JSON object per line in `file`
+ */
+function createLeadStore(file) {
+  return {
+    file,
+    async save(lead) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, `${JSON.stringify(lead)}\n`);
+      return lead;
+    },
+    async all() {
+      if (!fs.existsSync(file)) return [];
+      const content = await fs.promises.readFile(file, 'utf8');
+      return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    }
+  };
+}
+
+/**
+ * One line per attribution group: "First touch: google / cpc / spring-sale,
+ * landed on /quote.html from https://www.google.com/"
+ */
+function attributionLines(attribution) {
+  if (!attribution) return ['Source: unknown (no attribution data)'];
+
+  const touch = (label, values) => {
+    if (!values) return null;
+    const campaign = ['utm_source', 'utm_medium', 'utm_campaign'].map(key => values[key]).filter(Boolean).join(' / ');
+    const details = [
+      values.landing_page && `landed on ${values.landing_page}`,
+      values.referrer && `from ${values.referrer}`
+    ].filter(Boolean).join(' ');
+    return `${label}: ${[campaign || (values.referrer ? '' : 'direct'), details].filter(Boolean).join(', ')}`;
+  };
+  const cta = attribution.cta;
+
+  return [
+    touch('First touch', attribution.firstTouch),
+    touch('Last touch', attribution.lastTouch),
+    cta && `Clicked: "${cta.text || cta.href}"${cta.page ? ` on ${cta.page}` : ''}`
+  ].filter(Boolean);
+}
+
+/**
+ * Plain-text notification for a new lead: { from, to, replyTo, subject, text }
+ */
+function notificationFor(lead, schema, notify = {}) {
+  const width = Math.max(...Object.keys(schema.fields).map(name => (schema.fields[name].label || name).length)) + 2;
+  const lines = Object.keys(schema.fields).map(name => {
+    const label = `${schema.fields[name].label || name}:`.padEnd(width);
+    const value = [].concat(lead.fields[name] || []).join(', ') || '—';
+    return `${label}${value.includes('\n') ? `\n${value}\n` : value}`;
+  });
+
+  return {
+    from: notify.from,
+    to: notify.to,
+    replyTo: typeof lead.fields.email === 'string' ? lead.fields.email : null,
+    subject: `New ${(schema.label || lead.form).toLowerCase()} lead`,
+    text: [
+      ...lines,
+      '',
+      ...attributionLines(lead.attribution),
+      '',
+      `Received ${lead.receivedAt}${lead.page ? ` from ${lead.page}` : ''}`,
+      `Lead ${lead.id}`
+    ].join('\n')
+  };
+}
+
+module.exports = {
+  CONFIG_FILE,
+  DEFAULTS,
+  ATTRIBUTION_GROUPS,
+  loadLeadForms,
+  validateLead,
+  readAttribution,
+  isHoneypotFilled,
+  createRateLimiter,
+  createLead,
+  createLeadStore,
+  notificationFor
+};
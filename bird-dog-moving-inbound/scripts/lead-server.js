@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+
+/**
+ * Lead Intake Server
+ * Small local server for a site's forms. Run it from a site directory: it
+ * serves the pages and accepts POST /leads/<form> for each form in the
+ * site's lead-forms.json, then validates the fields, drops honeypot and
+ * rate-limited submissions, stores the lead and emails a notification
+ * through the configured transport. Replies in JSON to the fetch-based
+ * assets/js/lead-form.js and in HTML to plain form posts, so the forms work
+ * without JavaScript. That script and assets/js/attribution.js, which every
+ * page loads, are served at the same path in every site, as build-pages.js
+ * publishes them. Pages on a layout are assembled from partials/ on each
+ * request, so edits to a partial show up on reload.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const {
+  CONFIG_FILE,
+  loadLeadForms,
+  validateLead,
+  readAttribution,
+  isHoneypotFilled,
+  createRateLimiter,
+  createLead,
+  createLeadStore,
+  notificationFor
+} = require('./lead-intake.js');
+const { createTransport } = require('./mail-transport.js');
+const { LayoutError, usesPartials, renderPage, loadSite } = require('./page-layout.js');
+const { CLIENT_SCRIPTS } = require('./build-pages.js');
+
+const DEFAULT_PORT = 8787;
+const MAX_BODY_BYTES = 32 * 1024;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2'
+};
+
+// A request the server refuses, with the status and visitor-facing message
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * The request body as { name: value | [values] }, from a urlencoded or
+ * JSON post
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+      reject(new RequestError(413, 'That submission is too large.'));
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new RequestError(413, 'That submission is too large.'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('error', reject);
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      const type = (req.headers['content-type'] || '').split(';')[0].trim();
+
+      if (type === 'application/json') {
+        try {
+          const body = JSON.parse(text || '{}');
+          if (body === null || typeof body !== 'object' || Array.isArray(body)) throw new Error('not an object');
+          resolve(body);
+        } catch (error) {
+          reject(new RequestError(400, 'That submission could not be read.'));
+        }
+        return;
+      }
+      if (type === 'application/x-www-form-urlencoded') {
+        const params = new URLSearchParams(text);
+        const body = {};
+        params.forEach((value, name) => {
+          body[name] = name in body ? [].concat(body[name], value) : value;
+        });
+        resolve(body);
+        return;
+      }
+      reject(new RequestError(415, 'Send the form as application/x-www-form-urlencoded or JSON.'));
+    });
+  });
+}
+
+function wantsJson(req) {
+  return /application\/json/.test(req.headers.accept || '');
+}
+
+/**
+ * Reply to a form post: JSON for fetch, a small HTML page otherwise
+ */
+function reply(req, res, status, payload, schema) {
+  if (wantsJson(req)) {
+    res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'], ...payload.headers });
+    res.end(JSON.stringify(payload.body));
+    return;
+  }
+
+  const back = schema && schema.page ? `<p><a href="/${escapeHtml(schema.page)}">Back to the form</a></p>` : '';
+  const errors = Object.values(payload.body.errors || {});
+  const list = errors.length > 0 ? `<ul>${errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>` : '';
+  const message = payload.body.message || payload.body.error;
+
+  res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.html'], ...payload.headers });
+  res.end(`<!doctype html><html lang="en"><head><meta charset="utf-8"><title>${escapeHtml(message)}</title></head>` +
+    `<body><main><p>${escapeHtml(message)}</p>${list}${back}</main></body></html>`);
+}
+
+/**
+ * The file a GET path maps to, or null. Dotfiles (the lead store lives in
+ * .leads/) and node_modules are never served.
+ */
+function staticFile(root, pathname, home) {
+  let relative;
+  try {
+    relative = decodeURIComponent(pathname).replace(/^\/+/, '');
+  } catch (error) {
+    return null;
+  }
+  if (relative === '' || relative.endsWith('/')) relative += relative === '' ? home : 'index.html';
+
+  const segments = relative.split('/');
+  if (segments.some(segment => segment.startsWith('.') || segment === 'node_modules')) return null;
+
+  const file = path.resolve(root, relative);
+  if (!file.startsWith(root + path.sep)) return null;
+  return fs.existsSync(file) && fs.statSync(file).isFile() ? file : null;
+}
+
+function sendFile(res, file, method) {
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+  if (method === 'HEAD') {
+    res.end();
+    return;
+  }
+  fs.createReadStream(file).pipe(res);
+}
+
+/**
+ * Serve a page, assembled from the site's layout and partials when it uses
+ * them. A missing partial or placeholder is a 500 naming the problem.
+ */
+function sendPage(res, file, method, cwd) {
+  const html = fs.readFileSync(file, 'utf8');
+  if (!usesPartials(html)) {
+    sendFile(res, file, method);
+    return;
+  }
+
+  let page;
+  try {
+    page = renderPage(html, path.relative(cwd, file).split(path.sep).join('/'), loadSite(cwd));
+  } catch (error) {
+    if (!(error instanceof LayoutError)) throw error;
+    res.writeHead(500, { 'Content-Type': CONTENT_TYPES['.txt'] });
+    res.end(error.message);
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.html'] });
+  res.end(method === 'HEAD' ? undefined : page);
+}
+
+/**
+ * An http.Server for the site in `cwd`. `store`, `transport` and `log`
+ * default to the ones lead-forms.json describes and the console.
+ */
+function createLeadServer(options = {}) {
+  const cwd = path.resolve(options.cwd || process.cwd());
+  const config = options.config || loadLeadForms(cwd);
+  if (!config) {
+    throw new Error(`No ${CONFIG_FILE} in ${cwd}`);
+  }
+
+  const store = options.store || createLeadStore(path.resolve(cwd, config.storage));
+  const transport = options.transport || createTransport(config.transport, cwd);
+  const limiter = createRateLimiter(config.rateLimit);
+  const log = options.log || console;
+  const home = readHome(cwd);
+
+  async function handleLead(req, res, formId) {
+    const schema = config.forms[formId];
+    if (!schema) {
+      throw new RequestError(404, `There is no "${formId}" form.`);
+    }
+
+    const forwarded = config.trustProxy && req.headers['x-forwarded-for'];
+    const client = forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+    const limit = limiter.hit(client);
+    if (!limit.allowed) {
+      reply(req, res, 429, {
+        headers: { 'Retry-After': String(limit.retryAfter) },
+        body: { ok: false, error: 'Too many submissions. Please wait a few minutes and try again.' }
+      }, schema);
+      return;
+    }
+
+    const body = await readBody(req);
+    const success = { ok: true, message: schema.success || 'Thanks! We got your request and will be in touch shortly.' };
+
+    // Answer bots as if the lead went through so they don't retry
+    if (isHoneypotFilled(body, config.honeypot)) {
+      log.log(`🍯 Dropped a ${formId} submission that filled the honeypot`);
+      reply(req, res, 200, { body: success }, schema);
+      return;
+    }
+
+    const { fields, errors } = validateLead(schema, body);
+    if (Object.keys(errors).length > 0) {
+      reply(req, res, 422, { body: { ok: false, error: 'Please fix the highlighted fields.', errors } }, schema);
+      return;
+    }
+
+    const lead = await store.save(createLead(formId, fields, {
+      page: req.headers.referer,
+      attribution: readAttribution(body)
+    }));
+    log.log(`📥 ${formId} lead ${lead.id}`);
+
+    // The lead is stored; a failed notification is logged, not the visitor's problem
+    try {
+      await transport.send(notificationFor(lead, schema, config.notify));
+    } catch (error) {
+      log.error(`❌ Notification for lead ${lead.id} failed: ${error.message}`);
+    }
+
+    reply(req, res, 201, { body: { ...success, id: lead.id } }, schema);
+  }
+
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const leadRoute = pathname.match(/^\/leads\/([\w-]+)\/?$/);
+
+    if (req.method === 'POST' && leadRoute) {
+      handleLead(req, res, leadRoute[1]).catch(error => {
+        if (!(error instanceof RequestError)) {
+          log.error(`❌ ${req.method} ${pathname}: ${error.stack || error.message}`);
+        }
+        if (res.headersSent) return;
+        const status = error.status || 500;
+        const message = error instanceof RequestError ? error.message : 'Something went wrong on our end. Please try again.';
+        reply(req, res, status, { body: { ok: false, error: message } }, config.forms[leadRoute[1]]);
+      });
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' });
+      res.end();
+      return;
+    }
+
+    const file = CLIENT_SCRIPTS[pathname.slice(1)] || staticFile(cwd, pathname, home);
+    if (!file) {
+      res.writeHead(404, { 'Content-Type': CONTENT_TYPES['.txt'] });
+      res.end('Not found');
+      return;
+    }
+    if (path.extname(file).toLowerCase() === '.html' && file.startsWith(cwd + path.sep)) {
+      sendPage(res, file, req.method, cwd);
+      return;
+    }
+    sendFile(res, file, req.method);
+  });
+}
+
+/**
+ * The page served at /: site-hierarchy.json's home, else index.html
+ */
+function readHome(cwd) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(cwd, 'site-hierarchy.json'), 'utf8')).home || 'index.html';
+  } catch (error) {
+    return 'index.html';
+  }
+}
+
+function describeTransport(transport) {
+  if (transport.type === 'smtp') return `smtp ${transport.host || 'localhost'}:${transport.port || 1025}`;
+  if (transport.type === 'module') return `module ${transport.module}`;
+  return `file ${transport.dir || '.leads/outbox'}`;
+}
+
+function flagValue(argv, flag) {
+  const index = argv.indexOf(flag);
+  return index !== -1 ? argv[index + 1] : null;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const argv = process.argv.slice(2);
+  const port = Number(flagValue(argv, '--port') || process.env.PORT || DEFAULT_PORT);
+  const host = flagValue(argv, '--host') || '127.0.0.1';
+
+  const config = loadLeadForms();
+  if (!config) {
+    console.log(`No ${CONFIG_FILE} in the current directory`);
+    process.exit(1);
+  }
+
+  let server;
+  try {
+    server = createLeadServer({ config });
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  server.listen(port, host, () => {
+    console.log(`📮 Lead intake on http://${host}:${port}/`);
+    Object.keys(config.forms).forEach(id => {
+      console.log(`   POST /leads/${id}${config.forms[id].page ? ` ← ${config.forms[id].page}` : ''}`);
+    });
+    console.log(`   Leads: ${config.storage}`);
+    console.log(`   Mail: ${describeTransport(config.transport)}`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { RequestError, readBody, staticFile, createLeadServer };
@@ -0,0 +1,312 @@
+/**
+ * Link Graph
+ * Builds the site-wide page → page link graph from check-links results and
+ * analyses it: orphan pages, dead ends, click depth from the home page,
+ * inbound-link counts and global links that are not on every page. The
+ * graph exports to DOT, GraphML or a standalone HTML visualization.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Node colours per page group, shared by every export
+const GROUP_COLORS = {
+  home: '#16324F',
+  city: '#FF7A00',
+  neighborhood: '#FDBA74',
+  page: '#94A3B8'
+};
+const EXTRA_COLORS = ['#2563EB', '#16A34A', '#9333EA', '#DB2777', '#0891B2'];
+
+/**
+ * Page graph from analyzeFile results. `resolve(href, source)` maps a link
+ * to the page it points at (or null); only links between `pages` count.
+ */
+function buildLinkGraph(results, pages, resolve) {
+  const nodes = new Map(pages.map(page => [page, { page, outbound: new Map(), inbound: new Map() }]));
+
+  results.forEach(result => {
+    const node = nodes.get(result.file);
+    if (!node) return;
+    result.links.forEach(link => {
+      const target = resolve(link.href, result.file);
+      if (!target || target === result.file || !nodes.has(target)) return;
+      node.outbound.set(target, (node.outbound.get(target) || 0) + 1);
+      const inbound = nodes.get(target).inbound;
+      inbound.set(result.file, (inbound.get(result.file) || 0) + 1);
+    });
+  });
+
+  const edges = [];
+  nodes.forEach(node => {
+    node.outbound.forEach((count, target) => edges.push({ from: node.page, to: target, count }));
+  });
+
+  return { nodes, edges };
+}
+
+/**
+ * Click depth of every page reachable from `home` (breadth-first)
+ */
+function clickDepths(graph, home) {
+  const depths = new Map();
+  if (!graph.nodes.has(home)) return depths;
+
+  depths.set(home, 0);
+  const queue = [home];
+  while (queue.length > 0) {
+    const page = queue.shift();
+    graph.nodes.get(page).outbound.forEach((count, target) => {
+      if (!depths.has(target)) {
+        depths.set(target, depths.get(page) + 1);
+        queue.push(target);
+      }
+    });
+  }
+  return depths;
+}
+
+/**
+ * Orphans, dead ends, depths, inbound counts and global-link coverage
+ */
+function analyzeLinkGraph(graph, { home, globals = [] }) {
+  const pages = [...graph.nodes.keys()];
+  const depths = clickDepths(graph, home);
+
+  const missingGlobals = globals
+    .filter(global => graph.nodes.has(global))
+    .map(global => ({
+      page: global,
+      missingFrom: pages.filter(page => page !== global && !graph.nodes.get(page).outbound.has(global))
+    }))
+    .filter(global => global.missingFrom.length > 0);
+
+  return {
+    home,
+    orphans: pages.filter(page => page !== home && graph.nodes.get(page).inbound.size === 0),
+    deadEnds: pages.filter(page => graph.nodes.get(page).outbound.size === 0),
+    unreachable: pages.filter(page => !depths.has(page)),
+    depths,
+    inbound: pages
+      .map(page => {
+        const inbound = graph.nodes.get(page).inbound;
+        const links = [...inbound.values()].reduce((sum, count) => sum + count, 0);
+        return { page, pages: inbound.size, links, depth: depths.has(page) ? depths.get(page) : null };
+      })
+      .sort((a, b) => b.pages - a.pages || b.links - a.links || a.page.localeCompare(b.page)),
+    missingGlobals
+  };
+}
+
+/**
+ * Group of every page: home, the area type for registry pages, the
+ * interlinking-map group it belongs to, or plain "page"
+ */
+function pageGroups(pages, { home, areas = [], groups = {} }) {
+  const result = new Map();
+  pages.forEach(page => {
+    const area = areas.find(candidate => candidate.page === page);
+    const group = Object.keys(groups).find(name => groups[name].includes(page));
+    result.set(page, page === home ? 'home' : area ? area.type : group || 'page');
+  });
+  return result;
+}
+
+function groupColor(group) {
+  if (GROUP_COLORS[group]) return GROUP_COLORS[group];
+  let hash = 0;
+  for (const char of group) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  return EXTRA_COLORS[hash % EXTRA_COLORS.length];
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Graphviz DOT export
+ */
+function toDot(graph, analysis, groups) {
+  const quote = value => JSON.stringify(String(value));
+  const lines = ['digraph links {', '  rankdir=LR;', '  node [shape=box, style="rounded,filled", fontname="Helvetica"];'];
+
+  graph.nodes.forEach((node, page) => {
+    const depth = analysis.depths.has(page) ? analysis.depths.get(page) : 'unreachable';
+    lines.push(`  ${quote(page)} [fillcolor=${quote(groupColor(groups.get(page)))}, group=${quote(groups.get(page))}, tooltip=${quote(`depth ${depth}, ${node.inbound.size} inbound pages`)}];`);
+  });
+  graph.edges.forEach(edge => {
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)} [weight=${edge.count}${edge.count > 1 ? `, label=${quote(edge.count)}` : ''}];`);
+  });
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * GraphML export (yEd, Gephi)
+ */
+function toGraphML(graph, analysis, groups) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="group" for="node" attr.name="group" attr.type="string"/>',
+    '  <key id="depth" for="node" attr.name="depth" attr.type="int"><default>-1</default></key>',
+    '  <key id="inbound" for="node" attr.name="inbound" attr.type="int"/>',
+    '  <key id="weight" for="edge" attr.name="weight" attr.type="int"/>',
+    '  <graph id="links" edgedefault="directed">'
+  ];
+
+  graph.nodes.forEach((node, page) => {
+    lines.push(`    <node id="${escapeXml(page)}">`);
+    lines.push(`      <data key="group">${escapeXml(groups.get(page))}</data>`);
+    if (analysis.depths.has(page)) {
+      lines.push(`      <data key="depth">${analysis.depths.get(page)}</data>`);
+    }
+    lines.push(`      <data key="inbound">${node.inbound.size}</data>`);
+    lines.push('    </node>');
+  });
+  graph.edges.forEach((edge, index) => {
+    lines.push(`    <edge id="e${index}" source="${escapeXml(edge.from)}" target="${escapeXml(edge.to)}"><data key="weight">${edge.count}</data></edge>`);
+  });
+
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Standalone HTML page with a force-directed drawing of the graph.
+ * Everything is inline, so the file can be opened straight from disk.
+ */
+function toHtml(graph, analysis, groups, title = 'Link graph') {
+  const data = {
+    nodes: [...graph.nodes.keys()].map(page => ({
+      id: page,
+      group: groups.get(page),
+      color: groupColor(groups.get(page)),
+      depth: analysis.depths.has(page) ? analysis.depths.get(page) : null,
+      inbound: graph.nodes.get(page).inbound.size,
+      orphan: analysis.orphans.includes(page),
+      deadEnd: analysis.deadEnds.includes(page)
+    })),
+    edges: graph.edges.map(edge => ({ from: edge.from, to: edge.to, count: edge.count }))
+  };
+  const legend = [...new Set(groups.values())]
+    .map(group => `<span><i style="background:${groupColor(group)}"></i>${escapeXml(group)}</span>`)
+    .join(' ');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeXml(title)}</title>
+<style>
+  body{margin:0;font:14px/1.4 system-ui,sans-serif;color:#0F172A}
+  header{padding:.75rem 1rem;border-bottom:1px solid #E2E8F0}
+  header h1{font-size:1.1rem;margin:0 0 .25rem}
+  .legend span{margin-right:1rem}.legend i{display:inline-block;width:.8rem;height:.8rem;border-radius:50%;margin-right:.3rem;vertical-align:-1px}
+  svg{display:block;width:100vw;height:calc(100vh - 4.5rem)}
+  line{stroke:#CBD5E1}circle{stroke:#fff;stroke-width:1.5px;cursor:grab}circle.orphan{stroke:#DC2626;stroke-width:3px}
+  text{font-size:10px;pointer-events:none;fill:#334155}
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeXml(title)}</h1>
+  <div class="legend">${legend} <span>Red ring = orphan · size = inbound pages · hover for depth</span></div>
+</header>
+<svg id="graph"></svg>
+<script>
+const data = ${JSON.stringify(data).replace(/<\//g, '<\\/')};
+const svg = document.getElementById('graph');
+const ns = 'http://www.w3.org/2000/svg';
+const width = svg.clientWidth, height = svg.clientHeight;
+const byId = new Map(data.nodes.map((node, i) => [node.id, Object.assign(node, {
+  x: width / 2 + Math.cos(i) * width / 3 * Math.random(),
+  y: height / 2 + Math.sin(i) * height / 3 * Math.random(), vx: 0, vy: 0
+})]));
+const edges = data.edges.map(edge => ({ source: byId.get(edge.from), target: byId.get(edge.to), count: edge.count }));
+const el = (name, attrs) => { const node = document.createElementNS(ns, name); Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, v)); return svg.appendChild(node); };
+const lines = edges.map(edge => el('line', { 'stroke-width': Math.min(4, edge.count) }));
+const circles = data.nodes.map(node => {
+  const circle = el('circle', { r: 5 + Math.sqrt(node.inbound) * 2, fill: node.color, class: node.orphan ? 'orphan' : '' });
+  const tip = document.createElementNS(ns, 'title');
+  tip.textContent = node.id + ' — depth ' + (node.depth === null ? 'unreachable' : node.depth) + ', ' + node.inbound + ' inbound pages' + (node.deadEnd ? ', dead end' : '');
+  circle.appendChild(tip);
+  return circle;
+});
+const labels = data.nodes.map(node => { const text = el('text', { dx: 9, dy: 3 }); text.textContent = node.id.replace(/\\.html$/, ''); return text; });
+
+let dragged = null;
+svg.addEventListener('mousedown', event => { const i = circles.indexOf(event.target); if (i !== -1) dragged = data.nodes[i]; });
+svg.addEventListener('mousemove', event => { if (dragged) { const box = svg.getBoundingClientRect(); dragged.x = event.clientX - box.left; dragged.y = event.clientY - box.top; } });
+window.addEventListener('mouseup', () => { dragged = null; });
+
+function tick() {
+  for (const a of data.nodes) {
+    for (const b of data.nodes) {
+      if (a === b) continue;
+      const dx = a.x - b.x, dy = a.y - b.y, d2 = dx * dx + dy * dy || 1;
+      a.vx += dx / d2 * 60; a.vy += dy / d2 * 60;
+    }
+    a.vx += (width / 2 - a.x) * 0.002; a.vy += (height / 2 - a.y) * 0.002;
+  }
+  for (const edge of edges) {
+    const dx = edge.target.x - edge.source.x, dy = edge.target.y - edge.source.y;
+    const d = Math.sqrt(dx * dx + dy * dy) || 1, pull = (d - 90) * 0.05;
+    edge.source.vx += dx / d * pull; edge.source.vy += dy / d * pull;
+    edge.target.vx -= dx / d * pull; edge.target.vy -= dy / d * pull;
+  }
+  for (const node of data.nodes) {
+    if (node !== dragged) { node.x += node.vx * 0.1; node.y += node.vy * 0.1; }
+    node.vx *= 0.6; node.vy *= 0.6;
+    node.x = Math.max(10, Math.min(width - 10, node.x)); node.y = Math.max(10, Math.min(height - 10, node.y));
+  }
+  edges.forEach((edge, i) => {
+    lines[i].setAttribute('x1', edge.source.x); lines[i].setAttribute('y1', edge.source.y);
+    lines[i].setAttribute('x2', edge.target.x); lines[i].setAttribute('y2', edge.target.y);
+  });
+  data.nodes.forEach((node, i) => {
+    circles[i].setAttribute('cx', node.x); circles[i].setAttribute('cy', node.y);
+    labels[i].setAttribute('x', node.x); labels[i].setAttribute('y', node.y);
+  });
+  requestAnimationFrame(tick);
+}
+tick();
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the graph in the format matching the file extension
+ */
+function writeLinkGraph(file, graph, analysis, groups, title) {
+  const extension = path.extname(file).toLowerCase();
+  const renderers = {
+    '.dot': toDot,
+    '.gv': toDot,
+    '.graphml': toGraphML,
+    '.html': (...args) => toHtml(...args, title)
+  };
+  if (!renderers[extension]) {
+    throw new Error(`Unknown graph format "${extension}" (use .dot, .gv, .graphml or .html)`);
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, renderers[extension](graph, analysis, groups), 'utf8');
+}
+
+module.exports = {
+  buildLinkGraph,
+  clickDepths,
+  analyzeLinkGraph,
+  pageGroups,
+  toDot,
+  toGraphML,
+  toHtml,
+  writeLinkGraph
+};
@@ -0,0 +1,144 @@
+/**
+ * Mail Transport
+ * Pluggable delivery for lead notifications. Every transport has one
+ * method, send(message), taking { from, to, replyTo, subject, text }.
+ *   file   — writes each message as an .eml file to a local outbox
+ *   smtp   — plain SMTP to a local catcher or relay (no TLS or auth)
+ *   module — a site's own transport: a module exporting send(message)
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * The bare address in "Name <address>"
+ */
+function addressOf(mailbox) {
+  const match = String(mailbox).match(/<([^>]+)>/);
+  return (match ? match[1] : String(mailbox)).trim();
+}
+
+/**
+ * A header value, MIME-encoded when it isn't plain ASCII
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+/**
+ * The message as RFC 5322 text with CRLF line endings
+ */
+function formatMessage(message, date = new Date()) {
+  const domain = addressOf(message.from).split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${message.from}`,
+    `To: ${[].concat(message.to).join(', ')}`,
+    message.replyTo ? `Reply-To: ${message.replyTo}` : null,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit'
+  ].filter(Boolean);
+
+  return `${headers.join('\r\n')}\r\n\r\n${message.text.replace(/\r?\n/g, '\r\n')}\r\n`;
+}
+
+function fileTransport({ dir = '.leads/outbox' }, cwd) {
+  const outbox = path.resolve(cwd, dir);
+  return {
+    async send(message) {
+      await fs.promises.mkdir(outbox, { recursive: true });
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const file = path.join(outbox, `${stamp}-${crypto.randomBytes(3).toString('hex')}.eml`);
+      await fs.promises.writeFile(file, formatMessage(message));
+      return { file };
+    }
+  };
+}
+
+/**
+ * One SMTP conversation: resolves once the server accepts the message
+ */
+function smtpSend({ host, port, timeoutMs }, envelope, data) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, host);
+    const steps = [
+      { expect: [220] },
+      { command: 'EHLO localhost', expect: [250] },
+      { command: `MAIL FROM:<${envelope.from}>`, expect: [250] },
+      ...envelope.to.map(to => ({ command: `RCPT TO:<${to}>`, expect: [250, 251] })),
+      { command: 'DATA', expect: [354] },
+      { command: `${data.replace(/^\./gm, '..')}.`, expect: [250] },
+      { command: 'QUIT', expect: [221] }
+    ];
+    let buffer = '';
+
+    const fail = error => {
+      socket.destroy();
+      reject(error);
+    };
+
+    socket.setEncoding('utf8');
+    socket.setTimeout(timeoutMs, () => fail(new Error(`SMTP ${host}:${port} timed out`)));
+    socket.on('error', fail);
+    socket.on('data', chunk => {
+      buffer += chunk;
+      // A reply is complete at its last line: "250 ok", not "250-PIPELINING"
+      const lines = buffer.split('\r\n');
+      const last = lines.slice(0, -1).reverse().find(line => /^\d{3}(?: |$)/.test(line));
+      if (!last) return;
+      buffer = '';
+
+      const code = Number(last.slice(0, 3));
+      const step = steps.shift();
+      if (!step.expect.includes(code)) {
+        fail(new Error(`SMTP ${host}:${port} replied "${last}"`));
+        return;
+      }
+      if (steps.length === 0) {
+        socket.end();
+        resolve({ host, port });
+        return;
+      }
+      socket.write(`${steps[0].command}\r\n`);
+    });
+  });
+}
+
+function smtpTransport({ host = 'localhost', port = 1025, timeoutMs = 10000 }) {
+  return {
+    send(message) {
+      const envelope = { from: addressOf(message.from), to: [].concat(message.to).map(addressOf) };
+      return smtpSend({ host, port, timeoutMs }, envelope, formatMessage(message));
+    }
+  };
+}
+
+function moduleTransport(options, cwd) {
+  const transport = require(path.resolve(cwd, options.module));
+  const instance = typeof transport.createTransport === 'function' ? transport.createTransport(options) : transport;
+  if (typeof instance.send !== 'function') {
+    throw new Error(`${options.module} doesn't export send(message) or createTransport(options)`);
+  }
+  return instance;
+}
+
+const TRANSPORTS = { file: fileTransport, smtp: smtpTransport, module: moduleTransport };
+
+/**
+ * The transport described by a lead-forms.json "transport" block, e.g.
+ * { "type": "smtp", "host": "localhost", "port": 1025 }
+ */
+function createTransport(options = {}, cwd = process.cwd()) {
+  const type = options.type || 'file';
+  if (!TRANSPORTS[type]) {
+    throw new Error(`Unknown mail transport "${type}" (use ${Object.keys(TRANSPORTS).join(', ')})`);
+  }
+  return TRANSPORTS[type](options, cwd);
+}
+
+module.exports = { addressOf, formatMessage, createTransport };
@@ -0,0 +1,320 @@
+/**
+ * Migration Runner
+ * Shared --dry-run / --write / --undo handling for the scripts that rewrite
+ * HTML in place: previews changes as unified diffs, backs up the files of
+ * the last --write run so it can be undone, and reports a JSON summary.
+ * A transform may also create a file (and its folder), move one to a new
+ * name or remove it. --check previews nothing and fails when any file
+ * would change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const BACKUP_DIR = '.migration-backup';
+const DIFF_CONTEXT = 3;
+
+/**
+ * Read the mode and options shared by every migration script
+ */
+function parseMigrationArgs(argv) {
+  const summaryIndex = argv.indexOf('--summary');
+  let mode = 'dry-run';
+  if (argv.includes('--undo')) mode = 'undo';
+  else if (argv.includes('--write')) mode = 'write';
+  else if (argv.includes('--check')) mode = 'check';
+
+  return {
+    mode,
+    force: argv.includes('--force'),
+    quiet: argv.includes('--quiet'),
+    summary: summaryIndex !== -1 ? argv[summaryIndex + 1] : null
+  };
+}
+
+/**
+ * Line operations (' ', '-', '+') turning `a` into `b`, via a longest common
+ * subsequence over the lines that differ (common prefix/suffix trimmed first)
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const table = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      table[i][j] = midA[i] === midB[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map(line => [' ', line]);
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      ops.push([' ', midA[i++]]);
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      ops.push(['-', midA[i++]]);
+    } else {
+      ops.push(['+', midB[j++]]);
+    }
+  }
+  while (i < midA.length) ops.push(['-', midA[i++]]);
+  while (j < midB.length) ops.push(['+', midB[j++]]);
+  a.slice(endA).forEach(line => ops.push([' ', line]));
+
+  return ops;
+}
+
+/**
+ * Unified diff of one file, or '' when nothing changed. A null `before`
+ * is a new file and a null `after` a removed one; a `target` other than
+ * `file` is a rename.
+ */
+function unifiedDiff(file, before, after, context = DIFF_CONTEXT, target = file) {
+  const renamed = target !== file;
+  if (before === after && !renamed) return '';
+
+  const header = renamed ? [`rename from ${file}`, `rename to ${target}`] : [];
+  if (before === after) return header.join('\n') + '\n';
+
+  // An empty file has no lines (''.split gives one empty line)
+  const lines = text => (!text ? [] : text.split('\n'));
+  const ops = diffLines(lines(before), lines(after));
+  const changed = ops.map((op, index) => (op[0] === ' ' ? -1 : index)).filter(index => index !== -1);
+
+  // Group changes whose context would overlap into one hunk
+  const groups = [];
+  changed.forEach(index => {
+    const last = groups[groups.length - 1];
+    if (last && index - last.end <= context * 2) {
+      last.end = index;
+    } else {
+      groups.push({ start: index, end: index });
+    }
+  });
+
+  const output = [...header, before === null ? '--- /dev/null' : `--- a/${file}`, after === null ? '+++ /dev/null' : `+++ b/${target}`];
+  groups.forEach(group => {
+    const from = Math.max(0, group.start - context);
+    const to = Math.min(ops.length, group.end + context + 1);
+    const preceding = ops.slice(0, from);
+    const hunk = ops.slice(from, to);
+
+    const oldStart = preceding.filter(op => op[0] !== '+').length + 1;
+    const newStart = preceding.filter(op => op[0] !== '-').length + 1;
+    const oldCount = hunk.filter(op => op[0] !== '+').length;
+    const newCount = hunk.filter(op => op[0] !== '-').length;
+
+    // An empty range is numbered by the line before it
+    output.push(`@@ -${oldCount === 0 ? oldStart - 1 : oldStart},${oldCount} +${newCount === 0 ? newStart - 1 : newStart},${newCount} @@`);
+    hunk.forEach(([type, line]) => output.push(`${type}${line}`));
+  });
+
+  return output.join('\n') + '\n';
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Save the original content of the files a --write run is about to change.
+ * Files the run creates are only recorded, so undo can remove them; moved
+ * files are recorded with their new name and removed ones as removed. Only
+ * the last run of each script is kept.
+ */
+function saveBackup(name, results, summary) {
+  const dir = path.join(BACKUP_DIR, name);
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  const files = results.map((result, index) => {
+    if (result.created) {
+      fs.mkdirSync(dir, { recursive: true });
+      return { file: result.file, created: true, written: hashContent(result.after) };
+    }
+    const backup = `${index}-${path.basename(result.file)}`;
+    fs.mkdirSync(path.join(dir, 'files'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'files', backup), result.before, 'utf8');
+    if (result.removed) return { file: result.file, backup, removed: true };
+    const entry = { file: result.file, backup, written: hashContent(result.after) };
+    return result.movedTo ? { ...entry, movedTo: result.movedTo } : entry;
+  });
+
+  fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({ script: name, date: summary.date, files }, null, 2));
+  fs.writeFileSync(path.join(dir, 'summary.json'), JSON.stringify(summary, null, 2));
+  return dir;
+}
+
+/**
+ * Restore the files changed by the last --write run of a script. Files edited
+ * since that run are skipped unless --force is given.
+ */
+function undoLastRun(name, options) {
+  const dir = path.join(BACKUP_DIR, name);
+  const manifestFile = path.join(dir, 'manifest.json');
+
+  if (!fs.existsSync(manifestFile)) {
+    console.log(`No ${name} run to undo (${manifestFile} not found)`);
+    return false;
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+  console.log(`↩️  Undoing ${name} run from ${manifest.date}...`);
+
+  // A removed file that is back has been edited since, whatever it holds
+  const skipped = manifest.files.filter(entry => {
+    const current = entry.movedTo || entry.file;
+    if (options.force || !fs.existsSync(current)) return false;
+    return entry.removed || hashContent(fs.readFileSync(current, 'utf8')) !== entry.written;
+  });
+  if (skipped.length > 0) {
+    console.log('\n❌ These files changed since the run; re-run with --force to restore them anyway:');
+    skipped.forEach(entry => console.log(`  - ${entry.movedTo || entry.file}`));
+    return false;
+  }
+
+  manifest.files.forEach(entry => {
+    if (entry.created) {
+      fs.rmSync(entry.file, { force: true });
+      console.log(`✅ Removed: ${entry.file}`);
+      return;
+    }
+    if (entry.movedTo) {
+      fs.rmSync(entry.movedTo, { force: true });
+    }
+    fs.writeFileSync(entry.file, fs.readFileSync(path.join(dir, 'files', entry.backup), 'utf8'), 'utf8');
+    console.log(`✅ Restored: ${entry.file}${entry.movedTo ? ` (from ${entry.movedTo})` : ''}`);
+  });
+
+  fs.rmSync(dir, { recursive: true, force: true });
+  console.log(`\n🎉 Restored ${manifest.files.length} files`);
+  return true;
+}
+
+/**
+ * Run a migration over `files`. transform(file, content) returns
+ * { content, changes } where changes lists the replacements made, plus
+ * `moveTo` to rename the file or `remove` to delete it. Files that don't
+ * exist yet are transformed from '' and created.
+ * Defaults to a dry run; --write applies (with a backup), --undo restores
+ * and --check fails if anything would change.
+ * A file the transform fails on is listed in the summary's `failures`, sets
+ * a non-zero exit code and stops --write from touching any file.
+ */
+function runMigration({ name, files, transform, argv = process.argv.slice(2) }) {
+  const options = parseMigrationArgs(argv);
+
+  if (options.mode === 'undo') {
+    return undoLastRun(name, options) ? { script: name, mode: 'undo' } : null;
+  }
+
+  const results = [];
+  const failures = [];
+  files.forEach(file => {
+    try {
+      const created = !fs.existsSync(file);
+      const before = created ? '' : fs.readFileSync(file, 'utf8');
+      const { content, changes, moveTo, remove } = transform(file, before);
+      if (remove) {
+        if (!created) results.push({ file, before, after: null, changes, created, removed: true });
+        return;
+      }
+      const movedTo = moveTo && moveTo !== file ? moveTo : null;
+      if (movedTo && fs.existsSync(movedTo)) {
+        throw new Error(`cannot move to ${movedTo}: it already exists`);
+      }
+      if (content !== before || movedTo) {
+        results.push({ file, before, after: content, changes, created, movedTo });
+      }
+    } catch (error) {
+      console.error(`❌ Error processing ${file}:`, error.message);
+      failures.push({ file, error: error.message });
+    }
+  });
+
+  const summary = {
+    script: name,
+    mode: options.mode,
+    date: new Date().toISOString(),
+    filesScanned: files.length,
+    filesChanged: results.length,
+    changes: results.reduce((total, result) => total + result.changes.length, 0),
+    files: results.map(result => {
+      if (result.movedTo) return { file: result.file, movedTo: result.movedTo, changes: result.changes };
+      if (result.removed) return { file: result.file, removed: true, changes: result.changes };
+      return { file: result.file, changes: result.changes };
+    }),
+    failures
+  };
+
+  if (failures.length > 0) process.exitCode = 1;
+
+  if (options.mode === 'dry-run') {
+    if (!options.quiet) {
+      results.forEach(result => process.stdout.write(unifiedDiff(
+        result.file,
+        result.created ? null : result.before,
+        result.after,
+        DIFF_CONTEXT,
+        result.movedTo || result.file
+      )));
+    }
+    console.log(`\n🔍 Dry run: ${results.length} of ${files.length} files would change (${summary.changes} changes)`);
+    console.log(failures.length > 0
+      ? `❌ ${failures.length} of ${files.length} files failed; --write won't apply until they're fixed.`
+      : 'Re-run with --write to apply.');
+  } else if (options.mode === 'check') {
+    results.forEach(result => console.log(`  - ${result.file}${result.removed ? ' (would be removed)' : ''}`));
+    if (results.length > 0) process.exitCode = 1;
+    console.log(results.length > 0 || failures.length > 0
+      ? `\n❌ ${results.length} of ${files.length} files out of date${failures.length > 0 ? `, ${failures.length} failed` : ''}; re-run with --write.`
+      : `\n✅ ${files.length} files up to date`);
+  } else if (failures.length > 0) {
+    console.log(`\n❌ Nothing written: ${failures.length} of ${files.length} files failed`);
+    failures.forEach(failure => console.log(`  - ${failure.file}: ${failure.error}`));
+  } else {
+    const backup = results.length > 0 ? saveBackup(name, results, summary) : null;
+    results.forEach(result => {
+      if (result.removed) {
+        fs.rmSync(result.file);
+        console.log(`🗑️  Removed: ${result.file} (${result.changes.length} changes)`);
+        return;
+      }
+      if (result.movedTo) {
+        fs.writeFileSync(result.movedTo, result.after, 'utf8');
+        fs.rmSync(result.file);
+        console.log(`✅ Moved: ${result.file} → ${result.movedTo} (${result.changes.length} changes)`);
+        return;
+      }
+      if (result.created) fs.mkdirSync(path.dirname(result.file), { recursive: true });
+      fs.writeFileSync(result.file, result.after, 'utf8');
+      console.log(`✅ ${result.created ? 'Created' : 'Updated'}: ${result.file} (${result.changes.length} changes)`);
+    });
+    console.log(`\n🎉 ${results.length} of ${files.length} files updated (${summary.changes} changes)`);
+    if (backup) {
+      console.log(`Backup saved to ${backup}; undo with --undo.`);
+    }
+  }
+
+  if (options.summary) {
+    fs.writeFileSync(options.summary, JSON.stringify(summary, null, 2));
+    console.log(`📄 Change summary written to ${options.summary}`);
+  }
+
+  return summary;
+}
+
+module.exports = { parseMigrationArgs, unifiedDiff, runMigration };
@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+
+/**
+ * Slug Normaliser
+ * Renames every page whose file name isn't a lowercase, hyphenated slug
+ * (service-Capitol Hill.html → service-capitol-hill.html), rewrites the
+ * internal links (in pages and partials/) and config entries that point at
+ * the old names, and keeps 301 redirect maps for Netlify (_redirects),
+ * Apache (.htaccess) and nginx (nginx-redirects.conf) so the old URLs keep
+ * working. Legacy copies of a registry area page (service-edmond.html beside
+ * service-area-edmond.html) redirect to the registry page, in one hop from
+ * every older name.
+ * Prints a diff by default; --write applies, --undo restores the last run.
+ */
+
+const fs = require('fs');
+const glob = require('glob');
+const { runMigration } = require('./migration-run.js');
+const { loadServiceAreas } = require('./service-areas.js');
+const { findDuplicateOf } = require('./build-sitemap.js');
+
+const HIERARCHY_FILE = 'site-hierarchy.json';
+const REGISTRY_FILE = 'service-areas.json';
+
+// Config files that refer to pages by file name
+const CONFIG_FILES = ['site-hierarchy.json', 'interlinking-map.json', 'service-areas.json', 'business-profile.json'];
+
+const REDIRECT_FILES = {
+  netlify: '_redirects',
+  apache: '.htaccess',
+  nginx: 'nginx-redirects.conf'
+};
+
+const REDIRECTS_REGEX = /# generated:redirects\n[\s\S]*?# \/generated:redirects\n?/;
+const LINK_ATTRIBUTE_REGEX = /(\s(?:href|action)\s*=\s*)("([^"]*)"|'([^']*)')/gi;
+
+/**
+ * Lowercase, hyphenated file name for a page
+ */
+function slugifyPage(page) {
+  const extension = page.match(/\.[a-z0-9]+$/i);
+  const base = extension ? page.slice(0, -extension[0].length) : page;
+  const slug = base.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return slug + (extension ? extension[0].toLowerCase() : '');
+}
+
+/**
+ * Map of old name → new name for every page that needs renaming. Throws
+ * when two pages would end up with the same name.
+ */
+function planRenames(files) {
+  const renames = new Map();
+  files.forEach(file => {
+    const slug = slugifyPage(file);
+    if (slug !== file) renames.set(file, slug);
+  });
+
+  const targets = new Map();
+  renames.forEach((slug, file) => {
+    const clash = targets.get(slug) || (files.includes(slug) && !renames.has(slug) ? slug : null);
+    if (clash) {
+      throw new Error(`${file} and ${clash} would both become ${slug}`);
+    }
+    targets.set(slug, file);
+  });
+
+  return renames;
+}
+
+function decodePath(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Path a page is served at, for the redirect maps: under the base URL's
+ * path when the site has one
+ */
+function pagePath(page, baseUrl = null) {
+  return baseUrl ? decodePath(new URL(page, baseUrl).pathname) : `/${page}`;
+}
+
+/**
+ * An href with a renamed page swapped for its new name (prefix, query and
+ * fragment kept), or null when it points elsewhere
+ */
+function rewriteHref(href, renames, baseUrl = null) {
+  const prefixes = ['./', '/'];
+  if (baseUrl) prefixes.unshift(baseUrl, new URL(baseUrl).pathname);
+
+  const match = href.match(/^([^?#]*)([?#].*)?$/);
+  const target = match[1];
+  const prefix = prefixes.find(candidate => target.startsWith(candidate)) || '';
+  const page = decodePath(target.slice(prefix.length));
+
+  return renames.has(page) ? prefix + renames.get(page) + (match[2] || '') : null;
+}
+
+/**
+ * Rewrite the href and action attributes in a page that point at renamed pages
+ */
+function rewriteLinks(content, renames, baseUrl = null) {
+  const changes = [];
+  const updated = content.replace(LINK_ATTRIBUTE_REGEX, (attribute, name, quoted, double, single) => {
+    const href = double !== undefined ? double : single;
+    const rewritten = rewriteHref(href, renames, baseUrl);
+    if (rewritten === null) return attribute;
+
+    changes.push({ from: href, to: rewritten });
+    const quote = double !== undefined ? '"' : "'";
+    return `${name}${quote}${rewritten}${quote}`;
+  });
+  return { content: updated, changes };
+}
+
+/**
+ * Replace page names used as JSON strings (keys or values) in a config file
+ */
+function rewriteConfig(content, renames) {
+  const changes = [];
+  let updated = content;
+  renames.forEach((slug, page) => {
+    const from = JSON.stringify(page);
+    if (updated.includes(from)) {
+      updated = updated.split(from).join(JSON.stringify(slug));
+      changes.push({ from: page, to: slug });
+    }
+  });
+  return { content: updated, changes };
+}
+
+/**
+ * Redirects in the generated block of an existing _redirects file
+ */
+function readRedirects(file = REDIRECT_FILES.netlify) {
+  if (!fs.existsSync(file)) return new Map();
+
+  const block = fs.readFileSync(file, 'utf8').match(REDIRECTS_REGEX);
+  const redirects = new Map();
+  if (block) {
+    block[0].split('\n').forEach(line => {
+      const [from, to] = line.trim().split(/\s+/);
+      if (from && to && !from.startsWith('#')) redirects.set(decodePath(from), decodePath(to));
+    });
+  }
+  return redirects;
+}
+
+/**
+ * Where each page's old URL should 301 to: this run's renames, except that
+ * a page landing on a legacy copy of a registry area page goes to the
+ * registry page, and the legacy copies themselves go there too
+ */
+function redirectTargets(files, renames, areas) {
+  const targets = new Map();
+  renames.forEach((slug, page) => targets.set(page, findDuplicateOf(slug, areas) || slug));
+  files.map(file => renames.get(file) || file).forEach(page => {
+    const registryPage = findDuplicateOf(page, areas);
+    if (registryPage) targets.set(page, registryPage);
+  });
+  return targets;
+}
+
+/**
+ * Earlier redirects plus this run's renames, with chains collapsed so every
+ * old path 301s straight to the current one
+ */
+function mergeRedirects(previous, renames, toPath) {
+  const redirects = new Map();
+  previous.forEach((to, from) => redirects.set(from, to));
+  renames.forEach((slug, page) => redirects.set(toPath(page), toPath(slug)));
+
+  const resolve = (path, seen = new Set()) => {
+    if (!redirects.has(path) || seen.has(path)) return path;
+    seen.add(path);
+    return resolve(redirects.get(path), seen);
+  };
+
+  const merged = new Map();
+  [...redirects.keys()].sort().forEach(from => {
+    const to = resolve(from);
+    if (to !== from) merged.set(from, to);
+  });
+  return merged;
+}
+
+function quotePath(path) {
+  return `"${path.replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * The redirect lines for one server format
+ */
+function renderRedirects(format, redirects) {
+  return [...redirects].map(([from, to]) => {
+    if (format === 'netlify') return `${encodeURI(from)}  ${encodeURI(to)}  301`;
+    if (format === 'apache') return `Redirect 301 ${quotePath(from)} ${encodeURI(to)}`;
+    return `location = ${quotePath(from)} { return 301 ${encodeURI(to)}; }`;
+  });
+}
+
+/**
+ * Replace the generated redirect block of a file, keeping any rules
+ * written by hand around it
+ */
+function applyRedirects(content, format, redirects) {
+  const block = ['# generated:redirects', ...renderRedirects(format, redirects), '# /generated:redirects', ''].join('\n');
+  if (REDIRECTS_REGEX.test(content)) {
+    return content.replace(REDIRECTS_REGEX, () => block);
+  }
+  return content && !content.endsWith('\n') ? `${content}\n${block}` : content + block;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const argv = process.argv.slice(2);
+
+  if (argv.includes('--undo')) {
+    runMigration({ name: 'normalize-slugs', files: [], transform: null, argv });
+    return;
+  }
+
+  const htmlFiles = glob.sync('*.html', { cwd: process.cwd() });
+  const baseUrl = fs.existsSync(HIERARCHY_FILE) ? JSON.parse(fs.readFileSync(HIERARCHY_FILE, 'utf8')).baseUrl : null;
+  const toPath = page => pagePath(page, baseUrl);
+
+  let renames;
+  try {
+    renames = planRenames(htmlFiles);
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const areas = fs.existsSync(REGISTRY_FILE) ? loadServiceAreas(REGISTRY_FILE) : [];
+  const targets = redirectTargets(htmlFiles, renames, areas);
+  const legacy = targets.size - [...targets.keys()].filter(page => renames.has(page)).length;
+
+  console.log(`🔤 Normalising slugs: ${renames.size} of ${htmlFiles.length} pages to rename, ${legacy} legacy area pages to redirect...`);
+  if (targets.size === 0) return;
+
+  const redirects = mergeRedirects(readRedirects(), targets, toPath);
+  const configFiles = CONFIG_FILES.filter(file => fs.existsSync(file));
+  const partialFiles = glob.sync('partials/*.html', { cwd: process.cwd() });
+  const redirectFiles = Object.values(REDIRECT_FILES);
+  const formatOf = file => Object.keys(REDIRECT_FILES).find(format => REDIRECT_FILES[format] === file);
+
+  runMigration({
+    name: 'normalize-slugs',
+    files: [...htmlFiles, ...partialFiles, ...configFiles, ...redirectFiles],
+    transform: (file, content) => {
+      if (redirectFiles.includes(file)) {
+        const updated = applyRedirects(content, formatOf(file), redirects);
+        return { content: updated, changes: updated !== content ? [{ redirects: redirects.size }] : [] };
+      }
+      if (configFiles.includes(file)) {
+        return rewriteConfig(content, renames);
+      }
+      const result = rewriteLinks(content, renames, baseUrl);
+      if (renames.has(file)) {
+        result.changes.push({ from: file, to: renames.get(file) });
+        result.moveTo = renames.get(file);
+      }
+      return result;
+    },
+    argv
+  });
+
+  console.log('\nRe-run build-breadcrumbs.js, build-structured-data.js and build-sitemap.js so generated URLs follow the new names.');
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  REDIRECT_FILES,
+  slugifyPage,
+  planRenames,
+  rewriteHref,
+  rewriteLinks,
+  rewriteConfig,
+  pagePath,
+  redirectTargets,
+  readRedirects,
+  mergeRedirects,
+  renderRedirects,
+  applyRedirects
+};
@@ -0,0 +1,319 @@
+/**
+ * Page Layout
+ * Assembles pages from the site's partials/ folder. A page whose body starts
+ * with <!-- layout --> keeps only its own content in the source; the rest of
+ * the body comes from partials/layout.html, with the page content in place
+ * of {{content}}. Pages, the layout and partials pull in other partials with
+ * <!-- include:name key="value" -->. A partial fills {{key}} and
+ * {{key|default}} from the attributes of its include and of every include
+ * (or layout marker) around it, plus the built-ins {{year}} and {{page}}.
+ * An include alone on its line is indented to match, so partials are kept
+ * flush left. The primary nav (partials/nav.html) marks the link to the
+ * page with aria-current="page", or else the link to its nearest ancestor
+ * in site-hierarchy.json with aria-current="true"; active="other.html" on
+ * the layout marker picks the link instead (active="" for none).
+ * Rendering keeps track of the page or partial each built line came from,
+ * so the audits can report source locations.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadHierarchy, getTrail } = require('./build-breadcrumbs.js');
+
+const PARTIALS_DIR = 'partials';
+const LAYOUT_PARTIAL = 'layout';
+const NAV_PARTIAL = 'nav';
+const HIERARCHY_FILE = 'site-hierarchy.json';
+
+const LAYOUT_REGEX = /<!--\s*layout((?:\s+[\w-]+="[^"]*")*)\s*-->/;
+const INCLUDE_REGEX = /<!--\s*include:([\w-]+)((?:\s+[\w-]+="[^"]*")*)\s*-->/g;
+const PLACEHOLDER_REGEX = /\{\{\s*([\w-]+)\s*(?:\|([^}]*))?\}\}/g;
+const ATTRIBUTE_REGEX = /([\w-]+)="([^"]*)"/g;
+const BODY_CLOSE_REGEX = /<\/body\s*>/i;
+
+// Stands in for the page content while the layout's placeholders are filled
+const CONTENT_SLOT = '\u0000content\u0000';
+const CONTENT_SLOT_REGEX = new RegExp(CONTENT_SLOT, 'g');
+
+class LayoutError extends Error {}
+
+/**
+ * Partials by name (file name without .html), or an empty map when the
+ * site has no partials folder
+ */
+function loadPartials(dir = PARTIALS_DIR) {
+  const partials = new Map();
+  if (!fs.existsSync(dir)) return partials;
+
+  fs.readdirSync(dir).filter(file => file.endsWith('.html')).sort().forEach(file => {
+    const content = fs.readFileSync(path.join(dir, file), 'utf8');
+    partials.set(path.basename(file, '.html'), content.replace(/\r?\n$/, ''));
+  });
+  return partials;
+}
+
+function parseAttributes(text = '') {
+  const attributes = {};
+  let match;
+  ATTRIBUTE_REGEX.lastIndex = 0;
+  while ((match = ATTRIBUTE_REGEX.exec(text))) attributes[match[1]] = match[2];
+  return attributes;
+}
+
+/**
+ * True when the page uses a layout or includes a partial
+ */
+function usesPartials(html) {
+  INCLUDE_REGEX.lastIndex = 0;
+  return LAYOUT_REGEX.test(html) || INCLUDE_REGEX.test(html);
+}
+
+/*
+ * Text is rendered as { text, origins }, origins[i] being { file, line } for
+ * line i of the text: where that line is in the page or a partial.
+ */
+function sourceText(text, file) {
+  return { text, origins: text.split('\n').map((line, index) => ({ file, line: index + 1 })) };
+}
+
+function lineIndex(text, offset) {
+  let index = 0;
+  for (let at = text.indexOf('\n'); at !== -1 && at < offset; at = text.indexOf('\n', at + 1)) index++;
+  return index;
+}
+
+// Text inserted at one source line, every line of it pointing there
+function textAt(text, origin) {
+  return { text, origins: text.split('\n').map(() => origin) };
+}
+
+function sliceSource(source, start, end = source.text.length) {
+  const text = source.text.slice(start, end);
+  const first = lineIndex(source.text, start);
+  return { text, origins: source.origins.slice(first, first + text.split('\n').length) };
+}
+
+/**
+ * Texts joined end to end. A line made of two parts points at the first
+ * part unless that is only indentation.
+ */
+function joinSources(parts) {
+  return parts.reduce((joined, part) => {
+    const lastLine = joined.text.slice(joined.text.lastIndexOf('\n') + 1);
+    const origin = /\S/.test(lastLine) ? joined.origins[joined.origins.length - 1] : part.origins[0];
+    return {
+      text: joined.text + part.text,
+      origins: [...joined.origins.slice(0, -1), origin, ...part.origins.slice(1)]
+    };
+  });
+}
+
+/**
+ * Every match of the global `regex` replaced by the text replace(...match,
+ * offset) returns, as String#replace would
+ */
+function replaceSource(source, regex, replace) {
+  const parts = [];
+  let last = 0;
+  regex.lastIndex = 0;
+  source.text.replace(regex, (...args) => {
+    const offset = args[args.length - 2];
+    parts.push(sliceSource(source, last, offset), replace(...args));
+    last = offset + args[0].length;
+    return args[0];
+  });
+  parts.push(sliceSource(source, last));
+  return joinSources(parts);
+}
+
+function fillPlaceholders(template, values, source) {
+  return replaceSource(template, PLACEHOLDER_REGEX, (match, name, fallback, offset) => {
+    const origin = template.origins[lineIndex(template.text, offset)];
+    if (values[name] !== undefined) return textAt(values[name], origin);
+    if (fallback !== undefined) return textAt(fallback, origin);
+    throw new LayoutError(`${source}: no value for {{${name}}}`);
+  });
+}
+
+/**
+ * The nav link to mark as current, as { href, current }: the active=""
+ * value when one is set, else the page itself or its nearest ancestor that
+ * the nav links to. Null when no link applies.
+ */
+function activeLink(nav, page, values, hierarchy) {
+  if (values.active !== undefined) return values.active ? { href: values.active, current: 'page' } : null;
+
+  const hrefs = new Set();
+  nav.replace(/<a\b[^>]*\shref="([^"]*)"/gi, (match, href) => hrefs.add(href));
+
+  const trail = hierarchy ? getTrail(hierarchy, page) : null;
+  const candidates = trail ? trail.map(crumb => crumb.page).reverse() : [page];
+  const href = candidates.find(candidate => hrefs.has(candidate));
+  if (!href) return null;
+  return { href, current: href === page ? 'page' : 'true' };
+}
+
+/**
+ * Add aria-current to the first link to `href`
+ */
+function markActive(nav, { href, current }) {
+  let marked = false;
+  return nav.replace(/<a\b[^>]*>/gi, tag => {
+    if (marked || !tag.includes(`href="${href}"`) || /\saria-current=/i.test(tag)) return tag;
+    marked = true;
+    return tag.replace(/<a\b/i, `<a aria-current="${current}"`);
+  });
+}
+
+/**
+ * Indent every line after the first, for an include that sits on its own
+ * indented line
+ */
+function indentLines(text, indent) {
+  return indent ? text.replace(/\n(?=[^\n])/g, `\n${indent}`) : text;
+}
+
+/**
+ * Replace every include directive in `html`, recursively. `values` are the
+ * attributes in scope, `stack` the partials being expanded (for cycles).
+ */
+function expandIncludes(html, context, values = {}, stack = []) {
+  return replaceSource(html, INCLUDE_REGEX, (directive, name, attributeText, offset) => {
+    const source = stack.length > 0 ? `${PARTIALS_DIR}/${stack[stack.length - 1]}.html` : context.page;
+    if (stack.includes(name)) {
+      throw new LayoutError(`${source}: include cycle ${[...stack, name].join(' → ')}`);
+    }
+    if (!context.partials.has(name)) {
+      throw new LayoutError(`${source}: no partial ${PARTIALS_DIR}/${name}.html`);
+    }
+
+    const file = `${PARTIALS_DIR}/${name}.html`;
+    const scope = { ...values, ...parseAttributes(attributeText) };
+    const filled = fillPlaceholders(sourceText(context.partials.get(name), file), { ...context.builtins, ...scope }, file);
+    const expanded = expandIncludes(filled, context, scope, [...stack, name]);
+    let text = expanded.text;
+    if (name === NAV_PARTIAL) {
+      const active = activeLink(text, context.page, scope, context.hierarchy);
+      if (active) text = markActive(text, active);
+    }
+
+    const lineStart = html.text.lastIndexOf('\n', offset - 1) + 1;
+    const indent = html.text.slice(lineStart, offset);
+    return { text: indentLines(text, /^[ \t]+$/.test(indent) ? indent : ''), origins: expanded.origins };
+  });
+}
+
+/**
+ * The page as built, with where each line came from: { html, origins },
+ * origins[i] being { file, line } for line i + 1 of the built page (file is
+ * the page or partials/<name>.html). See renderPage.
+ */
+function renderPageSource(html, page, { partials = new Map(), hierarchy = null, year = new Date().getFullYear() } = {}) {
+  const context = { page, partials, hierarchy, builtins: { year: String(year), page } };
+  const source = sourceText(html, page);
+  const marker = html.match(LAYOUT_REGEX);
+  if (!marker) {
+    const built = expandIncludes(source, context);
+    return { html: built.text, origins: built.origins };
+  }
+
+  if (!partials.has(LAYOUT_PARTIAL)) {
+    throw new LayoutError(`${page}: uses a layout but there is no ${PARTIALS_DIR}/${LAYOUT_PARTIAL}.html`);
+  }
+  const start = marker.index + marker[0].length;
+  const bodyClose = html.slice(start).search(BODY_CLOSE_REGEX);
+  const end = bodyClose === -1 ? html.length : start + bodyClose;
+
+  const values = parseAttributes(marker[1]);
+  const contentStart = start + html.slice(start, end).match(/^(?:\r?\n)?/)[0].length;
+  const contentEnd = contentStart + html.slice(contentStart, end).replace(/\s+$/, '').length;
+  const content = expandIncludes(sliceSource(source, contentStart, contentEnd), context, values);
+  const layoutFile = `${PARTIALS_DIR}/${LAYOUT_PARTIAL}.html`;
+  const layout = fillPlaceholders(
+    sourceText(partials.get(LAYOUT_PARTIAL), layoutFile),
+    { ...context.builtins, ...values, content: CONTENT_SLOT },
+    layoutFile
+  );
+  const body = replaceSource(expandIncludes(layout, context, values, [LAYOUT_PARTIAL]), CONTENT_SLOT_REGEX, () => content);
+
+  const beforeEnd = html.slice(0, marker.index).replace(/[ \t]*$/, '').length;
+  const after = sliceSource(source, end);
+  const built = joinSources([
+    sliceSource(source, 0, beforeEnd),
+    body,
+    { text: '\n', origins: [body.origins[body.origins.length - 1], after.origins[0]] },
+    after
+  ]);
+  return { html: built.text, origins: built.origins };
+}
+
+/**
+ * The page as built: its layout and every include assembled. Pages without
+ * a layout marker or includes come back unchanged.
+ * Options: partials (from loadPartials), hierarchy (from loadHierarchy, for
+ * the active nav link) and year.
+ */
+function renderPage(html, page, options) {
+  return renderPageSource(html, page, options).html;
+}
+
+/**
+ * What rendering needs from the site in `cwd`: { partials, hierarchy }
+ */
+function loadSite(cwd = process.cwd()) {
+  const hierarchyFile = path.join(cwd, HIERARCHY_FILE);
+  return {
+    partials: loadPartials(path.join(cwd, PARTIALS_DIR)),
+    hierarchy: fs.existsSync(hierarchyFile) ? loadHierarchy(hierarchyFile) : null
+  };
+}
+
+// loadSite() per site directory, for readPage
+const siteCache = new Map();
+
+/**
+ * Read a page of the site in `cwd` as it will be served, with the origin of
+ * each line ({ html, origins }, as renderPageSource): assembled when it
+ * uses partials, as-is otherwise. For the audits, which should see the
+ * built page rather than the source; partials are read once per site.
+ */
+function readPageSource(file, cwd = process.cwd()) {
+  const html = fs.readFileSync(path.resolve(cwd, file), 'utf8');
+  const page = path.relative(cwd, path.resolve(cwd, file)).split(path.sep).join('/');
+  if (!usesPartials(html)) return { html, origins: sourceText(html, page).origins };
+
+  if (!siteCache.has(cwd)) siteCache.set(cwd, loadSite(cwd));
+  return renderPageSource(html, page, siteCache.get(cwd));
+}
+
+function readPage(file, cwd = process.cwd()) {
+  return readPageSource(file, cwd).html;
+}
+
+/**
+ * Move findings on a built page back to the source: each item's .line (a
+ * built line) becomes the line in its source, and items from a partial get
+ * .partial set to that partial's file
+ */
+function locateLines(items, origins) {
+  items.forEach(item => {
+    const origin = origins[item.line - 1];
+    if (!origin) return;
+    item.line = origin.line;
+    if (origin.file.startsWith(`${PARTIALS_DIR}/`)) item.partial = origin.file;
+  });
+  return items;
+}
+
+module.exports = {
+  PARTIALS_DIR,
+  LayoutError,
+  loadPartials,
+  usesPartials,
+  renderPage,
+  renderPageSource,
+  loadSite,
+  readPage,
+  readPageSource,
+  locateLines
+};
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Service Area Registry
+ * Loads service-areas.json and answers geographic questions about it
+ * (distances, nearest neighbours, "Areas near X" markup)
+ */
+
+const fs = require('fs');
+
+const REQUIRED_FIELDS = ['name', 'slug', 'type', 'lat', 'lng', 'zips', 'page'];
+const AREA_TYPES = ['city', 'neighborhood'];
+
+/**
+ * Load and validate the registry for the site in the current directory
+ */
+function loadServiceAreas(file = 'service-areas.json') {
+  const registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const areas = registry.areas || [];
+
+  areas.forEach((area, index) => {
+    const missing = REQUIRED_FIELDS.filter(field => area[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`${file}: area #${index} is missing ${missing.join(', ')}`);
+    }
+    if (!AREA_TYPES.includes(area.type)) {
+      throw new Error(`${file}: ${area.slug} has unknown type "${area.type}"`);
+    }
+  });
+
+  const slugs = areas.map(area => area.slug);
+  const duplicate = slugs.find((slug, index) => slugs.indexOf(slug) !== index);
+  if (duplicate) {
+    throw new Error(`${file}: duplicate slug "${duplicate}"`);
+  }
+
+  return areas;
+}
+
+/**
+ * Great-circle distance in kilometres between two { lat, lng } points
+ */
+function haversineDistance(a, b) {
+  const toRad = deg => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Find the area a page represents
+ */
+function findAreaByPage(areas, page) {
+  return areas.find(area => area.page === page) || null;
+}
+
+/**
+ * Areas ordered by distance from a point, skipping excluded pages
+ */
+function getNearestAreas(point, areas, count = areas.length, exclude = []) {
+  return areas
+    .filter(area => !exclude.includes(area.page))
+    .map(area => ({ ...area, distance: haversineDistance(point, area) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, count);
+}
+
+function escapeText(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Render an "Areas near X" section for a service-area page: its `count`
+ * nearest neighbours as links, closest first
+ */
+function renderNearbyAreas(area, areas, count = 3) {
+  const nearby = getNearestAreas(area, areas, count, [area.page]);
+
+  return [
+    '<section class="section nearby-areas" aria-labelledby="nearby-areas-title">',
+    '  <div class="wrap">',
+    `    <h2 id="nearby-areas-title">Areas near ${escapeText(area.name)}</h2>`,
+    '    <div class="pill-list">',
+    ...nearby.map(near => `      <a class="pill" href="${escapeText(near.page)}">${escapeText(near.name)}</a>`),
+    '    </div>',
+    '  </div>',
+    '</section>'
+  ].join('\n');
+}
+
+/**
+ * Main execution: print each area with its nearest neighbours
+ */
+function main() {
+  const areas = loadServiceAreas();
+
+  console.log(`📍 ${areas.length} service areas\n`);
+  areas.forEach(area => {
+    const nearby = getNearestAreas(area, areas, 3, [area.page])
+      .map(near => `${near.name} (${near.distance.toFixed(1)} km)`);
+    console.log(`  ${area.name} [${area.type}] → ${nearby.join(', ')}`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  loadServiceAreas,
+  haversineDistance,
+  findAreaByPage,
+  getNearestAreas,
+  renderNearbyAreas
+};
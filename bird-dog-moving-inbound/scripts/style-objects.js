@@ -0,0 +1,167 @@
+/**
+ * Style Object Parser
+ * Finds inline style objects in JS/TS(X) source — JSX style={{ … }} props
+ * and objects assigned to a *style / *styles name or typed CSSProperties —
+ * and returns their entries as CSS declarations with source offsets, the
+ * way css-declarations.js does for HTML. Numbers on length properties are
+ * read as px, as React renders them.
+ */
+
+// Where a style object starts; the match stops just before its `{`
+const STYLE_OBJECT_REGEX = /(?:\bstyle\s*=\s*\{\s*|\b\w*[sS]tyles?\s*(?::\s*(?:React\.)?CSSProperties\s*)?[:=]\s*|:\s*(?:React\.)?CSSProperties\s*=\s*)(?=\{)/g;
+
+const ENTRY_REGEX = /^(\s*)(?:(["'])((?:\\.|(?!\2).)*)\2|([A-Za-z_$][\w$]*))(\s*:\s*)([\s\S]*?)\s*$/;
+
+// Properties React renders as plain numbers; every other number gets px
+const UNITLESS_PROPERTIES = new Set([
+  'animation-iteration-count', 'aspect-ratio', 'column-count', 'columns',
+  'flex', 'flex-grow', 'flex-shrink', 'font-weight', 'grid-area',
+  'grid-column', 'grid-column-end', 'grid-column-start', 'grid-row',
+  'grid-row-end', 'grid-row-start', 'line-clamp', 'line-height', 'opacity',
+  'order', 'orphans', 'scale', 'tab-size', 'widows', 'z-index', 'zoom',
+  'fill-opacity', 'flood-opacity', 'stop-opacity', 'stroke-opacity',
+  'stroke-miterlimit', 'stroke-width'
+]);
+
+/**
+ * CSS property name for a style object key (zIndex → z-index,
+ * WebkitTransition → -webkit-transition, msFlex → -ms-flex)
+ */
+function cssProperty(key) {
+  if (key.startsWith('--')) return key;
+  const property = key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+  return property.startsWith('ms-') ? `-${property}` : property;
+}
+
+/**
+ * Index just past the string, template literal or comment starting at `i`,
+ * or `i` when there is none
+ */
+function skipLiteral(source, i) {
+  const char = source[i];
+  if (char === '/' && source[i + 1] === '/') {
+    const end = source.indexOf('\n', i);
+    return end === -1 ? source.length : end;
+  }
+  if (char === '/' && source[i + 1] === '*') {
+    const end = source.indexOf('*/', i + 2);
+    return end === -1 ? source.length : end + 2;
+  }
+  if (char === '"' || char === "'" || char === '`') {
+    let j = i + 1;
+    while (j < source.length && source[j] !== char) {
+      j += source[j] === '\\' ? 2 : 1;
+    }
+    return j + 1;
+  }
+  return i;
+}
+
+/**
+ * The object literal opening at `open`: its entries as { start, end }
+ * ranges split at top-level commas, and the index just past its `}`
+ */
+function readObject(source, open) {
+  const entries = [];
+  let depth = 0;
+  let entryStart = open + 1;
+
+  for (let i = open; i < source.length; i++) {
+    const skipped = skipLiteral(source, i);
+    if (skipped !== i) {
+      i = skipped - 1;
+      continue;
+    }
+
+    const char = source[i];
+    if (char === '{' || char === '(' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ')' || char === ']') {
+      depth--;
+      if (depth === 0) {
+        entries.push({ start: entryStart, end: i });
+        return { entries, end: i + 1 };
+      }
+    } else if (char === ',' && depth === 1) {
+      entries.push({ start: entryStart, end: i });
+      entryStart = i + 1;
+    }
+  }
+
+  return { entries, end: source.length };
+}
+
+/**
+ * Declarations in the object literal opening at `open`. Nested objects
+ * (a map of named styles) are read as style objects of their own.
+ */
+function objectDeclarations(source, open) {
+  const { entries, end } = readObject(source, open);
+  const declarations = [];
+
+  entries.forEach(range => {
+    const text = source.slice(range.start, range.end);
+    const match = text.match(ENTRY_REGEX);
+    if (!match) return;
+
+    const [, leading, quote, quotedKey, identifier, separator, value] = match;
+    const key = quote ? quotedKey : identifier;
+    const keyLength = quote ? quotedKey.length + 2 : identifier.length;
+    const start = range.start + leading.length;
+    const valueOffset = start + keyLength + separator.length;
+
+    if (value.startsWith('{')) {
+      declarations.push(...objectDeclarations(source, valueOffset).declarations);
+      return;
+    }
+
+    const property = cssProperty(key);
+    const string = value.match(/^(["'])((?:\\.|(?!\1)[^\\])*)\1$/) || value.match(/^(`)([^`$\\]*)`$/);
+    if (string) {
+      declarations.push({
+        property,
+        value: string[2],
+        start,
+        valueStart: valueOffset + 1,
+        valueEnd: valueOffset + 1 + string[2].length,
+        numeric: false
+      });
+    } else if (/^-?(?:\d*\.)?\d+$/.test(value)) {
+      const unitless = UNITLESS_PROPERTIES.has(property) || Number(value) === 0;
+      declarations.push({
+        property,
+        value: unitless ? value : `${value}px`,
+        start,
+        valueStart: valueOffset,
+        valueEnd: valueOffset + value.length,
+        numeric: true
+      });
+    }
+  });
+
+  return { declarations, end };
+}
+
+/**
+ * Every declaration in the style objects of a JS/TS(X) source:
+ * { property, value, start, valueStart, valueEnd, numeric }
+ * `value` is the CSS the entry renders to ("8px" for `right: 8`, with
+ * `numeric` set); the offsets cover the entry's text in the source.
+ */
+function findStyleObjectDeclarations(source) {
+  const declarations = [];
+  let searchFrom = 0;
+
+  for (const match of source.matchAll(STYLE_OBJECT_REGEX)) {
+    const open = match.index + match[0].length;
+    if (open < searchFrom) continue;
+
+    const result = objectDeclarations(source, open);
+    declarations.push(...result.declarations);
+    searchFrom = result.end;
+  }
+
+  return declarations;
+}
+
+module.exports = { cssProperty, findStyleObjectDeclarations };
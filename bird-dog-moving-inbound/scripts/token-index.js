@@ -0,0 +1,179 @@
+/**
+ * Token Value Index
+ * Builds a value → token reverse index from the site's token JSON (via
+ * tokens.config.json) and resolves a hardcoded CSS value to a token
+ * reference using the property it is declared on
+ */
+
+const fs = require('fs');
+const { compileTokens } = require('./build-tokens.js');
+const { parseColor, toHex } = require('./color-contrast.js');
+
+const CONFIG_FILE = 'tokens.config.json';
+
+// Token groups each CSS property may draw from, most specific first.
+// A site can override or extend this with "propertyGroups" in its config.
+const PROPERTY_GROUPS = {
+  'color': ['color.text', 'color'],
+  'background': ['color.surface', 'color.brand', 'color'],
+  'background-color': ['color.surface', 'color.brand', 'color'],
+  'border': ['color.border', 'color'],
+  'border-color': ['color.border', 'color'],
+  'border-top': ['color.border', 'color'],
+  'border-right': ['color.border', 'color'],
+  'border-bottom': ['color.border', 'color'],
+  'border-left': ['color.border', 'color'],
+  'outline': ['color.border', 'color'],
+  'outline-color': ['color.border', 'color'],
+  'fill': ['color'],
+  'stroke': ['color'],
+  'caret-color': ['color'],
+  'accent-color': ['color'],
+  'text-decoration-color': ['color'],
+  'margin': ['spacing'],
+  'margin-top': ['spacing'],
+  'margin-right': ['spacing'],
+  'margin-bottom': ['spacing'],
+  'margin-left': ['spacing'],
+  'margin-block': ['spacing'],
+  'margin-inline': ['spacing'],
+  'padding': ['spacing'],
+  'padding-top': ['spacing'],
+  'padding-right': ['spacing'],
+  'padding-bottom': ['spacing'],
+  'padding-left': ['spacing'],
+  'padding-block': ['spacing'],
+  'padding-inline': ['spacing'],
+  'gap': ['spacing'],
+  'row-gap': ['spacing'],
+  'column-gap': ['spacing'],
+  'top': ['spacing'],
+  'right': ['spacing'],
+  'bottom': ['spacing'],
+  'left': ['spacing'],
+  'inset': ['spacing'],
+  'font-size': ['typography.fontSize'],
+  'font-family': ['typography.fontFamily'],
+  'font-weight': ['typography.fontWeight'],
+  'line-height': ['typography.lineHeight'],
+  'letter-spacing': ['typography.letterSpacing'],
+  'border-radius': ['radius'],
+  'border-top-left-radius': ['radius'],
+  'border-top-right-radius': ['radius'],
+  'border-bottom-left-radius': ['radius'],
+  'border-bottom-right-radius': ['radius'],
+  'box-shadow': ['shadow', 'focus'],
+  'z-index': ['zIndex'],
+  'max-width': ['layout'],
+  'transition': ['transition.duration'],
+  'transition-duration': ['transition.duration'],
+  'animation-duration': ['transition.duration'],
+  'transition-timing-function': ['transition.easing'],
+  'animation-timing-function': ['transition.easing'],
+  'opacity': ['opacity']
+};
+
+/**
+ * Canonical form of a CSS value for comparison:
+ * case, whitespace, leading/trailing zeros and short hex are normalised
+ */
+function normalizeValue(value) {
+  return String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([(),])\s*/g, '$1')
+    .replace(/(^|[\s,(/-])\.(\d)/g, '$10.$2')
+    .replace(/(\.\d*?[1-9])0+(?=\D|$)/g, '$1')
+    .replace(/\.0+(?=\D|$)/g, '')
+    .replace(/#([0-9a-f])([0-9a-f])([0-9a-f])(?![0-9a-f])/g, '#$1$1$2$2$3$3');
+}
+
+/**
+ * True when two values render the same: equal once normalised, or the same
+ * color however it is written (#fff, white, rgb(255,255,255))
+ */
+function sameValue(a, b) {
+  if (normalizeValue(a) === normalizeValue(b)) return true;
+  const first = parseColor(a);
+  const second = parseColor(b);
+  return Boolean(first && second) && toHex(first) === toHex(second) && first.a === second.a;
+}
+
+/**
+ * Build the reverse index for the site in the current directory.
+ * Legacy values (config "legacyValues": { value: token name }) are other
+ * spellings of a token's value, such as `white` for `#FFFFFF`, and rank after
+ * current token values. One that resolves to anything else is refused:
+ * applying it would change how the page looks, so it needs a token of its own.
+ */
+function loadTokenIndex(configFile = CONFIG_FILE) {
+  const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  const source = JSON.parse(fs.readFileSync(config.source, 'utf8'));
+  const tokens = compileTokens(source, config);
+
+  const byName = new Map(tokens.map(token => [token.name, token]));
+  const byValue = new Map();
+  const add = (value, token, legacy) => {
+    const key = normalizeValue(value);
+    // Zero is unitless and the same in every group; it never needs a token
+    if (key === '0') return;
+    if (!byValue.has(key)) byValue.set(key, []);
+    byValue.get(key).push({ ...token, legacy });
+  };
+
+  tokens.forEach(token => add(token.css, token, false));
+
+  const legacyValues = config.legacyValues || {};
+  Object.keys(legacyValues).forEach(value => {
+    const token = byName.get(legacyValues[value]);
+    if (!token) {
+      throw new Error(`${configFile}: legacy value ${value} maps to unknown token --${legacyValues[value]}`);
+    }
+    if (!sameValue(value, token.css)) {
+      throw new Error(`${configFile}: legacy value ${value} maps to --${token.name}, which is ${token.css}; add a token with the value instead`);
+    }
+    add(value, token, true);
+  });
+
+  return {
+    source: config.source,
+    stylesheet: config.css,
+    byName,
+    byValue,
+    aliases: config.aliases || {},
+    propertyGroups: { ...PROPERTY_GROUPS, ...(config.propertyGroups || {}) }
+  };
+}
+
+/**
+ * Token groups a declaration may use. Custom properties that are themselves
+ * tokens (or legacy aliases) stay within that token's group.
+ */
+function groupsForProperty(property, index) {
+  const name = property.toLowerCase();
+  if (!name.startsWith('--')) {
+    return index.propertyGroups[name] || [];
+  }
+
+  const declared = name.slice(2);
+  const token = index.byName.get(index.aliases[declared] || declared);
+  if (!token) return [];
+  return [token.path.slice(0, -1).join('.'), token.path[0]];
+}
+
+/**
+ * Resolve one value for a property to the best matching token, or null
+ */
+function resolveToken(property, value, index) {
+  const candidates = index.byValue.get(normalizeValue(value));
+  if (!candidates) return null;
+
+  for (const group of groupsForProperty(property, index)) {
+    const match = candidates.find(token => token.path.join('.').startsWith(group));
+    if (match) return match;
+  }
+  return null;
+}
+
+module.exports = { PROPERTY_GROUPS, normalizeValue, sameValue, loadTokenIndex, resolveToken };
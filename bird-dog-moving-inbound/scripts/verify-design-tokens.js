@@ -2,32 +2,32 @@
 
 /**
  * Design Token Verification Script
- * Checks for hardcoded values and validates token usage
+ * Checks for hardcoded values and validates token usage: undefined, legacy
+ * and unused tokens. Prints a report, or with --format json|sarif|github a
+ * machine-readable one (GitHub workflow commands become PR annotations).
  */
 
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
 
-// Patterns to detect hardcoded values
-const HARDCODED_PATTERNS = [
-  // Hex colors
-  /#[0-9a-fA-F]{3,6}(?![a-fA-F0-9])/g,
-  // RGB/RGBA colors
-  /rgba?\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*(?:,\s*[\d.]+)?\s*\)/g,
-  // HSL colors
-  /hsla?\(\s*\d+\s*,\s*[\d.]+\s*,\s*[\d.]+\s*(?:,\s*[\d.]+)?\s*\)/g,
-  // Common hardcoded spacing values
-  /(?<!\w)(?:0\.25rem|0\.375rem|0\.5rem|0\.75rem|1rem|1\.25rem|1\.5rem|2rem|3rem|4rem)(?!\w)/g,
-  // Hardcoded font sizes
-  /(?<!\w)(?:0\.75rem|0\.875rem|1rem|1\.125rem|1\.25rem|1\.5rem|1\.875rem|2\.25rem|3rem)(?!\w)/g,
-  // Hardcoded border radius
-  /(?<!\w)(?:0\.25rem|0\.5rem|0\.75rem|1rem|1\.5rem)(?!\w)/g,
-  // Hardcoded box shadows
-  /box-shadow:\s*[^;]*rgba?\([^)]*\)[^;]*;/g,
-  // Hardcoded z-index
-  /z-index:\s*\d+/g
-];
+const { loadTokenIndex, resolveToken, normalizeValue } = require('./token-index.js');
+const { compileTokens } = require('./build-tokens.js');
+const { parseDeclarations, findDeclarations } = require('./css-declarations.js');
+const { findStyleObjectDeclarations } = require('./style-objects.js');
+
+// Patterns to detect hardcoded values in a declaration value
+const COLOR_REGEX = /#(?:[0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3,4})(?![\w-])|\b(?:rgb|hsl)a?\([^)]*\)/gi;
+const LENGTH_REGEX = /(?<![\w.#-])-?(?:\d*\.)?\d+(?:px|rem|em)(?![\w%-])/gi;
+
+// Spacing, font size and radius steps flagged even when the site has no
+// token with that value
+const DEFAULT_LENGTH_SCALE = new Set([
+  '0.25rem', '0.375rem', '0.5rem', '0.75rem', '0.875rem', '1rem', '1.125rem',
+  '1.25rem', '1.5rem', '1.875rem', '2rem', '2.25rem', '3rem', '4rem'
+]);
+
+const SHADOW_PROPERTIES = new Set(['box-shadow', 'text-shadow']);
 
 // Allowed exceptions (common values that don't need tokens)
 const ALLOWED_EXCEPTIONS = [
@@ -35,141 +35,441 @@ const ALLOWED_EXCEPTIONS = [
   '100%', '50%', 'auto', 'none', 'transparent', 'inherit',
   'currentColor', 'initial', 'unset'
 ];
+const ALLOWED_VALUES = new Set(ALLOWED_EXCEPTIONS.map(normalizeValue));
+
+// Issue types, with the rule id and level used in JSON, SARIF and GitHub output
+const RULES = {
+  hardcoded_value: { id: 'hardcoded-value', level: 'error', description: 'Hardcoded value that should use a design token' },
+  undefined_token: { id: 'undefined-token', level: 'error', description: 'var() reference to a token that is not defined' },
+  legacy_token: { id: 'legacy-token', level: 'error', description: 'Legacy token name with a semantic replacement' },
+  unused_token: { id: 'unused-token', level: 'warning', description: 'Token defined in tokens.css but referenced nowhere' }
+};
+
+const TOKENS_CONFIG = 'tokens.config.json';
+const DEFAULT_TOKENS_CSS = 'src/design-system/tokens/tokens.css';
+
+// Files audited unless the site's "audit" config says otherwise
+const DEFAULT_INCLUDE = ['*.html', 'partials/*.html', 'templates/**/*.html', '**/*.css', 'src/**/*.{js,jsx,ts,tsx}'];
+const DEFAULT_IGNORE = ['node_modules/**', 'dist/**', 'test/**', 'scripts/**'];
+
+const TOKEN_REFERENCE_REGEX = /var\(\s*--([\w-]+)/g;
+const TOKEN_DEFINITION_REGEX = /(?<![\w-])--([\w-]+)\s*:/g;
+
+// TOKENS.color.primary (or tokens.spacing["2xl"]) in scripts using the
+// generated TypeScript module
+const STYLE_TOKEN_REGEX = /\b(?:TOKENS|tokens)((?:\s*\??\.\s*[A-Za-z_$][\w$]*|\s*\[\s*(["'])[^"'\]]+\2\s*\])+)/g;
+
+// `/* token-ignore */` (or `// token-ignore`, `<!-- token-ignore -->`)
+const TOKEN_IGNORE_REGEX = /\/\*\s*token-ignore\s*\*\/|\/\/\s*token-ignore\b.*$|<!--\s*token-ignore\s*-->/g;
 
 /**
- * Check for hardcoded values in content
+ * 1-based line and column of an offset in `content`
  */
-function findHardcodedValues(content, filePath) {
-  const issues = [];
-  
-  HARDCODED_PATTERNS.forEach((pattern, index) => {
-    const matches = content.match(pattern);
-    if (matches) {
-      matches.forEach(match => {
-        // Check if it's an allowed exception
-        const isException = ALLOWED_EXCEPTIONS.some(exception => 
-          match.includes(exception)
-        );
-        
-        if (!isException) {
-          const lineNumber = content.substring(0, content.indexOf(match)).split('\n').length;
-          issues.push({
-            type: 'hardcoded_value',
-            file: filePath,
-            line: lineNumber,
-            value: match.trim(),
-            pattern: index
-          });
-        }
-      });
+function positionAt(content, offset) {
+  const before = content.slice(0, offset);
+  return { line: before.split('\n').length, column: offset - before.lastIndexOf('\n') };
+}
+
+/**
+ * Declarations to audit in a file: <style> blocks and style="" attributes
+ * in HTML, rules in CSS, style objects and style={{}} props in JS/TS(X)
+ */
+function declarationsFor(filePath, content) {
+  if (/\.html?$/i.test(filePath)) return findDeclarations(content);
+  if (/\.css$/i.test(filePath)) return parseDeclarations(content);
+  if (/\.[jt]sx?$/i.test(filePath)) return findStyleObjectDeclarations(content);
+  return [];
+}
+
+/**
+ * A value with its var() and url() calls blanked out (offsets kept), so
+ * fallbacks and URLs aren't read as hardcoded values
+ */
+function maskFunctions(value) {
+  let masked = value;
+  for (const match of value.matchAll(/\b(?:var|url)\(/gi)) {
+    let depth = 0;
+    let end = value.length;
+    for (let i = match.index + match[0].length - 1; i < value.length; i++) {
+      if (value[i] === '(') depth++;
+      if (value[i] === ')' && --depth === 0) {
+        end = i + 1;
+        break;
+      }
     }
+    masked = masked.slice(0, match.index) + ' '.repeat(end - match.index) + masked.slice(end);
+  }
+  return masked;
+}
+
+/**
+ * Hardcoded values in one declaration: { offset, length, suggestion }.
+ * Colors are always reported; lengths when they match one of the site's
+ * tokens for the property or the default scale. A whole value that is a
+ * token (a font stack, a clamp()), a literal shadow or a numeric z-index
+ * is reported once. `allow` holds allowlisted values and properties.
+ */
+function findHardcodedValues(declaration, index = null, allow = new Set()) {
+  const property = declaration.property.toLowerCase();
+  if (allow.has(property)) return [];
+
+  const isAllowed = value => ALLOWED_VALUES.has(normalizeValue(value)) || allow.has(normalizeValue(value));
+  const suggest = value => {
+    const token = index && resolveToken(property, value, index);
+    return token && `--${token.name}` !== property ? `var(--${token.name})` : null;
+  };
+  const issue = (at, value) => ({
+    offset: declaration.numeric ? declaration.valueStart : declaration.valueStart + at,
+    length: declaration.numeric ? declaration.valueEnd - declaration.valueStart : value.length,
+    suggestion: suggest(value)
   });
-  
-  return issues;
+
+  const value = declaration.value.trim();
+  const leading = declaration.value.length - declaration.value.trimStart().length;
+  if (!value || isAllowed(value)) return [];
+
+  const masked = maskFunctions(declaration.value);
+  const colors = [...masked.matchAll(COLOR_REGEX)].filter(match => !isAllowed(match[0]));
+  const lengths = [...masked.matchAll(LENGTH_REGEX)].filter(match => !isAllowed(match[0]));
+
+  const wholeToken = masked === declaration.value && suggest(value);
+  const literalShadow = SHADOW_PROPERTIES.has(property) && colors.length + lengths.length > 0;
+  const literalZIndex = property === 'z-index' && /^-?\d+$/.test(masked.trim());
+  if (wholeToken || literalShadow || literalZIndex) {
+    return [issue(leading, value)];
+  }
+
+  return [
+    ...colors.map(match => issue(match.index, match[0])),
+    ...lengths
+      .filter(match => suggest(match[0]) || DEFAULT_LENGTH_SCALE.has(normalizeValue(match[0])))
+      .map(match => issue(match.index, match[0]))
+  ].sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Custom properties declared in content: name (without --) → offset of
+ * the first declaration
+ */
+function collectTokenDefinitions(content) {
+  const definitions = new Map();
+  for (const match of content.matchAll(TOKEN_DEFINITION_REGEX)) {
+    if (!definitions.has(match[1])) definitions.set(match[1], match.index);
+  }
+  return definitions;
 }
 
 /**
- * Check for unused token references
+ * var() references in one declaration to tokens not in `definedTokens`:
+ * { offset, token }
  */
-function findUnusedTokens(content, filePath) {
+function findUndefinedTokens(declaration, definedTokens) {
+  return [...declaration.value.matchAll(TOKEN_REFERENCE_REGEX)]
+    .filter(match => !definedTokens.has(match[1]))
+    .map(match => ({ offset: declaration.valueStart + match.index, token: match[1] }));
+}
+
+/**
+ * Legacy alias names (the site's "aliases" in tokens.config.json) declared
+ * or referenced in one declaration: { offset, value, suggestion }
+ */
+function findLegacyTokens(declaration, aliases) {
+  const legacy = (offset, token) => ({ offset, value: `--${token}`, suggestion: `--${aliases[token]}` });
   const issues = [];
-  
-  // Find all var(--token-name) references
-  const tokenMatches = content.match(/var\(--[^)]+\)/g);
-  if (!tokenMatches) return issues;
-  
-  // Read the tokens.css file to get all available tokens
-  let availableTokens = [];
-  try {
-    const tokensContent = fs.readFileSync('src/design-system/tokens/tokens.css', 'utf8');
-    const tokenMatches = tokensContent.match(/--[^:]+:/g);
-    if (tokenMatches) {
-      availableTokens = tokenMatches.map(match => match.replace(/[:\s]/g, ''));
-    }
-  } catch (error) {
-    console.warn('Could not read tokens.css file');
+
+  const declared = declaration.property.startsWith('--') ? declaration.property.slice(2) : null;
+  if (declared && aliases[declared]) {
+    issues.push(legacy(declaration.start, declared));
   }
-  
-  // Check if used tokens exist
-  const usedTokens = [...new Set(tokenMatches.map(match => match.replace(/var\(--|\)/g, '')))];
-  
-  usedTokens.forEach(token => {
-    if (!availableTokens.includes(token)) {
-      const lineNumber = content.substring(0, content.indexOf(`var(--${token})`)).split('\n').length;
-      issues.push({
-        type: 'undefined_token',
-        file: filePath,
-        line: lineNumber,
-        token: token
-      });
+  for (const match of declaration.value.matchAll(TOKEN_REFERENCE_REGEX)) {
+    if (aliases[match[1]]) {
+      issues.push(legacy(declaration.valueStart + match.index + match[0].indexOf('--'), match[1]));
     }
-  });
-  
+  }
+
   return issues;
 }
 
 /**
- * Check for legacy token usage that should be updated
+ * Tokens a script reaches through the generated TypeScript module, given
+ * `tsPaths` (TOKENS path such as "color.primary" → token name). Taking a
+ * whole group (TOKENS.color) reaches every token in it.
  */
-function findLegacyTokens(content, filePath) {
+function findStyleTokenReferences(source, tsPaths) {
+  const names = [];
+  for (const match of source.matchAll(STYLE_TOKEN_REGEX)) {
+    const key = match[1].match(/[^\s?.[\]"']+/g).join('.');
+    tsPaths.forEach((name, tsPath) => {
+      if (tsPath === key || tsPath.startsWith(`${key}.`)) names.push(name);
+    });
+  }
+  return names;
+}
+
+/**
+ * Check for tokens declared in tokens.css that nothing in `sources` (the
+ * contents of the site's pages, stylesheets and scripts, without the token
+ * files themselves) refers to, by var() or, with `tsPaths`, through TOKENS
+ * in a script. A token another used token is defined with counts as used.
+ */
+function findUnusedTokens(tokensContent, tokensPath, sources, tsPaths = null) {
+  const referenced = new Set();
+  sources.forEach(source => {
+    for (const match of source.matchAll(TOKEN_REFERENCE_REGEX)) referenced.add(match[1]);
+    if (tsPaths) findStyleTokenReferences(source, tsPaths).forEach(name => referenced.add(name));
+  });
+
+  // Follow aliases and theme values to the tokens they are written in
+  const dependencies = new Map();
+  parseDeclarations(tokensContent)
+    .filter(declaration => declaration.property.startsWith('--'))
+    .forEach(declaration => {
+      const name = declaration.property.slice(2);
+      if (!dependencies.has(name)) dependencies.set(name, []);
+      for (const match of declaration.value.matchAll(TOKEN_REFERENCE_REGEX)) dependencies.get(name).push(match[1]);
+    });
+  const pending = [...referenced];
+  while (pending.length > 0) {
+    (dependencies.get(pending.pop()) || []).forEach(name => {
+      if (!referenced.has(name)) {
+        referenced.add(name);
+        pending.push(name);
+      }
+    });
+  }
+
   const issues = [];
-  
-  // Legacy token patterns that should be updated
-  const legacyPatterns = [
-    { pattern: /--color-brand(?!-)/g, replacement: '--color-brand-primary', message: 'Use semantic brand color tokens' },
-    { pattern: /--color-accent(?!-)/g, replacement: '--color-brand-secondary', message: 'Use semantic brand color tokens' },
-    { pattern: /--color-surface-alt/g, replacement: '--color-surface-secondary', message: 'Use semantic surface color tokens' },
-    { pattern: /--fs-(?!hero|h2)/g, replacement: '--font-size-', message: 'Use semantic font size tokens' },
-    { pattern: /--lh-(?!tight|body)/g, replacement: '--line-height-', message: 'Use semantic line height tokens' },
-    { pattern: /--space-[1-7]/g, replacement: '--space-', message: 'Use semantic spacing tokens' },
-    { pattern: /--radius-[1-3]/g, replacement: '--radius-', message: 'Use semantic radius tokens' },
-    { pattern: /--shadow-[1-4]/g, replacement: '--shadow-', message: 'Use semantic shadow tokens' }
-  ];
-  
-  legacyPatterns.forEach(({ pattern, replacement, message }) => {
-    const matches = content.match(pattern);
-    if (matches) {
-      matches.forEach(match => {
-        const lineNumber = content.substring(0, content.indexOf(match)).split('\n').length;
-        issues.push({
-          type: 'legacy_token',
-          file: filePath,
-          line: lineNumber,
-          value: match,
-          suggestion: match.replace(pattern, replacement),
-          message: message
-        });
+  collectTokenDefinitions(tokensContent).forEach((offset, token) => {
+    if (!referenced.has(token)) {
+      issues.push({
+        type: 'unused_token',
+        file: tokensPath,
+        ...positionAt(tokensContent, offset),
+        token
       });
     }
   });
-  
+
   return issues;
 }
 
 /**
- * Process a single file
+ * Lines whose issues are suppressed: a line with a token-ignore comment
+ * after code, or the line below a comment that stands alone
+ */
+function suppressedLines(content) {
+  const lines = new Set();
+  content.split('\n').forEach((text, index) => {
+    const stripped = text.replace(TOKEN_IGNORE_REGEX, '');
+    if (stripped === text) return;
+    lines.add(/^[\s{}]*$/.test(stripped) ? index + 2 : index + 1);
+  });
+  return lines;
+}
+
+/**
+ * The site's audit settings, from the "css" output, "aliases" and optional
+ * "audit" block of tokens.config.json:
+ *   "audit": {
+ *     "include": ["*.html", "templates/*.html"],      (replaces the defaults)
+ *     "ignore": ["src/vendor/**"],                       (added to the defaults)
+ *     "allow": { "src/devtools": ["z-index", "9999"] }   (properties or values)
+ *   }
+ */
+function loadAuditConfig() {
+  const config = fs.existsSync(TOKENS_CONFIG) ? JSON.parse(fs.readFileSync(TOKENS_CONFIG, 'utf8')) : {};
+  const audit = config.audit || {};
+  const tokensCss = config.css || DEFAULT_TOKENS_CSS;
+
+  return {
+    tokensCss,
+    include: audit.include || DEFAULT_INCLUDE,
+    ignore: [...DEFAULT_IGNORE, tokensCss, ...(config.ts ? [config.ts] : []), ...(audit.ignore || [])],
+    allow: audit.allow || {},
+    aliases: config.aliases || {},
+    index: config.source ? loadTokenIndex() : null,
+    tsPaths: config.source && config.ts ? tokenAccessPaths(config) : null
+  };
+}
+
+/**
+ * TOKENS path → token name for every token in the generated TypeScript
+ * module, with the group keys renamed as "tsKeys" says
+ */
+function tokenAccessPaths(config) {
+  const tsKeys = config.tsKeys || {};
+  const source = JSON.parse(fs.readFileSync(config.source, 'utf8'));
+  return new Map(compileTokens(source, config).map(token => {
+    const [group, ...rest] = token.path;
+    return [[tsKeys[group] || group, ...rest].join('.'), token.name];
+  }));
+}
+
+/**
+ * Allowlisted values and properties for a file: the entries of every
+ * directory in "allow" that contains it ("." is the whole site)
+ */
+function allowlistFor(filePath, allow) {
+  const entries = Object.keys(allow)
+    .filter(directory => {
+      const prefix = directory.replace(/^\.\/|\/$/g, '');
+      return prefix === '' || prefix === '.' || filePath === prefix || filePath.startsWith(`${prefix}/`);
+    })
+    .flatMap(directory => allow[directory]);
+  return new Set(entries.map(normalizeValue));
+}
+
+/**
+ * Process a single file. `definedTokens` is null when there is no
+ * tokens.css, which skips the undefined-token check; `aliases` are the
+ * site's legacy token names and `index` its token index, used to suggest
+ * the token a hardcoded value should be.
  */
-function analyzeFile(filePath) {
+function analyzeFile(filePath, { definedTokens = null, aliases = {}, index = null, allow = {} } = {}) {
   const content = fs.readFileSync(filePath, 'utf8');
-  
-  const hardcodedIssues = findHardcodedValues(content, filePath);
-  const unusedTokenIssues = findUnusedTokens(content, filePath);
-  const legacyTokenIssues = findLegacyTokens(content, filePath);
+  const declarations = declarationsFor(filePath, content);
+  const allowed = allowlistFor(filePath, allow);
+  const defined = definedTokens && new Set([...definedTokens, ...collectTokenDefinitions(content).keys()]);
+  const suppressed = suppressedLines(content);
+  let suppressedCount = 0;
+
+  const located = (type, found) => found
+    .map(({ offset, ...details }) => ({ type, file: filePath, ...positionAt(content, offset), ...details }))
+    .filter(issue => {
+      if (!suppressed.has(issue.line)) return true;
+      suppressedCount++;
+      return false;
+    });
+
+  const hardcodedIssues = located('hardcoded_value', declarations.flatMap(declaration =>
+    findHardcodedValues(declaration, index, allowed).map(({ offset, length, suggestion }) => ({
+      offset,
+      value: content.slice(offset, offset + length),
+      property: declaration.property,
+      suggestion
+    }))
+  ));
+  const undefinedTokenIssues = defined
+    ? located('undefined_token', declarations.flatMap(declaration => findUndefinedTokens(declaration, defined)))
+    : [];
+  const legacyTokenIssues = located('legacy_token', declarations.flatMap(declaration =>
+    findLegacyTokens(declaration, aliases).map(issue => ({ ...issue, message: "Use the site's semantic token name" }))
+  ));
   
   return {
     file: filePath,
     hardcoded: hardcodedIssues,
-    unused: unusedTokenIssues,
+    undefinedTokens: undefinedTokenIssues,
     legacy: legacyTokenIssues,
-    total: hardcodedIssues.length + unusedTokenIssues.length + legacyTokenIssues.length
+    suppressed: suppressedCount,
+    total: hardcodedIssues.length + undefinedTokenIssues.length + legacyTokenIssues.length
   };
 }
 
+/**
+ * One-line description of an issue, as used in annotations
+ */
+function issueMessage(issue) {
+  switch (issue.type) {
+    case 'hardcoded_value':
+      return `Hardcoded value ${issue.value}; use ${issue.suggestion || 'a design token'}`;
+    case 'undefined_token':
+      return `var(--${issue.token}) is not a defined token`;
+    case 'legacy_token':
+      return `${issue.value} → ${issue.suggestion}: ${issue.message}`;
+    default:
+      return `--${issue.token} is defined but never referenced`;
+  }
+}
+
+/**
+ * Issue path for machine-readable output: relative to the GitHub workspace
+ * in Actions, so annotations land on the right file, otherwise to the cwd
+ */
+function reportPath(file) {
+  const root = process.env.GITHUB_WORKSPACE || process.cwd();
+  return path.relative(root, path.resolve(file)).split(path.sep).join('/');
+}
+
+/**
+ * Plain JSON report
+ */
+function renderJson(issues) {
+  return JSON.stringify({
+    summary: {
+      errors: issues.filter(issue => RULES[issue.type].level === 'error').length,
+      warnings: issues.filter(issue => RULES[issue.type].level === 'warning').length
+    },
+    issues: issues.map(issue => ({
+      rule: RULES[issue.type].id,
+      level: RULES[issue.type].level,
+      ...issue,
+      file: reportPath(issue.file),
+      message: issueMessage(issue)
+    }))
+  }, null, 2);
+}
+
+/**
+ * SARIF 2.1.0 log, for code scanning uploads
+ */
+function renderSarif(issues) {
+  const rules = Object.values(RULES).map(rule => ({
+    id: rule.id,
+    shortDescription: { text: rule.description },
+    defaultConfiguration: { level: rule.level }
+  }));
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: 'verify-design-tokens', rules } },
+      results: issues.map(issue => ({
+        ruleId: RULES[issue.type].id,
+        ruleIndex: rules.findIndex(rule => rule.id === RULES[issue.type].id),
+        level: RULES[issue.type].level,
+        message: { text: issueMessage(issue) },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: encodeURI(reportPath(issue.file)), uriBaseId: '%SRCROOT%' },
+            region: { startLine: issue.line, startColumn: issue.column }
+          }
+        }]
+      }))
+    }]
+  }, null, 2);
+}
+
+function escapeCommandData(value) {
+  return String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+function escapeCommandProperty(value) {
+  return escapeCommandData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
+
+/**
+ * GitHub Actions workflow commands, one annotation per issue
+ */
+function renderGithub(issues) {
+  return issues.map(issue => {
+    const rule = RULES[issue.type];
+    const properties = [
+      `file=${escapeCommandProperty(reportPath(issue.file))}`,
+      `line=${issue.line}`,
+      `col=${issue.column}`,
+      `title=${escapeCommandProperty(rule.id)}`
+    ].join(',');
+    return `::${rule.level} ${properties}::${escapeCommandData(issueMessage(issue))}`;
+  }).join('\n');
+}
+
 /**
  * Generate a detailed report
  */
-function generateReport(results) {
-  const totalIssues = results.reduce((sum, result) => sum + result.total, 0);
+function generateReport(results, unusedTokens = []) {
+  const totalIssues = results.reduce((sum, result) => sum + result.total, 0) + unusedTokens.length;
   const filesWithIssues = results.filter(result => result.total > 0);
   
   console.log('\n📊 Design Token Verification Report');
@@ -180,7 +480,7 @@ function generateReport(results) {
     return;
   }
   
-  console.log(`Found ${totalIssues} issues across ${filesWithIssues.length} files:\n`);
+  console.log(`Found ${totalIssues} issues across ${filesWithIssues.length + (unusedTokens.length > 0 ? 1 : 0)} files:\n`);
   
   filesWithIssues.forEach(result => {
     console.log(`📄 ${result.file} (${result.total} issues)`);
@@ -188,37 +488,48 @@ function generateReport(results) {
     if (result.hardcoded.length > 0) {
       console.log('  🔴 Hardcoded Values:');
       result.hardcoded.forEach(issue => {
-        console.log(`    Line ${issue.line}: ${issue.value}`);
+        console.log(`    Line ${issue.line}:${issue.column}: ${issue.value}${issue.suggestion ? ` → ${issue.suggestion}` : ''}`);
       });
     }
     
-    if (result.unused.length > 0) {
+    if (result.undefinedTokens.length > 0) {
       console.log('  🟡 Undefined Tokens:');
-      result.unused.forEach(issue => {
-        console.log(`    Line ${issue.line}: var(--${issue.token})`);
+      result.undefinedTokens.forEach(issue => {
+        console.log(`    Line ${issue.line}:${issue.column}: var(--${issue.token})`);
       });
     }
     
     if (result.legacy.length > 0) {
       console.log('  🟠 Legacy Tokens:');
       result.legacy.forEach(issue => {
-        console.log(`    Line ${issue.line}: ${issue.value} → ${issue.suggestion}`);
+        console.log(`    Line ${issue.line}:${issue.column}: ${issue.value} → ${issue.suggestion}`);
         console.log(`    ${issue.message}`);
       });
     }
     
     console.log('');
   });
+
+  if (unusedTokens.length > 0) {
+    console.log(`📄 ${unusedTokens[0].file} (${unusedTokens.length} issues)`);
+    console.log('  ⚪ Unused Tokens:');
+    unusedTokens.forEach(issue => {
+      console.log(`    Line ${issue.line}:${issue.column}: --${issue.token}`);
+    });
+    console.log('');
+  }
   
   // Summary
   const hardcodedCount = results.reduce((sum, result) => sum + result.hardcoded.length, 0);
-  const unusedCount = results.reduce((sum, result) => sum + result.unused.length, 0);
+  const undefinedCount = results.reduce((sum, result) => sum + result.undefinedTokens.length, 0);
   const legacyCount = results.reduce((sum, result) => sum + result.legacy.length, 0);
   
   console.log('📈 Summary:');
   console.log(`  🔴 Hardcoded values: ${hardcodedCount}`);
-  console.log(`  🟡 Undefined tokens: ${unusedCount}`);
+  console.log(`  🟡 Undefined tokens: ${undefinedCount}`);
   console.log(`  🟠 Legacy tokens: ${legacyCount}`);
+  console.log(`  ⚪ Unused tokens: ${unusedTokens.length} (warnings)`);
+  console.log(`  🔕 Suppressed (token-ignore): ${results.reduce((sum, result) => sum + result.suppressed, 0)}`);
   console.log(`  📁 Files with issues: ${filesWithIssues.length}`);
   
   // Recommendations
@@ -227,7 +538,7 @@ function generateReport(results) {
     console.log('  • Replace hardcoded values with design tokens');
     console.log('  • Run the apply-tokens.js script to automate replacements');
   }
-  if (unusedCount > 0) {
+  if (undefinedCount > 0) {
     console.log('  • Check token names in tokens.css file');
     console.log('  • Update token references to match available tokens');
   }
@@ -235,38 +546,92 @@ function generateReport(results) {
     console.log('  • Update legacy token references to semantic tokens');
     console.log('  • Use the new token naming convention');
   }
+  if (unusedTokens.length > 0) {
+    console.log('  • Remove unused tokens from the token source, or start using them');
+  }
+}
+
+/**
+ * Files the site's include patterns match, once each however many match it
+ */
+function auditedFiles(site) {
+  return [...new Set(site.include.flatMap(pattern =>
+    glob.sync(pattern, { cwd: process.cwd(), ignore: site.ignore, nodir: true })
+  ))].sort();
+}
+
+function flagValue(argv, flag) {
+  const index = argv.indexOf(flag);
+  return index !== -1 ? argv[index + 1] : null;
 }
 
 /**
  * Main execution
  */
 function main() {
-  console.log('🔍 Verifying design token usage...');
+  const argv = process.argv.slice(2);
+  const format = flagValue(argv, '--format') || 'text';
+  const renderers = { json: renderJson, sarif: renderSarif, github: renderGithub };
+
+  if (format !== 'text' && !renderers[format]) {
+    console.error(`Unknown format "${format}" (use text, json, sarif or github)`);
+    process.exit(1);
+  }
+
+  // Machine-readable formats keep stdout for the report alone
+  const log = format === 'text' ? console.log : () => {};
+  log('🔍 Verifying design token usage...');
   
-  const htmlFiles = glob.sync('*.html', { cwd: process.cwd() });
+  const site = loadAuditConfig();
+  const files = auditedFiles(site);
   
-  if (htmlFiles.length === 0) {
-    console.log('No HTML files found in current directory');
+  if (files.length === 0) {
+    log('No files to audit in current directory');
     return;
   }
   
-  console.log(`Analyzing ${htmlFiles.length} HTML files...`);
+  log(`Analyzing ${files.length} files...`);
+
+  const tokensContent = fs.existsSync(site.tokensCss) ? fs.readFileSync(site.tokensCss, 'utf8') : null;
+  if (!tokensContent) {
+    console.warn(`Could not read ${site.tokensCss}; skipping undefined and unused token checks`);
+  }
+  const context = {
+    definedTokens: tokensContent ? new Set(collectTokenDefinitions(tokensContent).keys()) : null,
+    aliases: site.aliases,
+    index: site.index,
+    allow: site.allow
+  };
   
-  const results = htmlFiles.map(file => {
+  const results = files.map(file => {
     try {
-      return analyzeFile(file);
+      return analyzeFile(file, context);
     } catch (error) {
       console.error(`❌ Error analyzing ${file}:`, error.message);
-      return { file, hardcoded: [], unused: [], legacy: [], total: 0 };
+      return { file, hardcoded: [], undefinedTokens: [], legacy: [], suppressed: 0, total: 0 };
     }
   });
+
+  // The token files are ignored above, so their own references don't count
+  const sources = files.map(file => fs.readFileSync(file, 'utf8'));
+  const unusedTokens = tokensContent ? findUnusedTokens(tokensContent, site.tokensCss, sources, site.tsPaths) : [];
+
+  const issues = [
+    ...results.flatMap(result => [...result.hardcoded, ...result.undefinedTokens, ...result.legacy]),
+    ...unusedTokens
+  ];
+
+  if (format === 'text') {
+    generateReport(results, unusedTokens);
+  } else {
+    console.log(renderers[format](issues));
+  }
   
-  generateReport(results);
-  
-  // Exit with error code if issues found
-  const totalIssues = results.reduce((sum, result) => sum + result.total, 0);
-  if (totalIssues > 0) {
-    process.exit(1);
+  // Fail if errors are found (or warnings, with --strict). The exit code is
+  // set rather than exiting, so a long report piped elsewhere isn't cut off.
+  const failing = issues.filter(issue => RULES[issue.type].level === 'error' || argv.includes('--strict'));
+  if (failing.length > 0) {
+    process.exitCode = 1;
   }
 }
 
@@ -274,4 +639,19 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { analyzeFile, findHardcodedValues, findUnusedTokens };
+module.exports = {
+  loadAuditConfig,
+  auditedFiles,
+  analyzeFile,
+  declarationsFor,
+  findHardcodedValues,
+  findUndefinedTokens,
+  findUnusedTokens,
+  findStyleTokenReferences,
+  findLegacyTokens,
+  collectTokenDefinitions,
+  suppressedLines,
+  renderJson,
+  renderSarif,
+  renderGithub
+};
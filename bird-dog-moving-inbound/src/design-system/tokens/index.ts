@@ -0,0 +1,116 @@
+/**
+ * Bird Dog Moving Design Tokens - helpers
+ * Token data and types are generated into ./tokens.ts (npm run build:tokens)
+ */
+
+import { tokens, type DesignTokens } from './tokens';
+
+export * from './tokens';
+
+// Helper functions for accessing tokens
+export const getColor = (path: string): string => {
+  const keys = path.split('.');
+  let value: any = tokens.color;
+  for (const key of keys) {
+    value = value[key];
+    if (value === undefined) {
+      console.warn(`Color token not found: ${path}`);
+      return '#000000';
+    }
+  }
+  return value;
+};
+
+export const getSpacing = (size: keyof DesignTokens['spacing']): string => {
+  return tokens.spacing[size];
+};
+
+export const getFontSize = (size: keyof DesignTokens['typography']['fontSize']): string => {
+  return tokens.typography.fontSize[size];
+};
+
+export const getShadow = (size: keyof DesignTokens['shadow']): string => {
+  return tokens.shadow[size];
+};
+
+export const getRadius = (size: keyof DesignTokens['radius']): string => {
+  return tokens.radius[size];
+};
+
+// CSS Custom Property helpers
+export const cssVar = (property: string): string => {
+  return `var(--${property.replace(/\./g, '-')})`;
+};
+
+// Common token combinations
+export const commonStyles = {
+  button: {
+    primary: {
+      backgroundColor: cssVar('color-brand-secondary'),
+      color: cssVar('color-brand-primary'),
+      borderRadius: cssVar('radius-base'),
+      padding: `${cssVar('space-lg')} ${cssVar('space-xl')}`,
+      fontSize: cssVar('font-size-base'),
+      fontWeight: cssVar('font-weight-semibold'),
+      boxShadow: cssVar('shadow-base'),
+      transition: `all ${cssVar('transition-duration-base')} ${cssVar('transition-easing-ease')}`,
+    },
+    secondary: {
+      backgroundColor: cssVar('color-brand-teal-primary'),
+      color: cssVar('color-text-inverse'),
+      borderRadius: cssVar('radius-base'),
+      padding: `${cssVar('space-lg')} ${cssVar('space-xl')}`,
+      fontSize: cssVar('font-size-base'),
+      fontWeight: cssVar('font-weight-semibold'),
+      boxShadow: cssVar('shadow-teal'),
+      transition: `all ${cssVar('transition-duration-base')} ${cssVar('transition-easing-ease')}`,
+    },
+    ghost: {
+      backgroundColor: 'transparent',
+      color: cssVar('color-brand-primary'),
+      border: `${cssVar('border-width-1')} solid ${cssVar('color-border-primary')}`,
+      borderRadius: cssVar('radius-base'),
+      padding: `${cssVar('space-lg')} ${cssVar('space-xl')}`,
+      fontSize: cssVar('font-size-base'),
+      fontWeight: cssVar('font-weight-semibold'),
+      transition: `all ${cssVar('transition-duration-base')} ${cssVar('transition-easing-ease')}`,
+    },
+  },
+  card: {
+    base: {
+      backgroundColor: cssVar('color-surface-primary'),
+      border: `${cssVar('border-width-1')} solid ${cssVar('color-border-primary')}`,
+      borderRadius: cssVar('radius-md'),
+      boxShadow: cssVar('shadow-sm'),
+      padding: cssVar('space-2xl'),
+      transition: `all ${cssVar('transition-duration-base')} ${cssVar('transition-easing-ease')}`,
+    },
+  },
+  typography: {
+    hero: {
+      fontSize: cssVar('font-size-hero'),
+      lineHeight: cssVar('line-height-tight'),
+      fontWeight: cssVar('font-weight-bold'),
+      color: cssVar('color-brand-primary'),
+    },
+    h2: {
+      fontSize: cssVar('font-size-h2'),
+      lineHeight: cssVar('line-height-tight'),
+      fontWeight: cssVar('font-weight-bold'),
+      color: cssVar('color-brand-primary'),
+    },
+    body: {
+      fontSize: cssVar('font-size-base'),
+      lineHeight: cssVar('line-height-relaxed'),
+      color: cssVar('color-text-primary'),
+    },
+    muted: {
+      fontSize: cssVar('font-size-base'),
+      lineHeight: cssVar('line-height-relaxed'),
+      color: cssVar('color-text-muted'),
+    },
+  },
+} as const;
+
+export default tokens;
+
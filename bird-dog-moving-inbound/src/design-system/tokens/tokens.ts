@@ -1,6 +1,6 @@
 /**
- * Bird Dog Moving Design Tokens - TypeScript Interface
- * Generated from tokens.json for type safety and IDE support
+ * Bird Dog Moving Design Tokens - TypeScript
+ * Generated by scripts/build-tokens.js from src/design-system/tokens/tokens.json — do not edit by hand
  */
 
 export interface DesignTokens {
@@ -36,6 +36,14 @@ export interface DesignTokens {
       error: string;
       info: string;
     };
+    legacy: {
+      navy: string;
+      orange: string;
+      ink: string;
+      sky: string;
+      mist: string;
+      slate: string;
+    };
   };
   spacing: {
     xs: string;
@@ -43,11 +51,11 @@ export interface DesignTokens {
     md: string;
     lg: string;
     xl: string;
-    '2xl': string;
-    '3xl': string;
-    '4xl': string;
-    '5xl': string;
-    '6xl': string;
+    "2xl": string;
+    "3xl": string;
+    "4xl": string;
+    "5xl": string;
+    "6xl": string;
   };
   typography: {
     fontFamily: {
@@ -59,11 +67,11 @@ export interface DesignTokens {
       base: string;
       lg: string;
       xl: string;
-      '2xl': string;
-      '3xl': string;
-      '4xl': string;
-      '5xl': string;
-      '6xl': string;
+      "2xl": string;
+      "3xl": string;
+      "4xl": string;
+      "5xl": string;
+      "6xl": string;
       hero: string;
       h2: string;
     };
@@ -121,28 +129,28 @@ export interface DesignTokens {
     tooltip: string;
   };
   borderWidth: {
-    '0': string;
-    '1': string;
-    '2': string;
-    '4': string;
-    '8': string;
+    "0": string;
+    "1": string;
+    "2": string;
+    "4": string;
+    "8": string;
   };
   opacity: {
-    '0': string;
-    '5': string;
-    '10': string;
-    '20': string;
-    '25': string;
-    '30': string;
-    '40': string;
-    '50': string;
-    '60': string;
-    '70': string;
-    '75': string;
-    '80': string;
-    '90': string;
-    '95': string;
-    '100': string;
+    "0": string;
+    "5": string;
+    "10": string;
+    "20": string;
+    "25": string;
+    "30": string;
+    "40": string;
+    "50": string;
+    "60": string;
+    "70": string;
+    "75": string;
+    "80": string;
+    "90": string;
+    "95": string;
+    "100": string;
   };
   breakpoints: {
     xs: string;
@@ -150,7 +158,7 @@ export interface DesignTokens {
     md: string;
     lg: string;
     xl: string;
-    '2xl': string;
+    "2xl": string;
   };
   transition: {
     duration: {
@@ -172,117 +180,379 @@ export interface DesignTokens {
       wrap: string;
     };
   };
+  focus: {
+    ring: string;
+    ringTeal: string;
+  };
 }
 
-// Import the actual token values
-import tokensData from './tokens.json';
-
-export const tokens: DesignTokens = tokensData as DesignTokens;
-
-// Helper functions for accessing tokens
-export const getColor = (path: string): string => {
-  const keys = path.split('.');
-  let value: any = tokens.color;
-  for (const key of keys) {
-    value = value[key];
-    if (value === undefined) {
-      console.warn(`Color token not found: ${path}`);
-      return '#000000';
+export const tokens: DesignTokens = {
+  color: {
+    brand: {
+      primary: "#000000",
+      secondary: "#FFD700",
+      accent: "#FFFF00",
+      teal: {
+        primary: "#005F5F",
+        secondary: "#008080",
+        light: "#4A9B9B"
+      }
+    },
+    surface: {
+      primary: "#FFFFFF",
+      secondary: "#FAFAFA",
+      tertiary: "#F6F8FB"
+    },
+    text: {
+      primary: "#000000",
+      secondary: "#4A4A4A",
+      muted: "#475569",
+      inverse: "#FFFFFF"
+    },
+    border: {
+      primary: "#E5E5E5",
+      secondary: "#E2E8F0"
+    },
+    state: {
+      success: "#32C671",
+      warning: "#F59E0B",
+      error: "#EF4444",
+      info: "#3B82F6"
+    },
+    legacy: {
+      navy: "#16324F",
+      orange: "#FF7A00",
+      ink: "#0F172A",
+      sky: "#DBEAFE",
+      mist: "#F8FAFF",
+      slate: "#CBD5E1"
+    }
+  },
+  spacing: {
+    xs: "0.25rem",
+    sm: "0.375rem",
+    md: "0.5rem",
+    lg: "0.75rem",
+    xl: "1rem",
+    "2xl": "1.5rem",
+    "3xl": "2rem",
+    "4xl": "3rem",
+    "5xl": "4rem",
+    "6xl": "6rem"
+  },
+  typography: {
+    fontFamily: {
+      sans: "ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Inter, \"Helvetica Neue\", Arial, \"Noto Sans\", \"Liberation Sans\", sans-serif"
+    },
+    fontSize: {
+      xs: "0.75rem",
+      sm: "0.875rem",
+      base: "1rem",
+      lg: "1.125rem",
+      xl: "1.25rem",
+      "2xl": "1.5rem",
+      "3xl": "1.875rem",
+      "4xl": "2.25rem",
+      "5xl": "3rem",
+      "6xl": "3.75rem",
+      hero: "clamp(2rem, 2.5vw + 1.2rem, 3rem)",
+      h2: "clamp(1.375rem, 1.5vw + 1rem, 2rem)"
+    },
+    lineHeight: {
+      tight: "1.15",
+      snug: "1.375",
+      normal: "1.5",
+      relaxed: "1.6",
+      loose: "2"
+    },
+    fontWeight: {
+      normal: "400",
+      medium: "500",
+      semibold: "600",
+      bold: "700",
+      extrabold: "800"
+    },
+    letterSpacing: {
+      tight: "-0.025em",
+      normal: "0",
+      wide: "0.025em",
+      wider: "0.05em",
+      widest: "0.06em"
+    }
+  },
+  radius: {
+    none: "0",
+    sm: "0.25rem",
+    base: "0.5rem",
+    md: "0.75rem",
+    lg: "1rem",
+    xl: "1.5rem",
+    full: "9999px"
+  },
+  shadow: {
+    sm: "0 1px 2px rgba(0,0,0,.06)",
+    base: "0 4px 8px rgba(0,0,0,.08)",
+    md: "0 8px 16px rgba(0,0,0,.12)",
+    lg: "0 16px 32px rgba(0,0,0,.16)",
+    xl: "0 24px 48px rgba(0,0,0,.20)",
+    teal: "0 4px 12px rgba(0,95,95,.15)"
+  },
+  zIndex: {
+    hide: "-1",
+    base: "0",
+    docked: "10",
+    dropdown: "1000",
+    sticky: "1100",
+    banner: "1200",
+    overlay: "1300",
+    modal: "1400",
+    popover: "1500",
+    skipLink: "1600",
+    toast: "1700",
+    tooltip: "1800"
+  },
+  borderWidth: {
+    "0": "0",
+    "1": "1px",
+    "2": "2px",
+    "4": "4px",
+    "8": "8px"
+  },
+  opacity: {
+    "0": "0",
+    "5": "0.05",
+    "10": "0.1",
+    "20": "0.2",
+    "25": "0.25",
+    "30": "0.3",
+    "40": "0.4",
+    "50": "0.5",
+    "60": "0.6",
+    "70": "0.7",
+    "75": "0.75",
+    "80": "0.8",
+    "90": "0.9",
+    "95": "0.95",
+    "100": "1"
+  },
+  breakpoints: {
+    xs: "475px",
+    sm: "640px",
+    md: "768px",
+    lg: "1024px",
+    xl: "1280px",
+    "2xl": "1536px"
+  },
+  transition: {
+    duration: {
+      fast: "0.15s",
+      base: "0.25s",
+      slow: "0.4s"
+    },
+    easing: {
+      linear: "linear",
+      ease: "ease",
+      easeIn: "ease-in",
+      easeOut: "ease-out",
+      easeInOut: "ease-in-out",
+      bounce: "cubic-bezier(.68,-.55,.265,1.55)"
+    }
+  },
+  layout: {
+    maxWidth: {
+      wrap: "1200px"
     }
+  },
+  focus: {
+    ring: "0 0 0 3px rgba(255,215,0,.3)",
+    ringTeal: "0 0 0 3px rgba(0,95,95,.3)"
   }
-  return value;
-};
-
-export const getSpacing = (size: keyof DesignTokens['spacing']): string => {
-  return tokens.spacing[size];
-};
-
-export const getFontSize = (size: keyof DesignTokens['typography']['fontSize']): string => {
-  return tokens.typography.fontSize[size];
-};
-
-export const getShadow = (size: keyof DesignTokens['shadow']): string => {
-  return tokens.shadow[size];
 };
 
-export const getRadius = (size: keyof DesignTokens['radius']): string => {
-  return tokens.radius[size];
-};
-
-// CSS Custom Property helpers
-export const cssVar = (property: string): string => {
-  return `var(--${property.replace(/\./g, '-')})`;
-};
-
-// Common token combinations
-export const commonStyles = {
-  button: {
-    primary: {
-      backgroundColor: cssVar('color-brand-secondary'),
-      color: cssVar('color-brand-primary'),
-      borderRadius: cssVar('radius-base'),
-      padding: `${cssVar('space-lg')} ${cssVar('space-xl')}`,
-      fontSize: cssVar('font-size-base'),
-      fontWeight: cssVar('font-weight-semibold'),
-      boxShadow: cssVar('shadow-base'),
-      transition: `all ${cssVar('transition-duration-base')} ${cssVar('transition-easing-ease')}`,
+// CSS custom property references, e.g. TOKENS.color.primary → "var(--color-primary)"
+export const TOKENS = {
+  color: {
+    brand: {
+      primary: "var(--color-brand-primary)",
+      secondary: "var(--color-brand-secondary)",
+      accent: "var(--color-brand-accent)",
+      teal: {
+        primary: "var(--color-brand-teal-primary)",
+        secondary: "var(--color-brand-teal-secondary)",
+        light: "var(--color-brand-teal-light)"
+      }
     },
-    secondary: {
-      backgroundColor: cssVar('color-brand-teal-primary'),
-      color: cssVar('color-text-inverse'),
-      borderRadius: cssVar('radius-base'),
-      padding: `${cssVar('space-lg')} ${cssVar('space-xl')}`,
-      fontSize: cssVar('font-size-base'),
-      fontWeight: cssVar('font-weight-semibold'),
-      boxShadow: cssVar('shadow-teal'),
-      transition: `all ${cssVar('transition-duration-base')} ${cssVar('transition-easing-ease')}`,
+    surface: {
+      primary: "var(--color-surface-primary)",
+      secondary: "var(--color-surface-secondary)",
+      tertiary: "var(--color-surface-tertiary)"
     },
-    ghost: {
-      backgroundColor: 'transparent',
-      color: cssVar('color-brand-primary'),
-      border: `${cssVar('border-width-1')} solid ${cssVar('color-border-primary')}`,
-      borderRadius: cssVar('radius-base'),
-      padding: `${cssVar('space-lg')} ${cssVar('space-xl')}`,
-      fontSize: cssVar('font-size-base'),
-      fontWeight: cssVar('font-weight-semibold'),
-      transition: `all ${cssVar('transition-duration-base')} ${cssVar('transition-easing-ease')}`,
+    text: {
+      primary: "var(--color-text-primary)",
+      secondary: "var(--color-text-secondary)",
+      muted: "var(--color-text-muted)",
+      inverse: "var(--color-text-inverse)"
     },
-  },
-  card: {
-    base: {
-      backgroundColor: cssVar('color-surface-primary'),
-      border: `${cssVar('border-width-1')} solid ${cssVar('color-border-primary')}`,
-      borderRadius: cssVar('radius-md'),
-      boxShadow: cssVar('shadow-sm'),
-      padding: cssVar('space-2xl'),
-      transition: `all ${cssVar('transition-duration-base')} ${cssVar('transition-easing-ease')}`,
+    border: {
+      primary: "var(--color-border-primary)",
+      secondary: "var(--color-border-secondary)"
+    },
+    state: {
+      success: "var(--color-state-success)",
+      warning: "var(--color-state-warning)",
+      error: "var(--color-state-error)",
+      info: "var(--color-state-info)"
     },
+    legacy: {
+      navy: "var(--color-legacy-navy)",
+      orange: "var(--color-legacy-orange)",
+      ink: "var(--color-legacy-ink)",
+      sky: "var(--color-legacy-sky)",
+      mist: "var(--color-legacy-mist)",
+      slate: "var(--color-legacy-slate)"
+    }
+  },
+  spacing: {
+    xs: "var(--space-xs)",
+    sm: "var(--space-sm)",
+    md: "var(--space-md)",
+    lg: "var(--space-lg)",
+    xl: "var(--space-xl)",
+    "2xl": "var(--space-2xl)",
+    "3xl": "var(--space-3xl)",
+    "4xl": "var(--space-4xl)",
+    "5xl": "var(--space-5xl)",
+    "6xl": "var(--space-6xl)"
   },
   typography: {
-    hero: {
-      fontSize: cssVar('font-size-hero'),
-      lineHeight: cssVar('line-height-tight'),
-      fontWeight: cssVar('font-weight-bold'),
-      color: cssVar('color-brand-primary'),
+    fontFamily: {
+      sans: "var(--font-family-sans)"
+    },
+    fontSize: {
+      xs: "var(--font-size-xs)",
+      sm: "var(--font-size-sm)",
+      base: "var(--font-size-base)",
+      lg: "var(--font-size-lg)",
+      xl: "var(--font-size-xl)",
+      "2xl": "var(--font-size-2xl)",
+      "3xl": "var(--font-size-3xl)",
+      "4xl": "var(--font-size-4xl)",
+      "5xl": "var(--font-size-5xl)",
+      "6xl": "var(--font-size-6xl)",
+      hero: "var(--font-size-hero)",
+      h2: "var(--font-size-h2)"
     },
-    h2: {
-      fontSize: cssVar('font-size-h2'),
-      lineHeight: cssVar('line-height-tight'),
-      fontWeight: cssVar('font-weight-bold'),
-      color: cssVar('color-brand-primary'),
+    lineHeight: {
+      tight: "var(--line-height-tight)",
+      snug: "var(--line-height-snug)",
+      normal: "var(--line-height-normal)",
+      relaxed: "var(--line-height-relaxed)",
+      loose: "var(--line-height-loose)"
     },
-    body: {
-      fontSize: cssVar('font-size-base'),
-      lineHeight: cssVar('line-height-relaxed'),
-      color: cssVar('color-text-primary'),
+    fontWeight: {
+      normal: "var(--font-weight-normal)",
+      medium: "var(--font-weight-medium)",
+      semibold: "var(--font-weight-semibold)",
+      bold: "var(--font-weight-bold)",
+      extrabold: "var(--font-weight-extrabold)"
     },
-    muted: {
-      fontSize: cssVar('font-size-base'),
-      lineHeight: cssVar('line-height-relaxed'),
-      color: cssVar('color-text-muted'),
+    letterSpacing: {
+      tight: "var(--letter-spacing-tight)",
+      normal: "var(--letter-spacing-normal)",
+      wide: "var(--letter-spacing-wide)",
+      wider: "var(--letter-spacing-wider)",
+      widest: "var(--letter-spacing-widest)"
+    }
+  },
+  radius: {
+    none: "var(--radius-none)",
+    sm: "var(--radius-sm)",
+    base: "var(--radius-base)",
+    md: "var(--radius-md)",
+    lg: "var(--radius-lg)",
+    xl: "var(--radius-xl)",
+    full: "var(--radius-full)"
+  },
+  shadow: {
+    sm: "var(--shadow-sm)",
+    base: "var(--shadow-base)",
+    md: "var(--shadow-md)",
+    lg: "var(--shadow-lg)",
+    xl: "var(--shadow-xl)",
+    teal: "var(--shadow-teal)"
+  },
+  zIndex: {
+    hide: "var(--z-hide)",
+    base: "var(--z-base)",
+    docked: "var(--z-docked)",
+    dropdown: "var(--z-dropdown)",
+    sticky: "var(--z-sticky)",
+    banner: "var(--z-banner)",
+    overlay: "var(--z-overlay)",
+    modal: "var(--z-modal)",
+    popover: "var(--z-popover)",
+    skipLink: "var(--z-skipLink)",
+    toast: "var(--z-toast)",
+    tooltip: "var(--z-tooltip)"
+  },
+  borderWidth: {
+    "0": "var(--border-width-0)",
+    "1": "var(--border-width-1)",
+    "2": "var(--border-width-2)",
+    "4": "var(--border-width-4)",
+    "8": "var(--border-width-8)"
+  },
+  opacity: {
+    "0": "var(--opacity-0)",
+    "5": "var(--opacity-5)",
+    "10": "var(--opacity-10)",
+    "20": "var(--opacity-20)",
+    "25": "var(--opacity-25)",
+    "30": "var(--opacity-30)",
+    "40": "var(--opacity-40)",
+    "50": "var(--opacity-50)",
+    "60": "var(--opacity-60)",
+    "70": "var(--opacity-70)",
+    "75": "var(--opacity-75)",
+    "80": "var(--opacity-80)",
+    "90": "var(--opacity-90)",
+    "95": "var(--opacity-95)",
+    "100": "var(--opacity-100)"
+  },
+  breakpoints: {
+    xs: "var(--breakpoint-xs)",
+    sm: "var(--breakpoint-sm)",
+    md: "var(--breakpoint-md)",
+    lg: "var(--breakpoint-lg)",
+    xl: "var(--breakpoint-xl)",
+    "2xl": "var(--breakpoint-2xl)"
+  },
+  transition: {
+    duration: {
+      fast: "var(--transition-duration-fast)",
+      base: "var(--transition-duration-base)",
+      slow: "var(--transition-duration-slow)"
     },
+    easing: {
+      linear: "var(--transition-easing-linear)",
+      ease: "var(--transition-easing-ease)",
+      easeIn: "var(--transition-easing-easeIn)",
+      easeOut: "var(--transition-easing-easeOut)",
+      easeInOut: "var(--transition-easing-easeInOut)",
+      bounce: "var(--transition-easing-bounce)"
+    }
+  },
+  layout: {
+    maxWidth: {
+      wrap: "var(--max-width-wrap)"
+    }
   },
+  focus: {
+    ring: "var(--focus-ring)",
+    ringTeal: "var(--focus-ring-teal)"
+  }
 } as const;
 
-export default tokens;
+export type ThemeName = "current";
 
+export const THEMES: readonly ThemeName[] = ["current"];
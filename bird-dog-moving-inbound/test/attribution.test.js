@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Lead attribution
+ * Checks assets/js/attribution.js: which page views count as touches, how
+ * first and last touch are kept, which links are CTAs, and that the hidden
+ * fields it writes are the ones lead-intake.js reads back.
+ */
+
+const assert = require('assert');
+const { currentTouch, recordVisit, ctaFor, hiddenFields } = require('../assets/js/attribution.js');
+const { readAttribution } = require('../scripts/lead-intake.js');
+
+const NOW = new Date('2026-10-19T15:00:00Z');
+const LATER = new Date('2026-10-21T15:00:00Z');
+
+function page(pathname, search = '') {
+  return { host: 'metromove.example', pathname, search };
+}
+
+// Just enough of an <a> for ctaFor
+function link(href, text, { className = '', cta = null } = {}) {
+  return {
+    textContent: text,
+    classList: { contains: name => className.split(' ').includes(name) },
+    hasAttribute: name => name === 'data-cta' && cta !== null,
+    getAttribute: name => ({ href, 'data-cta': cta })[name]
+  };
+}
+
+const cases = [
+  ['counts UTM arrivals and visits from other sites as touches', () => {
+    assert.deepStrictEqual(currentTouch(page('/service-area-edmond.html', '?utm_source=google&utm_medium=cpc&gclid=x'), '', NOW), {
+      utm_source: 'google',
+      utm_medium: 'cpc',
+      landing_page: '/service-area-edmond.html?utm_source=google&utm_medium=cpc&gclid=x',
+      at: NOW.toISOString()
+    });
+    assert.deepStrictEqual(currentTouch(page('/'), 'https://www.bing.com/', NOW), {
+      referrer: 'https://www.bing.com/',
+      landing_page: '/',
+      at: NOW.toISOString()
+    });
+  }],
+
+  ['ignores direct visits and clicks between pages of the site', () => {
+    assert.strictEqual(currentTouch(page('/quote.html'), '', NOW), null);
+    assert.strictEqual(currentTouch(page('/quote.html'), 'https://metromove.example/service-area-edmond.html', NOW), null);
+    assert.strictEqual(currentTouch(page('/quote.html'), 'not a url', NOW), null);
+  }],
+
+  ['records a direct first visit so the landing page is known', () => {
+    const data = recordVisit({}, page('/resource-hub.html'), '', NOW);
+    assert.deepStrictEqual(data.firstTouch, { landing_page: '/resource-hub.html', at: NOW.toISOString() });
+    assert.strictEqual(data.lastTouch, data.firstTouch);
+  }],
+
+  ['keeps the first touch and moves the last touch to each new source', () => {
+    const first = recordVisit({}, page('/', '?utm_source=newsletter'), '', NOW);
+    const internal = recordVisit(first, page('/quote.html'), 'https://metromove.example/', LATER);
+    assert.deepStrictEqual(internal, first);
+
+    const returning = recordVisit(first, page('/service-office.html'), 'https://www.google.com/', LATER);
+    assert.deepStrictEqual(returning.firstTouch, first.firstTouch);
+    assert.strictEqual(returning.lastTouch.referrer, 'https://www.google.com/');
+
+    // A later direct visit doesn't erase the known source
+    assert.deepStrictEqual(recordVisit(returning, page('/'), '', LATER), returning);
+  }],
+
+  ['starts over once the first touch is 90 days old', () => {
+    const old = recordVisit({}, page('/', '?utm_source=old'), '', new Date('2026-07-01T00:00:00Z'));
+    const data = recordVisit({ ...old, cta: { text: 'Get a Quote' } }, page('/', '?utm_source=new'), '', NOW);
+    assert.strictEqual(data.firstTouch.utm_source, 'new');
+    assert.strictEqual(data.cta, undefined);
+  }],
+
+  ['records buttons, data-cta links and links to the lead pages as CTAs', () => {
+    const edmond = page('/service-area-edmond.html');
+    assert.deepStrictEqual(ctaFor(link('quote.html', '\n  Get My Edmond   Quote '), edmond, NOW), {
+      text: 'Get My Edmond Quote',
+      href: 'quote.html',
+      page: '/service-area-edmond.html',
+      at: NOW.toISOString()
+    });
+    assert.strictEqual(ctaFor(link('services.html', 'See plans', { className: 'btn btn--ghost' }), edmond, NOW).text, 'See plans');
+    assert.strictEqual(ctaFor(link('tel:+14050000000', '(405) 000-0000', { cta: 'Call header' }), edmond, NOW).text, 'Call header');
+    assert.strictEqual(ctaFor(link('/free-audit.html#form', 'Free audit'), edmond, NOW).href, '/free-audit.html#form');
+    assert.strictEqual(ctaFor(link('about.html', 'About'), edmond, NOW), null);
+    assert.strictEqual(ctaFor(link('quote-rates.json', 'Rates'), edmond, NOW), null);
+  }],
+
+  ['writes hidden fields the lead server reads back', () => {
+    const data = recordVisit({}, page('/', '?utm_source=google&utm_campaign=fall'), 'https://www.google.com/', NOW);
+    data.cta = ctaFor(link('quote.html', 'Get My Quote'), page('/'), NOW);
+
+    const fields = hiddenFields(data);
+    assert.strictEqual(fields.first_utm_source, 'google');
+    assert.strictEqual(fields.last_referrer, 'https://www.google.com/');
+    assert.strictEqual(fields.cta_text, 'Get My Quote');
+    assert.deepStrictEqual(readAttribution(fields), {
+      firstTouch: data.firstTouch,
+      lastTouch: data.lastTouch,
+      cta: data.cta
+    });
+  }]
+];
+
+cases.forEach(([name, run]) => {
+  run();
+  console.log(`✅ ${name}`);
+});
+
+console.log(`\n🎉 ${cases.length} attribution rules hold`);
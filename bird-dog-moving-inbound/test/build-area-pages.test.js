@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Service area pages
+ * Checks scripts/build-area-pages.js: each registry area rendered from the
+ * template with its text filled in, its "Areas near" section and the
+ * canonical link the sitemap builder would give it, the placeholders that
+ * stop a page being written, and the legacy copies a build retires, as
+ * the changes it hands the migration runner.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { renderAreaPage, findLegacyPages, areaPagesTransform } = require('../scripts/build-area-pages.js');
+
+const areas = [
+  { name: 'Edmond', slug: 'edmond', type: 'city', lat: 35.6528, lng: -97.4781, zips: ['73003', '73034'], parent: null, page: 'service-area-edmond.html' },
+  { name: 'Norman', slug: 'norman', type: 'city', lat: 35.2226, lng: -97.4395, zips: ['73069'], parent: null, page: 'service-area-norman.html' },
+  { name: 'Moore', slug: 'moore', type: 'city', lat: 35.3395, lng: -97.4867, zips: ['73160'], parent: null, page: 'service-area-moore.html' }
+];
+
+const defaults = {
+  title: '{{name}} Lawn Care | Locally Known',
+  heroTitle: '{{name}} Lawn & Pest Services',
+  ctaLabel: 'Get My {{name}} Quote'
+};
+
+const hierarchy = {
+  baseUrl: 'https://lawn.example/',
+  home: 'index.html',
+  pages: {
+    'index.html': { name: 'Home' },
+    'service-areas.html': { name: 'Service Areas', parent: 'index.html' },
+    'service-area-edmond.html': { name: 'Edmond', parent: 'service-areas.html' }
+  }
+};
+
+const template = [
+  '<html><head><title>{{title}}</title></head><body>',
+  '<main>',
+  '  <h1>{{heroTitle}}</h1>',
+  '  <a class="btn" href="quote.html">{{ctaLabel}}</a>',
+  '</main>',
+  '</body></html>'
+].join('\n');
+
+const cases = [
+  ['fills the title, hero copy and CTA from the area and the page defaults', () => {
+    const { html, problems } = renderAreaPage(template, areas[0], areas, defaults);
+    assert.deepStrictEqual(problems, []);
+    assert.ok(html.includes('<title>Edmond Lawn Care | Locally Known</title>'));
+    assert.ok(html.includes('<h1>Edmond Lawn &amp; Pest Services</h1>'));
+    assert.ok(html.includes('>Get My Edmond Quote</a>'));
+  }],
+
+  ['gives each page the canonical link build-sitemap.js would', () => {
+    const { html } = renderAreaPage(template, areas[0], areas, defaults, hierarchy);
+    assert.ok(html.includes('<title>Edmond Lawn Care | Locally Known</title>\n<!-- generated:canonical --><link rel="canonical" href="https://lawn.example/service-area-edmond.html" /><!-- /generated:canonical -->'));
+    assert.ok(!renderAreaPage(template, areas[0], areas, defaults).html.includes('rel="canonical"'));
+  }],
+
+  ['lists the closest areas in an "Areas near" section', () => {
+    const { html } = renderAreaPage('<main>{{nearbyAreas}}</main>', areas[1], areas, defaults);
+    assert.strictEqual(html, [
+      '<main><section class="section nearby-areas" aria-labelledby="nearby-areas-title">',
+      '  <div class="wrap">',
+      '    <h2 id="nearby-areas-title">Areas near Norman</h2>',
+      '    <div class="pill-list">',
+      '      <a class="pill" href="service-area-moore.html">Moore</a>',
+      '      <a class="pill" href="service-area-edmond.html">Edmond</a>',
+      '    </div>',
+      '  </div>',
+      '</section></main>'
+    ].join('\n'));
+  }],
+
+  ['refuses a page with a placeholder left unfilled', () => {
+    const { problems } = renderAreaPage(`${template}\n<p>{{heroLede}}</p>`, areas[1], areas, defaults);
+    assert.deepStrictEqual(problems, ['unfilled placeholder(s): {{heroLede}}']);
+  }],
+
+  ['finds the hand-made copies of registry pages to retire', () => {
+    const files = ['service-edmond.html', 'service-area-edmond.html', 'service-areas.html', 'service-moore-city.html', 'about.html'];
+    assert.deepStrictEqual([...findLegacyPages(files, areas)], [['service-edmond.html', 'service-area-edmond.html']]);
+  }],
+
+  ['removes the copies, points links at the registry page and 301s them there', () => {
+    const home = process.cwd();
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'build-area-pages-'));
+    process.chdir(tmp);
+    try {
+      const pages = [renderAreaPage(template, areas[0], areas, defaults)];
+      const legacy = findLegacyPages(['service-edmond.html', 'service-area-edmond.html'], areas);
+      const transform = areaPagesTransform(pages, legacy);
+
+      assert.deepStrictEqual(transform('service-edmond.html', '<h1>Edmond</h1>'), {
+        content: '<h1>Edmond</h1>', remove: true, changes: [{ removed: 'service-edmond.html', redirect: 'service-area-edmond.html' }]
+      });
+      assert.strictEqual(transform('about.html', '<a href="service-edmond.html">Edmond</a>').content, '<a href="service-area-edmond.html">Edmond</a>');
+      assert.strictEqual(transform('service-area-edmond.html', '').content, pages[0].html);
+      assert.ok(transform('_redirects', '').content.includes('/service-edmond.html  /service-area-edmond.html  301'));
+    } finally {
+      process.chdir(home);
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  }]
+];
+
+cases.forEach(([name, run]) => {
+  run();
+  console.log(`✅ ${name}`);
+});
+
+console.log(`\n🎉 ${cases.length} service area page rules hold`);
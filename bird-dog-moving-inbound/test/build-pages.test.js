@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * Page layout
+ * Checks scripts/page-layout.js: includes and their parameters, the layout
+ * around a page's content, the active nav link, the errors that stop a
+ * build and the source line behind each built line, plus the round trip through scripts/extract-partials.js from an
+ * inline page to partials and back, a build of quote.html with the
+ * data files and scripts it loads, and which site files are published.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LayoutError, renderPage, renderPageSource, locateLines } = require('../scripts/page-layout.js');
+const { dataFiles, buildPages, assetFiles, writeSite } = require('../scripts/build-pages.js');
+const { splitPage, derivePartials, sharedChrome, chromeDifference, toLayoutPage } = require('../scripts/extract-partials.js');
+
+const partials = new Map([
+  ['layout', '  <!-- include:header -->\n\n{{content}}\n\n  <!-- include:footer -->'],
+  ['header', '<header>\n  <!-- include:nav -->\n</header>'],
+  ['nav', '<nav aria-label="Primary">\n  <a href="services.html">Services</a>\n  <a href="quote.html">Get a Quote</a>\n</nav>'],
+  ['footer', '<footer>&copy; {{year}} {{brand|Metro Move}}</footer>'],
+  ['cta-band', '<section>\n  <h2>{{heading|Ready to move?}}</h2>\n  <!-- include:cta-button -->\n</section>'],
+  ['cta-button', '<a href="{{href|quote.html}}">{{label}}</a>']
+]);
+
+const hierarchy = {
+  home: 'index.html',
+  pages: {
+    'index.html': { name: 'Home' },
+    'services.html': { name: 'Services', parent: 'index.html' },
+    'service-office.html': { name: 'Office', parent: 'services.html' },
+    'about.html': { name: 'About', parent: 'index.html' }
+  }
+};
+
+function page(body) {
+  return `<!doctype html>\n<html><head><title>Test</title></head>\n<body>\n${body}\n</body>\n</html>\n`;
+}
+
+function render(body, file = 'about.html', options = {}) {
+  return renderPage(page(body), file, { partials, hierarchy, year: 2026, ...options });
+}
+
+const cases = [
+  ['wraps a layout page in the layout, header, nav and footer', () => {
+    assert.strictEqual(render('<!-- layout -->\n  <main>About us</main>'), page([
+      '  <header>',
+      '    <nav aria-label="Primary">',
+      '      <a href="services.html">Services</a>',
+      '      <a href="quote.html">Get a Quote</a>',
+      '    </nav>',
+      '  </header>',
+      '',
+      '  <main>About us</main>',
+      '',
+      '  <footer>&copy; 2026 Metro Move</footer>'
+    ].join('\n')));
+  }],
+
+  ['leaves pages without a layout or includes as they are', () => {
+    const html = page('<main>{{not a placeholder}}</main>');
+    assert.strictEqual(renderPage(html, 'about.html', { partials }), html);
+  }],
+
+  ['fills placeholders from include attributes, outer scopes and defaults', () => {
+    const html = render('<main>\n  <!-- include:cta-band label="Get My Quote" -->\n</main>');
+    assert.ok(html.includes('  <section>\n    <h2>Ready to move?</h2>\n    <a href="quote.html">Get My Quote</a>\n  </section>'));
+
+    const custom = render('<!-- layout brand="Bird Dog" -->\n<main><!-- include:cta-band heading="Moving offices?" href="service-office.html" label="Plan it" --></main>');
+    assert.ok(custom.includes('<h2>Moving offices?</h2>'));
+    assert.ok(custom.includes('<a href="service-office.html">Plan it</a>'));
+    assert.ok(custom.includes('&copy; 2026 Bird Dog'));
+  }],
+
+  ['marks the current page, or its section, in the primary nav', () => {
+    const current = html => (html.match(/<a aria-current="(\w+)" href="([^"]+)"/) || []).slice(1).join(' ');
+    assert.strictEqual(current(render('<!-- layout -->\n<main></main>', 'quote.html')), 'page quote.html');
+    assert.strictEqual(current(render('<!-- layout -->\n<main></main>', 'service-office.html')), 'true services.html');
+    assert.strictEqual(current(render('<!-- layout -->\n<main></main>', 'about.html')), '');
+    assert.strictEqual(current(render('<!-- layout active="services.html" -->\n<main></main>', 'about.html')), 'page services.html');
+    assert.strictEqual(current(render('<!-- layout active="" -->\n<main></main>', 'quote.html')), '');
+  }],
+
+  ['stops on a missing partial, placeholder or layout, and on include cycles', () => {
+    assert.throws(() => render('<main><!-- include:sidebar --></main>'), /about\.html: no partial partials\/sidebar\.html/);
+    assert.throws(() => render('<main><!-- include:cta-button --></main>'), /partials\/cta-button\.html: no value for \{\{label\}\}/);
+    assert.throws(() => render('<!-- layout -->\n<main></main>', 'about.html', { partials: new Map() }), LayoutError);
+
+    const looping = new Map([...partials, ['header', '<header><!-- include:nav --></header>'], ['nav', '<!-- include:header -->']]);
+    assert.throws(() => render('<!-- layout -->\n<main></main>', 'about.html', { partials: looping }), /include cycle layout → header → nav → header/);
+  }],
+
+  ['traces every built line to its line in the page or a partial', () => {
+    const body = '<!-- layout -->\n  <main>\n    <!-- include:cta-band label="Go" -->\n  </main>';
+    const { html, origins } = renderPageSource(page(body), 'about.html', { partials, hierarchy, year: 2026 });
+    assert.strictEqual(html, render(body));
+    assert.deepStrictEqual(origins.map(origin => `${origin.file}:${origin.line}`), [
+      'about.html:1', 'about.html:2', 'about.html:3',
+      'partials/header.html:1', 'partials/nav.html:1', 'partials/nav.html:2', 'partials/nav.html:3', 'partials/nav.html:4', 'partials/header.html:3',
+      'partials/layout.html:2',
+      'about.html:5', 'partials/cta-band.html:1', 'partials/cta-band.html:2', 'partials/cta-button.html:1', 'partials/cta-band.html:4', 'about.html:7',
+      'partials/layout.html:4',
+      'partials/footer.html:1',
+      'about.html:8', 'about.html:9', 'about.html:10'
+    ]);
+    assert.deepStrictEqual(locateLines([{ line: 6 }, { line: 11 }], origins), [{ line: 2, partial: 'partials/nav.html' }, { line: 5 }]);
+  }],
+
+  ['extracts partials from an inline page and builds the same page back', () => {
+    const inline = page([
+      '  <header class="site-header">',
+      '    <a class="brand" href="index.html">Metro Move</a>',
+      '    <nav class="site-nav" aria-label="Primary">',
+      '      <a href="services.html">Services</a>',
+      '    </nav>',
+      '  </header>',
+      '',
+      '  <main id="main">Office moves</main>',
+      '',
+      '  <footer class="site-footer">',
+      '    <small>&copy; <span id="y"></span> Metro Move</small>',
+      "    <script>document.getElementById('y').textContent = new Date().getFullYear();</script>",
+      '  </footer>',
+      '  <script src="js/page.js" defer></script>',
+      '  <script src="assets/js/attribution.js" defer></script>'
+    ].join('\n'));
+
+    const extracted = derivePartials(inline);
+    assert.strictEqual(extracted.get('header'), '<header class="site-header">\n  <a class="brand" href="index.html">Metro Move</a>\n  <!-- include:nav -->\n</header>');
+    assert.strictEqual(extracted.get('nav'), '<nav class="site-nav" aria-label="Primary">\n  <a href="services.html">Services</a>\n</nav>');
+    assert.strictEqual(extracted.get('footer'), '<footer class="site-footer">\n  <small>&copy; {{year}} Metro Move</small>\n</footer>');
+
+    const parts = splitPage(inline);
+    assert.strictEqual(chromeDifference(parts, sharedChrome(extracted)), null);
+
+    const source = toLayoutPage(inline, parts);
+    assert.strictEqual(source, page('<!-- layout -->\n  <main id="main">Office moves</main>\n  <script src="js/page.js" defer></script>'));
+
+    const built = renderPage(source, 'service-office.html', { partials: extracted, hierarchy, year: 2026 });
+    assert.ok(built.includes('  <header class="site-header">\n    <a class="brand" href="index.html">Metro Move</a>\n    <nav class="site-nav" aria-label="Primary">\n      <a aria-current="true" href="services.html">Services</a>'));
+    assert.ok(built.includes('  <footer class="site-footer">\n    <small>&copy; 2026 Metro Move</small>\n  </footer>\n  <script src="assets/js/attribution.js" defer></script>\n</body>'));
+  }],
+
+  ['reports the first line where a page departs from the shared chrome', () => {
+    const shared = sharedChrome(partials);
+    const drifted = splitPage(page('<header>\n  <nav aria-label="Primary">\n    <a href="services.html">Our Services</a>\n  </nav>\n</header>\n<main></main>\n<footer>&copy; <span id="y"></span> Metro Move</footer>'));
+    assert.deepStrictEqual(chromeDifference(drifted, shared), {
+      region: 'header',
+      page: '<a href="services.html">Our Services</a>',
+      shared: '<a href="services.html">Services</a>'
+    });
+  }],
+
+  ['publishes the data files and scripts quote.html loads alongside it', () => {
+    const home = process.cwd();
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'build-pages-'));
+    process.chdir(path.join(__dirname, '..'));
+    try {
+      const { pages, errors } = buildPages(['quote.html']);
+      assert.deepStrictEqual(errors, []);
+      writeSite(pages, out);
+
+      const built = fs.readFileSync(path.join(out, 'quote.html'), 'utf8');
+      assert.deepStrictEqual(dataFiles(built), ['quote-rates.json', 'service-areas.json']);
+      dataFiles(built).forEach(file => assert.ok(fs.existsSync(path.join(out, file)), `${file} missing from the build`));
+      assert.ok(!fs.existsSync(path.join(out, 'lead-forms.json')));
+      const scripts = [...built.matchAll(/<script src="([^"]+)"/g)].map(match => match[1]);
+      assert.ok(scripts.includes('assets/js/attribution.js') && scripts.includes('assets/js/lead-form.js'));
+      scripts.forEach(file => assert.ok(fs.existsSync(path.join(out, file)), `${file} missing from the build`));
+      assert.deepStrictEqual(dataFiles('<form data-rates="https://cdn.example/rates.json" data-areas="./areas.json">'), ['areas.json']);
+    } finally {
+      process.chdir(home);
+      fs.rmSync(out, { recursive: true, force: true });
+    }
+  }],
+
+  ['publishes the host redirect files but not server configs or token sources', () => {
+    const home = process.cwd();
+    process.chdir(path.join(__dirname, '..', '..', 'locally-known-lawn-and-pest-inbound'));
+    try {
+      const files = assetFiles();
+      assert.ok(files.includes('.htaccess') && files.includes('_redirects'));
+      assert.ok(files.includes('src/design/tokens/tokens.css'));
+      ['nginx-redirects.conf', 'src/design/tokens/tokens.ts', 'src/design/tokens/tokens.raw.json',
+        'src/design/tokens/themes/current.json', 'src/devtools/ThemeSwitcher.tsx', '.DS_Store']
+        .forEach(file => assert.ok(!files.includes(file), `${file} should not be published`));
+    } finally {
+      process.chdir(home);
+    }
+  }]
+];
+
+cases.forEach(([name, run]) => {
+  run();
+  console.log(`✅ ${name}`);
+});
+
+console.log(`\n🎉 ${cases.length} page layout rules hold`);
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Component extraction
+ * Checks scripts/extract-components.js: which rules pages share, what each
+ * page keeps as an override, the conflicts that leave a page alone, the
+ * :root custom properties left to tokens.css, and the rewritten <style>
+ * and components.css, which uses the site's tokens.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseRules, parseDeclarations } = require('../scripts/css-declarations.js');
+const { loadTokenIndex } = require('../scripts/token-index.js');
+const { findHardcodedValues } = require('../scripts/verify-design-tokens.js');
+const { readRules, findSharedRules, planPage, toComponentPage, formatRules, tokenizeStylesheet } = require('../scripts/extract-components.js');
+
+// A page as main() reads it: rules come from the <style> content, offsets and all
+function page(file, css) {
+  const style = `\n${css}\n  `;
+  return { file, html: `<head>\n  <style>${style}</style>\n</head>`, rules: readRules(style) };
+}
+
+const base = [
+  '  .btn{display:inline-flex;padding:.75rem 1rem}',
+  '  .card{background:#fff;border:1px solid var(--color-border)}',
+  '  @media (min-width:900px){.card{padding:var(--space-4)}}'
+].join('\n');
+
+const pages = [
+  page('about.html', base),
+  page('quote.html', `${base}\n  .estimate{margin-top:var(--space-4)}`),
+  page('index.html', [
+    '  .btn{display:inline-flex;padding:.6rem .9rem;transition:var(--transition-base)}',
+    '  .card{ background: #FFF; border: 1px solid var(--color-border); }',
+    '  @media(min-width: 900px){ .card{ padding: var(--space-4); } }'
+  ].join('\n'))
+];
+
+// A token index like a site's, with two legacy aliases
+function tokenIndex() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'extract-components-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'tokens.json'), JSON.stringify({
+      color: { brand: { secondary: '#FF7A00' }, text: { primary: '#0F172A', inverse: '#FFFFFF' } },
+      spacing: { md: '0.5rem', lg: '0.75rem', xl: '1rem' },
+      typography: { fontWeight: { semibold: 600 } }
+    }));
+    fs.writeFileSync(path.join(dir, 'tokens.config.json'), JSON.stringify({
+      source: path.join(dir, 'tokens.json'),
+      prefixes: { spacing: 'space', typography: '' },
+      aliases: { 'color-accent': 'color-brand-secondary', 'color-text': 'color-text-primary' }
+    }));
+    return loadTokenIndex(path.join(dir, 'tokens.config.json'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const cases = [
+  ['splits a stylesheet into rules, with @media rules listed one by one', () => {
+    const css = '/* Buttons */\n.btn{a:1}\n@media (min-width:900px){.a{b:2}.b{c:3}}\n@import url(x.css);\n@font-face{font-family:X}';
+    const rules = parseRules(css);
+    assert.deepStrictEqual(rules.map(rule => [rule.context, rule.selector]), [
+      ['', '.btn'],
+      ['@media (min-width:900px)', '.a'],
+      ['@media (min-width:900px)', '.b'],
+      ['', '@font-face']
+    ]);
+    assert.strictEqual(css.slice(rules[0].start, rules[0].end), '/* Buttons */\n.btn{a:1}');
+    assert.deepStrictEqual(rules[1].group, rules[2].group);
+    assert.ok(rules[3].atRule);
+  }],
+
+  ['shares the most common version of a rule that enough pages have', () => {
+    const shared = findSharedRules(pages);
+    assert.deepStrictEqual([...shared.keys()], ['.btn', '.card', '@media(min-width:900px) .card']);
+    assert.strictEqual(shared.get('.btn').declarations[1].value, '.75rem 1rem');
+    assert.strictEqual(findSharedRules(pages, { minPages: 4 }).size, 0);
+  }],
+
+  ['drops shared rules and keeps what a page adds or changes as an override', () => {
+    const shared = findSharedRules(pages);
+    const quote = planPage(pages[1], shared);
+    assert.deepStrictEqual(quote.conflicts, []);
+    assert.strictEqual(toComponentPage(pages[1].html, quote, pages[1].rules, ['components.css']), [
+      '<head>',
+      '  <!-- generated:components-css --><link rel="stylesheet" href="components.css" /><!-- /generated:components-css -->',
+      '  <style>',
+      '  .estimate{margin-top:var(--space-4)}',
+      '  </style>',
+      '</head>'
+    ].join('\n'));
+
+    const index = planPage(pages[2], shared);
+    assert.strictEqual(toComponentPage(pages[2].html, index, pages[2].rules, ['components.css']), [
+      '<head>',
+      '  <!-- generated:components-css --><link rel="stylesheet" href="components.css" /><!-- /generated:components-css -->',
+      '  <style>',
+      '  .btn{padding:.6rem .9rem;transition:var(--transition-base)}',
+      '  </style>',
+      '</head>'
+    ].join('\n'));
+
+    const about = planPage(pages[0], shared);
+    assert.strictEqual(toComponentPage(pages[0].html, about, pages[0].rules, ['components.css']),
+      '<head>\n  <!-- generated:components-css --><link rel="stylesheet" href="components.css" /><!-- /generated:components-css -->\n</head>');
+  }],
+
+  ['reports a page that lacks a shared property, or whose markup a shared rule would newly style', () => {
+    const shared = findSharedRules(pages);
+    const plain = page('plain.html', '  .btn{display:inline-flex}');
+    const plan = planPage(plain, shared, { html: '<a class="btn">Quote</a> <div class="card"></div>' });
+    assert.deepStrictEqual(plan.conflicts, [
+      { key: '.btn', missing: ['padding'] },
+      { key: '.card', added: true },
+      { key: '@media(min-width:900px) .card', added: true }
+    ]);
+    assert.deepStrictEqual(planPage(plain, shared, { html: '<a class="btn">Quote</a>' }).conflicts, [{ key: '.btn', missing: ['padding'] }]);
+  }],
+
+  ['leaves :root custom properties to tokens.css when the values match', () => {
+    const tokens = new Map([['--space-sm', '0.375rem'], ['--space-1', 'var(--space-sm)'], ['--color-brand', '#000000']]);
+    const themed = page('about.html', '  :root{\n    --space-1:.375rem;\n    --color-brand:#16324F;\n    --local:1px;\n  }');
+    const plan = planPage(themed, new Map(), { tokens });
+    assert.deepStrictEqual(plan.tokenOverrides, [
+      { property: '--color-brand', value: '#16324F', tokens: '#000000' },
+      { property: '--local', value: '1px', tokens: null }
+    ]);
+    assert.ok(toComponentPage(themed.html, plan, themed.rules, ['tokens.css', 'components.css'])
+      .includes('<link rel="stylesheet" href="tokens.css" /><link rel="stylesheet" href="components.css" />'));
+    assert.ok(toComponentPage(themed.html, plan, themed.rules, []).includes('  :root{\n    --color-brand:#16324F;\n    --local:1px;\n  }'));
+  }],
+
+  ['writes components.css in the site tokens, with no literal a token covers', () => {
+    const index = tokenIndex();
+    const shared = readRules([
+      '.btn{gap:.5rem;padding:.75rem 1rem;font-weight:600}',
+      '.btn--primary{background:var(--color-accent);color:#fff;outline:2px solid color-mix(in oklab,var(--color-accent),#FFF 30%)}'
+    ].join('\n'));
+    const css = tokenizeStylesheet(formatRules(shared, ''), index);
+    assert.strictEqual(css, [
+      '.btn {',
+      '  gap: var(--space-md);',
+      '  padding: var(--space-lg) var(--space-xl);',
+      '  font-weight: var(--font-weight-semibold);',
+      '}',
+      '',
+      '.btn--primary {',
+      '  background: var(--color-brand-secondary);',
+      '  color: var(--color-text-inverse);',
+      '  outline: 2px solid color-mix(in oklab,var(--color-brand-secondary),var(--color-text-inverse) 30%);',
+      '}'
+    ].join('\n'));
+    assert.deepStrictEqual(parseDeclarations(css).flatMap(declaration => findHardcodedValues(declaration, index)), []);
+    assert.ok(!/var\(--color-(?:accent|text)\)/.test(css));
+
+    // A page's literals still match the shared rule
+    const page = readRules('.btn--primary{background:var(--color-accent);color:#FFFFFF;outline:2px solid color-mix(in oklab,var(--color-accent),#fff 30%)}', index);
+    assert.strictEqual(page[0].signature, readRules(css, index)[1].signature);
+  }],
+
+  ['sets the semantic token for a legacy name a page gives its own value', () => {
+    const tokens = new Map([['--color-brand-secondary', '#FFD700'], ['--color-accent', 'var(--color-brand-secondary)']]);
+    const themed = page('about.html', '  :root{--color-accent:#FF7A00;}\n  .btn{gap:.5rem}');
+    const plan = planPage(themed, findSharedRules([themed, page('quote.html', '  .btn{gap:.5rem}')]), { tokens, aliases: tokenIndex().aliases });
+    assert.deepStrictEqual(plan.renames, [{ property: '--color-accent', to: '--color-brand-secondary' }]);
+    assert.ok(toComponentPage(themed.html, plan, themed.rules, ['components.css']).includes('  :root{--color-brand-secondary:#FF7A00;}\n'));
+  }],
+
+  ['writes shared rules to components.css with url()s relative to it', () => {
+    const rules = readRules(".logo,.mark{background:url('assets/logo.png') center/cover}\n@media (min-width:900px){.a{b:1}.c{d:2 !important}}");
+    assert.strictEqual(formatRules(rules, 'src/design/components'), [
+      '.logo, .mark {',
+      "  background: url('../../../assets/logo.png') center/cover;",
+      '}',
+      '',
+      '@media (min-width:900px) {',
+      '  .a {',
+      '    b: 1;',
+      '  }',
+      '',
+      '  .c {',
+      '    d: 2 !important;',
+      '  }',
+      '}'
+    ].join('\n'));
+  }]
+];
+
+cases.forEach(([name, run]) => {
+  run();
+  console.log(`✅ ${name}`);
+});
+
+console.log(`\n🎉 ${cases.length} component extraction rules hold`);
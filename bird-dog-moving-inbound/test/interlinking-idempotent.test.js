@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+/**
+ * Interlinking idempotency check
+ * Runs apply-interlinking-map.js over the fixture site in
+ * test/fixtures/interlinking twice and fails if the second run changes
+ * anything the first one produced.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const glob = require('glob');
+
+// The script reads its map and registry from the current directory on load
+process.chdir(path.join(__dirname, 'fixtures', 'interlinking'));
+const { processFile } = require('../scripts/apply-interlinking-map.js');
+
+const pages = glob.sync('*.html');
+let injected = 0;
+
+pages.forEach(file => {
+  const original = fs.readFileSync(file, 'utf8');
+  const once = processFile(file, original);
+  const twice = processFile(file, once.content);
+
+  assert.strictEqual(twice.content, once.content, `${file}: second run changed the page`);
+  assert.deepStrictEqual(twice.changes, [], `${file}: second run reported changes`);
+
+  injected += once.changes.filter(change => change.generated).length;
+  console.log(`✅ ${file}`);
+});
+
+// Guard against the fixture silently exercising nothing
+assert.ok(injected > 0, 'fixture pages received no generated blocks');
+
+console.log(`\n🎉 ${pages.length} pages unchanged by a second run`);
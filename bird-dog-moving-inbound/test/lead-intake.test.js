@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+
+/**
+ * Lead intake
+ * Checks server-side validation, the spam checks, the lead store and the
+ * mail transports, then posts to a lead server started on a free port
+ * against a throwaway site directory. Every site's lead-forms.json is
+ * checked against the fields its form pages post.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const {
+  loadLeadForms,
+  validateLead,
+  isHoneypotFilled,
+  createRateLimiter,
+  createLead,
+  createLeadStore,
+  readAttribution,
+  notificationFor
+} = require('../scripts/lead-intake.js');
+const { formatMessage, createTransport } = require('../scripts/mail-transport.js');
+const { createLeadServer } = require('../scripts/lead-server.js');
+
+const SCHEMA = {
+  label: 'Quote',
+  page: 'quote.html',
+  fields: {
+    name: { label: 'Name', required: true },
+    email: { label: 'Email', type: 'email', required: true },
+    phone: { label: 'Phone', type: 'tel' },
+    zip: { label: 'ZIP', type: 'zip' },
+    website: { label: 'Website', type: 'url' },
+    move_date: { label: 'Move Date', type: 'date' },
+    services: { label: 'Services', multiple: true, options: ['packing', 'storage'] },
+    notes: { label: 'Notes', type: 'textarea', maxLength: 20 }
+  }
+};
+
+const VALID = { name: 'Alex Smith', email: 'alex@example.com' };
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-intake-'));
+
+function post(port, pathname, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      port,
+      path: pathname,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json', ...headers }
+    }, res => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+const cases = [
+  ['accepts a valid lead and drops fields the schema does not list', () => {
+    const { fields, errors } = validateLead(SCHEMA, { ...VALID, phone: ' (405) 555-0123 ', services: ['packing', 'storage'], admin: 'yes' });
+    assert.deepStrictEqual(errors, {});
+    assert.deepStrictEqual(fields, { ...VALID, phone: '(405) 555-0123', services: ['packing', 'storage'] });
+  }],
+
+  ['reports missing required fields', () => {
+    const { errors } = validateLead(SCHEMA, { name: '  ' });
+    assert.deepStrictEqual(errors, { name: 'Name is required.', email: 'Email is required.' });
+  }],
+
+  ['checks formats by field type', () => {
+    const { errors } = validateLead(SCHEMA, {
+      ...VALID,
+      email: 'alex@',
+      phone: '555-0123',
+      zip: '7310',
+      website: 'not a site',
+      move_date: '2026-02-30'
+    });
+    assert.deepStrictEqual(Object.keys(errors), ['email', 'phone', 'zip', 'website', 'move_date']);
+    assert.deepStrictEqual(validateLead(SCHEMA, { ...VALID, website: 'acme.example', zip: '73102-1234', move_date: '2026-02-28' }).errors, {});
+  }],
+
+  ['refuses unlisted options, repeated single fields and long values', () => {
+    const { errors } = validateLead(SCHEMA, { ...VALID, name: ['Alex', 'Sam'], services: ['packing', 'valet'], notes: 'x'.repeat(21) });
+    assert.deepStrictEqual(errors, {
+      name: 'Name takes a single value.',
+      services: 'Choose a listed option for Services.',
+      notes: 'Notes must be 20 characters or fewer.'
+    });
+  }],
+
+  ['reads attribution fields, trimming rather than rejecting them', () => {
+    assert.strictEqual(readAttribution(VALID), null);
+    assert.deepStrictEqual(readAttribution({
+      first_utm_source: 'google',
+      first_landing_page: '/service-area-edmond.html',
+      last_referrer: `https://example.com/${'x'.repeat(600)}`,
+      cta_text: ' Get My Edmond Quote ',
+      cta_unknown: 'dropped'
+    }), {
+      firstTouch: { utm_source: 'google', landing_page: '/service-area-edmond.html' },
+      lastTouch: { referrer: `https://example.com/${'x'.repeat(480)}` },
+      cta: { text: 'Get My Edmond Quote' }
+    });
+  }],
+
+  ['spots a filled honeypot', () => {
+    assert.strictEqual(isHoneypotFilled({ fax_number: '' }), false);
+    assert.strictEqual(isHoneypotFilled({ fax_number: '5550123' }), true);
+    assert.strictEqual(isHoneypotFilled({ trap: 'x' }, 'trap'), true);
+  }],
+
+  ['limits submissions per client within the window', () => {
+    const limiter = createRateLimiter({ max: 2, windowMinutes: 1 });
+    assert.strictEqual(limiter.hit('a', 0).allowed, true);
+    assert.strictEqual(limiter.hit('a', 1000).allowed, true);
+    assert.deepStrictEqual(limiter.hit('a', 2000), { allowed: false, retryAfter: 58 });
+    assert.strictEqual(limiter.hit('b', 2000).allowed, true);
+    assert.strictEqual(limiter.hit('a', 60000).allowed, true);
+  }],
+
+  ['stores leads as JSON Lines', async () => {
+    const store = createLeadStore(path.join(tmp, 'store', 'leads.jsonl'));
+    await store.save(createLead('quote', VALID));
+    await store.save(createLead('quote', { ...VALID, name: 'Sam' }));
+    const leads = await store.all();
+    assert.deepStrictEqual(leads.map(lead => lead.fields.name), ['Alex Smith', 'Sam']);
+    assert.notStrictEqual(leads[0].id, leads[1].id);
+  }],
+
+  ['formats the notification with every field and a reply-to', () => {
+    const lead = createLead('quote', { ...VALID, services: ['packing'], notes: 'Two flights\nof stairs' });
+    const message = notificationFor(lead, SCHEMA, { from: 'Site <no-reply@example.com>', to: 'hello@example.com' });
+    assert.strictEqual(message.subject, 'New quote lead');
+    assert.strictEqual(message.replyTo, 'alex@example.com');
+    assert.ok(/^Services: +packing$/m.test(message.text));
+    assert.ok(/^Phone: +—$/m.test(message.text));
+    assert.ok(message.text.includes('Two flights\nof stairs'));
+    assert.ok(message.text.includes('Source: unknown'));
+
+    const sourced = notificationFor({
+      ...lead,
+      attribution: {
+        firstTouch: { utm_source: 'google', utm_medium: 'cpc', landing_page: '/service-area-edmond.html', referrer: 'https://www.google.com/' },
+        lastTouch: { landing_page: '/' },
+        cta: { text: 'Get My Edmond Quote', page: '/service-area-edmond.html' }
+      }
+    }, SCHEMA, {});
+    assert.ok(sourced.text.includes('First touch: google / cpc, landed on /service-area-edmond.html from https://www.google.com/'));
+    assert.ok(sourced.text.includes('Last touch: direct, landed on /'));
+    assert.ok(sourced.text.includes('Clicked: "Get My Edmond Quote" on /service-area-edmond.html'));
+
+    const raw = formatMessage({ ...message, subject: 'Nouveau — devis' });
+    assert.ok(raw.includes('Subject: =?UTF-8?B?'));
+    assert.ok(raw.includes('Reply-To: alex@example.com\r\n'));
+    assert.ok(!/[^\r]\n/.test(raw));
+  }],
+
+  ['writes .eml files with the file transport', async () => {
+    const transport = createTransport({ type: 'file', dir: 'outbox' }, tmp);
+    const { file } = await transport.send({ from: 'a@example.com', to: 'b@example.com', subject: 'Hi', text: 'Hello' });
+    assert.ok(file.startsWith(path.join(tmp, 'outbox')) && file.endsWith('.eml'));
+    assert.ok(fs.readFileSync(file, 'utf8').endsWith('\r\n\r\nHello\r\n'));
+    assert.throws(() => createTransport({ type: 'pigeon' }), /Unknown mail transport "pigeon"/);
+  }],
+
+  ['speaks SMTP to a local server, dot-stuffing the body', async () => {
+    const received = [];
+    const smtp = net.createServer(socket => {
+      let data = false;
+      let buffer = '';
+      socket.write('220 test\r\n');
+      socket.on('data', chunk => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\r\n')) !== -1) {
+          const line = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          if (data) {
+            if (line === '.') {
+              data = false;
+              socket.write('250 queued\r\n');
+            } else {
+              received.push(line);
+            }
+          } else if (line.startsWith('EHLO')) {
+            socket.write('250-test\r\n250 8BITMIME\r\n');
+          } else if (line === 'DATA') {
+            data = true;
+            socket.write('354 go ahead\r\n');
+          } else if (line === 'QUIT') {
+            socket.end('221 bye\r\n');
+          } else {
+            received.push(line);
+            socket.write('250 ok\r\n');
+          }
+        }
+      });
+    });
+    await new Promise(resolve => smtp.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const transport = createTransport({ type: 'smtp', host: '127.0.0.1', port: smtp.address().port });
+      await transport.send({ from: 'Site <no-reply@example.com>', to: 'hello@example.com', subject: 'Hi', text: 'Hello\n.hidden line' });
+      assert.strictEqual(received[0], 'MAIL FROM:<no-reply@example.com>');
+      assert.strictEqual(received[1], 'RCPT TO:<hello@example.com>');
+      assert.ok(received.includes('..hidden line'));
+    } finally {
+      smtp.close();
+    }
+  }],
+
+  ['serves pages, assembling layout pages, and takes leads over HTTP', async () => {
+    const site = path.join(tmp, 'site');
+    fs.mkdirSync(path.join(site, 'partials'), { recursive: true });
+    fs.writeFileSync(path.join(site, 'index.html'), '<h1>Home</h1>');
+    fs.writeFileSync(path.join(site, 'about.html'), '<body>\n<!-- layout -->\n<main>About</main>\n</body>');
+    fs.writeFileSync(path.join(site, 'partials', 'layout.html'), '<header>Site</header>\n{{content}}\n');
+    const sent = [];
+    const server = createLeadServer({
+      cwd: site,
+      config: {
+        storage: '.leads/leads.jsonl',
+        honeypot: 'fax_number',
+        rateLimit: { max: 4, windowMinutes: 15 },
+        notify: { from: 'no-reply@example.com', to: 'hello@example.com' },
+        forms: { quote: SCHEMA }
+      },
+      transport: { send: async message => { sent.push(message); } },
+      log: { log() {}, error() {} }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    try {
+      const created = await post(port, '/leads/quote', 'name=Alex+Smith&email=alex%40example.com&services=packing&services=storage&first_utm_source=google&cta_text=Get+My+Quote');
+      assert.strictEqual(created.status, 201);
+      const { id } = JSON.parse(created.text);
+      const stored = fs.readFileSync(path.join(site, '.leads', 'leads.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      assert.deepStrictEqual(stored.map(lead => lead.id), [id]);
+      assert.deepStrictEqual(stored[0].fields.services, ['packing', 'storage']);
+      assert.deepStrictEqual(stored[0].attribution, { firstTouch: { utm_source: 'google' }, cta: { text: 'Get My Quote' } });
+      assert.strictEqual(sent.length, 1);
+
+      const invalid = await post(port, '/leads/quote', JSON.stringify({ name: 'Alex' }), { 'Content-Type': 'application/json' });
+      assert.strictEqual(invalid.status, 422);
+      assert.deepStrictEqual(Object.keys(JSON.parse(invalid.text).errors), ['email']);
+
+      // Plain form posts get a page back
+      const plain = await post(port, '/leads/quote', 'name=Alex', { Accept: 'text/html' });
+      assert.strictEqual(plain.status, 422);
+      assert.ok(plain.text.includes('<li>Email is required.</li>') && plain.text.includes('href="/quote.html"'));
+
+      const bot = await post(port, '/leads/quote', 'name=Bot&email=bot%40example.com&fax_number=1');
+      assert.strictEqual(bot.status, 200);
+      assert.strictEqual(sent.length, 1);
+
+      const limited = await post(port, '/leads/quote', 'name=Alex+Smith&email=alex%40example.com');
+      assert.strictEqual(limited.status, 429);
+      assert.ok(Number(limited.headers['retry-after']) > 0);
+
+      const unknown = await post(port, '/leads/newsletter', '');
+      assert.strictEqual(unknown.status, 404);
+
+      const page = await new Promise(resolve => http.get({ port, path: '/' }, resolve));
+      assert.strictEqual(page.statusCode, 200);
+      page.resume();
+      const script = await new Promise(resolve => http.get({ port, path: '/assets/js/attribution.js' }, resolve));
+      assert.strictEqual(script.statusCode, 200);
+      script.resume();
+      const about = await new Promise(resolve => http.get({ port, path: '/about.html' }, res => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => resolve(text));
+      }));
+      assert.strictEqual(about, '<body>\n<header>Site</header>\n<main>About</main>\n</body>');
+      const store = await new Promise(resolve => http.get({ port, path: '/.leads/leads.jsonl' }, resolve));
+      assert.strictEqual(store.statusCode, 404);
+      store.resume();
+    } finally {
+      server.close();
+    }
+  }],
+
+  ['matches every site lead-forms.json to its pages', () => {
+    const root = path.join(__dirname, '..', '..');
+    const sites = fs.readdirSync(root).filter(dir => fs.existsSync(path.join(root, dir, 'lead-forms.json')));
+    assert.ok(sites.length >= 3, `found ${sites.join(', ')}`);
+    sites.forEach(dir => {
+      const config = loadLeadForms(path.join(root, dir));
+      Object.keys(config.forms).forEach(id => {
+        const schema = config.forms[id];
+        const html = fs.readFileSync(path.join(root, dir, schema.page), 'utf8');
+        [...Object.keys(schema.fields), config.honeypot].forEach(name => {
+          assert.ok(html.includes(`name="${name}"`), `${dir}/${schema.page} has no ${name} field`);
+        });
+        assert.ok(html.includes(`action="/leads/${id}"`), `${dir}/${schema.page} doesn't post to /leads/${id}`);
+        const { errors } = validateLead(schema, {});
+        assert.ok(Object.keys(errors).length > 0, `${dir} ${id}: no required fields`);
+      });
+    });
+  }]
+];
+
+(async () => {
+  try {
+    for (const [name, run] of cases) {
+      await run();
+      console.log(`✅ ${name}`);
+    }
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+  console.log(`\n🎉 ${cases.length} lead intake checks pass`);
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
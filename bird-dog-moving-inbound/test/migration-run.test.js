@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Migration runner
+ * Checks scripts/migration-run.js: a transform that fails on one file is
+ * listed in the summary, sets a failing exit code and keeps --write from
+ * touching any file; --check fails without writing; a removed file comes
+ * back with --undo.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runMigration } = require('../scripts/migration-run.js');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'migration-run-'));
+const home = process.cwd();
+process.chdir(tmp);
+
+// Upper-cases each page, removes old.html and fails on broken.html
+function transform(file, content) {
+  if (file === 'broken.html') throw new Error('unclosed <main>');
+  if (file === 'old.html') return { content, remove: true, changes: [{ removed: file }] };
+  return { content: content.toUpperCase(), changes: [{ from: content, to: content.toUpperCase() }] };
+}
+
+function migrate(argv, files = ['good.html', 'broken.html']) {
+  const log = console.log;
+  const error = console.error;
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    return runMigration({ name: 'upper', files, transform, argv });
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+}
+
+const cases = [
+  ['lists failed files in the summary and sets a failing exit code', () => {
+    fs.writeFileSync('good.html', 'ok');
+    fs.writeFileSync('broken.html', 'ok');
+    const summary = migrate(['--quiet', '--summary', 'summary.json']);
+    assert.deepStrictEqual(summary.failures, [{ file: 'broken.html', error: 'unclosed <main>' }]);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync('summary.json', 'utf8')).failures, summary.failures);
+    assert.strictEqual(process.exitCode, 1);
+  }],
+
+  ['writes nothing when a file failed', () => {
+    migrate(['--write']);
+    assert.strictEqual(fs.readFileSync('good.html', 'utf8'), 'ok');
+    assert.ok(!fs.existsSync('.migration-backup'));
+  }],
+
+  ['writes as before when every file succeeds', () => {
+    const summary = migrate(['--write'], ['good.html']);
+    assert.deepStrictEqual(summary.failures, []);
+    assert.strictEqual(fs.readFileSync('good.html', 'utf8'), 'OK');
+  }],
+
+  ['fails --check while a file would change, without writing it', () => {
+    fs.writeFileSync('good.html', 'ok');
+    process.exitCode = 0;
+    migrate(['--check'], ['good.html']);
+    assert.strictEqual(process.exitCode, 1);
+    assert.strictEqual(fs.readFileSync('good.html', 'utf8'), 'ok');
+
+    fs.writeFileSync('good.html', 'OK');
+    process.exitCode = 0;
+    migrate(['--check'], ['good.html']);
+    assert.strictEqual(process.exitCode, 0);
+  }],
+
+  ['removes a file on --write and puts it back on --undo', () => {
+    fs.writeFileSync('old.html', 'legacy');
+    const summary = migrate(['--write'], ['old.html']);
+    assert.deepStrictEqual(summary.files, [{ file: 'old.html', removed: true, changes: [{ removed: 'old.html' }] }]);
+    assert.ok(!fs.existsSync('old.html'));
+    migrate(['--undo']);
+    assert.strictEqual(fs.readFileSync('old.html', 'utf8'), 'legacy');
+  }]
+];
+
+try {
+  cases.forEach(([name, run]) => {
+    run();
+    console.log(`✅ ${name}`);
+  });
+} finally {
+  process.chdir(home);
+  fs.rmSync(tmp, { recursive: true, force: true });
+  process.exitCode = 0;
+}
+
+console.log(`\n🎉 ${cases.length} migration runner rules hold`);
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Page slugs and redirects
+ * Checks scripts/normalize-slugs.js: the renames it plans, and redirect maps
+ * that send every old URL, legacy area copies included, to the page that
+ * serves it now in one hop.
+ */
+
+const assert = require('assert');
+const { planRenames, redirectTargets, mergeRedirects, renderRedirects } = require('../scripts/normalize-slugs.js');
+
+const areas = [
+  { name: 'Edmond', slug: 'edmond', type: 'city', lat: 35.6528, lng: -97.4781, zips: ['73003'], parent: null, page: 'service-area-edmond.html' },
+  { name: 'Capitol Hill', slug: 'capitol-hill', type: 'neighborhood', lat: 35.4412, lng: -97.5197, zips: ['73109'], parent: 'Oklahoma City', page: 'service-area-capitol-hill.html' }
+];
+
+const toPath = page => `/${page}`;
+
+const cases = [
+  ['renames pages to lowercase hyphenated slugs and stops on a clash', () => {
+    const renames = planRenames(['service-Capitol Hill.html', 'about.html', 'Quote.HTML']);
+    assert.deepStrictEqual([...renames], [['service-Capitol Hill.html', 'service-capitol-hill.html'], ['Quote.HTML', 'quote.html']]);
+    assert.throws(() => planRenames(['FAQ.html', 'faq.html']), /FAQ\.html and faq\.html would both become faq\.html/);
+  }],
+
+  ['sends legacy area copies, and pages renamed onto one, to the registry page', () => {
+    const files = ['service-Capitol Hill.html', 'service-edmond.html', 'service-area-edmond.html', 'service-areas.html'];
+    const targets = redirectTargets(files, planRenames(files), areas);
+    assert.deepStrictEqual([...targets], [
+      ['service-Capitol Hill.html', 'service-area-capitol-hill.html'],
+      ['service-capitol-hill.html', 'service-area-capitol-hill.html'],
+      ['service-edmond.html', 'service-area-edmond.html']
+    ]);
+  }],
+
+  ['collapses earlier redirects so each old URL takes one hop', () => {
+    const previous = new Map([['/service-Edmond.html', '/service-edmond.html']]);
+    const redirects = mergeRedirects(previous, redirectTargets(['service-edmond.html'], new Map(), areas), toPath);
+    assert.deepStrictEqual([...redirects], [
+      ['/service-Edmond.html', '/service-area-edmond.html'],
+      ['/service-edmond.html', '/service-area-edmond.html']
+    ]);
+    assert.deepStrictEqual(renderRedirects('netlify', new Map([['/service-Capitol Hill.html', '/service-area-capitol-hill.html']])), [
+      '/service-Capitol%20Hill.html  /service-area-capitol-hill.html  301'
+    ]);
+  }]
+];
+
+cases.forEach(([name, run]) => {
+  run();
+  console.log(`✅ ${name}`);
+});
+
+console.log(`\n🎉 ${cases.length} slug and redirect rules hold`);
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * Quote estimator pricing rules
+ * Checks assets/js/quote-estimator.js against a small fixed rate table so
+ * each rule (crew, hours, distance, add-ons, surcharges, rounding) can be
+ * worked out by hand, then prices every home size in the real
+ * quote-rates.json.
+ */
+
+const assert = require('assert');
+const path = require('path');
+const {
+  EstimateError,
+  estimateMove,
+  surchargesFor,
+  parseMoveDate
+} = require('../assets/js/quote-estimator.js');
+
+const RATES = {
+  hourlyRatePerMover: 50,
+  truckFee: 100,
+  minimumHours: 2,
+  hourIncrement: 0.5,
+  roundTo: 10,
+  homeSizes: {
+    'Studio': { crew: 2, hours: [1, 3] },
+    '2 Bedroom': { crew: 3, hours: [4, 6] }
+  },
+  distance: { metroZipPrefixes: ['731'], defaultMiles: 15, roadFactor: 1, averageMph: 30, maxMiles: 60 },
+  addOns: {
+    packing: { label: 'Packing', hoursFactor: 0.5, fee: 80 },
+    assembly: { label: 'Furniture Assembly', extraHours: 1 },
+    specialty: { label: 'Specialty Item', fee: 200, extraCrew: 1 }
+  },
+  surcharges: {
+    weekend: { label: 'Weekend', percent: 10, days: [0, 6] },
+    monthEnd: { label: 'Month-end', percent: 20, lastDays: 3 }
+  }
+};
+
+// 73101 → 73102 is 20.7 miles due north; 73109 is beyond maxMiles
+const AREAS = [
+  { name: 'South', lat: 35.0, lng: -97.0, zips: ['73101'] },
+  { name: 'North', lat: 35.3, lng: -97.0, zips: ['73102'] },
+  { name: 'Far', lat: 36.5, lng: -97.0, zips: ['73109'] }
+];
+
+// A Wednesday in the middle of the month
+const WEEKDAY = '2026-10-14';
+
+function estimate(overrides = {}, rates = RATES) {
+  return estimateMove({
+    fromZip: '73101',
+    toZip: '73101',
+    moveDate: WEEKDAY,
+    homeSize: '2 Bedroom',
+    addOns: [],
+    ...overrides
+  }, rates, AREAS);
+}
+
+function throwsEstimateError(run, message) {
+  assert.throws(run, error => error instanceof EstimateError && message.test(error.message));
+}
+
+const cases = [
+  ['prices crew × rate × hours plus the truck fee', () => {
+    const result = estimate();
+    assert.strictEqual(result.crew, 3);
+    assert.deepStrictEqual(result.hours, { low: 4, high: 6 });
+    assert.deepStrictEqual(result.price, { low: 700, high: 1000 });
+    assert.deepStrictEqual(result.surcharges, []);
+  }],
+
+  ['never books less than the minimum hours', () => {
+    const result = estimate({ homeSize: 'Studio' });
+    assert.deepStrictEqual(result.hours, { low: 2, high: 3 });
+  }],
+
+  ['adds drive time between registry ZIPs, rounded up to the half hour', () => {
+    const result = estimate({ toZip: '73102' });
+    assert.strictEqual(result.miles, 20.7);
+    assert.strictEqual(result.approximate, false);
+    // 20.7 miles at 30 mph ≈ 0.69 h
+    assert.deepStrictEqual(result.hours, { low: 5, high: 7 });
+    assert.deepStrictEqual(result.price, { low: 850, high: 1150 });
+  }],
+
+  ['uses the default distance for a metro ZIP outside the registry', () => {
+    const result = estimate({ toZip: '73199' });
+    assert.strictEqual(result.miles, 15);
+    assert.strictEqual(result.approximate, true);
+    assert.deepStrictEqual(result.hours, { low: 4.5, high: 6.5 });
+  }],
+
+  ['refuses malformed ZIPs and moves outside the local area', () => {
+    throwsEstimateError(() => estimate({ fromZip: '7310' }), /5-digit From ZIP/);
+    throwsEstimateError(() => estimate({ toZip: '10001' }), /outside our local area/);
+    throwsEstimateError(() => estimate({ toZip: '73109' }), /beyond our local area/);
+  }],
+
+  ['scales hours for packing and adds fixed extra hours and fees', () => {
+    const result = estimate({ addOns: ['packing', 'assembly'] });
+    // 4 × 1.5 + 1 and 6 × 1.5 + 1
+    assert.deepStrictEqual(result.hours, { low: 7, high: 10 });
+    assert.deepStrictEqual(result.price, { low: 1230, high: 1680 });
+    assert.deepStrictEqual(result.addOns, ['Packing', 'Furniture Assembly']);
+  }],
+
+  ['adds a mover for specialty items', () => {
+    const result = estimate({ addOns: ['specialty'] });
+    assert.strictEqual(result.crew, 4);
+    assert.deepStrictEqual(result.price, { low: 1100, high: 1500 });
+  }],
+
+  ['charges the weekend surcharge on Saturdays and Sundays', () => {
+    const result = estimate({ moveDate: '2026-10-17' });
+    assert.deepStrictEqual(result.surcharges.map(surcharge => surcharge.id), ['weekend']);
+    // Labor 600 and 900, +10%
+    assert.deepStrictEqual(result.price, { low: 760, high: 1090 });
+  }],
+
+  ['charges the month-end surcharge in the last days of the month', () => {
+    assert.deepStrictEqual(surchargesFor(parseMoveDate('2026-10-28'), RATES), []);
+    assert.deepStrictEqual(surchargesFor(parseMoveDate('2026-10-29'), RATES).map(surcharge => surcharge.id), ['monthEnd']);
+    assert.deepStrictEqual(surchargesFor(parseMoveDate('2027-02-25'), RATES), []);
+    assert.deepStrictEqual(surchargesFor(parseMoveDate('2027-02-26'), RATES).map(surcharge => surcharge.id), ['monthEnd']);
+  }],
+
+  ['adds weekend and month-end surcharges together', () => {
+    const result = estimate({ moveDate: '2026-10-31' });
+    assert.deepStrictEqual(result.surcharges.map(surcharge => surcharge.id), ['weekend', 'monthEnd']);
+    // Labor 600 and 900, +30%
+    assert.deepStrictEqual(result.price, { low: 880, high: 1270 });
+  }],
+
+  ['rounds the low price down and the high price up', () => {
+    const result = estimate({}, { ...RATES, truckFee: 95 });
+    assert.deepStrictEqual(result.price, { low: 690, high: 1000 });
+  }],
+
+  ['refuses unknown home sizes, services and dates', () => {
+    throwsEstimateError(() => estimate({ homeSize: 'Castle' }), /home size/);
+    throwsEstimateError(() => estimate({ addOns: ['valet'] }), /Unknown service/);
+    throwsEstimateError(() => estimate({ moveDate: '2026-02-30' }), /move date/);
+    throwsEstimateError(() => estimate({ moveDate: '' }), /move date/);
+  }],
+
+  ['prices every home size in quote-rates.json', () => {
+    const rates = require(path.join(__dirname, '..', 'quote-rates.json'));
+    const { areas } = require(path.join(__dirname, '..', 'service-areas.json'));
+    Object.keys(rates.homeSizes).forEach(homeSize => {
+      const result = estimateMove({ fromZip: '73034', toZip: '73069', moveDate: WEEKDAY, homeSize, addOns: Object.keys(rates.addOns) }, rates, areas);
+      assert.ok(result.price.low > 0 && result.price.low < result.price.high, `${homeSize}: ${JSON.stringify(result.price)}`);
+      assert.strictEqual(result.price.low % rates.roundTo, 0);
+      assert.strictEqual(result.price.high % rates.roundTo, 0);
+    });
+  }]
+];
+
+cases.forEach(([name, run]) => {
+  run();
+  console.log(`✅ ${name}`);
+});
+
+console.log(`\n🎉 ${cases.length} pricing rules hold`);
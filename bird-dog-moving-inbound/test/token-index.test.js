@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Token value index
+ * Checks scripts/token-index.js: values resolve to the token of the group
+ * their property draws from, and legacy values only ever stand for a token
+ * with the same value.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadTokenIndex, resolveToken } = require('../scripts/token-index.js');
+
+const tokens = {
+  color: {
+    brand: { primary: '#000000' },
+    text: { primary: '#000000', inverse: '#FFFFFF' },
+    legacy: { navy: '#16324F' }
+  },
+  spacing: { md: '0.5rem' }
+};
+
+// Write a token source and config to a scratch folder and index them
+function indexFor(legacyValues) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-index-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'tokens.json'), JSON.stringify(tokens));
+    fs.writeFileSync(path.join(dir, 'tokens.config.json'), JSON.stringify({
+      source: path.join(dir, 'tokens.json'),
+      prefixes: { spacing: 'space' },
+      legacyValues
+    }));
+    return loadTokenIndex(path.join(dir, 'tokens.config.json'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const cases = [
+  ['resolves a value to the token its property draws from', () => {
+    const index = indexFor({});
+    assert.strictEqual(resolveToken('color', '#000', index).name, 'color-text-primary');
+    assert.strictEqual(resolveToken('background', '#000000', index).name, 'color-brand-primary');
+    assert.strictEqual(resolveToken('background', '#16324f', index).name, 'color-legacy-navy');
+    assert.strictEqual(resolveToken('padding', '.5rem', index).name, 'space-md');
+    assert.strictEqual(resolveToken('padding', '#000000', index), null);
+  }],
+
+  ['accepts legacy values that are another spelling of the token value', () => {
+    const index = indexFor({ white: 'color-text-inverse', 'rgb(22, 50, 79)': 'color-legacy-navy' });
+    assert.strictEqual(resolveToken('color', 'White', index).name, 'color-text-inverse');
+    assert.strictEqual(resolveToken('background', 'rgb(22,50,79)', index).name, 'color-legacy-navy');
+  }],
+
+  ['refuses a legacy value that would change the color', () => {
+    assert.throws(() => indexFor({ '#16324F': 'color-brand-primary' }), /legacy value #16324F maps to --color-brand-primary, which is #000000; add a token with the value instead/);
+    assert.throws(() => indexFor({ '#16324F': 'color-brand-navy' }), /maps to unknown token --color-brand-navy/);
+  }]
+];
+
+cases.forEach(([name, run]) => {
+  run();
+  console.log(`✅ ${name}`);
+});
+
+console.log(`\n🎉 ${cases.length} token index rules hold`);
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * Design token audit
+ * Checks scripts/verify-design-tokens.js against a small site: where each
+ * issue is reported, a file matched by several include patterns audited
+ * once and a literal shadow reported once, unused tokens (the token files
+ * themselves don't count, TOKENS access in a script does), the JSON, SARIF
+ * and GitHub outputs, and a long report piped out whole.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { buildTokens } = require('../scripts/build-tokens.js');
+const {
+  loadAuditConfig,
+  auditedFiles,
+  analyzeFile,
+  collectTokenDefinitions,
+  findUnusedTokens,
+  renderJson,
+  renderSarif,
+  renderGithub
+} = require('../scripts/verify-design-tokens.js');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'verify-design-tokens.js');
+
+const config = {
+  source: 'tokens.json',
+  css: 'tokens.css',
+  ts: 'src/tokens.ts',
+  prefixes: { spacing: 'space' },
+  units: { spacing: 'rem' },
+  aliases: { 'color-ink': 'color-text-primary', 'color-navy': 'color-brand-primary' }
+};
+
+const tokens = {
+  color: { brand: { primary: '#16324F' }, text: { primary: '#0F172A' } },
+  spacing: { md: 0.5, xl: 1 },
+  shadow: { md: '0 6px 18px rgba(0,0,0,.08)' }
+};
+
+const page = [
+  '<!doctype html>',
+  '<html><head><style>',
+  '  .card { color: #16324F; padding: .5rem 1rem; }',
+  '  .card--raised { box-shadow: 0 6px 18px rgba(0,0,0,.08); }',
+  '  .card__title { color: var(--color-ink); margin: var(--space-2xl); }',
+  '  .legacy { color: #0F172A; } /* token-ignore */',
+  '</style></head>',
+  '<body><p style="color: #16324F">Hi</p></body></html>',
+  ''
+].join('\n');
+
+const card = [
+  "import { TOKENS } from './tokens';",
+  '',
+  'export const cardStyles = { padding: 8, boxShadow: TOKENS.shadow.md };',
+  ''
+].join('\n');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-design-tokens-'));
+const home = process.cwd();
+const workspace = process.env.GITHUB_WORKSPACE;
+process.chdir(tmp);
+delete process.env.GITHUB_WORKSPACE;
+
+fs.mkdirSync('src');
+fs.writeFileSync('tokens.json', JSON.stringify(tokens));
+fs.writeFileSync('tokens.config.json', JSON.stringify(config));
+Object.entries(buildTokens(config)).forEach(([file, content]) => fs.writeFileSync(file, content));
+fs.writeFileSync('page.html', page);
+fs.writeFileSync('src/card.tsx', card);
+
+const site = loadAuditConfig();
+const context = {
+  definedTokens: new Set(collectTokenDefinitions(fs.readFileSync('tokens.css', 'utf8')).keys()),
+  aliases: site.aliases,
+  index: site.index,
+  allow: site.allow
+};
+
+function audit() {
+  const results = auditedFiles(site).map(file => analyzeFile(file, context));
+  const sources = auditedFiles(site).map(file => fs.readFileSync(file, 'utf8'));
+  const unused = findUnusedTokens(fs.readFileSync('tokens.css', 'utf8'), 'tokens.css', sources, site.tsPaths);
+  return [...results.flatMap(result => [...result.hardcoded, ...result.undefinedTokens, ...result.legacy]), ...unused];
+}
+
+const at = issue => `${issue.file}:${issue.line}:${issue.column}`;
+
+const cases = [
+  ['reports each issue at its line and column, skipping token-ignore lines', () => {
+    const result = analyzeFile('page.html', context);
+    assert.deepStrictEqual(result.hardcoded.map(issue => [at(issue), issue.value, issue.suggestion]), [
+      ['page.html:3:18', '#16324F', 'var(--color-brand-primary)'],
+      ['page.html:3:36', '.5rem', 'var(--space-md)'],
+      ['page.html:3:42', '1rem', 'var(--space-xl)'],
+      ['page.html:4:31', '0 6px 18px rgba(0,0,0,.08)', 'var(--shadow-md)'],
+      ['page.html:8:24', '#16324F', 'var(--color-brand-primary)']
+    ]);
+    assert.deepStrictEqual(result.legacy.map(issue => [at(issue), issue.value, issue.suggestion]), [
+      ['page.html:5:29', '--color-ink', '--color-text-primary']
+    ]);
+    assert.deepStrictEqual(result.undefinedTokens.map(issue => [at(issue), issue.token]), [['page.html:5:51', 'space-2xl']]);
+    assert.strictEqual(result.suppressed, 1);
+  }],
+
+  ['audits a file once however many include patterns match it', () => {
+    const overlapping = { ...site, include: ['*.html', '**/*.html', 'src/**/*.tsx', '**/*.tsx', '**/*.{ts,tsx}'] };
+    assert.deepStrictEqual(auditedFiles(overlapping), ['page.html', 'src/card.tsx']);
+  }],
+
+  ['leaves the token files out of the unused-token check and counts TOKENS access', () => {
+    const unused = audit().filter(issue => issue.type === 'unused_token');
+    // --color-navy refers to --color-brand-primary only inside tokens.css,
+    // and --color-ink keeps --color-text-primary in use
+    assert.deepStrictEqual(unused.map(issue => issue.token).sort(), ['color-brand-primary', 'color-navy', 'space-md', 'space-xl']);
+    assert.ok(unused.every(issue => issue.file === 'tokens.css' && issue.line > 1 && issue.column === 3));
+  }],
+
+  ['renders JSON with a summary and each issue located', () => {
+    const issues = audit();
+    const report = JSON.parse(renderJson(issues));
+    assert.deepStrictEqual(report.summary, { errors: 7, warnings: 4 });
+    assert.deepStrictEqual(report.issues[0], {
+      rule: 'hardcoded-value',
+      level: 'error',
+      type: 'hardcoded_value',
+      file: 'page.html',
+      line: 3,
+      column: 18,
+      value: '#16324F',
+      property: 'color',
+      suggestion: 'var(--color-brand-primary)',
+      message: 'Hardcoded value #16324F; use var(--color-brand-primary)'
+    });
+    assert.deepStrictEqual(report.issues.map(issue => issue.rule), [
+      ...Array(5).fill('hardcoded-value'), 'undefined-token', 'legacy-token', ...Array(4).fill('unused-token')
+    ]);
+  }],
+
+  ['renders SARIF 2.1.0 results pointing at their rule and region', () => {
+    const log = JSON.parse(renderSarif(audit()));
+    assert.strictEqual(log.version, '2.1.0');
+    const run = log.runs[0];
+    assert.deepStrictEqual(run.tool.driver.rules.map(rule => rule.id), ['hardcoded-value', 'undefined-token', 'legacy-token', 'unused-token']);
+    assert.deepStrictEqual(run.results[5], {
+      ruleId: 'undefined-token',
+      ruleIndex: 1,
+      level: 'error',
+      message: { text: 'var(--space-2xl) is not a defined token' },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: 'page.html', uriBaseId: '%SRCROOT%' },
+          region: { startLine: 5, startColumn: 51 }
+        }
+      }]
+    });
+    assert.ok(run.results.every(result => run.tool.driver.rules[result.ruleIndex].id === result.ruleId));
+  }],
+
+  ['renders one GitHub annotation per issue, escaped', () => {
+    const lines = renderGithub(audit()).split('\n');
+    assert.strictEqual(lines.length, 11);
+    assert.strictEqual(lines[0], '::error file=page.html,line=3,col=18,title=hardcoded-value::Hardcoded value #16324F; use var(--color-brand-primary)');
+    assert.strictEqual(lines[6], '::error file=page.html,line=5,col=29,title=legacy-token::--color-ink → --color-text-primary: Use the site\'s semantic token name');
+    assert.ok(lines[10].startsWith('::warning file=tokens.css,'));
+    assert.strictEqual(renderGithub([{ type: 'unused_token', file: 'a,b:c.css', line: 1, column: 1, token: '100%' }]),
+      '::warning file=a%2Cb%3Ac.css,line=1,col=1,title=unused-token::--100%25 is defined but never referenced');
+  }],
+
+  ['pipes a long JSON report out whole and still fails', () => {
+    fs.writeFileSync('src/long.css', Array.from({ length: 1500 }, (_, i) => `.rule-${i} { color: #16324F; }`).join('\n'));
+    try {
+      const run = spawnSync(process.execPath, [SCRIPT, '--format', 'json'], { cwd: tmp, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+      assert.strictEqual(run.status, 1);
+      assert.strictEqual(JSON.parse(run.stdout).issues.filter(issue => issue.file === 'src/long.css').length, 1500);
+    } finally {
+      fs.rmSync('src/long.css');
+    }
+  }]
+];
+
+try {
+  cases.forEach(([name, run]) => {
+    run();
+    console.log(`✅ ${name}`);
+  });
+} finally {
+  process.chdir(home);
+  fs.rmSync(tmp, { recursive: true, force: true });
+  if (workspace !== undefined) process.env.GITHUB_WORKSPACE = workspace;
+}
+
+console.log(`\n🎉 ${cases.length} token audit rules hold`);
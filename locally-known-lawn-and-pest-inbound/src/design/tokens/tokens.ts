@@ -0,0 +1,243 @@
+/**
+ * Locally Known Lawn & Pest Design Tokens - TypeScript
+ * Generated by scripts/build-tokens.js from src/design/tokens/tokens.raw.json — do not edit by hand
+ */
+
+export interface DesignTokens {
+  color: {
+    bg: string;
+    bgAlt: string;
+    fg: string;
+    fgMuted: string;
+    border: string;
+    primary: string;
+    secondary: string;
+    accent: string;
+    success: string;
+    warning: string;
+    error: string;
+    info: string;
+    legacy: {
+      heroTint: string;
+      mediaTint: string;
+      thumbTint: string;
+      footerText: string;
+    };
+  };
+  spacing: {
+    "1": number;
+    "2": number;
+    "3": number;
+    "4": number;
+    "5": number;
+    "6": number;
+    "7": number;
+    "8": number;
+    legacy: {
+      half: number;
+    };
+  };
+  radius: {
+    sm: number;
+    md: number;
+    lg: number;
+    full: string;
+  };
+  typography: {
+    fontSans: string;
+    fsHero: string;
+    fsH2: string;
+    fsH3: string;
+    fsBody: string;
+    fsSmall: string;
+    lhTight: number;
+    lhBody: number;
+    fwSemibold: number;
+    fwExtrabold: number;
+  };
+  z: {
+    dropdown: number;
+    sticky: number;
+    fixed: number;
+    modalBackdrop: number;
+    modal: number;
+    popover: number;
+    tooltip: number;
+  };
+  shadow: {
+    sm: string;
+    md: string;
+    lg: string;
+  };
+  bp: {
+    sm: number;
+    md: number;
+    lg: number;
+    xl: number;
+    "2xl": number;
+  };
+  layout: {
+    maxwWrap: string;
+  };
+}
+
+export const tokens: DesignTokens = {
+  color: {
+    bg: "#FFFFFF",
+    bgAlt: "#F7FBF8",
+    fg: "#0E1B12",
+    fgMuted: "#5B7363",
+    border: "#E2EEE7",
+    primary: "#0F4D2A",
+    secondary: "#2BB673",
+    accent: "#2BB673",
+    success: "#10B981",
+    warning: "#FF9F1C",
+    error: "#EF4444",
+    info: "#3B82F6",
+    legacy: {
+      heroTint: "#F2FCF6",
+      mediaTint: "#D1F7DF",
+      thumbTint: "#E7F6EE",
+      footerText: "#D9EFE3"
+    }
+  },
+  spacing: {
+    "1": 0.375,
+    "2": 0.75,
+    "3": 1,
+    "4": 1.5,
+    "5": 2,
+    "6": 3,
+    "7": 4,
+    "8": 5,
+    legacy: {
+      half: 0.5
+    }
+  },
+  radius: {
+    sm: 0.5,
+    md: 0.75,
+    lg: 1,
+    full: "9999px"
+  },
+  typography: {
+    fontSans: "ui-sans-serif,system-ui,-apple-system,Segoe UI,Roboto,Inter,'Helvetica Neue',Arial,'Noto Sans','Liberation Sans',sans-serif",
+    fsHero: "clamp(2rem,2.5vw + 1.2rem,3rem)",
+    fsH2: "clamp(1.375rem,1.5vw + 1rem,2rem)",
+    fsH3: "clamp(1.125rem,1.25vw + 0.875rem,1.5rem)",
+    fsBody: "1rem",
+    fsSmall: "0.875rem",
+    lhTight: 1.15,
+    lhBody: 1.6,
+    fwSemibold: 600,
+    fwExtrabold: 800
+  },
+  z: {
+    dropdown: 1000,
+    sticky: 1020,
+    fixed: 1030,
+    modalBackdrop: 1040,
+    modal: 1050,
+    popover: 1060,
+    tooltip: 1070
+  },
+  shadow: {
+    sm: "0 1px 2px rgba(0,0,0,.06)",
+    md: "0 6px 16px rgba(0,0,0,.10)",
+    lg: "0 20px 25px -5px rgba(0,0,0,.1), 0 10px 10px -5px rgba(0,0,0,.04)"
+  },
+  bp: {
+    sm: 640,
+    md: 768,
+    lg: 1024,
+    xl: 1280,
+    "2xl": 1536
+  },
+  layout: {
+    maxwWrap: "1200px"
+  }
+};
+
+// CSS custom property references, e.g. TOKENS.color.primary → "var(--color-primary)"
+export const TOKENS = {
+  color: {
+    bg: "var(--color-bg)",
+    bgAlt: "var(--color-bg-alt)",
+    fg: "var(--color-fg)",
+    fgMuted: "var(--color-fg-muted)",
+    border: "var(--color-border)",
+    primary: "var(--color-primary)",
+    secondary: "var(--color-secondary)",
+    accent: "var(--color-accent)",
+    success: "var(--color-success)",
+    warning: "var(--color-warning)",
+    error: "var(--color-error)",
+    info: "var(--color-info)",
+    legacy: {
+      heroTint: "var(--color-legacy-hero-tint)",
+      mediaTint: "var(--color-legacy-media-tint)",
+      thumbTint: "var(--color-legacy-thumb-tint)",
+      footerText: "var(--color-legacy-footer-text)"
+    }
+  },
+  spacing: {
+    "1": "var(--space-1)",
+    "2": "var(--space-2)",
+    "3": "var(--space-3)",
+    "4": "var(--space-4)",
+    "5": "var(--space-5)",
+    "6": "var(--space-6)",
+    "7": "var(--space-7)",
+    "8": "var(--space-8)",
+    legacy: {
+      half: "var(--space-legacy-half)"
+    }
+  },
+  radius: {
+    sm: "var(--radius-sm)",
+    md: "var(--radius-md)",
+    lg: "var(--radius-lg)",
+    full: "var(--radius-full)"
+  },
+  typography: {
+    fontSans: "var(--font-sans)",
+    fsHero: "var(--fs-hero)",
+    fsH2: "var(--fs-h2)",
+    fsH3: "var(--fs-h3)",
+    fsBody: "var(--fs-body)",
+    fsSmall: "var(--fs-small)",
+    lhTight: "var(--lh-tight)",
+    lhBody: "var(--lh-body)",
+    fwSemibold: "var(--fw-semibold)",
+    fwExtrabold: "var(--fw-extrabold)"
+  },
+  z: {
+    dropdown: "var(--z-dropdown)",
+    sticky: "var(--z-sticky)",
+    fixed: "var(--z-fixed)",
+    modalBackdrop: "var(--z-modal-backdrop)",
+    modal: "var(--z-modal)",
+    popover: "var(--z-popover)",
+    tooltip: "var(--z-tooltip)"
+  },
+  shadow: {
+    sm: "var(--shadow-1)",
+    md: "var(--shadow-2)",
+    lg: "var(--shadow-3)"
+  },
+  bp: {
+    sm: "var(--bp-sm)",
+    md: "var(--bp-md)",
+    lg: "var(--bp-lg)",
+    xl: "var(--bp-xl)",
+    "2xl": "var(--bp-2xl)"
+  },
+  layout: {
+    maxwWrap: "var(--maxw-wrap)"
+  }
+} as const;
+
+export type ThemeName = "current" | "theme-1" | "theme-2" | "theme-3" | "theme-4" | "theme-5";
+
+export const THEMES: readonly ThemeName[] = ["current", "theme-1", "theme-2", "theme-3", "theme-4", "theme-5"];
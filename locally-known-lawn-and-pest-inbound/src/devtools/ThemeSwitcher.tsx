@@ -1,6 +1,4 @@
-import { setTheme, getSavedTheme, type ThemeName } from "../design/tokens";
-
-const themes: ThemeName[] = ["current", "theme-1", "theme-2", "theme-3", "theme-4", "theme-5"];
+import { setTheme, getSavedTheme, THEMES, type ThemeName } from "../design/tokens";
 
 export function ThemeSwitcher() {
   const saved = getSavedTheme() || "current";
@@ -12,7 +10,7 @@ export function ThemeSwitcher() {
     <div style={{ position: "fixed", right: 8, bottom: 8, zIndex: 9999, background: "var(--color-bg)", border: "1px solid var(--color-border)", borderRadius: "8px", padding: "6px 8px" }}>
       <label style={{ fontSize: "12px", color: "var(--color-fg-muted)", marginRight: 6 }}>Theme</label>
       <select onChange={onChange as any} defaultValue={saved}>
-        {themes.map(t => (<option key={t} value={t}>{t}</option>))}
+        {THEMES.map(t => (<option key={t} value={t}>{t}</option>))}
       </select>
     </div>
   );